@@ -1,8 +1,47 @@
 import { NextRequest, NextResponse } from 'next/server';
+import {
+  getTranscriptionProvider,
+  groupWordsIntoCaptions,
+  resolveMediaSource,
+  transcribeMedia,
+} from '@/lib/transcription';
 
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+/**
+ * GET /api/ai/captions
+ * Reports which transcription provider captions will use. `ready` is false
+ * when none is configured (500 with the reason) or only the fixture
+ * provider is named.
+ */
+export async function GET() {
+  try {
+    const provider = getTranscriptionProvider();
+    return NextResponse.json({
+      provider: provider.name,
+      configured: provider.isConfigured(),
+      ready: provider.name !== 'fixture' && provider.isConfigured(),
+    });
+  } catch (error) {
+    return NextResponse.json(
+      { provider: null, configured: false, ready: false, error: (error as Error).message },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * POST /api/ai/captions
+ * Body: { videoSrc: string, language?: string, provider?: string }
+ *
+ * videoSrc is a site path under public/, a URL on this site or a URL in
+ * the app's Cloudinary cloud; other hosts are refused (400). Returns
+ * Caption[] (see reactvideoeditor/pro/types) grouped from the transcript.
+ */
 export async function POST(request: NextRequest) {
   try {
-    const { videoSrc, language = 'en' } = await request.json();
+    const { videoSrc, language = 'en', provider: requestedProvider } = await request.json();
 
     if (!videoSrc) {
       return NextResponse.json(
@@ -11,62 +50,37 @@ export async function POST(request: NextRequest) {
       );
     }
 
-    // For now, we'll return demo captions
-    // TODO: Implement actual OpenAI Whisper integration when ready
-    // This would involve:
-    // 1. Extract audio from video
-    // 2. Send to OpenAI Whisper API
-    // 3. Process response into caption format
-
-    // Demo captions with realistic timing
-    const demoCaptions = [
-      {
-        text: "Welcome to React Video Editor Pro.",
-        startMs: 0,
-        endMs: 3000,
-        timestampMs: null,
-        confidence: 0.98,
-        words: [
-          { word: "Welcome", startMs: 0, endMs: 600, confidence: 0.98 },
-          { word: "to", startMs: 600, endMs: 800, confidence: 0.98 },
-          { word: "React", startMs: 800, endMs: 1200, confidence: 0.98 },
-          { word: "Video", startMs: 1200, endMs: 1600, confidence: 0.98 },
-          { word: "Editor", startMs: 1600, endMs: 2200, confidence: 0.98 },
-          { word: "Pro.", startMs: 2200, endMs: 3000, confidence: 0.98 },
-        ]
-      },
-      {
-        text: "This AI-powered caption generation is working!",
-        startMs: 3500,
-        endMs: 6500,
-        timestampMs: null,
-        confidence: 0.95,
-        words: [
-          { word: "This", startMs: 3500, endMs: 3800, confidence: 0.95 },
-          { word: "AI-powered", startMs: 3800, endMs: 4500, confidence: 0.95 },
-          { word: "caption", startMs: 4500, endMs: 5000, confidence: 0.95 },
-          { word: "generation", startMs: 5000, endMs: 5600, confidence: 0.95 },
-          { word: "is", startMs: 5600, endMs: 5800, confidence: 0.95 },
-          { word: "working!", startMs: 5800, endMs: 6500, confidence: 0.95 },
-        ]
-      }
-    ];
+    let provider;
+    let source;
+    try {
+      provider = getTranscriptionProvider(requestedProvider);
+      source = resolveMediaSource(videoSrc, { siteOrigin: request.nextUrl.origin });
+    } catch (error) {
+      return NextResponse.json({ error: (error as Error).message }, { status: 400 });
+    }
+    if (!provider.isConfigured()) {
+      return NextResponse.json(
+        { error: `Transcription provider "${provider.name}" is not configured` },
+        { status: 500 }
+      );
+    }
 
-    // Simulate processing time
-    await new Promise(resolve => setTimeout(resolve, 1000));
+    const startedAt = Date.now();
+    const transcript = await transcribeMedia({ provider: provider.name, language, ...source });
 
     return NextResponse.json({
       success: true,
-      captions: demoCaptions,
-      language,
-      processingTime: 1000
+      captions: groupWordsIntoCaptions(transcript.words),
+      provider: transcript.provider,
+      language: transcript.language,
+      processingTime: Date.now() - startedAt,
     });
 
   } catch (error) {
     console.error('Caption generation error:', error);
     return NextResponse.json(
-      { error: 'Failed to generate captions' },
+      { error: (error as Error)?.message || 'Failed to generate captions' },
       { status: 500 }
     );
   }
-} 
\ No newline at end of file
+}
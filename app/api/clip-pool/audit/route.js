@@ -0,0 +1,86 @@
+import { NextResponse } from "next/server";
+import fs from "fs";
+import path from "path";
+import { loadClipPool } from "@/lib/clipPoolQuery";
+import { auditClipPool, fixClipPoolIssues } from "@/lib/clipPoolUtils";
+
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+export const revalidate = 0;
+
+const loadOrNotFound = (source) => {
+  const loaded = loadClipPool(source || null);
+  if (!loaded) {
+    return {
+      response: NextResponse.json(
+        { error: `No clip pool available for source ${source || "(default)"}` },
+        { status: 404 }
+      ),
+    };
+  }
+  return { loaded };
+};
+
+/**
+ * GET /api/clip-pool/audit?source=killbill
+ * Integrity report for a source's clip pool: cut-free clips with cuts inside,
+ * stale frame fields, clips past the source end, disliked overlaps, duplicates.
+ */
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const { loaded, response } = loadOrNotFound(searchParams.get("source"));
+    if (response) return response;
+
+    return NextResponse.json({
+      source: loaded.sourceId,
+      pool: path.relative(process.cwd(), loaded.path),
+      ...auditClipPool(loaded.pool),
+    });
+  } catch (error) {
+    console.error("[clip-pool/audit] Error:", error);
+    return NextResponse.json({ error: error?.message || "Failed to audit clip pool" }, { status: 500 });
+  }
+}
+
+/**
+ * POST /api/clip-pool/audit
+ * Audit and auto-fix: re-trim (via findCutFreeWindow), re-frame or remove the
+ * flagged clips, then write the pool back (previous file kept as a backup).
+ * Body: { source?, fix?: boolean, dryRun?: boolean }
+ */
+export async function POST(request) {
+  try {
+    const body = (await request.json().catch(() => ({}))) || {};
+    const { loaded, response } = loadOrNotFound(body.source);
+    if (response) return response;
+
+    const relativePath = path.relative(process.cwd(), loaded.path);
+    const report = auditClipPool(loaded.pool);
+    if (!body.fix || !report.issues.length) {
+      return NextResponse.json({ source: loaded.sourceId, pool: relativePath, ...report, fixes: [] });
+    }
+
+    const { pool, fixes } = fixClipPoolIssues(loaded.pool, report);
+    let backupPath = null;
+    if (!body.dryRun) {
+      backupPath = `${loaded.path}.backup-${Date.now()}`;
+      fs.copyFileSync(loaded.path, backupPath);
+      fs.writeFileSync(loaded.path, JSON.stringify(pool, null, 2));
+      console.log(`[clip-pool/audit] Applied ${fixes.length} fix(es) to ${relativePath}`);
+    }
+
+    return NextResponse.json({
+      source: loaded.sourceId,
+      pool: relativePath,
+      ...report,
+      fixes,
+      dryRun: Boolean(body.dryRun),
+      backup: backupPath ? path.relative(process.cwd(), backupPath) : null,
+      after: auditClipPool(pool).totals,
+    });
+  } catch (error) {
+    console.error("[clip-pool/audit] Error:", error);
+    return NextResponse.json({ error: error?.message || "Failed to audit clip pool" }, { status: 500 });
+  }
+}
@@ -0,0 +1,69 @@
+import { NextResponse } from "next/server";
+import path from "path";
+import { loadClipPool, parseClipPoolQuery, queryClipPool } from "@/lib/clipPoolQuery";
+
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+export const revalidate = 0;
+
+const runQuery = (params) => {
+  const { query, errors } = parseClipPoolQuery(params);
+  if (errors.length) {
+    return NextResponse.json({ error: "Invalid clip pool query", details: errors }, { status: 400 });
+  }
+
+  const loaded = loadClipPool(query.source);
+  if (!loaded) {
+    return NextResponse.json(
+      { error: `No clip pool available for source ${query.source || "(default)"}` },
+      { status: 404 }
+    );
+  }
+
+  const result = queryClipPool(loaded.pool, query);
+  return NextResponse.json({
+    source: loaded.sourceId,
+    pool: path.relative(process.cwd(), loaded.path),
+    generatedAt: loaded.pool?.generatedAt || null,
+    durationBuckets: loaded.pool?.durationBuckets || null,
+    ...result,
+  });
+};
+
+/**
+ * GET /api/clip-pool?source=killbill&tags=...&character=elle,oren&bucket=short&...
+ * Filter, sort and page a content source's clip pool. See lib/clipPoolQuery.js
+ * for every filter; list filters are comma separated.
+ *
+ * Examples:
+ *   ?tags=character:elle AND NOT dialogue&bucket=short,medium&sort=chronology
+ *   ?video=Kill_Bill_Vol2_Part1_30FPS&from=600&to=900&limit=100
+ *   ?sfxOnly=true&sort=usage&facets=true
+ */
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    return runQuery(searchParams);
+  } catch (error) {
+    console.error("[clip-pool] Error:", error);
+    return NextResponse.json({ error: error?.message || "Failed to query clip pool" }, { status: 500 });
+  }
+}
+
+/**
+ * POST /api/clip-pool
+ * Same query as GET, as a JSON body (handier for long tag expressions).
+ * Body: { source?, tags?, character?, bucket?, sceneType?, minDuration?, maxDuration?,
+ *         video?, from?, to?, sfxOnly?, sfx?, cutFreeVerified?, include?, sort?, order?,
+ *         offset?, limit?, facets? }
+ * List filters accept arrays or comma-separated strings.
+ */
+export async function POST(request) {
+  try {
+    const body = await request.json();
+    return runQuery(body || {});
+  } catch (error) {
+    console.error("[clip-pool] Error:", error);
+    return NextResponse.json({ error: error?.message || "Failed to query clip pool" }, { status: 500 });
+  }
+}
@@ -0,0 +1,89 @@
+import { NextResponse } from "next/server";
+import {
+  CLIP_RATING_REASONS,
+  isRatableSource,
+  listClipRatings,
+  recordClipRating,
+  removeClipRating,
+  validateClipRating,
+} from "@/lib/movieAnnotation";
+
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+export const revalidate = 0;
+
+const parseNumber = (value) => {
+  if (value === null || value === "") return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+};
+
+/**
+ * GET /api/clip-ratings?videoId=...&cloudinaryId=...&start=12.5&end=15&rating=dislike
+ * Stored thumbs up/down (movie-annotation likes/dislikes), newest first,
+ * optionally for one video and overlapping start/end. Also returns the
+ * reason tags each rating accepts and, when a video is named, whether it
+ * can be rated at all (`rateable`: the content source registry knows it).
+ */
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const videoId = searchParams.get("videoId") || null;
+    const cloudinaryId = searchParams.get("cloudinaryId") || null;
+    const ratings = listClipRatings({
+      videoId,
+      cloudinaryId,
+      start: parseNumber(searchParams.get("start")),
+      end: parseNumber(searchParams.get("end")),
+      rating: searchParams.get("rating") || null,
+    });
+    const rateable = videoId || cloudinaryId ? isRatableSource(videoId, cloudinaryId) : null;
+    return NextResponse.json({ ratings, reasons: CLIP_RATING_REASONS, rateable });
+  } catch (error) {
+    console.error("[clip-ratings] Error:", error);
+    return NextResponse.json({ error: error?.message || "Failed to list clip ratings" }, { status: 500 });
+  }
+}
+
+/**
+ * POST /api/clip-ratings
+ * Body: { rating: "like" | "dislike", videoId?, cloudinaryId?, start, end, reason, notes?, tags?, origin?, poolClipId? }
+ * Thumbs up/down on a source-video range. Re-rating the same range replaces
+ * the earlier rating; planners pick the change up on their next run.
+ */
+export async function POST(request) {
+  try {
+    const body = await request.json().catch(() => null);
+    const { errors } = validateClipRating(body || {});
+    if (errors.length) {
+      return NextResponse.json({ error: "Invalid clip rating", details: errors }, { status: 400 });
+    }
+    const entry = recordClipRating(body);
+    console.log(`[clip-ratings] ${entry.rating} ${entry.partId} ${entry.startSeconds}-${entry.endSeconds}s (${entry.reason})`);
+    return NextResponse.json({ rating: entry });
+  } catch (error) {
+    console.error("[clip-ratings] Error:", error);
+    return NextResponse.json({ error: error?.message || "Failed to save clip rating" }, { status: 500 });
+  }
+}
+
+/**
+ * DELETE /api/clip-ratings?id=...
+ * Remove a stored like or dislike.
+ */
+export async function DELETE(request) {
+  try {
+    const id = new URL(request.url).searchParams.get("id");
+    if (!id) {
+      return NextResponse.json({ error: "id is required" }, { status: 400 });
+    }
+    const removed = removeClipRating(id);
+    if (!removed) {
+      return NextResponse.json({ error: `Clip rating "${id}" not found` }, { status: 404 });
+    }
+    return NextResponse.json({ removed });
+  } catch (error) {
+    console.error("[clip-ratings] Error:", error);
+    return NextResponse.json({ error: error?.message || "Failed to remove clip rating" }, { status: 500 });
+  }
+}
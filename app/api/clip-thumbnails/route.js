@@ -0,0 +1,99 @@
+import { NextResponse } from "next/server";
+import { loadClipPool } from "@/lib/clipPoolQuery";
+import { resolveClipVideoPath } from "@/lib/clipMedia";
+import {
+  DEFAULT_SPRITE_FRAMES,
+  MAX_SPRITE_FRAMES,
+  MAX_THUMBNAIL_RANGE_SECONDS,
+  ensureClipThumbnails,
+  findCachedThumbnails,
+  listClipPosters,
+} from "@/lib/clipThumbnails";
+
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+export const revalidate = 0;
+
+const MAX_POSTERS = 500;
+const REDIRECT_TARGETS = ["poster", "sprite", "vtt"];
+
+const parseNumber = (value) => {
+  if (value === null || value === "") return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+};
+
+/**
+ * GET /api/clip-thumbnails?source=killbill&playerTag=...&limit=200
+ * Posters already generated for a pool's clips (scripts/generate-clip-thumbnails.mjs).
+ *
+ * GET /api/clip-thumbnails?videoId=...&cloudinaryId=...&start=12.5&end=15&frames=10&redirect=poster
+ * Poster and sprite sheet (+ WEBVTT index) for any source-video range with a
+ * local video, cut with ffmpeg on first request and cached under public/.
+ * With `redirect` (poster | sprite | vtt) it redirects to that file, so it
+ * can be used directly as an image src.
+ */
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const source = searchParams.get("source");
+    if (source) {
+      const loaded = loadClipPool(source);
+      if (!loaded) {
+        return NextResponse.json({ error: `Clip pool for "${source}" not found` }, { status: 404 });
+      }
+      const limit = parseNumber(searchParams.get("limit"));
+      const posters = listClipPosters(loaded.pool?.clips, {
+        playerTag: searchParams.get("playerTag") || null,
+        limit: Math.min(limit && limit > 0 ? limit : 200, MAX_POSTERS),
+      });
+      return NextResponse.json({ source: loaded.sourceId, posters });
+    }
+
+    const range = {
+      videoId: searchParams.get("videoId") || null,
+      cloudinaryId: searchParams.get("cloudinaryId") || null,
+      start: parseNumber(searchParams.get("start")),
+      end: parseNumber(searchParams.get("end")),
+    };
+    const frames = parseNumber(searchParams.get("frames")) ?? DEFAULT_SPRITE_FRAMES;
+    const redirect = searchParams.get("redirect");
+    const errors = [];
+    if (!range.videoId && !range.cloudinaryId) errors.push("videoId or cloudinaryId is required");
+    if (range.start === null || range.start < 0) errors.push("start must be a number >= 0");
+    if (range.end === null || (range.start !== null && range.end <= range.start)) {
+      errors.push("end must be a number greater than start");
+    } else if (range.start !== null && range.end - range.start > MAX_THUMBNAIL_RANGE_SECONDS) {
+      errors.push(`range must be at most ${MAX_THUMBNAIL_RANGE_SECONDS}s`);
+    }
+    if (!Number.isInteger(frames) || frames <= 0 || frames > MAX_SPRITE_FRAMES) {
+      errors.push(`frames must be an integer between 1 and ${MAX_SPRITE_FRAMES}`);
+    }
+    if (redirect && !REDIRECT_TARGETS.includes(redirect)) {
+      errors.push(`redirect must be one of: ${REDIRECT_TARGETS.join(", ")}`);
+    }
+    if (errors.length) {
+      return NextResponse.json({ error: "Invalid clip thumbnail request", details: errors }, { status: 400 });
+    }
+
+    let thumbnails = findCachedThumbnails(range, { frames });
+    if (!thumbnails) {
+      if (!resolveClipVideoPath(range)) {
+        return NextResponse.json(
+          { error: `No local video for ${range.cloudinaryId || range.videoId}` },
+          { status: 404 }
+        );
+      }
+      thumbnails = await ensureClipThumbnails(range, { frames });
+      console.log(`[clip-thumbnails] Generated ${thumbnails.sprite}`);
+    }
+
+    if (redirect) {
+      return NextResponse.redirect(new URL(thumbnails[redirect], request.url));
+    }
+    return NextResponse.json({ thumbnails });
+  } catch (error) {
+    console.error("[clip-thumbnails] Error:", error);
+    return NextResponse.json({ error: error?.message || "Failed to generate clip thumbnails" }, { status: 500 });
+  }
+}
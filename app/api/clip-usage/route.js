@@ -0,0 +1,59 @@
+import { NextResponse } from "next/server";
+import path from "path";
+import { loadClipPool } from "@/lib/clipPoolQuery";
+import { buildClipUsageReport } from "@/lib/clipUsageLedger";
+
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+export const revalidate = 0;
+
+const MAX_LIMIT = 500;
+
+const parsePositive = (params, key, errors, { integer = false } = {}) => {
+  const raw = params.get(key);
+  if (raw === null || raw === "") return null;
+  const value = Number(raw);
+  if (!Number.isFinite(value) || value <= 0 || (integer && !Number.isInteger(value))) {
+    errors.push(`${key} must be a positive ${integer ? "integer" : "number"}`);
+    return null;
+  }
+  return value;
+};
+
+/**
+ * GET /api/clip-usage?source=killbill&songSlug=...&kind=instant&days=30&limit=25&halfLifeDays=14
+ * Usage report from the clip usage ledger: runs per kind and song, recent
+ * runs, and the source's most fatigued pool clips (uses, recency-weighted
+ * fatigue, selection weight at fatigueWeight 1, last use, songs).
+ */
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const errors = [];
+    const days = parsePositive(searchParams, "days", errors);
+    const limit = parsePositive(searchParams, "limit", errors, { integer: true });
+    const halfLifeDays = parsePositive(searchParams, "halfLifeDays", errors);
+    if (errors.length) {
+      return NextResponse.json({ error: "Invalid clip usage query", details: errors }, { status: 400 });
+    }
+
+    const loaded = loadClipPool(searchParams.get("source") || null);
+    const report = buildClipUsageReport({
+      clips: loaded?.pool?.clips || null,
+      songSlug: searchParams.get("songSlug") || null,
+      kind: searchParams.get("kind") || null,
+      days,
+      limit: Math.min(limit ?? 25, MAX_LIMIT),
+      halfLifeDays: halfLifeDays ?? undefined,
+    });
+
+    return NextResponse.json({
+      source: loaded?.sourceId || null,
+      pool: loaded ? path.relative(process.cwd(), loaded.path) : null,
+      ...report,
+    });
+  } catch (error) {
+    console.error("[clip-usage] Error:", error);
+    return NextResponse.json({ error: error?.message || "Failed to build clip usage report" }, { status: 500 });
+  }
+}
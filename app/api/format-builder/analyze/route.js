@@ -4,21 +4,35 @@ import { analyzeSong } from "@/lib/audioAnalyzer";
 
 /**
  * POST /api/format-builder/analyze
- * Analyzes an audio file and returns an auto-generated beat map
+ * Analyzes an audio file and returns an auto-generated beat map and section map.
+ * `sections` uses the same shape as format.sections in the save route.
+ * `rapidClipProposals` are suggested rapidClipRanges for review; accepted
+ * ones become rapidClipRanges (see /api/format-builder/rapid-proposals/review).
  *
  * Body: {
  *   songPath: string, // Path relative to public folder (e.g., "songs/mysong.mp3")
- *   minSpacing?: number // Minimum spacing between markers in seconds (default: 0.3)
+ *   minSpacing?: number, // Minimum spacing between markers in seconds (default: 0.3)
+ *   beatsPerBar?: number // Meter used for downbeat/bar numbering (default: 4)
  * }
  *
  * Response: {
  *   success: boolean,
  *   beatGrid: number[],
+ *   beats: Array<{ time: number, bar: number, beatInBar: number, isDownbeat: boolean, confidence: number }>,
+ *   downbeats: number[],
+ *   bars: Array<{ number: number, start: number, end: number }>,
+ *   sections: Array<{ name: "intro"|"verse"|"chorus"|"drop"|"bridge"|"outro", start: number, end: number, energy: "low"|"medium"|"high" }>,
+ *   rapidClipProposals: Array<{ id: string, start: number, end: number, interval: number, confidence: number, onsetRate: number, trebleScore: number, source: string, status: "pending" }>,
  *   meta: {
  *     durationSeconds: number,
  *     bpm: number | null,
  *     bpmConfidence: string | null,
  *     beatCount: number,
+ *     beatsPerBar: number | null,
+ *     downbeatConfidence: number | null,
+ *     beatSource: "tempo-tracker" | "onsets",
+ *     sectionCount: number,
+ *     rapidProposalCount: number,
  *     analyzedAt: string
  *   }
  * }
@@ -26,7 +40,7 @@ import { analyzeSong } from "@/lib/audioAnalyzer";
 export async function POST(request) {
   try {
     const body = await request.json();
-    const { songPath, minSpacing } = body;
+    const { songPath, minSpacing, beatsPerBar } = body;
 
     if (!songPath) {
       return NextResponse.json(
@@ -41,11 +55,17 @@ export async function POST(request) {
     // Run analysis
     const result = await analyzeSong(fullPath, {
       minSpacing: minSpacing ?? 0.3,
+      beatsPerBar: Number.isInteger(beatsPerBar) && beatsPerBar > 0 ? beatsPerBar : undefined,
     });
 
     return NextResponse.json({
       success: true,
       beatGrid: result.beatGrid,
+      beats: result.beats,
+      downbeats: result.downbeats,
+      bars: result.bars,
+      sections: result.sections,
+      rapidClipProposals: result.rapidClipProposals,
       meta: result.meta,
     });
   } catch (error) {
@@ -0,0 +1,89 @@
+import { NextResponse } from "next/server";
+import fs from "fs";
+import { BEAT_GRID_OPERATIONS, applyBeatGridOperation } from "@/lib/beatGridOps";
+import { readSongFormatFile } from "@/lib/songFormatSchema";
+import { getLivePath, writeWithRevision } from "@/lib/revisionStore";
+
+export const runtime = "nodejs";
+
+/**
+ * POST /api/format-builder/beat-grid
+ * Edits a format's beat grid server-side. beatGridFrames, beatGridFramePairs,
+ * beatMetadata and clip segments are rebuilt; metadata moves with its beat.
+ *
+ * Body: {
+ *   slug: string,
+ *   type: "quantize" | "offset" | "half-time" | "double-time" | "merge-taps",
+ *   layer?: "background" | "foreground",
+ *   range?: { start?: number, end?: number },  // seconds, end exclusive
+ *   tolerance?: number,        // quantize (default 0.05) / merge-taps (default 0.08)
+ *   bpm?: number,              // quantize: use this tempo instead of fitting one
+ *   offset?: number,           // offset: seconds, negative = earlier
+ *   taps?: number[],           // merge-taps: tapped beat times
+ *   prefer?: "taps" | "detected",
+ *   removeUnmatched?: boolean, // merge-taps: drop untapped beats inside the tapped span
+ *   dryRun?: boolean           // return the result without saving
+ * }
+ */
+export async function POST(request) {
+  try {
+    const body = await request.json();
+    const { slug, dryRun = false, ...operation } = body || {};
+
+    if (!slug) {
+      return NextResponse.json({ error: "Missing slug parameter" }, { status: 400 });
+    }
+    if (!BEAT_GRID_OPERATIONS.includes(operation.type)) {
+      return NextResponse.json(
+        { error: `type must be one of: ${BEAT_GRID_OPERATIONS.join(", ")}` },
+        { status: 400 }
+      );
+    }
+
+    const formatPath = getLivePath("format", slug);
+    if (!fs.existsSync(formatPath)) {
+      return NextResponse.json({ error: "Format not found" }, { status: 404 });
+    }
+    const { format, errors } = readSongFormatFile(formatPath);
+    if (errors.length) {
+      return NextResponse.json(
+        { error: "Format failed validation", validationErrors: errors },
+        { status: 422 }
+      );
+    }
+
+    let result;
+    try {
+      result = applyBeatGridOperation(format, operation);
+    } catch (err) {
+      return NextResponse.json({ error: err.message }, { status: 400 });
+    }
+
+    if (dryRun) {
+      return NextResponse.json({ success: true, slug, dryRun: true, report: result.report, format: result.format });
+    }
+
+    const { data: saved, revision } = writeWithRevision("format", slug, result.format, {
+      reason: `beat-grid:${operation.type}`,
+    });
+
+    console.log(
+      `[format-builder/beat-grid] ${slug} ${operation.type} (${result.report.layer}): ` +
+        `${result.report.beatsBefore} -> ${result.report.beatsAfter} beats, ${result.report.moved} moved`
+    );
+
+    return NextResponse.json({
+      success: true,
+      slug,
+      report: result.report,
+      revisionId: revision?.id || null,
+      format: saved,
+    });
+  } catch (error) {
+    console.error("[format-builder/beat-grid] Error:", error);
+    return NextResponse.json(
+      { error: error?.message || "Failed to edit beat grid" },
+      { status: 500 }
+    );
+  }
+}
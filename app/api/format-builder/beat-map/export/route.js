@@ -0,0 +1,69 @@
+import { NextResponse } from "next/server";
+import fs from "fs";
+import { BEAT_MAP_PARTS, BEAT_MAP_TYPES, exportBeatMap } from "@/lib/beatMapExchange";
+import { readSongFormatFile } from "@/lib/songFormatSchema";
+import { getLivePath } from "@/lib/revisionStore";
+
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+export const revalidate = 0;
+
+/**
+ * GET /api/format-builder/beat-map/export?slug=song-slug&type=audacity|csv|midi
+ * Downloads a format's beat map as an Audacity label track, CSV or MIDI
+ * tempo/marker file.
+ *
+ * Optional params:
+ * - layer=background|foreground (default background)
+ * - include=beats,sections,rapid (default all)
+ */
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const slug = searchParams.get("slug");
+    const type = searchParams.get("type") || "audacity";
+    const layer = searchParams.get("layer") || "background";
+    const include = (searchParams.get("include") || BEAT_MAP_PARTS.join(","))
+      .split(",")
+      .map((part) => part.trim())
+      .filter(Boolean);
+
+    if (!slug) {
+      return NextResponse.json({ error: "Missing slug parameter" }, { status: 400 });
+    }
+    if (!BEAT_MAP_TYPES.includes(type)) {
+      return NextResponse.json(
+        { error: `type must be one of: ${BEAT_MAP_TYPES.join(", ")}` },
+        { status: 400 }
+      );
+    }
+
+    const formatPath = getLivePath("format", slug);
+    if (!fs.existsSync(formatPath)) {
+      return NextResponse.json({ error: "Format not found" }, { status: 404 });
+    }
+    const { format, errors } = readSongFormatFile(formatPath);
+    if (errors.length) {
+      return NextResponse.json(
+        { error: "Format failed validation", validationErrors: errors },
+        { status: 422 }
+      );
+    }
+
+    const { content, contentType, extension } = exportBeatMap(format, type, { layer, include });
+    const suffix = layer === "foreground" ? "-foreground" : "";
+    return new NextResponse(content, {
+      headers: {
+        "Content-Type": contentType,
+        "Content-Disposition": `attachment; filename="${slug}${suffix}-beatmap.${extension}"`,
+        "Cache-Control": "no-store",
+      },
+    });
+  } catch (error) {
+    console.error("[format-builder/beat-map/export] Error:", error);
+    return NextResponse.json(
+      { error: error?.message || "Failed to export beat map" },
+      { status: 500 }
+    );
+  }
+}
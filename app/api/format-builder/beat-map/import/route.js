@@ -0,0 +1,147 @@
+import { NextResponse } from "next/server";
+import fs from "fs";
+import {
+  BEAT_MAP_PARTS,
+  BEAT_MAP_TYPES,
+  applyBeatMap,
+  parseBeatMap,
+  parseLrc,
+} from "@/lib/beatMapExchange";
+import { buildFormatWithFrames } from "@/lib/songFormatFrames";
+import { readSongFormatFile } from "@/lib/songFormatSchema";
+import { getLivePath, writeWithRevision } from "@/lib/revisionStore";
+
+export const runtime = "nodejs";
+
+/**
+ * POST /api/format-builder/beat-map/import
+ * Imports an Audacity label track, CSV or MIDI file into a format's beat map,
+ * or a timed lyric (.lrc) file into its captions. Beat maps go through the
+ * same frame rebuild, validation and revision recording as
+ * /api/format-builder/save; metadata stays on beats whose time is unchanged.
+ *
+ * Body: {
+ *   slug: string,
+ *   type: "audacity" | "csv" | "midi" | "lrc",
+ *   content?: string,          // text formats
+ *   contentBase64?: string,    // MIDI (or any format) as base64
+ *   layer?: "background" | "foreground",
+ *   include?: Array<"beats" | "sections" | "rapid">,  // parts to replace (default all present in the file)
+ *   dryRun?: boolean
+ * }
+ */
+export async function POST(request) {
+  try {
+    const body = await request.json();
+    const {
+      slug,
+      type,
+      content,
+      contentBase64,
+      layer = "background",
+      include = BEAT_MAP_PARTS,
+      dryRun = false,
+    } = body || {};
+
+    if (!slug) {
+      return NextResponse.json({ error: "Missing slug parameter" }, { status: 400 });
+    }
+    if (type !== "lrc" && !BEAT_MAP_TYPES.includes(type)) {
+      return NextResponse.json(
+        { error: `type must be one of: ${[...BEAT_MAP_TYPES, "lrc"].join(", ")}` },
+        { status: 400 }
+      );
+    }
+    if (typeof content !== "string" && typeof contentBase64 !== "string") {
+      return NextResponse.json({ error: "Missing content or contentBase64" }, { status: 400 });
+    }
+    const raw = typeof contentBase64 === "string" ? Buffer.from(contentBase64, "base64") : content;
+
+    const formatPath = getLivePath("format", slug);
+    if (!fs.existsSync(formatPath)) {
+      return NextResponse.json({ error: "Format not found" }, { status: 404 });
+    }
+    const { format, errors } = readSongFormatFile(formatPath);
+    if (errors.length) {
+      return NextResponse.json(
+        { error: "Format failed validation", validationErrors: errors },
+        { status: 422 }
+      );
+    }
+
+    let next;
+    let summary;
+    let warnings;
+    let reason;
+    try {
+      if (type === "lrc") {
+        const parsed = parseLrc(raw.toString(), {
+          durationMs: Math.round((format.meta?.durationSeconds || 0) * 1000) || undefined,
+          existing: format.captions,
+        });
+        if (!parsed.captions.lines.length) {
+          return NextResponse.json(
+            { error: "No timed lyric lines found", warnings: parsed.warnings },
+            { status: 400 }
+          );
+        }
+        next = { ...format, captions: parsed.captions, updatedAt: new Date().toISOString() };
+        summary = { lines: parsed.captions.lines.length, words: parsed.captions.words.length };
+        warnings = parsed.warnings;
+        reason = "import:lrc";
+      } else {
+        const map = parseBeatMap(raw, type);
+        const { format: merged, replaced } = applyBeatMap(format, map, { layer, include });
+        if (!replaced.length) {
+          return NextResponse.json(
+            { error: "Nothing to import", warnings: map.warnings },
+            { status: 400 }
+          );
+        }
+        ({ format: next } = buildFormatWithFrames(merged, { slug, now: new Date().toISOString() }));
+        summary = {
+          replaced,
+          beats: map.beats.length,
+          sections: map.sections.length,
+          rapidClipRanges: map.rapidClipRanges.length,
+        };
+        warnings = map.warnings;
+        reason = `import:${type}`;
+      }
+    } catch (parseError) {
+      return NextResponse.json({ error: parseError.message }, { status: 400 });
+    }
+
+    if (dryRun) {
+      return NextResponse.json({ success: true, slug, dryRun: true, summary, warnings, format: next });
+    }
+
+    let saved;
+    try {
+      saved = writeWithRevision("format", slug, next, { reason });
+    } catch (validationError) {
+      if (!validationError.validationErrors) throw validationError;
+      return NextResponse.json(
+        { error: "Imported format failed validation", validationErrors: validationError.validationErrors },
+        { status: 400 }
+      );
+    }
+
+    console.log(`[format-builder/beat-map/import] ${slug} ${type}: ${JSON.stringify(summary)}`);
+
+    return NextResponse.json({
+      success: true,
+      slug,
+      summary,
+      warnings: [...warnings, ...saved.warnings],
+      revisionId: saved.revision?.id || null,
+      format: saved.data,
+    });
+  } catch (error) {
+    console.error("[format-builder/beat-map/import] Error:", error);
+    return NextResponse.json(
+      { error: error?.message || "Failed to import" },
+      { status: 500 }
+    );
+  }
+}
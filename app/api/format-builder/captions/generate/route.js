@@ -1,6 +1,14 @@
 import { NextResponse } from "next/server";
 import fs from "node:fs";
 import path from "node:path";
+import { readSongFormatFile } from "@/lib/songFormatSchema";
+import { writeWithRevision } from "@/lib/revisionStore";
+import {
+  getTranscriptionProvider,
+  isFixtureProvider,
+  groupWordsIntoCaptions,
+  transcribeMedia,
+} from "@/lib/transcription";
 
 const SONGS_DIR = path.join(process.cwd(), "public", "songs");
 const FORMATS_DIR = path.join(process.cwd(), "data", "song-formats");
@@ -56,108 +64,51 @@ function loadFormat(slug) {
       formatPath,
     };
   }
-  const parsed = JSON.parse(fs.readFileSync(formatPath, "utf-8"));
-  return { format: parsed, exists: true, formatPath };
-}
-
-function groupWordsIntoLines(words) {
-  if (!Array.isArray(words) || words.length === 0) return [];
-  const lines = [];
-  let buffer = [];
-  let startMs = words[0].start;
-  for (const word of words) {
-    if (buffer.length === 0) {
-      startMs = word.start;
-    }
-    buffer.push(word);
-    const isTerminal =
-      /[.?!]/.test(word.text.slice(-1)) || buffer.length >= 8 || word === words[words.length - 1];
-    if (isTerminal) {
-      lines.push({
-        text: buffer.map((w) => w.text).join(" "),
-        startMs,
-        endMs: word.end,
-        words: buffer.map((w, idx) => idx),
-      });
-      buffer = [];
-    }
-  }
-  return lines;
-}
-
-async function uploadToAssembly(filePath, apiKey) {
-  const buffer = await fs.promises.readFile(filePath);
-  const res = await fetch("https://api.assemblyai.com/v2/upload", {
-    method: "POST",
-    headers: {
-      authorization: apiKey,
-      "content-type": "application/octet-stream",
-    },
-    body: buffer,
-  });
-  if (!res.ok) {
-    const text = await res.text();
-    throw new Error(`Upload failed: ${text}`);
-  }
-  const data = await res.json();
-  if (!data.upload_url) throw new Error("Upload response missing upload_url");
-  return data.upload_url;
-}
-
-async function requestTranscript(uploadUrl, apiKey) {
-  const res = await fetch("https://api.assemblyai.com/v2/transcript", {
-    method: "POST",
-    headers: {
-      authorization: apiKey,
-      "content-type": "application/json",
-    },
-    body: JSON.stringify({
-      audio_url: uploadUrl,
-      punctuate: true,
-      format_text: true,
-      word_boost: [],
-    }),
-  });
-  if (!res.ok) {
-    const text = await res.text();
-    throw new Error(`Transcript request failed: ${text}`);
-  }
-  const data = await res.json();
-  if (!data.id) throw new Error("Transcript response missing id");
-  return data.id;
-}
-
-async function pollTranscript(id, apiKey) {
-  const MAX_ATTEMPTS = 60;
-  const DELAY_MS = 2000;
-  for (let i = 0; i < MAX_ATTEMPTS; i++) {
-    const res = await fetch(`https://api.assemblyai.com/v2/transcript/${id}`, {
-      headers: { authorization: apiKey },
-    });
-    const data = await res.json();
-    if (data.status === "completed") return data;
-    if (data.status === "error") {
-      throw new Error(data.error || "Transcription failed");
-    }
-    await new Promise((resolve) => setTimeout(resolve, DELAY_MS));
+  const { format, errors } = readSongFormatFile(formatPath);
+  if (errors.length) {
+    throw new Error(`Format failed validation: ${errors.join("; ")}`);
   }
-  throw new Error("Transcription polling timed out");
+  return { format, exists: true, formatPath };
 }
 
+/**
+ * POST /api/format-builder/captions/generate
+ * Transcribes the song and stores the result as format.captions.
+ *
+ * Body: {
+ *   slug: string,
+ *   provider?: "assemblyai" | "whisper-cpp",  // default: TRANSCRIPTION_PROVIDER or auto
+ *   language?: string
+ * }
+ *
+ * Returns the stored captions plus `transcript`, the same Caption[] shape
+ * /api/ai/captions returns.
+ */
 export async function POST(request) {
   try {
     const body = await request.json();
-    const { slug } = body || {};
+    const { slug, provider: requestedProvider, language } = body || {};
 
     if (!slug) {
       return NextResponse.json({ error: "Missing slug" }, { status: 400 });
     }
-    // Support both variants; env.example uses ASSEMBLY_AI_API_KEY
-    const apiKey =
-      process.env.ASSEMBLYAI_API_KEY || process.env.ASSEMBLY_AI_API_KEY;
-    if (!apiKey) {
+
+    let provider;
+    try {
+      provider = getTranscriptionProvider(requestedProvider);
+    } catch (err) {
+      // A bad name in the request is the caller's; missing configuration is ours
+      return NextResponse.json({ error: err.message }, { status: requestedProvider ? 400 : 500 });
+    }
+    if (isFixtureProvider(provider)) {
       return NextResponse.json(
-        { error: "Missing ASSEMBLYAI_API_KEY / ASSEMBLY_AI_API_KEY env" },
+        { error: "The fixture provider returns canned words; it cannot be saved into a song format" },
+        { status: 400 }
+      );
+    }
+    if (!provider.isConfigured()) {
+      return NextResponse.json(
+        { error: `Transcription provider "${provider.name}" is not configured` },
         { status: 500 }
       );
     }
@@ -167,32 +118,32 @@ export async function POST(request) {
       return NextResponse.json({ error: "Song not found" }, { status: 404 });
     }
 
-    const { format, formatPath, exists } = loadFormat(slug);
+    const { format, exists } = loadFormat(slug);
     const requestedAt = new Date().toISOString();
 
-    const uploadUrl = await uploadToAssembly(songPath, apiKey);
-    const transcriptId = await requestTranscript(uploadUrl, apiKey);
-    const transcript = await pollTranscript(transcriptId, apiKey);
-
-    const words = Array.isArray(transcript.words)
-      ? transcript.words.map((w) => ({
-          text: w.text,
-          startMs: w.start,
-          endMs: w.end,
-          confidence: w.confidence,
-        }))
-      : [];
+    const transcript = await transcribeMedia({
+      provider: provider.name,
+      filePath: songPath,
+      language,
+      durationMs: Math.round((format.meta?.durationSeconds || 0) * 1000) || undefined,
+    });
 
-    const lines = groupWordsIntoLines(transcript.words || []);
+    const words = transcript.words.map((w) => ({
+      text: w.text,
+      startMs: w.startMs,
+      endMs: w.endMs,
+      confidence: w.confidence,
+    }));
+    const lines = groupWordsIntoCaptions(transcript.words);
     const defaultStyle = format.captions?.style || DEFAULT_STYLE;
     const defaultDisplayRanges = format.captions?.displayRanges || DEFAULT_DISPLAY_RANGES;
 
     const captions = {
-      provider: "assemblyai",
+      provider: transcript.provider,
       status: "ready",
       requestedAt,
       updatedAt: new Date().toISOString(),
-      language: transcript.language_code || "en",
+      language: transcript.language,
       words,
       lines: lines.map((line) => ({
         text: line.text,
@@ -201,23 +152,28 @@ export async function POST(request) {
       })),
       style: defaultStyle,
       displayRanges: defaultDisplayRanges,
-      transcriptId,
+      transcriptId: transcript.transcriptId,
     };
 
-    const nextFormat = {
-      ...format,
-      captions,
-      updatedAt: new Date().toISOString(),
-      createdAt: format.createdAt || requestedAt,
-    };
-
-    fs.writeFileSync(formatPath, JSON.stringify(nextFormat, null, 2), "utf-8");
+    const { data: nextFormat } = writeWithRevision(
+      "format",
+      slug,
+      {
+        ...format,
+        slug: format.slug || slug,
+        captions,
+        updatedAt: new Date().toISOString(),
+        createdAt: format.createdAt || requestedAt,
+      },
+      { reason: "captions-generate" }
+    );
 
     return NextResponse.json({
       success: true,
       slug,
       exists,
       captions,
+      transcript: lines,
       format: nextFormat,
     });
   } catch (error) {
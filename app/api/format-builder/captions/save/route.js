@@ -1,6 +1,8 @@
 import { NextResponse } from "next/server";
 import fs from "node:fs";
 import path from "node:path";
+import { readSongFormatFile } from "@/lib/songFormatSchema";
+import { writeWithRevision } from "@/lib/revisionStore";
 
 const FORMATS_DIR = path.join(process.cwd(), "data", "song-formats");
 
@@ -24,15 +26,35 @@ export async function POST(request) {
       return NextResponse.json({ error: "Format not found for song" }, { status: 404 });
     }
 
-    const existing = JSON.parse(fs.readFileSync(formatPath, "utf-8"));
-    const next = {
-      ...existing,
-      captions: {
-        ...captions,
-      },
-      updatedAt: new Date().toISOString(),
-    };
-    fs.writeFileSync(formatPath, JSON.stringify(next, null, 2), "utf-8");
+    const { format: existing, errors } = readSongFormatFile(formatPath);
+    if (errors.length) {
+      return NextResponse.json(
+        { error: "Format failed validation", validationErrors: errors },
+        { status: 422 }
+      );
+    }
+
+    let next;
+    try {
+      ({ data: next } = writeWithRevision(
+        "format",
+        slug,
+        {
+          ...existing,
+          captions: {
+            ...captions,
+          },
+          updatedAt: new Date().toISOString(),
+        },
+        { reason: "captions-save" }
+      ));
+    } catch (validationError) {
+      if (!validationError.validationErrors) throw validationError;
+      return NextResponse.json(
+        { error: "Captions failed validation", validationErrors: validationError.validationErrors },
+        { status: 400 }
+      );
+    }
 
     return NextResponse.json({ success: true, captions, format: next });
   } catch (error) {
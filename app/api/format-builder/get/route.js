@@ -2,39 +2,19 @@ import { NextResponse } from "next/server";
 import fs from "fs";
 import path from "path";
 import { normalizeIntroBeat } from "@/lib/songEditScheduler";
+import { SONG_FORMAT_SCHEMA_VERSION, readSongFormatFile } from "@/lib/songFormatSchema";
 
 export const runtime = "nodejs";
 export const dynamic = "force-dynamic";
 export const revalidate = 0;
 
-const parseFormatFile = (rawContent = "") => {
-  const trimmed = String(rawContent || "").trim();
-  if (!trimmed) return {};
-
-  try {
-    return JSON.parse(trimmed);
-  } catch (primaryErr) {
-    // Some legacy files accidentally contain multiple JSON objects concatenated
-    // without commas. Attempt to coerce them into an array and return the last one.
-    try {
-      // Replace `}{` (with any whitespace between) with `},{` so multiple JSON
-      // objects pasted together become a valid JSON array we can parse.
-      const coerced = `[${trimmed.replace(/}\s*{/g, "},{")}]`;
-      const parsed = JSON.parse(coerced);
-      const last = Array.isArray(parsed) ? parsed[parsed.length - 1] : null;
-      if (last && typeof last === "object") return last;
-    } catch (secondaryErr) {
-      // If the fallback also fails, surface the original parse error for clarity.
-      throw primaryErr;
-    }
-
-    throw primaryErr;
-  }
-};
-
 /**
  * GET /api/format-builder/get?slug=song-slug
  * Loads existing format data for a song
+ *
+ * The file is migrated to the current schema version and validated. Legacy
+ * files are served migrated (see `schema.changes`); invalid files return 422
+ * with `validationErrors`.
  */
 export async function GET(request) {
   try {
@@ -74,6 +54,7 @@ export async function GET(request) {
       return NextResponse.json({
         exists: false,
         format: {
+          schemaVersion: SONG_FORMAT_SCHEMA_VERSION,
           source: "",
           meta: {
             durationSeconds: 0,
@@ -82,6 +63,7 @@ export async function GET(request) {
           beatGrid: [],
           sections: [],
           rapidClipRanges: [],
+          rapidClipProposals: [],
           mixSegments: [],
           beatMetadata: [],
           introBeat: normalizeIntroBeat(),
@@ -97,11 +79,20 @@ export async function GET(request) {
       });
     }
 
-    // Read and parse the format file
-    const content = fs.readFileSync(formatPath, "utf-8");
-    const format = parseFormatFile(content);
+    // Read, migrate and validate the format file
+    const { format, objectCount, fromVersion, changes, errors, warnings } =
+      readSongFormatFile(formatPath);
+    if (errors.length) {
+      return NextResponse.json(
+        { error: "Format failed validation", validationErrors: errors, warnings },
+        { status: 422 }
+      );
+    }
     format.slug = format.slug || slug;
     format.mixSegments = Array.isArray(format.mixSegments) ? format.mixSegments : [];
+    format.rapidClipProposals = Array.isArray(format.rapidClipProposals)
+      ? format.rapidClipProposals
+      : [];
     format.beatMetadata = Array.isArray(format.beatMetadata) ? format.beatMetadata : [];
     format.captions = format.captions || null;
     format.introBeat = normalizeIntroBeat(format.introBeat);
@@ -133,6 +124,14 @@ export async function GET(request) {
     return NextResponse.json({
       exists: true,
       format,
+      schema: {
+        version: SONG_FORMAT_SCHEMA_VERSION,
+        storedVersion: fromVersion,
+        objectCount,
+        needsRepair: changes.length > 0,
+        changes,
+        warnings,
+      },
     });
   } catch (error) {
     console.error("[format-builder/get] Error:", error);
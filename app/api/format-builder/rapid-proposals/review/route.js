@@ -0,0 +1,90 @@
+import { NextResponse } from "next/server";
+import fs from "fs";
+import { reviewRapidProposals } from "@/lib/rapidRangeDetector";
+import { buildFormatWithFrames } from "@/lib/songFormatFrames";
+import { readSongFormatFile } from "@/lib/songFormatSchema";
+import { getLivePath, writeWithRevision } from "@/lib/revisionStore";
+
+export const runtime = "nodejs";
+
+/**
+ * POST /api/format-builder/rapid-proposals/review
+ * Accepts and/or rejects rapid clip range proposals. Accepted proposals become
+ * rapidClipRanges (frame data and clip segments are rebuilt); rejected ones are
+ * remembered so re-analysis does not propose them again.
+ *
+ * Body: {
+ *   slug: string,
+ *   accept?: string[],   // proposal ids
+ *   reject?: string[],   // proposal ids
+ *   edits?: { [id]: { start?: number, end?: number, interval?: number } }
+ * }
+ *
+ * Proposals that overlap an existing rapid range are not added and are
+ * returned in `conflicts`.
+ */
+export async function POST(request) {
+  try {
+    const body = await request.json();
+    const { slug, accept = [], reject = [], edits = {} } = body || {};
+
+    if (!slug) {
+      return NextResponse.json({ error: "Missing slug parameter" }, { status: 400 });
+    }
+    if (!Array.isArray(accept) || !Array.isArray(reject) || (!accept.length && !reject.length)) {
+      return NextResponse.json(
+        { error: "Provide proposal ids in accept and/or reject" },
+        { status: 400 }
+      );
+    }
+
+    const formatPath = getLivePath("format", slug);
+    if (!fs.existsSync(formatPath)) {
+      return NextResponse.json({ error: "Format not found" }, { status: 404 });
+    }
+    const { format, errors } = readSongFormatFile(formatPath);
+    if (errors.length) {
+      return NextResponse.json(
+        { error: "Format failed validation", validationErrors: errors },
+        { status: 422 }
+      );
+    }
+
+    const review = reviewRapidProposals(format, { accept, reject, edits });
+    if (!review.accepted.length && !review.rejected.length) {
+      return NextResponse.json(
+        { error: "No proposals were updated", conflicts: review.conflicts },
+        { status: 409 }
+      );
+    }
+
+    const now = new Date().toISOString();
+    const { format: formatWithFrames, stats } = buildFormatWithFrames(review.format, {
+      slug,
+      now,
+    });
+    const { data: saved } = writeWithRevision("format", slug, formatWithFrames, {
+      reason: "rapid-review",
+    });
+
+    console.log(
+      `[format-builder/rapid-proposals/review] ${slug}: accepted ${review.accepted.length}, rejected ${review.rejected.length}`
+    );
+
+    return NextResponse.json({
+      success: true,
+      slug,
+      accepted: review.accepted,
+      rejected: review.rejected,
+      conflicts: review.conflicts,
+      format: saved,
+      frameStats: stats,
+    });
+  } catch (error) {
+    console.error("[format-builder/rapid-proposals/review] Error:", error);
+    return NextResponse.json(
+      { error: error?.message || "Failed to review proposals" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,125 @@
+import { NextResponse } from "next/server";
+import fs from "fs";
+import path from "path";
+import { analyzeWaveform } from "@/lib/audioWaveformAnalyzer";
+import { detectRapidRanges, mergeRapidProposals } from "@/lib/rapidRangeDetector";
+import { readSongFormatFile } from "@/lib/songFormatSchema";
+import { getLivePath, writeWithRevision } from "@/lib/revisionStore";
+
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+export const revalidate = 0;
+
+const loadValidFormat = (slug) => {
+  const formatPath = getLivePath("format", slug);
+  if (!fs.existsSync(formatPath)) return null;
+  const { format, errors } = readSongFormatFile(formatPath);
+  if (errors.length) {
+    throw new Error(`Format failed validation: ${errors.join("; ")}`);
+  }
+  return format;
+};
+
+/**
+ * GET /api/format-builder/rapid-proposals?slug=song-slug
+ * Lists stored rapid clip range proposals (pending and reviewed) for a format.
+ */
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const slug = searchParams.get("slug");
+    if (!slug) {
+      return NextResponse.json({ error: "Missing slug parameter" }, { status: 400 });
+    }
+
+    const format = loadValidFormat(slug);
+    if (!format) {
+      return NextResponse.json({ error: "Format not found" }, { status: 404 });
+    }
+
+    return NextResponse.json({
+      slug,
+      proposals: format.rapidClipProposals || [],
+      rapidClipRanges: format.rapidClipRanges || [],
+    });
+  } catch (error) {
+    console.error("[format-builder/rapid-proposals] Error:", error);
+    return NextResponse.json(
+      { error: error?.message || "Failed to load proposals" },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * POST /api/format-builder/rapid-proposals
+ * Analyzes the song and stores fresh rapid clip range proposals on the format.
+ * Pending proposals from earlier runs are replaced; reviewed ones are kept, and
+ * ranges overlapping authored or rejected ranges are not proposed.
+ *
+ * Body: {
+ *   slug: string,
+ *   songPath?: string,       // relative to public/, defaults to format.source
+ *   minConfidence?: number,  // default 0.35
+ *   maxProposals?: number    // default 12
+ * }
+ */
+export async function POST(request) {
+  try {
+    const body = await request.json();
+    const { slug, songPath, minConfidence, maxProposals } = body || {};
+
+    if (!slug) {
+      return NextResponse.json({ error: "Missing slug parameter" }, { status: 400 });
+    }
+
+    const format = loadValidFormat(slug);
+    if (!format) {
+      return NextResponse.json({ error: "Format not found" }, { status: 404 });
+    }
+
+    const audioPath = path.join(process.cwd(), "public", songPath || format.source || "");
+    if (!(songPath || format.source) || !fs.existsSync(audioPath)) {
+      return NextResponse.json({ error: "Song audio not found" }, { status: 404 });
+    }
+
+    const waveform = await analyzeWaveform(audioPath, {
+      targetPoints: 700,
+      includeOnsetEnvelope: true,
+    });
+    const stored = format.rapidClipProposals || [];
+    const detected = detectRapidRanges(waveform, {
+      beats: format.beatGrid || [],
+      existingRanges: format.rapidClipRanges || [],
+      rejectedRanges: stored.filter((proposal) => proposal.status === "rejected"),
+      ...(Number.isFinite(minConfidence) ? { minConfidence } : {}),
+      ...(Number.isInteger(maxProposals) && maxProposals > 0 ? { maxProposals } : {}),
+    });
+
+    const { data: saved } = writeWithRevision(
+      "format",
+      slug,
+      {
+        ...format,
+        rapidClipProposals: mergeRapidProposals(stored, detected),
+        updatedAt: new Date().toISOString(),
+      },
+      { reason: "rapid-proposals" }
+    );
+
+    console.log(`[format-builder/rapid-proposals] ${slug}: ${detected.length} proposal(s)`);
+
+    return NextResponse.json({
+      success: true,
+      slug,
+      detected,
+      proposals: saved.rapidClipProposals,
+    });
+  } catch (error) {
+    console.error("[format-builder/rapid-proposals] Error:", error);
+    return NextResponse.json(
+      { error: error?.message || "Failed to detect rapid ranges" },
+      { status: 500 }
+    );
+  }
+}
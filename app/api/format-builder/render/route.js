@@ -3,18 +3,12 @@ import path from "node:path";
 import fs from "node:fs";
 import { execFile } from "node:child_process";
 import { promisify } from "node:util";
-import ffmpegPath from "ffmpeg-static";
+import { resolveFfmpegBinary } from "@/lib/clipMedia";
 import os from "node:os";
+import { readSongFormatFile } from "@/lib/songFormatSchema";
 
 const execFileAsync = promisify(execFile);
 
-function resolveFfmpegBinary() {
-  const envPath = process.env.FFMPEG_PATH;
-  if (envPath && fs.existsSync(envPath)) return envPath;
-  if (ffmpegPath && fs.existsSync(ffmpegPath)) return ffmpegPath;
-  return "ffmpeg";
-}
-
 const FONT_DIR = path.join(process.cwd(), "public", "fonts");
 const FONT_NAME_MAP = {
   montserrat: {
@@ -46,7 +40,11 @@ const BASE_VIDEO = path.join(process.cwd(), "public", "sampleEdit.mp4");
 function loadFormat(slug) {
   const formatPath = path.join(FORMATS_DIR, `${slug}.json`);
   if (!fs.existsSync(formatPath)) return null;
-  return JSON.parse(fs.readFileSync(formatPath, "utf-8"));
+  const { format, errors } = readSongFormatFile(formatPath);
+  if (errors.length) {
+    throw new Error(`Format failed validation: ${errors.join("; ")}`);
+  }
+  return format;
 }
 
 function findSongPath(slug) {
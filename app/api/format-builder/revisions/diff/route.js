@@ -0,0 +1,40 @@
+import { NextResponse } from "next/server";
+import { diffRevisions } from "@/lib/revisionStore";
+
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+export const revalidate = 0;
+
+/**
+ * GET /api/format-builder/revisions/diff?slug=song-slug&from=revision-id&to=revision-id&kind=format|waveform
+ * Diffs two revisions. `to` defaults to "current" (the live file).
+ *
+ * Format diffs report beats added / removed / moved, per-beat metadata
+ * changes (following moved beats) and other changed fields; waveform diffs
+ * report changed fields and point / onset counts.
+ */
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const slug = searchParams.get("slug");
+    const from = searchParams.get("from");
+    const to = searchParams.get("to") || "current";
+    const kind = searchParams.get("kind") || "format";
+
+    if (!slug || !from) {
+      return NextResponse.json(
+        { error: "Missing slug or from parameter" },
+        { status: 400 }
+      );
+    }
+
+    return NextResponse.json(diffRevisions(kind, slug, from, to));
+  } catch (error) {
+    console.error("[format-builder/revisions/diff] Error:", error);
+    const notFound = /not found|No live/.test(error?.message || "");
+    return NextResponse.json(
+      { error: error?.message || "Failed to diff revisions" },
+      { status: notFound ? 404 : 400 }
+    );
+  }
+}
@@ -0,0 +1,60 @@
+import { NextResponse } from "next/server";
+import {
+  DEFAULT_RETENTION,
+  listRevisionSlugs,
+  pruneRevisions,
+} from "@/lib/revisionStore";
+
+export const runtime = "nodejs";
+
+/**
+ * POST /api/format-builder/revisions/prune
+ * Deletes revisions outside the retention policy: the newest `keepLast` are
+ * kept, then the newest revision per day for `keepDays` days. The revision
+ * matching the live file is never pruned.
+ *
+ * Body: {
+ *   slug?: string,          // omit to prune every slug of the kind
+ *   kind?: "format" | "waveform" (default "format"),
+ *   keepLast?: number,      // default 20
+ *   keepDays?: number,      // default 30
+ *   dryRun?: boolean
+ * }
+ */
+export async function POST(request) {
+  try {
+    const body = await request.json().catch(() => ({}));
+    const {
+      slug,
+      kind = "format",
+      keepLast = DEFAULT_RETENTION.keepLast,
+      keepDays = DEFAULT_RETENTION.keepDays,
+      dryRun = false,
+    } = body || {};
+
+    if (!Number.isInteger(keepLast) || keepLast < 1 || !(Number(keepDays) >= 0)) {
+      return NextResponse.json(
+        { error: "keepLast must be an integer >= 1 and keepDays >= 0" },
+        { status: 400 }
+      );
+    }
+
+    const slugs = slug ? [slug] : listRevisionSlugs(kind);
+    const results = slugs.map((target) =>
+      pruneRevisions(kind, target, { keepLast, keepDays: Number(keepDays), dryRun: Boolean(dryRun) })
+    );
+    const removedCount = results.reduce((sum, result) => sum + result.removed.length, 0);
+
+    console.log(
+      `[format-builder/revisions/prune] ${dryRun ? "Would remove" : "Removed"} ${removedCount} ${kind} revision(s) across ${slugs.length} slug(s)`
+    );
+
+    return NextResponse.json({ success: true, kind, dryRun: Boolean(dryRun), removedCount, results });
+  } catch (error) {
+    console.error("[format-builder/revisions/prune] Error:", error);
+    return NextResponse.json(
+      { error: error?.message || "Failed to prune revisions" },
+      { status: 400 }
+    );
+  }
+}
@@ -0,0 +1,55 @@
+import { NextResponse } from "next/server";
+import { restoreRevision } from "@/lib/revisionStore";
+
+export const runtime = "nodejs";
+
+/**
+ * POST /api/format-builder/revisions/restore
+ * Restores a stored revision to the live file. The restore is recorded as a
+ * new revision, so it can itself be undone.
+ *
+ * Body: {
+ *   slug: string,
+ *   id: string,
+ *   kind?: "format" | "waveform" (default "format")
+ * }
+ */
+export async function POST(request) {
+  try {
+    const body = await request.json();
+    const { slug, id, kind = "format" } = body || {};
+
+    if (!slug || !id) {
+      return NextResponse.json(
+        { error: "Missing slug or id" },
+        { status: 400 }
+      );
+    }
+
+    const result = restoreRevision(kind, slug, id);
+    console.log(`[format-builder/revisions/restore] Restored ${kind}/${slug} to ${id}`);
+
+    return NextResponse.json({
+      success: true,
+      slug,
+      kind,
+      restoredFrom: result.restoredFrom,
+      revision: result.revision,
+      warnings: result.warnings,
+      data: result.data,
+    });
+  } catch (error) {
+    console.error("[format-builder/revisions/restore] Error:", error);
+    if (error?.validationErrors) {
+      return NextResponse.json(
+        { error: "Revision failed validation", validationErrors: error.validationErrors },
+        { status: 422 }
+      );
+    }
+    const notFound = /not found/.test(error?.message || "");
+    return NextResponse.json(
+      { error: error?.message || "Failed to restore revision" },
+      { status: notFound ? 404 : 400 }
+    );
+  }
+}
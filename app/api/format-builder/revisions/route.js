@@ -0,0 +1,39 @@
+import { NextResponse } from "next/server";
+import { listRevisions, listRevisionSlugs } from "@/lib/revisionStore";
+
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+export const revalidate = 0;
+
+/**
+ * GET /api/format-builder/revisions?slug=song-slug&kind=format|waveform
+ * Lists stored revisions for a song, newest first (metadata only).
+ * Without a slug, lists the slugs that have revisions for the kind.
+ *
+ * kind defaults to "format".
+ */
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const slug = searchParams.get("slug");
+    const kind = searchParams.get("kind") || "format";
+
+    if (!slug) {
+      return NextResponse.json({ kind, slugs: listRevisionSlugs(kind) });
+    }
+
+    const revisions = listRevisions(kind, slug);
+    return NextResponse.json({
+      kind,
+      slug,
+      count: revisions.length,
+      revisions,
+    });
+  } catch (error) {
+    console.error("[format-builder/revisions] Error:", error);
+    return NextResponse.json(
+      { error: error?.message || "Failed to list revisions" },
+      { status: 400 }
+    );
+  }
+}
@@ -0,0 +1,36 @@
+import { NextResponse } from "next/server";
+import { getRevision } from "@/lib/revisionStore";
+
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+export const revalidate = 0;
+
+/**
+ * GET /api/format-builder/revisions/view?slug=song-slug&id=revision-id&kind=format|waveform
+ * Returns one stored revision including its data. id "current" returns the live file.
+ */
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const slug = searchParams.get("slug");
+    const id = searchParams.get("id");
+    const kind = searchParams.get("kind") || "format";
+
+    if (!slug || !id) {
+      return NextResponse.json(
+        { error: "Missing slug or id parameter" },
+        { status: 400 }
+      );
+    }
+
+    const revision = getRevision(kind, slug, id);
+    return NextResponse.json({ revision });
+  } catch (error) {
+    console.error("[format-builder/revisions/view] Error:", error);
+    const notFound = /not found|No live/.test(error?.message || "");
+    return NextResponse.json(
+      { error: error?.message || "Failed to load revision" },
+      { status: notFound ? 404 : 400 }
+    );
+  }
+}
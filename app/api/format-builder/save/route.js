@@ -2,28 +2,19 @@
 import { NextResponse } from "next/server";
 import fs from "fs";
 import path from "path";
-import {
-  TARGET_FPS,
-  secondsToFrame,
-  frameToSeconds,
-  beatGridToFrames,
-  rapidRangesToFrames,
-  calculateFrameSegments,
-  calculateLayerSegments,
-  getEditPlanStats,
-} from "@/lib/frameAccurateTiming";
-import {
-  normalizeBeatMetadata,
-  normalizeIntroBeat,
-  normalizeMixSegments,
-} from "@/lib/songEditScheduler";
+import { buildFormatWithFrames } from "@/lib/songFormatFrames";
+import { migrateSongFormat, readSongFormatFile } from "@/lib/songFormatSchema";
+import { writeWithRevision } from "@/lib/revisionStore";
 
 /**
  * POST /api/format-builder/save
  * Saves/updates format JSON for a song
  * 
  * Pre-computes frame numbers for all timing marks to enable
- * frame-accurate video rendering.
+ * frame-accurate video rendering. Legacy field names in the body are migrated
+ * to the current schema and the result is validated before it is written;
+ * validation failures return 400 with `validationErrors`. Each save is
+ * recorded in the revision store (see /api/format-builder/revisions).
  * 
  * Body: {
  *   slug: string,
@@ -39,7 +30,7 @@ import {
 export async function POST(request) {
   try {
     const body = await request.json();
-    const { slug, format } = body;
+    const { slug, format: rawFormat } = body;
 
     if (!slug) {
       return NextResponse.json(
@@ -48,13 +39,23 @@ export async function POST(request) {
       );
     }
 
-    if (!format) {
+    if (!rawFormat) {
       return NextResponse.json(
         { error: "Missing format data" },
         { status: 400 }
       );
     }
 
+    let format;
+    try {
+      ({ format } = migrateSongFormat(rawFormat));
+    } catch (migrationError) {
+      return NextResponse.json(
+        { error: migrationError.message },
+        { status: 400 }
+      );
+    }
+
     // Ensure the song-formats directory exists
     const formatsDir = path.join(process.cwd(), "data", "song-formats");
     if (!fs.existsSync(formatsDir)) {
@@ -67,277 +68,44 @@ export async function POST(request) {
     // Add timestamps
     const now = new Date().toISOString();
     
-    // Ensure meta has targetFps
-    const meta = {
-      ...format.meta,
-      targetFps: format.meta?.targetFps || TARGET_FPS,
-    };
-    const fps = meta.targetFps;
-
-    // Resolve beat grid in frames first (canonical), then derive seconds
-    const incomingBeatFrames = Array.isArray(format.beatGridFrames)
-      ? format.beatGridFrames.map((f) => Math.round(f))
-      : null;
-
-    const sortedBeatGridFrames = incomingBeatFrames
-      ? [...incomingBeatFrames].sort((a, b) => a - b)
-      : Array.isArray(format.beatGrid)
-      ? format.beatGrid
-          .map((t) => Math.round(secondsToFrame(t, fps)))
-          .filter((f) => Number.isFinite(f))
-          .sort((a, b) => a - b)
-      : [];
-
-    const normalizeFrames = (frames) =>
-      Array.from(new Set(frames)).sort((a, b) => a - b);
-
-    const applyForegroundDefaults = (beatMetadata = []) =>
-      beatMetadata.map((entry) => {
-        const clipSlot = { ...(entry?.clipSlot || {}) };
-        if (!Number.isFinite(clipSlot.clipVolume)) clipSlot.clipVolume = 0;
-        if (!Number.isFinite(clipSlot.musicVolume)) clipSlot.musicVolume = 1;
-        return { ...entry, clipSlot };
-      });
-
-    // Deterministic color per cutout definition for patterned clip rendering
-    const colorFromId = (id = "") => {
-      let hash = 0;
-      for (let i = 0; i < id.length; i += 1) {
-        hash = (hash << 5) - hash + id.charCodeAt(i);
-        hash |= 0;
+    // Pre-compute frame data for both layers
+    // Keep stored-only fields (rapid proposals) the editor's payload leaves out
+    let existing = null;
+    if (!isNew) {
+      try {
+        ({ format: existing } = readSongFormatFile(formatPath));
+      } catch (readError) {
+        console.warn(`[format-builder/save] Could not read existing ${slug}: ${readError.message}`);
       }
-      const hue = Math.abs(hash) % 360;
-      return `hsl(${hue}, 65%, 55%)`;
-    };
-
-    const allowedShapes = new Set([
-      "circle",
-      "rounded-rect",
-      "square",
-      "triangle",
-      "star",
-      "hexagon",
-    ]);
-
-    const normalizeCutoutDefinition = (def = {}, index = 0) => {
-      const id = def.id || `cutout-def-${index}-${Date.now()}`;
-      const shapeType = allowedShapes.has(def.shapeType)
-        ? def.shapeType
-        : "circle";
-      const safeName =
-        typeof def.name === "string" && def.name.trim()
-          ? def.name.trim()
-          : `${shapeType[0].toUpperCase()}${shapeType.slice(1)} ${index + 1}`;
-      return {
-        id,
-        name: safeName,
-        shapeType,
-        shapeParams: def.shapeParams || {},
-        color: colorFromId(id),
-      };
-    };
-
-    const normalizeCutoutInstance = (inst = {}, idx = 0, fpsForConversion = fps) => {
-      const id = inst.id || `cutout-inst-${idx}-${Date.now()}`;
-      const startFrame = Number.isFinite(inst.startFrame)
-        ? Math.max(0, Math.round(inst.startFrame))
-        : Number.isFinite(inst.startSeconds)
-        ? Math.max(0, Math.round(secondsToFrame(inst.startSeconds, fpsForConversion)))
-        : 0;
-      const durationInFrames = Number.isFinite(inst.durationInFrames)
-        ? Math.max(1, Math.round(inst.durationInFrames))
-        : Number.isFinite(inst.durationSeconds)
-        ? Math.max(1, Math.round(secondsToFrame(inst.durationSeconds, fpsForConversion)))
-        : Math.max(1, Math.round(fpsForConversion * 2)); // default ~2s
-      return {
-        id,
-        cutoutDefinitionId: inst.cutoutDefinitionId,
-        startFrame,
-        durationInFrames,
-        position: inst.position || { x: 0.5, y: 0.5 },
-      };
-    };
-
-    const normalizeCutoutClipInstance = (clip = {}, idx = 0, fpsForConversion = fps) => {
-      const id = clip.id || `cutout-clip-${idx}-${Date.now()}`;
-      const startFrame = Number.isFinite(clip.startFrame)
-        ? Math.max(0, Math.round(clip.startFrame))
-        : 0;
-      const durationInFrames = Number.isFinite(clip.durationInFrames)
-        ? Math.max(1, Math.round(clip.durationInFrames))
-        : Math.max(1, Math.round(fpsForConversion * 2));
-      return {
-        id,
-        cutoutDefinitionId: clip.cutoutDefinitionId,
-        linkedCutoutInstanceId: clip.linkedCutoutInstanceId || null,
-        startFrame,
-        durationInFrames,
-      };
-    };
-
-    const processLayer = (layerInput = {}, isForeground = false) => {
-      const incomingBeatFrames = Array.isArray(layerInput.beatGridFrames)
-        ? layerInput.beatGridFrames.map((f) => Math.round(f))
-        : null;
-
-      const existingBeatSeconds = Array.isArray(layerInput.beatGrid)
-        ? layerInput.beatGrid
-            .filter((t) => Number.isFinite(t))
-            .sort((a, b) => a - b)
-        : [];
-
-      const beatGridFrames = incomingBeatFrames?.length
-        ? normalizeFrames(incomingBeatFrames)
-        : existingBeatSeconds.length
-        ? normalizeFrames(
-            existingBeatSeconds.map((t) => secondsToFrame(t, fps))
-          )
-        : [];
-
-      const beatGrid =
-        beatGridFrames.length > 0
-          ? beatGridFrames.map((f) => frameToSeconds(f, fps))
-          : existingBeatSeconds;
-
-      const beatGridFramePairs =
-        beatGridFrames.length > 0
-          ? beatGridFrames.map((frame) => ({
-              frame,
-              time: frameToSeconds(frame, fps),
-            }))
-          : beatGridToFrames(beatGrid, fps);
-
-      const rapidClipRanges = Array.isArray(layerInput.rapidClipRanges)
-        ? layerInput.rapidClipRanges
-        : [];
-      const rapidClipFrames = rapidRangesToFrames(rapidClipRanges, fps);
-
-      let beatMetadata = normalizeBeatMetadata(
-        beatGrid,
-        layerInput.beatMetadata || []
-      );
-      if (isForeground) {
-        beatMetadata = applyForegroundDefaults(beatMetadata);
-      }
-
-      const { segments, totalFrames } = calculateLayerSegments({
-        beatGrid,
-        beatMetadata,
-        rapidClipRanges,
-        meta,
-      });
-
-      return {
-        beatGrid,
-        beatGridFrames,
-        beatGridFramePairs,
-        rapidClipRanges,
-        rapidClipFrames,
-        beatMetadata,
-        clipSegments: segments.map((seg) => ({
-          index: seg.index,
-          type: seg.type,
-          startFrame: seg.startFrame,
-          endFrame: seg.endFrame,
-          frameCount: seg.frameCount,
-          startSeconds: seg.startSeconds,
-          durationSeconds: seg.durationSeconds,
-          minSourceDuration: seg.minSourceDuration,
-        })),
-        totalFrames,
-        segments,
-      };
-    };
-
-    const backgroundLayer = processLayer({
-      beatGrid: format.beatGrid,
-      beatGridFrames: format.beatGridFrames,
-      rapidClipRanges: format.rapidClipRanges,
-      beatMetadata: format.beatMetadata,
-    });
-
-    const cutoutEnabled = Boolean(format.cutoutEnabled);
-    const cutoutDefinitions = Array.isArray(format.cutoutDefinitions)
-      ? format.cutoutDefinitions.map((d, idx) => normalizeCutoutDefinition(d, idx))
-      : [];
-    const cutoutInstances = Array.isArray(format.cutoutInstances)
-      ? format.cutoutInstances.map((c, idx) => normalizeCutoutInstance(c, idx))
-      : [];
-    const cutoutClipInstances = Array.isArray(format.cutoutClipInstances)
-      ? format.cutoutClipInstances.map((c, idx) => normalizeCutoutClipInstance(c, idx))
-      : [];
-    const foregroundLayer = processLayer(
-      {
-        beatGrid: format.foreground?.beatGrid,
-        beatGridFrames: format.foreground?.beatGridFrames,
-        rapidClipRanges: format.foreground?.rapidClipRanges,
-        beatMetadata: format.foreground?.beatMetadata,
-      },
-      true
-    );
+    }
 
-    // Calculate total clip count and frame statistics (background only for meta)
-    const stats = getEditPlanStats({
-      segments: backgroundLayer.segments,
-      fps,
-      totalFrames: backgroundLayer.totalFrames,
+    const { format: formatWithFrames, stats, totalFrames, fps } = buildFormatWithFrames(format, {
+      slug,
+      isNew,
+      now,
+      existing,
     });
 
-    const mixSegments = normalizeMixSegments(
-      format.mixSegments || [],
-      meta.durationSeconds
-    );
-    const introBeat = normalizeIntroBeat(format.introBeat);
-
-    // Build the enhanced format with pre-computed frame data
-    const formatWithFrames = {
-      source: format.source,
-      meta: {
-        ...meta,
-        totalFrames: backgroundLayer.totalFrames,
-        totalClips: stats.totalClips,
-        minClipFrames: stats.minClipFrames,
-        maxClipFrames: stats.maxClipFrames,
-        avgClipFrames: stats.avgClipFrames,
-      },
-      cutoutEnabled,
-      beatGrid: backgroundLayer.beatGrid,
-      beatGridFrames: backgroundLayer.beatGridFrames,
-      beatGridFramePairs: backgroundLayer.beatGridFramePairs,
-      sections: format.sections || [],
-      rapidClipRanges: backgroundLayer.rapidClipRanges,
-      rapidClipFrames: backgroundLayer.rapidClipFrames,
-      mixSegments,
-      beatMetadata: backgroundLayer.beatMetadata,
-      introBeat,
-      captions: format.captions || null,
-      clipSegments: backgroundLayer.clipSegments,
-      cutoutDefinitions,
-      cutoutInstances,
-      cutoutClipInstances,
-      foreground: {
-        ...format.foreground,
-        beatGrid: foregroundLayer.beatGrid,
-        beatGridFrames: foregroundLayer.beatGridFrames,
-        beatGridFramePairs: foregroundLayer.beatGridFramePairs,
-        rapidClipRanges: foregroundLayer.rapidClipRanges,
-        rapidClipFrames: foregroundLayer.rapidClipFrames,
-        beatMetadata: foregroundLayer.beatMetadata,
-        clipSegments: foregroundLayer.clipSegments,
-      },
-      createdAt: isNew ? now : format.createdAt || now,
-      updatedAt: now,
-    };
-
-    // Write the format file
-    fs.writeFileSync(
-      formatPath,
-      JSON.stringify(formatWithFrames, null, 2),
-      "utf-8"
-    );
+    // Validate and write the format file (stamps schemaVersion, records a revision)
+    let saved;
+    try {
+      saved = writeWithRevision("format", slug, formatWithFrames, { reason: "save" });
+    } catch (validationError) {
+      if (!validationError.validationErrors) throw validationError;
+      console.warn(
+        `[format-builder/save] Rejected ${slug}: ${validationError.validationErrors.join("; ")}`
+      );
+      return NextResponse.json(
+        {
+          error: "Format failed validation",
+          validationErrors: validationError.validationErrors,
+        },
+        { status: 400 }
+      );
+    }
 
     console.log(
-      `[format-builder/save] Saved ${slug}: ${stats.totalClips} clips, ${backgroundLayer.totalFrames} frames @ ${fps}fps`
+      `[format-builder/save] Saved ${slug}: ${stats.totalClips} clips, ${totalFrames} frames @ ${fps}fps`
     );
 
     return NextResponse.json({
@@ -345,7 +113,9 @@ export async function POST(request) {
       slug,
       isNew,
       path: formatPath,
-      format: formatWithFrames,
+      format: saved.data,
+      warnings: saved.warnings,
+      revisionId: saved.revision.id,
       frameStats: stats,
     });
   } catch (error) {
@@ -1,6 +1,7 @@
 import { NextResponse } from "next/server";
 import fs from "fs";
 import path from "path";
+import { getPreviousRevision } from "@/lib/revisionStore";
 
 export const runtime = "nodejs";
 export const dynamic = "force-dynamic";
@@ -24,14 +25,14 @@ export async function GET(request) {
 
     const waveformDir = path.join(process.cwd(), "data", "waveform-data");
     const waveformPath = path.join(waveformDir, `${slug}.json`);
-    const backupPath = path.join(waveformDir, `${slug}.backup.json`);
+    const hasBackup = Boolean(getPreviousRevision("waveform", slug));
 
     // Check if waveform file exists
     if (!fs.existsSync(waveformPath)) {
       return NextResponse.json({
         exists: false,
         waveformData: null,
-        hasBackup: fs.existsSync(backupPath),
+        hasBackup,
       });
     }
 
@@ -42,7 +43,7 @@ export async function GET(request) {
     return NextResponse.json({
       exists: true,
       waveformData,
-      hasBackup: fs.existsSync(backupPath),
+      hasBackup,
     });
   } catch (error) {
     console.error("[format-builder/waveform/get] Error:", error);
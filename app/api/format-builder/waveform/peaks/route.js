@@ -0,0 +1,92 @@
+import { NextResponse } from "next/server";
+import fs from "fs";
+import path from "path";
+import { readSongFormatFile } from "@/lib/songFormatSchema";
+import { getLivePath } from "@/lib/revisionStore";
+import { describePeakPyramid, isValidPeakKey, loadPeakPyramid, queryPeaks } from "@/lib/waveformPeaks";
+
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+export const revalidate = 0;
+
+const numberParam = (searchParams, name) => {
+  const value = searchParams.get(name);
+  return value === null || value === "" ? undefined : Number(value);
+};
+
+/**
+ * GET /api/format-builder/waveform/peaks?slug=song-slug&start=0&end=60&points=1200
+ * Serves a slice of the song's waveform peak pyramid (min/max/RMS plus band
+ * energies) at the level that fits `points` across [start, end). The pyramid
+ * is built on first request and stored in data/waveform-peaks/<slug>.json;
+ * a different songPath for the same slug rebuilds it.
+ *
+ * Params:
+ * - slug (required)
+ * - songPath: path relative to public/ (default: the format's source)
+ * - start / end: seconds (default: whole song)
+ * - points: points the viewport can show, usually its pixel width (default 1000)
+ * - level: force a pyramid level (0 = finest)
+ * - info=1: return only the level summary
+ * - rebuild=1: re-analyze the song
+ */
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const slug = searchParams.get("slug");
+
+    if (!slug) {
+      return NextResponse.json({ error: "Missing slug parameter" }, { status: 400 });
+    }
+    if (!isValidPeakKey(slug)) {
+      return NextResponse.json({ error: "Invalid slug parameter" }, { status: 400 });
+    }
+
+    let songPath = searchParams.get("songPath");
+    if (!songPath) {
+      const formatPath = getLivePath("format", slug);
+      if (fs.existsSync(formatPath)) {
+        songPath = readSongFormatFile(formatPath).format?.source || null;
+      }
+    }
+    if (!songPath) {
+      return NextResponse.json(
+        { error: "No songPath given and the format has no source" },
+        { status: 400 }
+      );
+    }
+
+    const publicDir = path.join(process.cwd(), "public");
+    const fullPath = path.join(publicDir, songPath);
+    if (!fullPath.startsWith(publicDir + path.sep) || !fs.existsSync(fullPath)) {
+      return NextResponse.json({ error: "Song not found" }, { status: 404 });
+    }
+
+    const pyramid = await loadPeakPyramid(fullPath, {
+      key: slug,
+      rebuild: searchParams.get("rebuild") === "1",
+    });
+
+    if (searchParams.get("info") === "1") {
+      return NextResponse.json({ success: true, ...describePeakPyramid(pyramid) });
+    }
+
+    const level = numberParam(searchParams, "level");
+    return NextResponse.json({
+      success: true,
+      slug,
+      ...queryPeaks(pyramid, {
+        start: numberParam(searchParams, "start"),
+        end: numberParam(searchParams, "end"),
+        points: numberParam(searchParams, "points"),
+        level: Number.isInteger(level) ? level : undefined,
+      }),
+    });
+  } catch (error) {
+    console.error("[format-builder/waveform/peaks] Error:", error);
+    return NextResponse.json(
+      { error: error?.message || "Failed to load waveform peaks" },
+      { status: 500 }
+    );
+  }
+}
@@ -31,6 +31,9 @@ import { analyzeWaveform } from "@/lib/audioWaveformAnalyzer";
  *   numPoints: number,
  *   meta: Object
  * }
+ *
+ * This is a single overview resolution. Zoomed timelines should fetch
+ * viewport slices from /api/format-builder/waveform/peaks instead.
  */
 export async function POST(request) {
   try {
@@ -1,10 +1,14 @@
 import { NextResponse } from "next/server";
-import fs from "fs";
-import path from "path";
+import {
+  getPreviousRevision,
+  recordRevision,
+  writeWithRevision,
+} from "@/lib/revisionStore";
 
 /**
  * POST /api/format-builder/waveform/save
- * Saves waveform analysis data for a song
+ * Saves waveform analysis data for a song. The previous data stays available
+ * in the revision store for undo / restore.
  *
  * Body: {
  *   slug: string,
@@ -31,26 +35,10 @@ export async function POST(request) {
       );
     }
 
-    // Ensure the waveform-data directory exists
-    const waveformDir = path.join(process.cwd(), "data", "waveform-data");
-    if (!fs.existsSync(waveformDir)) {
-      fs.mkdirSync(waveformDir, { recursive: true });
-    }
-
-    const waveformPath = path.join(waveformDir, `${slug}.json`);
-    const backupPath = path.join(waveformDir, `${slug}.backup.json`);
-
-    // If there's existing waveform data or previousWaveform provided, save backup
+    // The client passes what it had loaded before re-analyzing; keep it as a
+    // revision too in case it was never saved
     if (previousWaveform) {
-      fs.writeFileSync(
-        backupPath,
-        JSON.stringify(previousWaveform, null, 2),
-        "utf-8"
-      );
-    } else if (fs.existsSync(waveformPath)) {
-      // Auto-backup existing data before overwriting
-      const existingContent = fs.readFileSync(waveformPath, "utf-8");
-      fs.writeFileSync(backupPath, existingContent, "utf-8");
+      recordRevision("waveform", slug, previousWaveform, { reason: "previous" });
     }
 
     // Add metadata
@@ -61,12 +49,7 @@ export async function POST(request) {
       version: 1,
     };
 
-    // Write the waveform file
-    fs.writeFileSync(
-      waveformPath,
-      JSON.stringify(dataToSave, null, 2),
-      "utf-8"
-    );
+    writeWithRevision("waveform", slug, dataToSave, { reason: "save" });
 
     console.log(`[format-builder/waveform/save] Saved waveform for ${slug}`);
 
@@ -74,7 +57,7 @@ export async function POST(request) {
       success: true,
       slug,
       savedAt: now,
-      hasBackup: fs.existsSync(backupPath),
+      hasBackup: Boolean(getPreviousRevision("waveform", slug)),
     });
   } catch (error) {
     console.error("[format-builder/waveform/save] Error:", error);
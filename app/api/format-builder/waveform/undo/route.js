@@ -1,10 +1,10 @@
 import { NextResponse } from "next/server";
-import fs from "fs";
-import path from "path";
+import { getPreviousRevision, restoreRevision } from "@/lib/revisionStore";
 
 /**
  * POST /api/format-builder/waveform/undo
- * Restores the previous waveform data from backup
+ * Restores the newest stored waveform revision that differs from the live
+ * data. The restore is recorded too, so undoing again acts as redo.
  *
  * Body: {
  *   slug: string
@@ -22,40 +22,18 @@ export async function POST(request) {
       );
     }
 
-    const waveformDir = path.join(process.cwd(), "data", "waveform-data");
-    const waveformPath = path.join(waveformDir, `${slug}.json`);
-    const backupPath = path.join(waveformDir, `${slug}.backup.json`);
-
-    // Check if backup exists
-    if (!fs.existsSync(backupPath)) {
+    const previous = getPreviousRevision("waveform", slug);
+    if (!previous) {
       return NextResponse.json(
         { error: "No backup available to restore" },
         { status: 404 }
       );
     }
 
-    // Read backup data
-    const backupContent = fs.readFileSync(backupPath, "utf-8");
-    const backupData = JSON.parse(backupContent);
-
-    // Save current as the new backup (so user can redo if needed)
-    if (fs.existsSync(waveformPath)) {
-      const currentContent = fs.readFileSync(waveformPath, "utf-8");
-      fs.writeFileSync(backupPath, currentContent, "utf-8");
-    }
-
-    // Restore backup to main file
     const now = new Date().toISOString();
-    const restoredData = {
-      ...backupData,
-      restoredAt: now,
-    };
-
-    fs.writeFileSync(
-      waveformPath,
-      JSON.stringify(restoredData, null, 2),
-      "utf-8"
-    );
+    const { data: restoredData } = restoreRevision("waveform", slug, previous.id, {
+      transform: (data) => ({ ...data, restoredAt: now }),
+    });
 
     console.log(`[format-builder/waveform/undo] Restored waveform for ${slug}`);
 
@@ -64,8 +42,9 @@ export async function POST(request) {
       slug,
       restoredAt: now,
       waveformData: restoredData,
-      // There's now a backup (the data we just overwrote)
-      hasBackup: true,
+      restoredFrom: previous.id,
+      // The data we just overwrote is now the previous revision
+      hasBackup: Boolean(getPreviousRevision("waveform", slug)),
     });
   } catch (error) {
     console.error("[format-builder/waveform/undo] Error:", error);
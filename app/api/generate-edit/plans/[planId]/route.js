@@ -0,0 +1,61 @@
+import { NextResponse } from "next/server";
+import { deletePlanState, loadPlanState, updatePlanLocks, validateLockChange } from "@/lib/planStore";
+
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+export const revalidate = 0;
+
+const findPlan = (planId) => {
+  try {
+    const state = loadPlanState(planId);
+    return state
+      ? { state }
+      : { response: NextResponse.json({ error: `Plan "${planId}" not found` }, { status: 404 }) };
+  } catch (error) {
+    return { response: NextResponse.json({ error: error?.message || "Invalid planId" }, { status: 400 }) };
+  }
+};
+
+/**
+ * GET /api/generate-edit/plans/:planId
+ * The stored plan with its locks, revision and generation options.
+ */
+export async function GET(_, { params }) {
+  const { state, response } = findPlan(params?.planId);
+  return response || NextResponse.json(state);
+}
+
+/**
+ * PATCH /api/generate-edit/plans/:planId
+ * Body: { locks?: number[], lock?: number[], unlock?: number[] }
+ * Replace the locked segment indices, or lock / unlock some. POST
+ * /api/generate-edit with { planId } then regenerates the unlocked segments.
+ */
+export async function PATCH(request, { params }) {
+  try {
+    const { state, response } = findPlan(params?.planId);
+    if (response) return response;
+    const body = await request.json().catch(() => null);
+    const { errors } = validateLockChange(body, state.plan.segments.length);
+    if (errors.length) {
+      return NextResponse.json({ error: "Invalid lock change", details: errors }, { status: 400 });
+    }
+    const updated = updatePlanLocks(state.id, body);
+    console.log(`[generate-edit] plan ${updated.id}: ${updated.locks.length} locked segment(s)`);
+    return NextResponse.json({ planId: updated.id, locks: updated.locks, revision: updated.revision });
+  } catch (error) {
+    console.error("[generate-edit] Error:", error);
+    return NextResponse.json({ error: error?.message || "Failed to update locks" }, { status: 500 });
+  }
+}
+
+/**
+ * DELETE /api/generate-edit/plans/:planId
+ * Forget a stored plan.
+ */
+export async function DELETE(_, { params }) {
+  const { response } = findPlan(params?.planId);
+  if (response) return response;
+  deletePlanState(params.planId);
+  return NextResponse.json({ removed: params.planId });
+}
@@ -8,7 +8,13 @@ import {
   reselectGenerateEditClip,
   trimGenerateEditSegments,
   createClipPoolSummary,
+  applyGenerateEditLocks,
+  ASSIGNMENT_MODES,
 } from "@/lib/generateEdit";
+import { getLockedAssets, loadPlanState, savePlanState, validateLockChange } from "@/lib/planStore";
+import { loadSectionProfile } from "@/lib/sectionProfile";
+import { recordClipUsage } from "@/lib/clipUsageLedger";
+import { normalizeColorContinuity } from "@/lib/clipColor";
 import { buildGenerateEditRveProject } from "@/lib/generateEditAdapter";
 import { getVideoMetadata } from "@/utils/videoValidation";
 import isMaterializeAllowed from "./materializeGuard";
@@ -17,19 +23,12 @@ import fs from "node:fs";
 import os from "node:os";
 import { execFile, spawn } from "node:child_process";
 import { promisify } from "node:util";
-import ffmpegPath from "ffmpeg-static";
+import { resolveFfmpegBinary } from "@/lib/clipMedia";
 
 export const runtime = "nodejs";
 
 const execFileAsync = promisify(execFile);
 
-function resolveFfmpegBinary() {
-  const envPath = process.env.FFMPEG_PATH;
-  if (envPath && fs.existsSync(envPath)) return envPath;
-  if (ffmpegPath && fs.existsSync(ffmpegPath)) return ffmpegPath;
-  return "ffmpeg";
-}
-
 const GE_PREVIEWS_DIR = path.join(process.cwd(), "public", "previews", "generate-edit");
 import getEditorImportsDir from "@/lib/editorImportsDir";
 const EDITOR_IMPORTS_DIR = getEditorImportsDir();
@@ -564,16 +563,60 @@ export async function POST(request) {
   }
 
   const {
-    songSlug,
-    chronologicalOrder = false,
+    planId = null,
+    locks = null,
     editedSegments = null,
     reselect = null,
     includeCaptions = false,
     materialize = true,
   } = body || {};
+
+  // planId: regenerate (or reselect in) a stored plan; its song, locks and
+  // options apply unless the request overrides them
+  let planState = null;
+  if (planId !== null) {
+    try {
+      planState = typeof planId === "string" ? loadPlanState(planId) : null;
+    } catch (error) {
+      return NextResponse.json({ error: error?.message || "Invalid planId" }, { status: 400 });
+    }
+    if (!planState) {
+      return NextResponse.json({ error: `Plan "${planId}" not found` }, { status: 404 });
+    }
+    if (body.songSlug && body.songSlug !== planState.songSlug) {
+      return NextResponse.json(
+        { error: `Plan "${planId}" is for "${planState.songSlug}", not "${body.songSlug}"` },
+        { status: 400 }
+      );
+    }
+    if (locks !== null) {
+      const { errors } = validateLockChange({ locks }, planState.plan.segments.length);
+      if (errors.length) {
+        return NextResponse.json({ error: "Invalid locks", details: errors }, { status: 400 });
+      }
+    }
+  }
+  if (locks !== null && !planState) {
+    return NextResponse.json({ error: "locks needs the planId of a stored plan" }, { status: 400 });
+  }
+  const storedOptions = planState?.options || {};
+  const songSlug = body?.songSlug || planState?.songSlug;
+  const chronologicalOrder = body?.chronologicalOrder ?? storedOptions.chronologicalOrder ?? false;
+  const fatigueWeight = body?.fatigueWeight ?? storedOptions.fatigueWeight ?? 0;
+  const colorContinuity = body?.colorContinuity ?? storedOptions.colorContinuity ?? null;
+  const assignmentMode = body?.assignmentMode ?? storedOptions.assignmentMode ?? "greedy";
+  const solver = body?.solver ?? storedOptions.solver ?? null;
+  const lockedSegmentIndices = locks ?? planState?.locks ?? [];
+
   if (!songSlug || typeof songSlug !== "string") {
     return NextResponse.json({ error: "songSlug is required" }, { status: 400 });
   }
+  if (!ASSIGNMENT_MODES.includes(assignmentMode)) {
+    return NextResponse.json(
+      { error: `assignmentMode must be one of ${ASSIGNMENT_MODES.join(", ")}` },
+      { status: 400 }
+    );
+  }
 
   const applyEditedSegments = (segments, edits) => {
     if (!Array.isArray(segments) || !edits || typeof edits !== "object") {
@@ -641,7 +684,15 @@ export async function POST(request) {
       if (!segment) {
         return NextResponse.json({ error: `Segment ${segmentIndex} out of range` }, { status: 400 });
       }
-      const usedPoolIndices = Array.isArray(reselect.usedPoolIndices) ? reselect.usedPoolIndices : [];
+      if (planState && lockedSegmentIndices.includes(segmentIndex)) {
+        return NextResponse.json({ error: `Segment ${segmentIndex} is locked; unlock it first` }, { status: 409 });
+      }
+      // With a stored plan, every other segment's clip counts as used
+      const usedPoolIndices = Array.isArray(reselect.usedPoolIndices)
+        ? reselect.usedPoolIndices
+        : (planState?.plan.segments || [])
+            .filter((_, index) => index !== segmentIndex)
+            .map((stored) => stored.asset?.sourcePoolIndex);
       const bounds = {
         minPoolIndex: typeof reselect.minPoolIndex === "number" ? reselect.minPoolIndex : null,
         maxPoolIndex: typeof reselect.maxPoolIndex === "number" ? reselect.maxPoolIndex : null,
@@ -673,6 +724,22 @@ export async function POST(request) {
         sourcePoolIndex: replacement.poolIndex,
       };
 
+      if (planState) {
+        const storedSegments = [...planState.plan.segments];
+        // The new clip's own asset (loudness, motion, color...), as assignment builds it
+        storedSegments[segmentIndex] = {
+          ...storedSegments[segmentIndex],
+          asset: replacement.asset,
+          scoreBreakdown: null,
+        };
+        const saved = savePlanState({
+          planId: planState.id,
+          plan: { ...planState.plan, segments: storedSegments },
+          options: storedOptions,
+        });
+        return NextResponse.json({ replacementClip, planId: saved.id, revision: saved.revision });
+      }
+
       return NextResponse.json({ replacementClip });
     }
 
@@ -701,6 +768,20 @@ export async function POST(request) {
       throw new Error("Clip pool unavailable. Populate data/instantClipPool.json first.");
     }
 
+    // Locked segments of a stored plan keep their clips; the rest is regenerated
+    let lockedSegments = [];
+    if (planState && lockedSegmentIndices.length) {
+      try {
+        lockedSegments = applyGenerateEditLocks({
+          segments: segmentsPayload.segments,
+          pool,
+          locks: getLockedAssets({ ...planState, locks: lockedSegmentIndices }),
+        });
+      } catch (error) {
+        return NextResponse.json({ error: error?.message || "Could not apply locks", stageResults }, { status: 409 });
+      }
+    }
+
     assignPayload = await runStage(
       "assignClips",
       STAGE_ORDER[2].label,
@@ -708,12 +789,22 @@ export async function POST(request) {
         const assignResult = assignGenerateEditClips({
           segments: segmentsPayload.segments,
           pool,
-          options: { chronologicalOrder },
+          options: {
+            chronologicalOrder,
+            sectionProfile: loadSectionProfile(songSlug, format),
+            fatigueWeight: Number(fatigueWeight) || 0,
+            colorContinuity: normalizeColorContinuity(colorContinuity),
+            assignmentMode,
+            solver,
+            lockedSegments,
+          },
         });
         return {
           result: assignResult,
           stageMessage: `Assigned ${segmentsPayload.segments.length} clips from ${pool.clips.length}-clip pool${
             chronologicalOrder ? " in chronological mode" : ""
+          }${assignResult.solver ? ` (solver, ${assignResult.solver.elapsedMs}ms)` : ""}${
+            lockedSegments.length ? `, ${lockedSegments.length} locked` : ""
           }`,
         };
       },
@@ -743,6 +834,9 @@ export async function POST(request) {
       },
       chronologicalOrder: Boolean(chronologicalOrder),
       selectionMode: chronologicalOrder ? "chronological" : "randomized",
+      assignmentMode: assignPayload.solver ? "solver" : "greedy",
+      solver: assignPayload.solver || null,
+      lockedSegments,
       fps,
       totalFrames,
       totalClips: segments.length,
@@ -760,6 +854,14 @@ export async function POST(request) {
       plan.segments = applyEditedSegments(plan.segments, editedSegments);
     }
 
+    planState = savePlanState({
+      planId: planState?.id || null,
+      plan,
+      options: { chronologicalOrder, fatigueWeight, colorContinuity, assignmentMode, solver },
+      locks: lockedSegmentIndices,
+    });
+    plan = planState.plan;
+
     // Render stage: allow graceful degradation so we can still return a plan/import when preview render fails.
     {
       const start = Date.now();
@@ -956,8 +1058,13 @@ export async function POST(request) {
     console.warn("[generate-edit] Failed to write editor import payload", err);
   }
 
+  recordClipUsage({ kind: "generate-edit", songSlug, variant: jobId, segments: plan.segments });
+
   return NextResponse.json({
     plan,
+    planId: planState.id,
+    locks: planState.locks,
+    revision: planState.revision,
     stageResults,
     renderError: renderError ? String(renderError?.message || renderError) : null,
     captionedVideoUrl: captionedResult?.url || null,
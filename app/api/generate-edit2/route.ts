@@ -1,7 +1,9 @@
 import { NextResponse } from "next/server";
 import path from "node:path";
 import fs from "node:fs/promises";
-import { loadInstantClipPool } from "@/lib/songEdit";
+import { getClipPoolPaths, listContentSources, resolveContentSourceId } from "@/lib/contentSources";
+import { LIKED_CLIP_WEIGHT, getClipRatingIndex } from "@/lib/movieAnnotation";
+import { pickWeighted } from "@/lib/clipUsageLedger";
 import { publicSongTracks } from "@/app/editor3/reactvideoeditor/adaptors/default-audio-adaptors";
 
 export const runtime = "nodejs";
@@ -39,8 +41,6 @@ type CutoutPoolClip = {
 
 const FORMAT_DIR = path.join(process.cwd(), "data", "format-editor3");
 const CUTOUT_POOL_PATH = path.join(process.cwd(), "data", "instantClipPool2.json");
-const GENERATE2_POOL_NBA_PATH = path.join(process.cwd(), "data", "AllClips2.json");
-const GENERATE2_POOL_KILLBILL_PATH = path.join(process.cwd(), "data", "instantClipPool.json");
 const FALLBACK_FPS = 30;
 const PRIORITY_FORMAT_SLUGS = ["touch_the_sky"];
 const BUCKET_SEQUENCE = [
@@ -98,31 +98,37 @@ const loadCutoutPool = async (): Promise<{ clips: CutoutPoolClip[] }> => {
 };
 
 const generatePoolCache: Record<string, ClipPool | null> = {};
-const loadGenerateClipPool = async (contentSource: "nba" | "killbill" = "nba"): Promise<ClipPool | null> => {
+const loadGenerateClipPool = async (contentSource: string): Promise<ClipPool | null> => {
   const cacheKey = contentSource;
   if (generatePoolCache[cacheKey]) return generatePoolCache[cacheKey];
 
-  const pathForSource = contentSource === "killbill" ? GENERATE2_POOL_KILLBILL_PATH : GENERATE2_POOL_NBA_PATH;
-
-  try {
-    const raw = await fs.readFile(pathForSource, "utf8");
-    const parsed = JSON.parse(raw);
-    generatePoolCache[cacheKey] = parsed;
-    return parsed;
-  } catch (error: any) {
-    if (contentSource === "killbill") {
-      console.warn(`[generate-edit2] Failed to load instantClipPool.json for Kill Bill edits: ${error?.message}`);
-      generatePoolCache[cacheKey] = null;
-      return null;
+  const { path: poolPath, fallbackPath } = getClipPoolPaths(contentSource);
+
+  for (const candidate of [poolPath, fallbackPath]) {
+    if (!candidate) continue;
+    try {
+      const raw = await fs.readFile(candidate, "utf8");
+      const parsed = JSON.parse(raw);
+      generatePoolCache[cacheKey] = parsed;
+      return parsed;
+    } catch (error: any) {
+      console.warn(
+        `[generate-edit2] Failed to load ${path.basename(candidate)} for ${contentSource} edits: ${error?.message}`
+      );
     }
-    console.warn(
-      `[generate-edit2] Falling back to instantClipPool.json because AllClips2.json could not be loaded: ${error?.message}`
-    );
   }
 
-  const fallbackPool = (await loadInstantClipPool()) as ClipPool | null;
-  generatePoolCache[cacheKey] = fallbackPool;
-  return fallbackPool;
+  generatePoolCache[cacheKey] = null;
+  return null;
+};
+
+const describeMissingPool = (contentSource: string) => {
+  const paths = Object.values(getClipPoolPaths(contentSource))
+    .filter(Boolean)
+    .map((p) => path.relative(process.cwd(), p as string));
+  return paths.length
+    ? `Clip pool unavailable. Populate ${paths.join(" or ")} first.`
+    : `Content source "${contentSource}" does not declare a clip pool.`;
 };
 
 const getDurationSeconds = (clip: any) => {
@@ -150,7 +156,8 @@ const buildClipSelector = (
   chronologicalOrder: boolean,
   intentTag?: string | null,
   sharedUsed?: Set<string | number>,
-  playerTag?: string | null
+  playerTag?: string | null,
+  ratings?: { liked: Set<number>; disliked: Set<number> } | null
 ) => {
   const clips = Array.isArray(pool?.clips) ? pool.clips : [];
   const clipDurations = clips.map(getDurationSeconds);
@@ -179,7 +186,10 @@ const buildClipSelector = (
     return normalized.includes(playerTag.toLowerCase());
   };
 
-  const findCandidates = (durationSec: number) => {
+  // Thumbed-down clips only when nothing else fits
+  const isBlocked = (idx: number, allowDisliked: boolean) => !allowDisliked && Boolean(ratings?.disliked.has(idx));
+
+  const findCandidates = (durationSec: number, allowDisliked = false) => {
     const bucket = resolveBucket(durationSec, pool);
     let candidates: number[] = [];
     const bucketIdx = BUCKET_SEQUENCE.indexOf(bucket);
@@ -187,6 +197,7 @@ const buildClipSelector = (
       bucketIdx >= 0 ? BUCKET_SEQUENCE.slice(bucketIdx) : [...BUCKET_SEQUENCE];
     const pushIfEligible = (idx: number) => {
       if (used.has(idx)) return;
+      if (isBlocked(idx, allowDisliked)) return;
       if ((clipDurations[idx] ?? 0) < durationSec) return;
       if (!hasIntent(idx)) return;
       if (!hasPlayer(idx)) return;
@@ -199,7 +210,7 @@ const buildClipSelector = (
     }
     if (!candidates.length) {
       clips.forEach((_, idx) => {
-        if (used.has(idx)) return;
+        if (used.has(idx) || isBlocked(idx, allowDisliked)) return;
         if ((clipDurations[idx] ?? 0) >= durationSec && hasIntent(idx)) candidates.push(idx);
       });
     }
@@ -209,13 +220,18 @@ const buildClipSelector = (
   };
 
   const pick = (durationSec: number) => {
-    const candidates = findCandidates(durationSec);
+    let allowDisliked = false;
+    let candidates = findCandidates(durationSec);
+    if (!candidates.length && ratings?.disliked.size) {
+      allowDisliked = true;
+      candidates = findCandidates(durationSec, true);
+    }
     if (!candidates.length) return null;
     let chosenIdx: number | null = null;
     if (chronologicalOrder) {
       for (let i = 0; i < orderedIndices.length; i++) {
         const idx = orderedIndices[(chronoPtr + i) % orderedIndices.length];
-        if (used.has(idx)) continue;
+        if (used.has(idx) || isBlocked(idx, allowDisliked)) continue;
         if ((clipDurations[idx] ?? 0) < durationSec) continue;
         if (intentTag && !hasIntent(idx)) continue;
         chosenIdx = idx;
@@ -224,8 +240,10 @@ const buildClipSelector = (
       }
       if (chosenIdx === null) chosenIdx = candidates[0];
     } else {
-      const rand = Math.floor(Math.random() * candidates.length);
-      chosenIdx = candidates[rand] ?? candidates[0];
+      chosenIdx = ratings?.liked.size
+        ? pickWeighted(candidates, (idx: number) => (ratings.liked.has(idx) ? LIKED_CLIP_WEIGHT : 1))
+        : candidates[Math.floor(Math.random() * candidates.length)];
+      chosenIdx = chosenIdx ?? candidates[0];
     }
     used.add(chosenIdx);
     return clips[chosenIdx] || null;
@@ -458,7 +476,7 @@ const buildGenerateEdit2Project = async ({
   format: FormatFile;
   formatSlug: string;
   chronologicalOrder: boolean;
-  contentSource: "nba" | "killbill";
+  contentSource: string;
   playerTag?: string | null;
 }) => {
   const cacheBust = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
@@ -466,16 +484,13 @@ const buildGenerateEdit2Project = async ({
   const overlaysRaw = Array.isArray(format?.timeline?.overlays) ? format.timeline.overlays : [];
   const pool = (await loadGenerateClipPool(contentSource)) as ClipPool | null;
   if (!pool) {
-    throw new Error(
-      contentSource === "killbill"
-        ? "Clip pool unavailable. Populate data/instantClipPool.json first."
-        : "Clip pool unavailable. Populate data/AllClips2.json or instantClipPool.json first."
-    );
+    throw new Error(describeMissingPool(contentSource));
   }
   const cutoutPool = await loadCutoutPool();
   const globalUsedClips = new Set<number>();
   const normalizedPlayerTag = playerTag ? playerTag.toLowerCase() : null;
-  const pickClip = buildClipSelector(pool, chronologicalOrder, null, globalUsedClips, normalizedPlayerTag);
+  const ratings = getClipRatingIndex(pool.clips);
+  const pickClip = buildClipSelector(pool, chronologicalOrder, null, globalUsedClips, normalizedPlayerTag, ratings);
   const leadSeconds = 1;
   const leadFrames = Math.max(0, Math.round(leadSeconds * fps));
   let nextId = 1;
@@ -493,7 +508,14 @@ const buildGenerateEdit2Project = async ({
       const durationFrames = Math.max(1, toNumber(ov.durationInFrames, 1));
       const requiredSec = durationFrames / fps;
       const intentTag = (ov.intent ?? (ov.meta as any)?.intent ?? "").toString().toLowerCase() || null;
-      const pickClipWithIntent = buildClipSelector(pool, chronologicalOrder, intentTag, globalUsedClips, normalizedPlayerTag);
+      const pickClipWithIntent = buildClipSelector(
+        pool,
+        chronologicalOrder,
+        intentTag,
+        globalUsedClips,
+        normalizedPlayerTag,
+        ratings
+      );
       const clip = pickClipWithIntent(requiredSec) || pickClip(requiredSec);
       if (!clip) {
         throw new Error(`No clip available for segment-video at from=${ov.from ?? 0}, duration=${requiredSec}s`);
@@ -798,7 +820,13 @@ const buildGenerateEdit2Project = async ({
 export async function GET() {
   try {
     const formats = await listFormatFiles();
-    return NextResponse.json({ formats });
+    const defaultContentSource = resolveContentSourceId(null);
+    const contentSources = listContentSources().map((source) => ({
+      id: source.id,
+      label: source.label || source.id,
+      default: source.id === defaultContentSource,
+    }));
+    return NextResponse.json({ formats, contentSources });
   } catch (err: any) {
     return NextResponse.json({ error: err?.message || "Failed to list formats" }, { status: 500 });
   }
@@ -809,8 +837,10 @@ export async function POST(req: Request) {
     const body = await req.json();
     const slug = body?.formatSlug || body?.songSlug || body?.slug;
     const chronologicalOrder = Boolean(body?.chronologicalOrder);
-    const contentSource: "nba" | "killbill" =
-      body?.contentSource === "killbill" ? "killbill" : "nba";
+    const contentSource = resolveContentSourceId(body?.contentSource);
+    if (!contentSource) {
+      return NextResponse.json({ error: "No content sources are configured" }, { status: 500 });
+    }
     const playerTagRaw = typeof body?.playerTag === "string" ? body.playerTag : null;
     const playerTag = playerTagRaw ? playerTagRaw.toLowerCase() : null;
     if (!slug) {
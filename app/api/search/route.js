@@ -3,6 +3,8 @@ import { getClipUrl } from "@/utils/cloudinary";
 import { resolveKillBillVideoIds, listKillBillVideoIds } from "@/lib/twelveLabs/videoCatalog";
 import { isBannedClip, getCloudinaryId, getCanonicalVideoId } from "@/lib/killBillAgent/utils";
 import { searchTwelveLabsClips } from "@/lib/twelveLabs/searchClient";
+import { getClipRating, loadMovieAnnotationGuidance } from "@/lib/movieAnnotation";
+import { getLocalPosterUrl } from "@/lib/clipThumbnails";
 
 export const runtime = "nodejs";
 
@@ -31,6 +33,7 @@ export async function POST(request) {
       limit: limit || 12,
     });
 
+    const guidance = loadMovieAnnotationGuidance();
     const results = searchResults
       .map((item) => {
         const start = item.start;
@@ -60,6 +63,9 @@ export async function POST(request) {
 
         try {
           const clipUrl = getClipUrl(cloudinaryVideoId, start, end, { download: false, fps: 30 });
+          const rating = getClipRating(resultVideoId, start, end, guidance);
+          // Local poster first so results keep their thumbnails offline
+          const localPosterUrl = getLocalPosterUrl({ videoId: resultVideoId, cloudinaryId: cloudinaryVideoId, start, end });
 
           return {
             start: Math.round(start * 100) / 100,
@@ -68,14 +74,17 @@ export async function POST(request) {
             cloudinaryVideoId: cloudinaryVideoId,
             clipUrl,
             confidence: item.confidence || null,
-            thumbnail_url: item.raw?.thumbnail_url || item.raw?.thumbnailUrl || null,
+            thumbnail_url: localPosterUrl || item.raw?.thumbnail_url || item.raw?.thumbnailUrl || null,
+            rating: rating ? { rating: rating.rating, id: rating.range.id, label: rating.range.label } : null,
           };
         } catch (error) {
           console.error(`Error generating clip URL for result:`, error);
           return null;
         }
       })
-      .filter((item) => item !== null);
+      .filter((item) => item !== null)
+      // Thumbed-down ranges sink to the bottom (stable sort keeps relevance order otherwise)
+      .sort((a, b) => (a.rating?.rating === "dislike") - (b.rating?.rating === "dislike"));
 
     return NextResponse.json({
       results,
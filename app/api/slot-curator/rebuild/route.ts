@@ -5,10 +5,12 @@ import {
   buildGenerateEditSegments,
   loadGenerateEditFormat,
 } from "@/lib/generateEdit";
+import { loadSectionProfile } from "@/lib/sectionProfile";
 import {
   DURATION_EPSILON,
   SlotCandidate,
   SlotSegment,
+  candidateGroupKey,
   computeFormatHash,
   dedupeCandidates,
   durationKey,
@@ -134,6 +136,7 @@ async function rebuildSlots(params: {
     };
   });
 
+  const sectionProfile = loadSectionProfile(songSlug, format);
   const seedsUsed: number[] = [];
 
   for (let i = 0; i < runs; i += 1) {
@@ -148,7 +151,7 @@ async function rebuildSlots(params: {
       assignGenerateEditClips({
         segments: clonedSegments,
         pool,
-        options: { chronologicalOrder: false },
+        options: { chronologicalOrder: false, sectionProfile },
       });
 
       clonedSegments.forEach((seg: any, idx: number) => {
@@ -175,6 +178,8 @@ async function rebuildSlots(params: {
           intents: intents.length ? intents : null,
           bucket: durationKey(targetDuration),
           seed,
+          poolClipId: poolClip?.id != null ? String(poolClip.id) : null,
+          nearDuplicateGroup: poolClip?.nearDuplicateGroup ?? null,
         };
         segments[idx].candidates.push(candidate);
       });
@@ -194,11 +199,19 @@ async function rebuildSlots(params: {
       }))
       .sort((a, b) => b.score - a.score)
       .map(({ cand }) => cand);
-    const keep = Math.min(maxPerSlot, scored.length);
+    // One candidate per near-duplicate group, so a slot's alternatives are different shots
+    const seenGroups = new Set<string>();
+    const distinct = scored.filter((cand) => {
+      const key = candidateGroupKey(cand);
+      if (seenGroups.has(key)) return false;
+      seenGroups.add(key);
+      return true;
+    });
+    const keep = Math.min(maxPerSlot, distinct.length);
     return {
       slot: seg.slot,
       targetDuration: seg.targetDuration,
-      candidates: scored.slice(0, keep),
+      candidates: distinct.slice(0, keep),
     };
   });
 
@@ -7,6 +7,7 @@ import {
   getReplacementClip,
   CUT_DETECTION_CONFIG,
   hasLocalInstantClips,
+  loadInstantClipPool,
 } from "../../../lib/songEdit.js";
 import {
   TARGET_FPS,
@@ -33,6 +34,8 @@ import { clampVolume } from "../../../lib/songEditScheduler.js";
 import { buildPlanCovers } from "../../../lib/planCovers.js";
 import { detectOverlappingRanges } from "../../../lib/songEditScheduler.js";
 import { buildInstantPlan } from "../../../lib/instantPipeline.js";
+import { recordClipUsage } from "../../../lib/clipUsageLedger.js";
+import { analyzeSongLoudness, resolveDialogueMix } from "../../../lib/clipLoudness.js";
 
 export const runtime = "nodejs";
 
@@ -810,6 +813,28 @@ const renderSongEdit = async (plan, movieIndex, renderOptions = {}) => {
     fetch('http://127.0.0.1:7242/ingest/0818f012-999f-437f-ad05-c3963e45d0a5',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({sessionId:'debug-session',runId:'quick-pre',hypothesisId:'H2',location:'route.js:renderSongEdit:clips',message:'clips downloaded',data:{validCount:validClips.length,segmentCount:(plan.segments||[]).length,plannedFramesSum,validTargetFramesSum,validActualFramesSum,expectedTimelineFrames},timestamp:Date.now()})}).catch(()=>{});
     // #endregion
 
+    // Gain-normalize dialogue clips against the song (stored pool loudness, else measured)
+    const songLoudness = await analyzeSongLoudness(songPath).catch((err) => {
+      console.warn(`[renderSongEdit] Song loudness unavailable: ${err.message}`);
+      return null;
+    });
+    const poolClips = loadInstantClipPool()?.clips || [];
+    const dialogueMixes = [];
+    for (const clip of validClips) {
+      const clipSlot = clip.segment?.beatMetadata?.clipSlot || {};
+      dialogueMixes.push(
+        await resolveDialogueMix({
+          asset: clip.segment?.asset,
+          clipPath: clip.path,
+          clipVolume: clampVolume(clipSlot.clipVolume ?? 0),
+          musicVolume: clampVolume(clipSlot.musicVolume ?? 1),
+          pauseMusic: Boolean(clipSlot.pauseMusic),
+          songLoudness,
+          clips: poolClips,
+        })
+      );
+    }
+
     // Build FFmpeg filter complex with FRAME-ACCURATE trimming
     const videoFilters = [];
     const clipAudioFilters = [];
@@ -867,7 +892,8 @@ const renderSongEdit = async (plan, movieIndex, renderOptions = {}) => {
       videoFilters.push(vFilter);
       expectedCumulativeFrames += targetFrames;
 
-      const clipVolume = clampVolume(segment.beatMetadata?.clipSlot?.clipVolume ?? 0);
+      const dialogueMix = dialogueMixes[idx];
+      const clipVolume = clampVolume(segment.beatMetadata?.clipSlot?.clipVolume ?? 0) * (dialogueMix?.clipGain ?? 1);
       if (clipVolume > 0) {
         const clipDurationSeconds = exactDuration;
         const clipStartSeconds = Math.max(
@@ -1385,6 +1411,14 @@ const renderInstantSongEdit = async (plan, renderOptions = {}) => {
       });
     }
 
+    // Dialogue clips are gain-normalized against the song (stored pool loudness, else measured)
+    const songLoudness = await analyzeSongLoudness(songPath).catch((err) => {
+      console.warn(`[renderInstantSongEdit] Song loudness unavailable: ${err.message}`);
+      return null;
+    });
+    const poolClips = loadInstantClipPool()?.clips || [];
+    const musicGains = new Map();
+
     for (let idx = 0; idx < inputClips.length; idx++) {
       const clip = inputClips[idx];
       const ffInputIdx = idx + 1; // song audio is input 0
@@ -1441,6 +1475,19 @@ const renderInstantSongEdit = async (plan, renderOptions = {}) => {
           musicVolume = clampVolume(clipSlot.musicVolume ?? 1);
           pauseMusic = Boolean(clipSlot.pauseMusic);
         }
+        const dialogueMix = await resolveDialogueMix({
+          asset: segment.asset,
+          clipPath: clip.path,
+          clipVolume,
+          musicVolume,
+          pauseMusic,
+          songLoudness,
+          clips: poolClips,
+        });
+        if (dialogueMix) {
+          clipVolume *= dialogueMix.clipGain;
+          if (dialogueMix.musicGain < 1) musicGains.set(segment.index, dialogueMix.musicGain);
+        }
         const clipDurationSeconds = frameToSeconds(targetFrames, fps);
         const clipStartSeconds =
           timelineOffsets.get(segment.index) ??
@@ -1473,6 +1520,7 @@ const renderInstantSongEdit = async (plan, renderOptions = {}) => {
           clipAudioEnd,
           clipVolume,
           musicVolume,
+          musicGain: musicGains.get(segment.index) ?? 1,
           pauseMusic,
         });
 
@@ -1526,6 +1574,7 @@ const renderInstantSongEdit = async (plan, renderOptions = {}) => {
         fps,
         timelineSeconds,
         timelineOffsets,
+        musicGains,
       });
       songAudioFilters.push(...pauseMusicResult.songAudioFilters);
       songAudioLabels.push(...pauseMusicResult.songAudioLabels);
@@ -1541,6 +1590,8 @@ const renderInstantSongEdit = async (plan, renderOptions = {}) => {
       );
     }
 
+    const songBedHasMusicGains = audioChunks.length === 0 && hasPauseMusic;
+
     // Build music volume automation (per-beat musicVolume + pause holds)
     const musicBreakpoints = new Set([0, timelineSeconds]);
     const pauseHolds = [];
@@ -1567,7 +1618,9 @@ const renderInstantSongEdit = async (plan, renderOptions = {}) => {
       const mid = (start + end) / 2;
       const muted = pauseHolds.some((hold) => mid >= hold.start && mid < hold.end);
       const segPlan = findSegmentAt(mid);
-      const baseVolume = clampVolume(segPlan?.musicVolume ?? 1);
+      // The pause-music song bed already carries the dialogue music gain on its slices
+      const dialogueGain = songBedHasMusicGains ? 1 : segPlan?.musicGain ?? 1;
+      const baseVolume = clampVolume(segPlan?.musicVolume ?? 1) * dialogueGain;
       const volume = muted ? 0 : baseVolume;
       musicIntervals.push({ start, end, volume });
     }
@@ -1803,6 +1856,8 @@ export async function POST(req) {
     variantSeed = null,
     allowOverlap = false,
     quickV2 = true,
+    fatigueWeight = 0, // >0 lowers the odds of clips earlier runs used a lot (instant mode)
+    colorContinuity = null, // "smooth" | "sections": color/brightness continuity between cuts (instant mode)
   } = body || {};
 
   if (!songSlug || typeof songSlug !== "string") {
@@ -1821,6 +1876,8 @@ export async function POST(req) {
         chronologicalOrder: body.chronoMode === true,
         variantSeed: seed,
         bias: true,
+        fatigueWeight: Number(fatigueWeight) || 0,
+        colorContinuity,
       });
 
       const segmentsWithEdits = applyEditedSegments(plan.segments, editedSegments);
@@ -1871,6 +1928,7 @@ export async function POST(req) {
 
       const totalTime = ((Date.now() - startTime) / 1000).toFixed(1);
       console.log(`[song-edit POST] INSTANT MODE complete in ${totalTime}s`);
+      recordClipUsage({ kind: "instant", songSlug, variant: seed, segments: plan.segments });
 
       return NextResponse.json({
         ...plan,
@@ -1953,6 +2011,13 @@ export async function POST(req) {
           })()
         : undefined;
 
+    recordClipUsage({
+      kind: "song-edit",
+      songSlug,
+      variant: plan.seed ?? variantSeed ?? null,
+      segments: segmentsToRender,
+    });
+
     return NextResponse.json({
       ...plan,
       segments: segmentsToRender,
@@ -0,0 +1,76 @@
+import { NextResponse } from "next/server";
+import fs from "fs";
+import path from "path";
+import getEditorImportsDir from "@/lib/editorImportsDir";
+import { loadPeakPyramid, mediaPeakKey, queryPeaks } from "@/lib/waveformPeaks";
+
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+export const revalidate = 0;
+
+const numberParam = (searchParams, name) => {
+  const value = searchParams.get(name);
+  return value === null || value === "" ? undefined : Number(value);
+};
+
+// Dot-only job ids and file names are refused: "." and ".." step out of the import folder
+const isDotOnly = (segment) => /^\.+$/.test(segment);
+
+/**
+ * Map an editor media src to a file on disk: site paths under public/ and
+ * editor import clips (/api/editor-imports/<jobId>/clips/<file>).
+ */
+const resolveMediaPath = (src) => {
+  const pathname = decodeURIComponent(src.split("?")[0]);
+  const importMatch = pathname.match(/^\/api\/editor-imports\/([^/]+)\/clips\/([^/]+)$/);
+  if (importMatch) {
+    const [, jobId, fileName] = importMatch;
+    if (isDotOnly(jobId) || isDotOnly(fileName)) return null;
+    return path.join(getEditorImportsDir(), jobId, "clips", fileName);
+  }
+  const publicDir = path.join(process.cwd(), "public");
+  const fullPath = path.join(publicDir, pathname);
+  return fullPath.startsWith(publicDir + path.sep) ? fullPath : null;
+};
+
+/**
+ * GET /api/waveform/peaks?src=/songs/song.mp3&start=12&end=20&points=800
+ * Waveform peaks for editor timeline items, sliced by time range at the
+ * pyramid level that fits `points` (see /api/format-builder/waveform/peaks).
+ * Only same-site media can be analyzed; other sources return 404 so the
+ * client can fall back to decoding in the browser.
+ */
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const src = searchParams.get("src");
+
+    if (!src || !src.startsWith("/")) {
+      return NextResponse.json({ error: "src must be a site path" }, { status: 400 });
+    }
+
+    const filePath = resolveMediaPath(src);
+    if (!filePath || !fs.existsSync(filePath)) {
+      return NextResponse.json({ error: "Media not found" }, { status: 404 });
+    }
+
+    const pyramid = await loadPeakPyramid(filePath, { key: mediaPeakKey(filePath) });
+    const level = numberParam(searchParams, "level");
+
+    return NextResponse.json({
+      success: true,
+      ...queryPeaks(pyramid, {
+        start: numberParam(searchParams, "start"),
+        end: numberParam(searchParams, "end"),
+        points: numberParam(searchParams, "points"),
+        level: Number.isInteger(level) ? level : undefined,
+      }),
+    });
+  } catch (error) {
+    console.error("[waveform/peaks] Error:", error);
+    return NextResponse.json(
+      { error: error?.message || "Failed to load waveform peaks" },
+      { status: 500 }
+    );
+  }
+}
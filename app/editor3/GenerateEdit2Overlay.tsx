@@ -16,7 +16,13 @@ type Props = {
 };
 
 type FormatOption = { slug: string; name: string };
-type ContentSource = "nba" | "killbill";
+type ContentSource = string;
+type ContentSourceOption = { id: string; label: string };
+
+const FALLBACK_CONTENT_SOURCES: ContentSourceOption[] = [
+  { id: "nba", label: "NBA Edits" },
+  { id: "killbill", label: "Kill Bill Edits" },
+];
 type NbaPlayer =
   | "all"
   | "anthony_edwards"
@@ -121,6 +127,7 @@ export function GenerateEdit2Overlay({ open, onClose }: Props) {
   const [formats, setFormats] = React.useState<FormatOption[]>([]);
   const [selected, setSelected] = React.useState<string>("");
   const [contentSource, setContentSource] = React.useState<ContentSource>("nba");
+  const [contentSources, setContentSources] = React.useState<ContentSourceOption[]>(FALLBACK_CONTENT_SOURCES);
   const [nbaPlayer, setNbaPlayer] = React.useState<NbaPlayer>("all");
   const [status, setStatus] = React.useState<"idle" | "loading" | "complete" | "error">("idle");
   const [error, setError] = React.useState<string | null>(null);
@@ -168,9 +175,17 @@ export function GenerateEdit2Overlay({ open, onClose }: Props) {
         const formatsList = Array.isArray(payload.formats)
           ? payload.formats.map((f: any) => ({ slug: f.slug, name: f.name || f.slug })).filter((f: any) => f.slug)
           : [];
+        const sourcesList: (ContentSourceOption & { default?: boolean })[] = Array.isArray(payload.contentSources)
+          ? payload.contentSources.filter((source: any) => source?.id)
+          : [];
         if (!cancelled) {
           setFormats(formatsList);
           if (formatsList.length) setSelected((prev) => prev || formatsList[0].slug);
+          if (sourcesList.length) {
+            setContentSources(sourcesList.map(({ id, label }) => ({ id, label: label || id })));
+            const defaultSource = sourcesList.find((source) => source.default) || sourcesList[0];
+            setContentSource((prev) => (sourcesList.some((source) => source.id === prev) ? prev : defaultSource.id));
+          }
         }
       } catch (err: any) {
         if (!cancelled) {
@@ -223,7 +238,7 @@ export function GenerateEdit2Overlay({ open, onClose }: Props) {
 
   React.useEffect(() => {
     const isNba = contentSource === "nba";
-    setPlaceholderSource(isNba ? "nba" : "killbill");
+    setPlaceholderSource(contentSource);
     setPlaceholderPlayerTag(isNba && nbaPlayer !== "all" ? nbaPlayer : null);
   }, [contentSource, nbaPlayer, setPlaceholderPlayerTag, setPlaceholderSource]);
 
@@ -411,8 +426,11 @@ export function GenerateEdit2Overlay({ open, onClose }: Props) {
                 disabled={status === "loading"}
                 className="w-full rounded-md border border-white/15 bg-[#0f172a] px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-emerald-400"
               >
-                <option value="nba">NBA Edits</option>
-                <option value="killbill">Kill Bill Edits</option>
+                {contentSources.map((source) => (
+                  <option key={source.id} value={source.id}>
+                    {source.label}
+                  </option>
+                ))}
               </select>
 
               {contentSource === "nba" && (
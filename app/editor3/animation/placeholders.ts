@@ -24,15 +24,24 @@ const toEntries = (items: ClipThumbEntry[]): NormalizedEntry[] =>
     )
     .filter((v): v is NormalizedEntry => Boolean(v?.src));
 
-const PLACEHOLDER_POOLS: Record<PlaceholderSource, NormalizedEntry[]> = {
+const PLACEHOLDER_POOLS: Record<string, NormalizedEntry[]> = {
   killbill: toEntries(clipThumbs as ClipThumbEntry[]),
   nba: toEntries(nbaClipThumbs as ClipThumbEntry[]),
 };
 
-export type PlaceholderSource = "killbill" | "nba";
+// Posters generated locally for a source's clip pool (scripts/generate-clip-thumbnails.mjs),
+// keyed by source and player tag; preferred over the static lists once loaded
+const posterPools = new Map<string, NormalizedEntry[]>();
+const posterKey = (source: string, playerTag?: string | null) => `${source}|${playerTag || "all"}`;
+
+export type PlaceholderSource = "killbill" | "nba" | (string & {});
 export type SeekAnimationPlaceholder = string;
 
 export const getSeekAnimationPlaceholders = (source: PlaceholderSource = "killbill", playerTag?: string | null) => {
+  const posters = posterPools.get(posterKey(source, playerTag));
+  if (posters?.length) {
+    return posters.map((e) => e.src);
+  }
   const entries = PLACEHOLDER_POOLS[source] || PLACEHOLDER_POOLS.killbill;
   if (source !== "nba" || !playerTag || playerTag === "all") {
     return entries.map((e) => e.src);
@@ -56,3 +65,23 @@ export const preloadSeekAnimationPlaceholders = (source: PlaceholderSource = "ki
     img.src = src;
   });
 };
+
+/**
+ * Fetch the source's local pool posters. Resolves true when there are any,
+ * after which getSeekAnimationPlaceholders returns them.
+ */
+export const loadSeekAnimationPosters = async (source: PlaceholderSource = "killbill", playerTag?: string | null) => {
+  const key = posterKey(source, playerTag);
+  if (posterPools.has(key)) return Boolean(posterPools.get(key)?.length);
+  const params = new URLSearchParams({ source });
+  if (playerTag && playerTag !== "all") params.set("playerTag", playerTag);
+  try {
+    const res = await fetch(`/api/clip-thumbnails?${params.toString()}`);
+    const data = res.ok ? await res.json() : null;
+    const entries = toEntries(Array.isArray(data?.posters) ? data.posters : []);
+    posterPools.set(key, entries);
+    return entries.length > 0;
+  } catch {
+    return false;
+  }
+};
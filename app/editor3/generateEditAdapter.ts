@@ -3,6 +3,7 @@ import { frameToTime, timeToFrame } from "./reactvideoeditor/utils/time";
 import { TIMELINE_GRACE_SECONDS } from "./constants";
 import { getDimensionsForAspectRatio } from "./reactvideoeditor/utils/aspect-ratio-transform";
 import { publicSongTracks } from "./reactvideoeditor/adaptors/default-audio-adaptors";
+import type { ClipThumbnails } from "./reactvideoeditor/utils/general/clip-thumbnail-sprite";
 
 type GenerateEditSegment = {
   index?: number;
@@ -19,7 +20,9 @@ type GenerateEditSegment = {
     duration?: number;
     availableDuration?: number;
     sourcePoolIndex?: number | null;
+    poolClipId?: string | number | null;
     localPath?: string | null;
+    thumbnails?: ClipThumbnails | null;
   } | null;
 };
 
@@ -255,6 +258,8 @@ export const buildGenerateEditRveProject = ({
           videoId: asset?.videoId ?? null,
           indexId: asset?.indexId ?? null,
           sourcePoolIndex: asset?.sourcePoolIndex ?? null,
+          poolClipId: asset?.poolClipId ?? null,
+          thumbnails: asset?.thumbnails ?? null,
           start: asset?.start ?? startSeconds,
           end: asset?.end ?? endSeconds,
           durationSeconds,
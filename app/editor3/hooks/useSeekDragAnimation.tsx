@@ -3,7 +3,12 @@
 import React from "react";
 import { createPortal } from "react-dom";
 import { TIMELINE_CONSTANTS } from "@editor/reactvideoeditor/components/advanced-timeline/constants";
-import { PlaceholderSource, getSeekAnimationPlaceholders, preloadSeekAnimationPlaceholders } from "../animation/placeholders";
+import {
+  PlaceholderSource,
+  getSeekAnimationPlaceholders,
+  loadSeekAnimationPosters,
+  preloadSeekAnimationPlaceholders,
+} from "../animation/placeholders";
 import styles from "../editor2-animation.module.css";
 
 type RectLike = { x: number; y: number; width: number; height: number };
@@ -119,6 +124,16 @@ export const useSeekDragAnimation = (initialSource: PlaceholderSource = "killbil
   React.useEffect(() => {
     placeholdersRef.current = getSeekAnimationPlaceholders(placeholderSource, placeholderPlayerTag);
     preloadSeekAnimationPlaceholders(placeholderSource, placeholderPlayerTag);
+    // Swap in the pool's locally generated posters when the source has them
+    let cancelled = false;
+    void loadSeekAnimationPosters(placeholderSource, placeholderPlayerTag).then((found) => {
+      if (cancelled || !found) return;
+      placeholdersRef.current = getSeekAnimationPlaceholders(placeholderSource, placeholderPlayerTag);
+      preloadSeekAnimationPlaceholders(placeholderSource, placeholderPlayerTag);
+    });
+    return () => {
+      cancelled = true;
+    };
   }, [placeholderSource, placeholderPlayerTag]);
 
   const playSeekDragAnimation = React.useCallback(
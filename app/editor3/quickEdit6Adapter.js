@@ -161,6 +161,11 @@ export const buildQuickEdit6RveProject = ({
       meta: {
         poolClipId: asset?.poolClipId || null,
         sourcePoolIndex: asset?.sourcePoolIndex ?? null,
+        cloudinaryId: asset?.cloudinaryId ?? null,
+        videoId: asset?.videoId ?? null,
+        start: asset?.start ?? null,
+        end: asset?.end ?? null,
+        thumbnails: asset?.thumbnails ?? null,
       },
     });
   });
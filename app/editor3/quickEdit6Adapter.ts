@@ -1,5 +1,6 @@
 import { OverlayType, type Overlay, type AspectRatio } from "@editor/reactvideoeditor/types";
 import { TIMELINE_GRACE_SECONDS } from "./constants";
+import type { ClipThumbnails } from "./reactvideoeditor/utils/general/clip-thumbnail-sprite";
 
 type QuickEdit6Segment = {
   index?: number;
@@ -19,6 +20,7 @@ type QuickEdit6Segment = {
     poolClipId?: string;
     sourcePoolIndex?: number;
     localPath?: string | null;
+    thumbnails?: ClipThumbnails | null;
   } | null;
 };
 
@@ -247,7 +249,16 @@ export const buildQuickEdit6RveProject = ({
         volume: 1,
         animation: { enter: "none", exit: "none" },
       },
-    });
+      // Source range, so the editor can rate the clip (thumbs up/down) and show its sprite
+      meta: {
+        cloudinaryId: asset?.cloudinaryId ?? null,
+        videoId: asset?.videoId ?? null,
+        poolClipId: asset?.poolClipId ?? null,
+        start: asset?.start ?? null,
+        end: asset?.end ?? null,
+        thumbnails: asset?.thumbnails ?? null,
+      },
+    } as Overlay);
   });
 
   const lastVideoEnd = overlays.reduce((max, overlay) => Math.max(max, (overlay.from || 0) + (overlay.durationInFrames || 0)), 0);
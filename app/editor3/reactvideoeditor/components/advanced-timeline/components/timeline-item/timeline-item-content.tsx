@@ -3,6 +3,7 @@ import { TimelineItemContentFactory } from './timeline-item-content-factory';
 import { TrackItemType } from '../../types';
 import { useWaveformProcessor } from '../../hooks/use-waveform-processor';
 import { useThumbnailGenerator } from '../../hooks/use-thumbnail-generator';
+import { useClipThumbnailSprite } from '../../hooks/use-clip-thumbnail-sprite';
 
 
 interface TimelineItemContentProps {
@@ -48,12 +49,17 @@ export const TimelineItemContent: React.FC<TimelineItemContentProps> = ({
   const waveformResult = useWaveformProcessor(
     type === TrackItemType.AUDIO && data?.src ? data.src : undefined,
     audioContentStart, // Start time in seconds
-    end - start // Duration in seconds
+    end - start, // Duration in seconds
+    dimensions.width // Rendered width, so zooming fetches finer peaks
   );
 
+  // Server-generated sprite for clips cut from a source video (works for blob: sources and offline)
+  const clipSprite = useClipThumbnailSprite(type === TrackItemType.VIDEO ? data : null);
+  const generateLocally = clipSprite.status === 'unavailable';
+
   // Generate thumbnail data - always call the hook but conditionally pass parameters
-  const thumbnailResult = useThumbnailGenerator(
-    type === TrackItemType.VIDEO 
+  const generatedThumbnails = useThumbnailGenerator(
+    type === TrackItemType.VIDEO && generateLocally
       ? {
           videoId: data?.content,
           videoSrc: data?.src || data?.originalUrl,
@@ -69,6 +75,15 @@ export const TimelineItemContent: React.FC<TimelineItemContentProps> = ({
           itemHeight: 0
         }
   );
+  const thumbnailResult = generateLocally
+    ? generatedThumbnails
+    : {
+        spriteUrl: clipSprite.spriteUrl,
+        rectForTime: clipSprite.rectForTime,
+        isLoading: clipSprite.status === 'loading',
+        error: null,
+        intervalSec: clipSprite.intervalSec,
+      };
 
   // Augment data with waveform information for audio items and thumbnail information for video items
   const enhancedData = type === TrackItemType.AUDIO 
@@ -130,7 +130,8 @@ export const VideoItemContent: React.FC<VideoItemContentProps> = ({
     const rect0 = rectForTime(0);
     const rect0Width = rect0?.width || MIN_THUMBNAIL_WIDTH;
     const rect0Height = rect0?.height || itemHeight;
-    const baseScale = Math.max(1, itemHeight / rect0Height);
+    // Fit tiles to the item height (server clip sprites are taller than the track)
+    const baseScale = itemHeight / rect0Height;
 
     const minWidth = Math.min(rect0Width, MIN_THUMBNAIL_WIDTH);
     const maxWidth = Math.max(minWidth, Math.floor(rect0Width * baseScale));
@@ -173,9 +174,10 @@ export const VideoItemContent: React.FC<VideoItemContentProps> = ({
             const timestamp = mediaStart + (index * thumbnailWidth * timePerPixel);
             const outputFrame = Math.ceil(timestamp * fps);
             const sourceFrame = sourceFrameAtOutputFrame(segments, outputFrame);
-            const sourceTimestamp = Math.max(0, Math.floor(sourceFrame / fps));
+            // Sub-second precision for clip sprites, whose tiles can be shorter than a second
+            const sourceTimestamp = Math.max(0, sourceFrame / fps);
             const rect = rectForTime(sourceTimestamp);
-            const scale = Math.max(1, itemHeight / rect.height);
+            const scale = itemHeight / rect.height;
             const scaledRectWidth = rect.width * scale;
             let centeredX = rect.x * scale;
             if (thumbnailWidth < scaledRectWidth) {
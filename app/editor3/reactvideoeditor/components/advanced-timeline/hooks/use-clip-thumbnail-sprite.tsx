@@ -0,0 +1,78 @@
+import { useEffect, useState } from 'react';
+import { ThumbnailRect } from '../../../utils/general/thumbnail-cache';
+import {
+  ClipThumbnails,
+  fetchClipThumbnails,
+  loadClipThumbnailSprite,
+} from '../../../utils/general/clip-thumbnail-sprite';
+import { getOverlayClipSource } from '../../overlay/shared/clip-rating-buttons';
+
+type ClipThumbnailSpriteStatus = 'idle' | 'loading' | 'ready' | 'unavailable';
+
+interface ClipThumbnailSpriteResult {
+  status: ClipThumbnailSpriteStatus;
+  spriteUrl: string | null;
+  rectForTime: ((timestampSec: number) => ThumbnailRect) | null;
+  intervalSec: number;
+}
+
+const IDLE: ClipThumbnailSpriteResult = { status: 'idle', spriteUrl: null, rectForTime: null, intervalSec: 0 };
+
+/**
+ * Server-generated sprite for a video overlay that points at a source range:
+ * plan segments carry it in `meta.thumbnails`, other clips (search adds) are
+ * looked up by their source range. "unavailable" means the caller should fall
+ * back to generating thumbnails from the video itself.
+ */
+export const useClipThumbnailSprite = (overlay: any | null): ClipThumbnailSpriteResult => {
+  const [result, setResult] = useState<ClipThumbnailSpriteResult>(IDLE);
+
+  const known: ClipThumbnails | null = overlay?.meta?.thumbnails?.vtt ? overlay.meta.thumbnails : null;
+  const source = overlay && !known ? getOverlayClipSource(overlay) : null;
+  const hasOverlay = Boolean(overlay);
+  const knownVtt = known?.vtt ?? null;
+  const sourceKey = source ? `${source.videoId}|${source.cloudinaryId}|${source.start}|${source.end}` : null;
+
+  useEffect(() => {
+    if (!hasOverlay) {
+      setResult(IDLE);
+      return;
+    }
+    if (!known && !source) {
+      setResult({ ...IDLE, status: 'unavailable' });
+      return;
+    }
+
+    let cancelled = false;
+    setResult({ ...IDLE, status: 'loading' });
+
+    const load = async () => {
+      const thumbnails = known || (source ? await fetchClipThumbnails(source) : null);
+      if (!thumbnails) return null;
+      return loadClipThumbnailSprite(thumbnails);
+    };
+
+    load()
+      .then((sprite) => {
+        if (cancelled) return;
+        setResult(
+          sprite
+            ? { status: 'ready', spriteUrl: sprite.spriteUrl, rectForTime: sprite.rectForTime, intervalSec: sprite.intervalSec }
+            : { ...IDLE, status: 'unavailable' }
+        );
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        console.warn('[ClipThumbnailSprite] Falling back to client thumbnails:', err);
+        setResult({ ...IDLE, status: 'unavailable' });
+      });
+
+    return () => {
+      cancelled = true;
+    };
+    // Keyed on the VTT / source range rather than the overlay object, which changes on every edit
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [hasOverlay, knownVtt, sourceKey]);
+
+  return result;
+};
@@ -16,6 +16,7 @@ import { CloudinaryClipEditor } from "@/app/search/components/CloudinaryClipEdit
 import { DownloadProgressProvider } from "@/app/search/components/DownloadProgressProvider";
 import { hasPreCachedClips, normalizeCloudinaryPublicId, getOptimalClipUrl } from "@/utils/cloudinary";
 import { useAddDownloadedClip } from "../../../hooks/use-add-downloaded-clip";
+import { ClipRatingButtons } from "../shared/clip-rating-buttons";
 
 type SearchHit = {
   id: string;
@@ -870,6 +871,9 @@ export const SearchOverlayPanel: React.FC = () => {
                         Copy ID
                       </Button>
                     </div>
+                    {item.videoId !== "unknown" && item.end > item.start && (
+                      <ClipRatingButtons origin="search" videoId={item.videoId} start={item.start} end={item.end} />
+                    )}
                   </CardContent>
                 </Card>
               );
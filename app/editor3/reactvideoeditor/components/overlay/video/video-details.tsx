@@ -6,6 +6,7 @@
  *
  * Features:
  * - Video preview display
+ * - Thumbs up/down for segment videos with a known source range
  * - Settings panel for basic video configuration
  * - Style panel for visual customization
  *
@@ -20,6 +21,7 @@ import { VideoPreview } from "./video-preview";
 import { useOverlayOverlapCheck } from "../../../hooks/use-overlay-overlap-check";
 import { useEditorContext } from "../../../contexts/editor-context";
 import { UnifiedTabs } from "../shared/unified-tabs";
+import { ClipRatingButtons, getOverlayClipSource } from "../shared/clip-rating-buttons";
 import { Settings, PaintBucket } from "lucide-react";
 
 interface VideoDetailsProps {
@@ -41,6 +43,7 @@ export const VideoDetails: React.FC<VideoDetailsProps> = ({
 }) => {
   const { checkAndAdjustOverlaps } = useOverlayOverlapCheck();
   const { overlays, setOverlays, changeOverlay } = useEditorContext();
+  const clipSource = getOverlayClipSource(localOverlay);
 
   /**
    * Updates the style properties of the video overlay
@@ -123,6 +126,16 @@ export const VideoDetails: React.FC<VideoDetailsProps> = ({
       {/* Preview */}
       <VideoPreview overlay={localOverlay} onChangeVideo={onChangeVideo} />
 
+      {/* Rating (feeds every planner through the movie annotation store) */}
+      {clipSource && (
+        <ClipRatingButtons
+          key={`${localOverlay.id}-${clipSource.start}-${clipSource.end}`}
+          origin="editor"
+          {...clipSource}
+          fetchExisting
+        />
+      )}
+
       {/* Settings Tabs */}
       <UnifiedTabs
         tabs={[
@@ -14,6 +14,7 @@ import { useDownloadProgress } from "@/app/search/components/DownloadProgressPro
 import { AlertCircle, Clock, Play, Search, Sparkles } from "lucide-react";
 import { VideoDetails } from "./video-details";
 import { getClipDownloadManager } from "../../../../clipDownloadManager";
+import { ClipRatingButtons, ClipRatingState } from "../shared/clip-rating-buttons";
 
 type SearchClip = {
   id: string;
@@ -27,6 +28,7 @@ type SearchClip = {
   videoDetail?: any;
   title?: string | null;
   cloudinaryVideoId?: string | null;
+  rating?: ClipRatingState | null;
 };
 
 type Mp4PlayerProps = {
@@ -194,6 +196,7 @@ const VideoOverlayPanelInner: React.FC = () => {
         cloudinaryVideoId: item.cloudinaryVideoId || item.cloudinary_video_id || null,
         playback_urls: item.playback_urls,
         title: item.title || item.video_title || detail?.system_metadata?.video_title || detail?.system_metadata?.filename || vid || "Video Clip",
+        rating: item.rating?.rating && item.rating?.id ? { rating: item.rating.rating, id: item.rating.id } : null,
       };
     });
   }, []);
@@ -439,6 +442,17 @@ const VideoOverlayPanelInner: React.FC = () => {
             {playingId === key ? "Pause" : "Play"}
           </Button>
         </div>
+
+        <div className="mt-2">
+          <ClipRatingButtons
+            origin="search"
+            videoId={clip.videoId}
+            cloudinaryId={clip.cloudinaryVideoId}
+            start={startVal}
+            end={endVal}
+            initialRating={clip.rating}
+          />
+        </div>
       </div>
     );
   };
@@ -1,7 +1,17 @@
 "use client";
 
-import React, { useEffect, useMemo, useState } from "react";
-import { Activity, AlertCircle, RefreshCcw, Save, Undo2 } from "lucide-react";
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import {
+  Activity,
+  AlertCircle,
+  ChevronLeft,
+  ChevronRight,
+  RefreshCcw,
+  Save,
+  Undo2,
+  ZoomIn,
+  ZoomOut,
+} from "lucide-react";
 import { Button } from "../ui/button";
 
 type SongInfo = {
@@ -26,7 +36,152 @@ type SavedWaveform = {
   beats?: number[];
 };
 
+type PeakSlice = {
+  level: number;
+  levels: number;
+  pointDuration: number;
+  start: number;
+  end: number;
+  min: number[];
+  max: number[];
+  peak: number;
+  durationSeconds: number;
+};
+
 const DEFAULT_TARGET_POINTS = 600;
+const MIN_VIEW_SECONDS = 0.5;
+
+/**
+ * Song waveform for the visible range only: peaks come from the pyramid
+ * level that fits one point per pixel, so zooming in fetches finer levels.
+ */
+const PeakPreview: React.FC<{ song: SongInfo }> = ({ song }) => {
+  const containerRef = useRef<HTMLDivElement>(null);
+  const [width, setWidth] = useState(0);
+  const [view, setView] = useState<{ start: number; end: number } | null>(null);
+  const [slice, setSlice] = useState<PeakSlice | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    const element = containerRef.current;
+    if (!element) return;
+    const update = () => setWidth(Math.round(element.clientWidth));
+    update();
+    const resizeObserver = new ResizeObserver(update);
+    resizeObserver.observe(element);
+    return () => resizeObserver.disconnect();
+  }, []);
+
+  useEffect(() => {
+    setView(null);
+    setSlice(null);
+  }, [song.slug]);
+
+  useEffect(() => {
+    if (!width) return;
+    const abortController = new AbortController();
+    const params = new URLSearchParams({
+      slug: song.slug,
+      songPath: song.path,
+      points: String(width),
+    });
+    if (view) {
+      params.set("start", view.start.toFixed(3));
+      params.set("end", view.end.toFixed(3));
+    }
+    setLoading(true);
+    setError(null);
+    fetch(`/api/format-builder/waveform/peaks?${params}`, { signal: abortController.signal })
+      .then(async (res) => {
+        const payload = await res.json().catch(() => ({}));
+        if (!res.ok || !Array.isArray(payload?.max)) {
+          throw new Error(payload?.error || "Failed to load waveform peaks");
+        }
+        setSlice(payload as PeakSlice);
+      })
+      .catch((err: any) => {
+        if (err?.name !== "AbortError") setError(err?.message || "Failed to load waveform peaks");
+      })
+      .finally(() => {
+        if (!abortController.signal.aborted) setLoading(false);
+      });
+    return () => abortController.abort();
+  }, [song.slug, song.path, width, view]);
+
+  const duration = slice?.durationSeconds ?? 0;
+  const current = view ?? { start: 0, end: duration };
+  const span = current.end - current.start;
+
+  const zoom = (factor: number) => {
+    if (!duration) return;
+    const center = current.start + span / 2;
+    const nextSpan = Math.min(duration, Math.max(MIN_VIEW_SECONDS, span * factor));
+    const start = Math.max(0, Math.min(duration - nextSpan, center - nextSpan / 2));
+    setView(nextSpan >= duration ? null : { start, end: start + nextSpan });
+  };
+
+  const pan = (direction: number) => {
+    if (!view || !duration) return;
+    const start = Math.max(0, Math.min(duration - span, view.start + direction * span * 0.5));
+    setView({ start, end: start + span });
+  };
+
+  const scale = slice?.peak ? 1 / slice.peak : 1;
+
+  return (
+    <div className="rounded-md border border-border bg-card p-3 space-y-2">
+      <div className="flex items-center justify-between">
+        <div className="text-sm font-medium text-foreground">Peak preview</div>
+        <div className="flex items-center gap-1">
+          <Button size="icon" variant="ghost" onClick={() => pan(-1)} disabled={!view}>
+            <ChevronLeft className="h-4 w-4" />
+          </Button>
+          <Button size="icon" variant="ghost" onClick={() => zoom(0.5)} disabled={!duration}>
+            <ZoomIn className="h-4 w-4" />
+          </Button>
+          <Button size="icon" variant="ghost" onClick={() => zoom(2)} disabled={!view}>
+            <ZoomOut className="h-4 w-4" />
+          </Button>
+          <Button size="icon" variant="ghost" onClick={() => pan(1)} disabled={!view}>
+            <ChevronRight className="h-4 w-4" />
+          </Button>
+        </div>
+      </div>
+      <div ref={containerRef} className="h-20 w-full">
+        {slice && slice.max.length > 0 && (
+          <svg
+            className="h-full w-full text-primary"
+            viewBox={`0 -1 ${slice.max.length} 2`}
+            preserveAspectRatio="none"
+          >
+            {slice.max.map((value, i) => (
+              <rect
+                key={i}
+                x={i}
+                y={-value * scale}
+                width={1}
+                height={Math.max(0.01, (value - (slice.min[i] ?? -value)) * scale)}
+                fill="currentColor"
+              />
+            ))}
+          </svg>
+        )}
+      </div>
+      <div className="text-[11px] text-muted-foreground">
+        {error
+          ? error
+          : slice
+            ? `${slice.start.toFixed(2)}s – ${slice.end.toFixed(2)}s · level ${slice.level + 1}/${slice.levels} · ${(
+                slice.pointDuration * 1000
+              ).toFixed(1)}ms per point${loading ? " · loading…" : ""}`
+            : loading
+              ? "Loading peaks…"
+              : "–"}
+      </div>
+    </div>
+  );
+};
 
 export const WaveformPanel: React.FC = () => {
   const [songs, setSongs] = useState<SongInfo[]>([]);
@@ -364,6 +519,8 @@ export const WaveformPanel: React.FC = () => {
           </div>
         )}
       </div>
+
+      {selectedSong && <PeakPreview song={selectedSong} />}
     </div>
   );
 };
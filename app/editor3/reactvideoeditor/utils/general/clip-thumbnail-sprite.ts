@@ -0,0 +1,139 @@
+/**
+ * Clip Thumbnail Sprites (server sprite + WEBVTT index in, rectForTime out)
+ *
+ * Pool clips and source ranges with a local video get a poster and a sprite
+ * sheet cut by ffmpeg on the server (lib/clipThumbnails.js, /api/clip-thumbnails).
+ * This loads the sprite's WEBVTT index and exposes the same rectForTime shape
+ * as the client-side sprite cache, so the timeline can draw either.
+ *
+ * API:
+ *   const thumbnails = overlay.meta?.thumbnails ?? (await fetchClipThumbnails(source));
+ *   const { spriteUrl, rectForTime, intervalSec } = await loadClipThumbnailSprite(thumbnails);
+ *
+ * Notes:
+ * - Cue times are relative to the clip start (the overlay's first source frame).
+ * - Results are cached per VTT URL for the session.
+ */
+
+import type { ThumbnailRect } from "./thumbnail-cache";
+
+export type ClipThumbnails = {
+  version?: string;
+  poster: string;
+  sprite: string;
+  vtt: string;
+  frames?: number;
+  columns?: number;
+  rows?: number;
+  tileWidth?: number;
+  tileHeight?: number;
+  intervalSec?: number;
+};
+
+export type ClipThumbnailRange = {
+  videoId?: string | null;
+  cloudinaryId?: string | null;
+  start: number;
+  end: number;
+};
+
+export type ClipThumbnailSprite = {
+  spriteUrl: string;
+  rectForTime: (timestampSec: number) => ThumbnailRect;
+  intervalSec: number;
+};
+
+type SpriteCue = { start: number; end: number; src: string; x: number; y: number; width: number; height: number };
+
+const spriteCache = new Map<string, Promise<ClipThumbnailSprite>>();
+const rangeCache = new Map<string, Promise<ClipThumbnails | null>>();
+
+const parseVttTime = (value: string): number => {
+  const parts = value.trim().split(":").map(Number);
+  return parts.reduce((total, part) => total * 60 + part, 0);
+};
+
+/**
+ * Cues of a sprite WEBVTT index ("start --> end" then "sprite.jpg#xywh=x,y,w,h").
+ */
+export const parseSpriteVtt = (text: string): SpriteCue[] => {
+  const cues: SpriteCue[] = [];
+  const blocks = text.replace(/\r/g, "").split(/\n{2,}/);
+  for (const block of blocks) {
+    const lines = block.split("\n").map((line) => line.trim()).filter(Boolean);
+    const timeIdx = lines.findIndex((line) => line.includes("-->"));
+    if (timeIdx === -1 || !lines[timeIdx + 1]) continue;
+    const [startText, endText] = lines[timeIdx].split("-->");
+    const match = lines[timeIdx + 1].match(/^(.*)#xywh=(\d+),(\d+),(\d+),(\d+)$/);
+    if (!match) continue;
+    cues.push({
+      start: parseVttTime(startText),
+      end: parseVttTime(endText),
+      src: match[1],
+      x: Number(match[2]),
+      y: Number(match[3]),
+      width: Number(match[4]),
+      height: Number(match[5]),
+    });
+  }
+  return cues;
+};
+
+const buildRectForCues = (cues: SpriteCue[]) =>
+  function rectForTime(timestampSec: number): ThumbnailRect {
+    const t = Number.isFinite(timestampSec) ? timestampSec : 0;
+    let index = cues.findIndex((cue) => t < cue.end);
+    if (index === -1) index = cues.length - 1;
+    const cue = cues[Math.max(0, index)];
+    return { x: cue.x, y: cue.y, width: cue.width, height: cue.height, index: Math.max(0, index) };
+  };
+
+/**
+ * Sprite URL and rect lookup for server-generated clip thumbnails.
+ */
+export const loadClipThumbnailSprite = (thumbnails: ClipThumbnails): Promise<ClipThumbnailSprite> => {
+  const cached = spriteCache.get(thumbnails.vtt);
+  if (cached) return cached;
+
+  const promise = (async () => {
+    const res = await fetch(thumbnails.vtt);
+    if (!res.ok) throw new Error(`Failed to load thumbnail index (${res.status})`);
+    const cues = parseSpriteVtt(await res.text());
+    if (!cues.length) throw new Error("Thumbnail index has no cues");
+    const base = new URL(thumbnails.vtt, window.location.origin);
+    return {
+      spriteUrl: new URL(cues[0].src, base).pathname,
+      rectForTime: buildRectForCues(cues),
+      intervalSec: thumbnails.intervalSec || cues[0].end - cues[0].start,
+    };
+  })();
+
+  spriteCache.set(thumbnails.vtt, promise);
+  promise.catch(() => spriteCache.delete(thumbnails.vtt));
+  return promise;
+};
+
+/**
+ * Server thumbnails for a source-video range (generated on first request),
+ * or null when the server has no local video for it.
+ */
+export const fetchClipThumbnails = (range: ClipThumbnailRange): Promise<ClipThumbnails | null> => {
+  const params = new URLSearchParams({ start: String(range.start), end: String(range.end) });
+  if (range.videoId) params.set("videoId", range.videoId);
+  if (range.cloudinaryId) params.set("cloudinaryId", range.cloudinaryId);
+  const key = params.toString();
+  const cached = rangeCache.get(key);
+  if (cached) return cached;
+
+  const promise = fetch(`/api/clip-thumbnails?${key}`)
+    .then(async (res) => {
+      if (res.status === 404) return null;
+      if (!res.ok) throw new Error(`Failed to load clip thumbnails (${res.status})`);
+      const data = await res.json();
+      return (data?.thumbnails as ClipThumbnails) || null;
+    });
+
+  rangeCache.set(key, promise);
+  promise.catch(() => rangeCache.delete(key));
+  return promise;
+};
@@ -8,11 +8,13 @@ import {
   SlotCandidate,
   SlotFile,
   SlotSegment,
+  candidateGroupKey,
   computeFormatHash,
   durationKey,
   readSlotsFile,
 } from "@/lib/slotCurator";
 import { findMatchingLocalClip, loadClipIndex, loadSharedClipIndex } from "@/lib/localClipStore";
+import { LIKED_CLIP_WEIGHT, getClipRatingIndex } from "@/lib/movieAnnotation";
 import getEditorImportsDir from "@/lib/editorImportsDir";
 
 const EDITOR_IMPORTS_DIR = getEditorImportsDir();
@@ -37,7 +39,13 @@ const ensureDir = async (dirPath: string) => {
   await fsp.mkdir(dirPath, { recursive: true });
 };
 
-const chooseCandidate = (rng: () => number, candidates: SlotCandidate[], lastId: string | null) => {
+const chooseCandidate = (
+  rng: () => number,
+  candidates: SlotCandidate[],
+  lastId: string | null,
+  usedGroups: Set<string> = new Set(),
+  liked: Set<SlotCandidate> = new Set()
+) => {
   if (!candidates.length) return null;
   const filtered =
     lastId === null
@@ -46,9 +54,18 @@ const chooseCandidate = (rng: () => number, candidates: SlotCandidate[], lastId:
           const id = cand.videoId || cand.indexId || cand.cloudinaryId || null;
           return id ? id !== lastId : true;
         });
-  const pool = filtered.length ? filtered : candidates;
-  const idx = Math.floor(rng() * pool.length);
-  return pool[Math.max(0, Math.min(idx, pool.length - 1))];
+  const spaced = filtered.length ? filtered : candidates;
+  // A near-duplicate group counts as one clip: skip groups already placed while others remain
+  const fresh = spaced.filter((cand) => !usedGroups.has(candidateGroupKey(cand)));
+  const pool = fresh.length ? fresh : spaced;
+  // Liked candidates weigh LIKED_CLIP_WEIGHT, the rest 1 (one rng draw either way)
+  const weights = pool.map((cand) => (liked.has(cand) ? LIKED_CLIP_WEIGHT : 1));
+  let target = rng() * weights.reduce((sum, weight) => sum + weight, 0);
+  for (let idx = 0; idx < pool.length; idx += 1) {
+    target -= weights[idx];
+    if (target < 0) return pool[idx];
+  }
+  return pool[pool.length - 1];
 };
 
 const sanitizeCandidatesForSlot = (segment: SlotSegment) =>
@@ -89,6 +106,7 @@ export async function assembleSlotPlan({
 
   let cursorSeconds = 0;
   let lastId: string | null = null;
+  const usedGroups = new Set<string>();
   const placements: { slot: number; candidate: SlotCandidate; targetDuration: number }[] = [];
   const planSegments: any[] = [];
 
@@ -130,7 +148,11 @@ export async function assembleSlotPlan({
         `Slot ${segment.slot} (${durationKey(segment.targetDuration)}s) has no duration-matching candidates.`
       );
     }
-    const pick = chooseCandidate(rng, validCandidates, lastId);
+    // Editor thumbs up/down: disliked candidates only when the slot has nothing else
+    const ratings = getClipRatingIndex(validCandidates);
+    const notDisliked = validCandidates.filter((_, idx) => !ratings.disliked.has(idx));
+    const liked = new Set(validCandidates.filter((_, idx) => ratings.liked.has(idx)));
+    const pick = chooseCandidate(rng, notDisliked.length ? notDisliked : validCandidates, lastId, usedGroups, liked);
     if (!pick) {
       throw new Error(`Slot ${segment.slot} failed to select a candidate.`);
     }
@@ -206,6 +228,7 @@ export async function assembleSlotPlan({
 
     cursorSeconds = endSeconds;
     lastId = pick.videoId || pick.indexId || pick.cloudinaryId || lastId;
+    usedGroups.add(candidateGroupKey(pick));
   });
 
   const fps = normalizeNumber(slots.header?.fps, normalizeNumber(format?.meta?.targetFps, 30)) || 30;
@@ -48,7 +48,8 @@ export const TimelineItemContent: React.FC<TimelineItemContentProps> = ({
   const waveformResult = useWaveformProcessor(
     type === TrackItemType.AUDIO && data?.src ? data.src : undefined,
     audioContentStart, // Start time in seconds
-    end - start // Duration in seconds
+    end - start, // Duration in seconds
+    dimensions.width // Rendered width, so zooming fetches finer peaks
   );
 
   // Generate thumbnail data - always call the hook but conditionally pass parameters
@@ -3,6 +3,10 @@ import { useState, useEffect, useRef } from 'react';
 interface WaveformData {
   peaks: number[];
   length: number;
+  // Set when the peaks came from the server pyramid
+  min?: number[];
+  max?: number[];
+  level?: number;
 }
 
 interface WaveformResult {
@@ -11,17 +15,70 @@ interface WaveformResult {
 }
 
 // Global waveform cache to store processed waveform data
-// Key format: "src:startTime:duration" 
+// Key format: "src:startTime:duration:points"
 const waveformCache = new Map<string, WaveformData>();
 
+const MIN_SERVER_POINTS = 64;
+
+/**
+ * Same-site media can be served from the waveform peak pyramid; returns the
+ * path to pass as `src`, or null for remote / blob sources.
+ */
+const getServerMediaPath = (src: string): string | null => {
+  if (src.startsWith('/')) return src;
+  if (typeof window !== 'undefined' && src.startsWith(window.location.origin + '/')) {
+    return src.slice(window.location.origin.length);
+  }
+  return null;
+};
+
 /**
- * Simple, reliable waveform processor hook with caching
- * Generates waveform data for audio timeline items
+ * Fetch peaks for [startTime, startTime + duration) at the pyramid level that
+ * fits `points`. Returns null when the server can't analyze the source.
+ */
+const fetchServerPeaks = async (
+  src: string,
+  startTime: number,
+  duration: number,
+  points: number,
+  signal: AbortSignal
+): Promise<WaveformData | null> => {
+  const mediaPath = getServerMediaPath(src);
+  if (!mediaPath) return null;
+
+  const params = new URLSearchParams({
+    src: mediaPath,
+    start: startTime.toFixed(3),
+    end: (startTime + duration).toFixed(3),
+    points: String(points),
+  });
+  const response = await fetch(`/api/waveform/peaks?${params}`, { signal });
+  if (!response.ok) return null;
+  const result = await response.json();
+  if (!Array.isArray(result.rms) || !result.rms.length) return null;
+
+  const maxRms = Math.max(...result.rms, 0.001);
+  return {
+    peaks: result.rms.map((value: number) => value / maxRms),
+    min: result.min,
+    max: result.max,
+    level: result.level,
+    length: result.samplesPerPoint * result.rms.length,
+  };
+};
+
+/**
+ * Waveform processor hook with caching
+ * Generates waveform data for audio timeline items. Peaks come from the
+ * server's peak pyramid at the detail `pixelWidth` can show (so zooming in
+ * fetches finer levels); sources the server can't read are decoded in the
+ * browser instead.
  */
 export function useWaveformProcessor(
   src: string | undefined,
   startTime: number = 0, // in seconds
-  duration: number // in seconds
+  duration: number, // in seconds
+  pixelWidth?: number // rendered width of the item, in pixels
 ): WaveformResult {
   const [waveformData, setWaveformData] = useState<WaveformData | null>(null);
   const [isLoading, setIsLoading] = useState(false);
@@ -41,8 +98,14 @@ export function useWaveformProcessor(
       return;
     }
 
+    // Request one point per pixel, rounded up to a power of two so small
+    // width changes reuse the same level
+    const points = pixelWidth && pixelWidth > 0
+      ? Math.max(MIN_SERVER_POINTS, 2 ** Math.ceil(Math.log2(pixelWidth)))
+      : Math.max(10, Math.floor(duration * 100));
+
     // Check cache first
-    const cacheKey = `${src}:${startTime.toFixed(3)}:${duration.toFixed(3)}`;
+    const cacheKey = `${src}:${startTime.toFixed(3)}:${duration.toFixed(3)}:${points}`;
     const cachedData = waveformCache.get(cacheKey);
     if (cachedData) {
       setWaveformData(cachedData);
@@ -57,6 +120,18 @@ export function useWaveformProcessor(
       setIsLoading(true);
 
       try {
+        const serverPeaks = await fetchServerPeaks(src, startTime, duration, points, abortController.signal)
+          .catch((error) => {
+            if (error?.name === 'AbortError') throw error;
+            return null;
+          });
+        if (abortController.signal.aborted) return;
+        if (serverPeaks) {
+          setWaveformData(serverPeaks);
+          waveformCache.set(cacheKey, serverPeaks);
+          return;
+        }
+
         const response = await fetch(src, { signal: abortController.signal });
         const arrayBuffer = await response.arrayBuffer();
         
@@ -76,8 +151,8 @@ export function useWaveformProcessor(
         const clampedStartSample = Math.max(0, Math.min(startSample, channelData.length));
         const clampedEndSample = Math.max(clampedStartSample, Math.min(endSample, channelData.length));
         
-        // Generate peaks for the time slice (aim for ~100 peaks per second of audio)
-        const targetPeaks = Math.max(10, Math.floor(duration * 100));
+        // Generate peaks for the time slice
+        const targetPeaks = points;
         const samplesPerPeak = Math.max(1, Math.floor((clampedEndSample - clampedStartSample) / targetPeaks));
         
         const peaks: number[] = [];
@@ -138,12 +213,12 @@ export function useWaveformProcessor(
         abortControllerRef.current.abort();
       }
     };
-  }, [src, startTime, duration]);
+  }, [src, startTime, duration, pixelWidth]);
 
   return { data: waveformData, isLoading };
 }
 
 // Utility function to clear any cached data if needed
 export function clearWaveformCache(): void {
-  // No-op for now since we're not caching
+  waveformCache.clear();
 } 
\ No newline at end of file
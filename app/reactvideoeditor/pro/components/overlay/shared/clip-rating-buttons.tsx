@@ -0,0 +1,213 @@
+/**
+ * ClipRatingButtons Component
+ *
+ * Thumbs up/down for a source-video range (a search result or a segment
+ * video on the timeline). Picking a thumb asks for a reason tag, then the
+ * rating is stored in the movie annotation likes/dislikes via
+ * /api/clip-ratings, where every planner picks it up. Clicking the active
+ * thumb again removes the rating. Ratings are kept per registry video, so
+ * nothing renders for clips whose source has none (the default NBA pool).
+ */
+import React, { useCallback, useEffect, useState } from "react";
+import { ThumbsDown, ThumbsUp } from "lucide-react";
+
+type Rating = "like" | "dislike";
+
+export type ClipRatingState = {
+  rating: Rating;
+  id: string;
+};
+
+export type ClipRatingSource = {
+  videoId?: string | null;
+  cloudinaryId?: string | null;
+  start: number;
+  end: number;
+  poolClipId?: string | number | null;
+};
+
+interface ClipRatingButtonsProps extends ClipRatingSource {
+  /** Where the rating was made ("editor" or "search") */
+  origin: "editor" | "search";
+  /** Rating already known by the caller (e.g. from search results); only read on mount */
+  initialRating?: ClipRatingState | null;
+  /** Look up the stored rating for this range on mount */
+  fetchExisting?: boolean;
+}
+
+let reasonsCache: Record<Rating, string[]> | null = null;
+// Whether /api/clip-ratings accepts a source, by videoId|cloudinaryId
+const rateableCache = new Map<string, boolean>();
+
+const sourceKey = ({ videoId, cloudinaryId }: Pick<ClipRatingSource, "videoId" | "cloudinaryId">) =>
+  `${videoId || ""}|${cloudinaryId || ""}`;
+
+const buildQuery = ({ videoId, cloudinaryId, start, end }: ClipRatingSource) => {
+  const params = new URLSearchParams({ start: String(start), end: String(end) });
+  if (videoId) params.set("videoId", videoId);
+  if (cloudinaryId) params.set("cloudinaryId", cloudinaryId);
+  return params.toString();
+};
+
+/**
+ * Source range of a timeline video overlay: segment videos imported from
+ * plans carry it in `meta`, search clips in `cloudinary` provenance.
+ */
+export const getOverlayClipSource = (overlay: any): ClipRatingSource | null => {
+  const meta = overlay?.meta || {};
+  const provenance = overlay?.cloudinary || {};
+  const videoId = meta.videoId || null;
+  const cloudinaryId = meta.cloudinaryId || provenance.basePublicId || null;
+  const start = Number(meta.start ?? provenance.start);
+  const end = Number(meta.end ?? provenance.end);
+  if ((!videoId && !cloudinaryId) || !Number.isFinite(start) || !Number.isFinite(end) || end <= start) {
+    return null;
+  }
+  return { videoId, cloudinaryId, start, end, poolClipId: meta.poolClipId ?? null };
+};
+
+export const ClipRatingButtons: React.FC<ClipRatingButtonsProps> = ({
+  videoId,
+  cloudinaryId,
+  start,
+  end,
+  poolClipId,
+  origin,
+  initialRating = null,
+  fetchExisting = false,
+}) => {
+  const [current, setCurrent] = useState<ClipRatingState | null>(initialRating);
+  const [pending, setPending] = useState<Rating | null>(null);
+  const [reasons, setReasons] = useState<Record<Rating, string[]> | null>(reasonsCache);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const key = sourceKey({ videoId, cloudinaryId });
+  const [rateable, setRateable] = useState<boolean | null>(rateableCache.get(key) ?? null);
+
+  /**
+   * Loads whether the source can be rated, the reason tags and (unless
+   * `applyRating` is false) the stored rating for this range
+   */
+  const refresh = useCallback(
+    async (applyRating = true) => {
+      const res = await fetch(`/api/clip-ratings?${buildQuery({ videoId, cloudinaryId, start, end })}`);
+      if (!res.ok) throw new Error("Failed to load clip rating");
+      const data = await res.json();
+      reasonsCache = data.reasons || reasonsCache;
+      setReasons(reasonsCache);
+      rateableCache.set(key, data.rateable !== false);
+      setRateable(data.rateable !== false);
+      if (!applyRating) return;
+      const stored = Array.isArray(data.ratings) ? data.ratings[0] : null;
+      setCurrent(stored ? { rating: stored.rating, id: stored.id } : null);
+    },
+    [videoId, cloudinaryId, start, end, key]
+  );
+
+  useEffect(() => {
+    setPending(null);
+    if (fetchExisting || !rateableCache.has(key)) {
+      refresh(fetchExisting).catch(() => {});
+    }
+  }, [refresh, fetchExisting, key]);
+
+  /**
+   * Opens the reason picker, or removes the rating when its thumb is active
+   */
+  const handleThumb = async (rating: Rating) => {
+    setError(null);
+    if (current?.rating === rating) {
+      setBusy(true);
+      try {
+        const res = await fetch(`/api/clip-ratings?id=${encodeURIComponent(current.id)}`, { method: "DELETE" });
+        if (!res.ok && res.status !== 404) throw new Error("Failed to remove rating");
+        setCurrent(null);
+      } catch (err: any) {
+        setError(err?.message || "Failed to remove rating");
+      } finally {
+        setBusy(false);
+      }
+      return;
+    }
+    setPending((prev) => (prev === rating ? null : rating));
+    if (!reasons) {
+      refresh().catch(() => setError("Failed to load reasons"));
+    }
+  };
+
+  /**
+   * Saves the pending thumb with the chosen reason tag
+   */
+  const handleReason = async (reason: string) => {
+    if (!pending) return;
+    setBusy(true);
+    setError(null);
+    try {
+      const res = await fetch("/api/clip-ratings", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ rating: pending, videoId, cloudinaryId, start, end, reason, origin, poolClipId }),
+      });
+      const data = await res.json().catch(() => null);
+      if (!res.ok) throw new Error(data?.details?.join("; ") || data?.error || "Failed to save rating");
+      setCurrent({ rating: data.rating.rating, id: data.rating.id });
+      setPending(null);
+    } catch (err: any) {
+      setError(err?.message || "Failed to save rating");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (!rateable) return null;
+
+  const thumbClass = (rating: Rating) => {
+    const active = current?.rating === rating || pending === rating;
+    if (!active) return "bg-muted/50 text-muted-foreground hover:bg-muted";
+    return rating === "like" ? "bg-emerald-500/20 text-emerald-400" : "bg-destructive/20 text-destructive";
+  };
+
+  return (
+    <div className="space-y-1.5">
+      <div className="flex items-center gap-1.5">
+        <button
+          type="button"
+          title={current?.rating === "like" ? "Remove like" : "Like this clip"}
+          onClick={() => handleThumb("like")}
+          disabled={busy}
+          className={`rounded-md p-1.5 transition-colors disabled:opacity-50 ${thumbClass("like")}`}
+        >
+          <ThumbsUp className="h-3.5 w-3.5" />
+        </button>
+        <button
+          type="button"
+          title={current?.rating === "dislike" ? "Remove dislike" : "Dislike this clip"}
+          onClick={() => handleThumb("dislike")}
+          disabled={busy}
+          className={`rounded-md p-1.5 transition-colors disabled:opacity-50 ${thumbClass("dislike")}`}
+        >
+          <ThumbsDown className="h-3.5 w-3.5" />
+        </button>
+        {pending && <span className="text-xs text-muted-foreground">Why?</span>}
+      </div>
+
+      {pending && (
+        <div className="flex flex-wrap gap-1">
+          {(reasons?.[pending] || []).map((reason) => (
+            <button
+              key={reason}
+              type="button"
+              onClick={() => handleReason(reason)}
+              disabled={busy}
+              className="rounded-md bg-muted/50 px-2 py-1 text-xs text-muted-foreground transition-colors hover:bg-muted disabled:opacity-50"
+            >
+              {reason}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {error && <div className="text-xs text-destructive">{error}</div>}
+    </div>
+  );
+};
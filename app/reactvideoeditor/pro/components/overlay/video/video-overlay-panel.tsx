@@ -302,6 +302,13 @@ export const VideoOverlayPanel: React.FC = () => {
             src: objectUrl,
             videoStartTime: 0,
             mediaSrcDuration: clipDurationSeconds,
+            // Source range, so the editor can rate the clip (thumbs up/down)
+            meta: {
+              cloudinaryId: clip.cloudinaryId,
+              poolClipId: clip.id ?? null,
+              start: startOffset,
+              end: startOffset + clipDurationSeconds,
+            },
             styles: {
               opacity: 1,
               zIndex: 100,
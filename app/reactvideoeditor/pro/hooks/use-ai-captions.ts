@@ -1,10 +1,11 @@
-import { useState, useCallback } from 'react';
+import { useState, useCallback, useEffect } from 'react';
 import { Caption } from '../types';
 
 interface GenerateCaptionsParams {
   videoSrc: string;
   language?: string;
   outputFormat?: string;
+  provider?: string;
 }
 
 export const useAICaptions = () => {
@@ -14,9 +15,23 @@ export const useAICaptions = () => {
   const [progress, setProgress] = useState<number | undefined>(undefined);
   const [error, setError] = useState<string | null>(null);
 
-  // Check if AI service is configured (has API key)
-  // TODO: Lots of work to do here relating to ai integrations.
-  const isServiceReady = false;
+  // False when no transcription provider is configured, or only the fixture one is named
+  const [isServiceReady, setIsServiceReady] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    fetch('/api/ai/captions')
+      .then((response) => (response.ok ? response.json() : null))
+      .then((status) => {
+        if (!cancelled) setIsServiceReady(Boolean(status?.ready));
+      })
+      .catch(() => {
+        if (!cancelled) setIsServiceReady(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
 
   const generateCaptions = useCallback(async (params: GenerateCaptionsParams): Promise<Caption[]> => {
     setIsProcessing(true);
@@ -26,51 +41,7 @@ export const useAICaptions = () => {
     setProgress(0);
 
     try {
-      // If no API key, return demo captions
-      if (!isServiceReady) {
-        // Simulate processing
-        for (let i = 0; i <= 100; i += 10) {
-          setProgress(i);
-          await new Promise(resolve => setTimeout(resolve, 200));
-        }
-
-        // Return demo captions
-        const demoCaptions: Caption[] = [
-          {
-            text: "This is a demo caption.",
-            startMs: 0,
-            endMs: 2000,
-            timestampMs: null,
-            confidence: 0.95,
-            words: [
-              { word: "This", startMs: 0, endMs: 300, confidence: 0.95 },
-              { word: "is", startMs: 300, endMs: 500, confidence: 0.95 },
-              { word: "a", startMs: 500, endMs: 600, confidence: 0.95 },
-              { word: "demo", startMs: 600, endMs: 1000, confidence: 0.95 },
-              { word: "caption.", startMs: 1000, endMs: 2000, confidence: 0.95 },
-            ]
-          },
-          {
-            text: "AI service not configured.",
-            startMs: 2500,
-            endMs: 4500,
-            timestampMs: null,
-            confidence: 0.95,
-            words: [
-              { word: "AI", startMs: 2500, endMs: 2800, confidence: 0.95 },
-              { word: "service", startMs: 2800, endMs: 3300, confidence: 0.95 },
-              { word: "not", startMs: 3300, endMs: 3600, confidence: 0.95 },
-              { word: "configured.", startMs: 3600, endMs: 4500, confidence: 0.95 },
-            ]
-          }
-        ];
-
-        setIsCompleted(true);
-        setProgress(100);
-        return demoCaptions;
-      }
-
-      // Call the AI service
+      // Without a configured provider the route answers with an error naming what to set
       setProgress(25);
       const response = await fetch('/api/ai/captions', {
         method: 'POST',
@@ -83,7 +54,8 @@ export const useAICaptions = () => {
       setProgress(75);
 
       if (!response.ok) {
-        throw new Error(`AI service error: ${response.status}`);
+        const body = await response.json().catch(() => null);
+        throw new Error(body?.error || `AI service error: ${response.status}`);
       }
 
       const result = await response.json();
@@ -99,7 +71,7 @@ export const useAICaptions = () => {
     } finally {
       setIsProcessing(false);
     }
-  }, [isServiceReady]);
+  }, []);
 
   const reset = useCallback(() => {
     setIsProcessing(false);
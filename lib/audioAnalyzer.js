@@ -2,6 +2,9 @@ import fs from "fs";
 import path from "path";
 
 import { analyzeWaveform } from "./audioWaveformAnalyzer";
+import { trackBeats, DEFAULT_BEATS_PER_BAR } from "./beatTracker";
+import { segmentSong } from "./songStructure";
+import { detectRapidRanges } from "./rapidRangeDetector";
 
 /**
  * Derive a BPM estimate from a list of beat timestamps.
@@ -39,12 +42,19 @@ const deriveBpm = (beatGrid) => {
 };
 
 /**
- * Analyze an audio file and return beat grid + metadata.
+ * Analyze an audio file and return beat grid, section map + metadata.
+ *
+ * Beats come from the tempo-tracking beat tracker (tempo induction + beat
+ * alignment across the whole song). If the tracker cannot lock onto a tempo
+ * (e.g. ambient or very short audio) we fall back to thresholded onsets.
+ * Sections come from band-energy self-similarity and snap to tracked bars.
+ * Rapid clip range proposals come from onset density and treble spikes.
+ *
  * @param {string} songPath absolute path to file
- * @param {{minSpacing?: number}} opts
+ * @param {{minSpacing?: number, beatsPerBar?: number}} opts
  */
 export const analyzeSong = async (songPath, opts = {}) => {
-  const { minSpacing = 0.3 } = opts;
+  const { minSpacing = 0.3, beatsPerBar = DEFAULT_BEATS_PER_BAR } = opts;
 
   if (!songPath) {
     throw new Error("songPath is required");
@@ -57,9 +67,18 @@ export const analyzeSong = async (songPath, opts = {}) => {
     throw new Error(`Audio file not found: ${resolvedPath}`);
   }
 
-  // Analyze waveform + beats
-  const waveform = await analyzeWaveform(resolvedPath, { targetPoints: 700 });
-  const beats = Array.isArray(waveform.beats) ? waveform.beats : [];
+  // Analyze waveform + onset envelope
+  const waveform = await analyzeWaveform(resolvedPath, {
+    targetPoints: 700,
+    includeOnsetEnvelope: true,
+  });
+  const tracked = trackBeats(waveform.onsetEnvelope, { beatsPerBar });
+  const useTracker = tracked.beats.length >= 2;
+  const beats = useTracker
+    ? tracked.beats.map((beat) => beat.time)
+    : Array.isArray(waveform.beats)
+    ? waveform.beats
+    : [];
 
   // Enforce min spacing between beats if provided
   const beatGrid = [];
@@ -69,15 +88,42 @@ export const analyzeSong = async (songPath, opts = {}) => {
     }
   }
 
-  const { bpm, confidence } = deriveBpm(beatGrid);
+  const kept = new Set(beatGrid);
+  const trackedBeats = useTracker ? tracked.beats.filter((beat) => kept.has(beat.time)) : [];
+  const downbeatBeats = trackedBeats.filter((beat) => beat.isDownbeat);
+  const downbeats = downbeatBeats.map((beat) => beat.time);
+  // Bars span the kept downbeats; one dropped by minSpacing merges into the bar before it
+  const songEnd = tracked.bars[tracked.bars.length - 1]?.end;
+  const bars = downbeatBeats.map((beat, idx) => ({
+    number: beat.bar,
+    start: beat.time,
+    end: idx < downbeatBeats.length - 1 ? downbeatBeats[idx + 1].time : songEnd,
+  }));
+
+  const sections = segmentSong(waveform, { bars });
+  const rapidClipProposals = detectRapidRanges(waveform, { beats: beatGrid });
+
+  const { bpm, confidence } = useTracker
+    ? { bpm: tracked.bpm, confidence: tracked.tempoConfidence.toFixed(2) }
+    : deriveBpm(beatGrid);
 
   return {
     beatGrid,
+    beats: trackedBeats,
+    downbeats,
+    bars,
+    sections,
+    rapidClipProposals,
     meta: {
       durationSeconds: waveform.meta?.durationSeconds ?? null,
       bpm,
       bpmConfidence: confidence,
       beatCount: beatGrid.length,
+      beatsPerBar: useTracker ? tracked.beatsPerBar : null,
+      downbeatConfidence: useTracker ? tracked.downbeatConfidence : null,
+      beatSource: useTracker ? "tempo-tracker" : "onsets",
+      sectionCount: sections.length,
+      rapidProposalCount: rapidClipProposals.length,
       analyzedAt: waveform.meta?.analyzedAt ?? new Date().toISOString(),
     },
   };
@@ -4,11 +4,16 @@
  * Provides detailed audio analysis with multiple frequency bands for visualization.
  * Generates waveform data suitable for rendering in the timeline.
  *
+ * PCM is streamed from ffmpeg in chunks and analyzed incrementally, so memory
+ * stays bounded by one analysis window instead of the whole song.
+ *
  * Features:
  * - Overall volume/amplitude envelope
  * - Frequency band separation (sub-bass, bass, low-mids, mids, high-mids, treble, brilliance)
  * - Beat/onset detection
+ * - Onset strength envelope for tempo tracking (see beatTracker.js)
  * - Spectral flux for energy changes
+ * - Multi-resolution min/max/RMS peak pyramid for zoomable timelines
  */
 
 import fs from "fs";
@@ -48,6 +53,7 @@ const getFFmpegPath = () => {
 
 const ffmpegPath = getFFmpegPath();
 const TARGET_SAMPLE_RATE = 44100;
+const FFT_SIZE = 2048; // Power of 2 for the radix-2 FFT
 
 // Frequency band definitions (Hz)
 const FREQUENCY_BANDS = {
@@ -61,9 +67,13 @@ const FREQUENCY_BANDS = {
 };
 
 /**
- * Decode audio to PCM
+ * Stream audio from ffmpeg as mono 16-bit PCM.
+ * Calls onSamples with each decoded chunk; resolves with the total sample count.
+ * @param {string} songPath - Path to the audio file
+ * @param {(samples: Int16Array) => void} onSamples - Chunk consumer
+ * @returns {Promise<number>}
  */
-const decodeToPCM = (songPath) =>
+const streamPCM = (songPath, onSamples) =>
   new Promise((resolve, reject) => {
     const args = [
       "-i",
@@ -81,50 +91,108 @@ const decodeToPCM = (songPath) =>
     ];
 
     const proc = spawn(ffmpegPath, args);
-    const chunks = [];
     let stderr = "";
-
-    proc.stdout.on("data", (chunk) => chunks.push(chunk));
+    let totalSamples = 0;
+    let failed = false;
+    // A chunk can end mid-sample; carry the odd byte into the next chunk
+    let carry = null;
+
+    proc.stdout.on("data", (chunk) => {
+      if (failed) return;
+      const bytes = carry ? Buffer.concat([carry, chunk]) : chunk;
+      const usable = bytes.length - (bytes.length % 2);
+      carry = usable < bytes.length ? bytes.subarray(usable) : null;
+      if (!usable) return;
+
+      // Copy so the Int16Array is aligned regardless of the Buffer's offset
+      const samples = new Int16Array(usable / 2);
+      for (let i = 0; i < samples.length; i++) {
+        samples[i] = bytes.readInt16LE(i * 2);
+      }
+      totalSamples += samples.length;
+      try {
+        onSamples(samples);
+      } catch (err) {
+        failed = true;
+        proc.kill();
+        reject(err);
+      }
+    });
     proc.stderr.on("data", (chunk) => (stderr += chunk.toString()));
     proc.on("error", reject);
     proc.on("close", (code) => {
+      if (failed) return;
       if (code !== 0) {
         reject(new Error(`ffmpeg exited with code ${code}: ${stderr}`));
         return;
       }
-      resolve(Buffer.concat(chunks));
+      resolve(totalSamples);
     });
   });
 
 /**
- * Simple FFT implementation for frequency analysis
- * Using a basic DFT for simplicity - works well for visualization purposes
+ * Create an iterative radix-2 FFT for a fixed power-of-2 size.
+ * Twiddle factors and the bit-reversal table are computed once.
+ * The returned function takes real samples (already windowed) and returns
+ * magnitudes for the first N/2 bins, scaled by 1/N.
+ * @param {number} size - FFT size (power of 2)
+ * @returns {(samples: Float32Array) => Float32Array}
  */
-const computeFFT = (samples) => {
-  const N = samples.length;
-  const real = new Float32Array(N);
-  const imag = new Float32Array(N);
-
-  // Compute DFT
-  for (let k = 0; k < N; k++) {
-    let sumReal = 0;
-    let sumImag = 0;
-    for (let n = 0; n < N; n++) {
-      const angle = (2 * Math.PI * k * n) / N;
-      sumReal += samples[n] * Math.cos(angle);
-      sumImag -= samples[n] * Math.sin(angle);
+const createFFT = (size) => {
+  if (size < 2 || (size & (size - 1)) !== 0) {
+    throw new Error(`FFT size must be a power of 2 (got ${size})`);
+  }
+
+  const levels = Math.log2(size);
+  const reversed = new Uint32Array(size);
+  for (let i = 0; i < size; i++) {
+    let rev = 0;
+    for (let bit = 0; bit < levels; bit++) {
+      rev = (rev << 1) | ((i >>> bit) & 1);
     }
-    real[k] = sumReal;
-    imag[k] = sumImag;
+    reversed[i] = rev;
   }
 
-  // Compute magnitudes
-  const magnitudes = new Float32Array(N / 2);
-  for (let k = 0; k < N / 2; k++) {
-    magnitudes[k] = Math.sqrt(real[k] * real[k] + imag[k] * imag[k]) / N;
+  const cosTable = new Float64Array(size / 2);
+  const sinTable = new Float64Array(size / 2);
+  for (let i = 0; i < size / 2; i++) {
+    cosTable[i] = Math.cos((2 * Math.PI * i) / size);
+    sinTable[i] = Math.sin((2 * Math.PI * i) / size);
   }
 
-  return magnitudes;
+  const real = new Float64Array(size);
+  const imag = new Float64Array(size);
+
+  return (samples) => {
+    for (let i = 0; i < size; i++) {
+      real[reversed[i]] = samples[i] || 0;
+      imag[i] = 0;
+    }
+
+    for (let half = 1; half < size; half *= 2) {
+      const step = size / (half * 2);
+      for (let start = 0; start < size; start += half * 2) {
+        for (let k = 0; k < half; k++) {
+          const even = start + k;
+          const odd = even + half;
+          const wr = cosTable[k * step];
+          const wi = -sinTable[k * step];
+          const tr = real[odd] * wr - imag[odd] * wi;
+          const ti = real[odd] * wi + imag[odd] * wr;
+          real[odd] = real[even] - tr;
+          imag[odd] = imag[even] - ti;
+          real[even] += tr;
+          imag[even] += ti;
+        }
+      }
+    }
+
+    const magnitudes = new Float32Array(size / 2);
+    for (let k = 0; k < size / 2; k++) {
+      magnitudes[k] = Math.sqrt(real[k] * real[k] + imag[k] * imag[k]) / size;
+    }
+    return magnitudes;
+  };
 };
 
 /**
@@ -147,69 +215,127 @@ const getBandEnergy = (magnitudes, sampleRate, fftSize, minFreq, maxFreq) => {
 };
 
 /**
- * Build waveform data with frequency bands
- * @param {Int16Array} int16 - PCM samples
+ * Incremental waveform builder. Feed PCM chunks with push(), then call
+ * finish() with the decoded sample count.
+ *
+ * Points are laid out from the expected sample count (from container
+ * metadata) so they can be emitted while decoding. Each point takes the RMS
+ * of its samples and band energies from a Hann-windowed FFT starting at the
+ * point, matching the layout of a whole-buffer analysis.
+ *
  * @param {number} sampleRate - Sample rate
- * @param {number} windowMs - Analysis window in milliseconds
+ * @param {number} expectedSamples - Expected total samples (duration * sampleRate)
  * @param {number} targetPoints - Target number of points in output
- * @returns {Object} - Waveform data for each band
+ * @returns {{ push: (samples: Int16Array) => void, finish: (totalSamples: number) => Object }}
  */
-const buildWaveformData = (int16, sampleRate, windowMs = 50, targetPoints = 500) => {
-  const totalSamples = int16.length;
-  const durationSeconds = totalSamples / sampleRate;
-
+const createWaveformBuilder = (sampleRate, expectedSamples, targetPoints = 500) => {
   // Calculate window size - we want targetPoints data points
-  const samplesPerPoint = Math.floor(totalSamples / targetPoints);
-  const fftSize = 2048; // Power of 2 for FFT
+  const samplesPerPoint = Math.max(1, Math.floor(expectedSamples / targetPoints));
+  const fftSize = FFT_SIZE;
+  const fft = createFFT(fftSize);
+  const hann = new Float32Array(fftSize);
+  for (let j = 0; j < fftSize; j++) {
+    hann[j] = 0.5 * (1 - Math.cos((2 * Math.PI * j) / (fftSize - 1)));
+  }
+  // A point is ready once its RMS span and FFT window are both buffered
+  const pointSpan = Math.max(samplesPerPoint, fftSize);
 
-  // Initialize output arrays
-  const numPoints = Math.min(targetPoints, Math.floor(totalSamples / samplesPerPoint));
-  const volume = new Float32Array(numPoints);
+  const plannedPoints = Math.max(1, Math.min(targetPoints, Math.floor(expectedSamples / samplesPerPoint)));
+  const volume = new Float32Array(plannedPoints);
   const bands = {};
-
   Object.keys(FREQUENCY_BANDS).forEach((band) => {
-    bands[band] = new Float32Array(numPoints);
+    bands[band] = new Float32Array(plannedPoints);
   });
 
-  // Process each window
-  for (let i = 0; i < numPoints; i++) {
-    const startSample = i * samplesPerPoint;
-    const endSample = Math.min(startSample + samplesPerPoint, totalSamples);
+  // Pending samples start at absolute index pendingStart
+  let pending = new Int16Array(0);
+  let pendingStart = 0;
+  let nextPoint = 0;
+  const windowSamples = new Float32Array(fftSize);
+
+  const processPoint = (pointIndex, availableEnd) => {
+    const startSample = pointIndex * samplesPerPoint;
+    const endSample = Math.min(startSample + samplesPerPoint, availableEnd);
+    const offset = startSample - pendingStart;
 
     // Calculate RMS for volume
     let sumSquares = 0;
-    for (let j = startSample; j < endSample; j++) {
-      const sample = int16[j] / 32768;
+    for (let j = offset; j < offset + (endSample - startSample); j++) {
+      const sample = pending[j] / 32768;
       sumSquares += sample * sample;
     }
-    volume[i] = Math.sqrt(sumSquares / (endSample - startSample));
-
-    // For frequency analysis, take a window for FFT
-    const fftStart = Math.max(0, startSample);
-    const fftEnd = Math.min(fftStart + fftSize, totalSamples);
-    const windowSamples = new Float32Array(fftSize);
+    volume[pointIndex] = endSample > startSample ? Math.sqrt(sumSquares / (endSample - startSample)) : 0;
 
+    // Hann-windowed FFT frame starting at the point, zero-padded past the end
+    const fftEnd = Math.min(startSample + fftSize, availableEnd);
     for (let j = 0; j < fftSize; j++) {
-      const idx = fftStart + j;
-      if (idx < fftEnd) {
-        // Apply Hann window for smoother results
-        const hannWindow = 0.5 * (1 - Math.cos((2 * Math.PI * j) / (fftSize - 1)));
-        windowSamples[j] = (int16[idx] / 32768) * hannWindow;
-      }
+      windowSamples[j] = startSample + j < fftEnd ? (pending[offset + j] / 32768) * hann[j] : 0;
     }
-
-    // Compute FFT
-    const magnitudes = computeFFT(windowSamples);
+    const magnitudes = fft(windowSamples);
 
     // Extract energy for each frequency band
     Object.entries(FREQUENCY_BANDS).forEach(([band, { min, max }]) => {
-      bands[band][i] = getBandEnergy(magnitudes, sampleRate, fftSize, min, max);
+      bands[band][pointIndex] = getBandEnergy(magnitudes, sampleRate, fftSize, min, max);
     });
-  }
+  };
+
+  const push = (samples) => {
+    const merged = new Int16Array(pending.length + samples.length);
+    merged.set(pending, 0);
+    merged.set(samples, pending.length);
+    pending = merged;
 
+    const availableEnd = pendingStart + pending.length;
+    while (nextPoint < plannedPoints && nextPoint * samplesPerPoint + pointSpan <= availableEnd) {
+      processPoint(nextPoint, Infinity);
+      nextPoint++;
+    }
+
+    // Drop samples no remaining point needs
+    const keepFrom = Math.min(nextPoint * samplesPerPoint, availableEnd);
+    if (keepFrom > pendingStart) {
+      pending = pending.slice(keepFrom - pendingStart);
+      pendingStart = keepFrom;
+    }
+  };
+
+  const finish = (totalSamples) => {
+    const numPoints = Math.max(
+      1,
+      Math.min(plannedPoints, Math.floor(totalSamples / samplesPerPoint))
+    );
+    const availableEnd = Math.min(totalSamples, pendingStart + pending.length);
+    while (nextPoint < numPoints) {
+      processPoint(nextPoint, availableEnd);
+      nextPoint++;
+    }
+    pending = new Int16Array(0);
+
+    return summarizeWaveform({
+      volume: volume.subarray(0, numPoints),
+      bands: Object.fromEntries(
+        Object.entries(bands).map(([band, data]) => [band, data.subarray(0, numPoints)])
+      ),
+      numPoints,
+      samplesPerPoint,
+      sampleRate,
+      durationSeconds: totalSamples / sampleRate,
+    });
+  };
+
+  return { push, finish };
+};
+
+/**
+ * Normalize per-point series and derive spectral flux and onsets.
+ */
+const summarizeWaveform = ({ volume, bands, numPoints, samplesPerPoint, sampleRate, durationSeconds }) => {
   // Normalize all bands to 0-1 range
   const normalizeArray = (arr) => {
-    const maxVal = Math.max(...arr);
+    let maxVal = 0;
+    for (let i = 0; i < arr.length; i++) {
+      if (arr[i] > maxVal) maxVal = arr[i];
+    }
     if (maxVal === 0) return Array.from(arr);
     return Array.from(arr).map((v) => v / maxVal);
   };
@@ -273,6 +399,264 @@ const computeAdaptiveThreshold = (data) => {
   return threshold;
 };
 
+/**
+ * Incremental onset strength envelope for tempo tracking.
+ *
+ * The visualization waveform is far too coarse (one point per ~0.3s) to track
+ * beats, so this runs at a fixed hop (~11.6ms at 44.1kHz). The signal is split
+ * into low/mid/high bands with one-pole filters, and the onset strength is the
+ * half-wave rectified increase in log energy per band. Filter state carries
+ * across push() calls, so chunked input matches a single pass.
+ *
+ * @param {number} sampleRate - Sample rate
+ * @param {Object} options
+ * @param {number} options.hopSize - Samples per envelope frame (default 512)
+ * @returns {{ push: (samples: Int16Array) => void, finish: () => {strength: Float32Array, lowStrength: Float32Array, hopSeconds: number} }}
+ */
+const createOnsetEnvelopeBuilder = (sampleRate, options = {}) => {
+  const { hopSize = 512 } = options;
+  const strength = [];
+  const lowStrength = [];
+
+  const onePoleCoeff = (cutoff) => 1 - Math.exp((-2 * Math.PI * cutoff) / sampleRate);
+  const lowCoeff = onePoleCoeff(150);
+  const midCoeff = onePoleCoeff(4000);
+  let lowState = 0;
+  let midState = 0;
+
+  const compress = (energy) => Math.log(1 + 1000 * energy);
+  let prevLow = 0;
+  let prevMid = 0;
+  let prevHigh = 0;
+
+  // Energy of the frame in progress
+  let lowEnergy = 0;
+  let midEnergy = 0;
+  let highEnergy = 0;
+  let filled = 0;
+
+  const closeFrame = () => {
+    const frame = strength.length;
+    const low = compress(lowEnergy / hopSize);
+    const mid = compress(midEnergy / hopSize);
+    const high = compress(highEnergy / hopSize);
+
+    if (frame > 0) {
+      const lowFlux = Math.max(0, low - prevLow);
+      lowStrength.push(lowFlux);
+      strength.push(lowFlux + Math.max(0, mid - prevMid) + Math.max(0, high - prevHigh));
+    } else {
+      lowStrength.push(0);
+      strength.push(0);
+    }
+    prevLow = low;
+    prevMid = mid;
+    prevHigh = high;
+    lowEnergy = 0;
+    midEnergy = 0;
+    highEnergy = 0;
+    filled = 0;
+  };
+
+  const push = (samples) => {
+    for (let i = 0; i < samples.length; i += 1) {
+      const sample = samples[i] / 32768;
+      lowState += lowCoeff * (sample - lowState);
+      midState += midCoeff * (sample - midState);
+      const low = lowState;
+      const mid = midState - lowState;
+      const high = sample - midState;
+      lowEnergy += low * low;
+      midEnergy += mid * mid;
+      highEnergy += high * high;
+      filled += 1;
+      if (filled === hopSize) closeFrame();
+    }
+  };
+
+  // A trailing partial frame is dropped, as in a whole-buffer pass
+  const finish = () => ({
+    strength: Float32Array.from(strength),
+    lowStrength: Float32Array.from(lowStrength),
+    hopSeconds: hopSize / sampleRate,
+  });
+
+  return { push, finish };
+};
+
+/**
+ * Build a fine-grained onset strength envelope from a PCM buffer.
+ * See createOnsetEnvelopeBuilder for the streaming version.
+ *
+ * @param {Int16Array} int16 - PCM samples
+ * @param {number} sampleRate - Sample rate
+ * @param {Object} options
+ * @param {number} options.hopSize - Samples per envelope frame (default 512)
+ * @returns {{strength: Float32Array, lowStrength: Float32Array, hopSeconds: number}}
+ */
+export const computeOnsetEnvelope = (int16, sampleRate, options = {}) => {
+  const builder = createOnsetEnvelopeBuilder(sampleRate, options);
+  builder.push(int16);
+  return builder.finish();
+};
+
+// Peak pyramids stop merging once a level is this small
+const MIN_PYRAMID_POINTS = 64;
+// Cap level 0 so hour-long media stays a reasonable size on disk
+const MAX_PYRAMID_BASE_POINTS = 200000;
+
+const round4 = (value) => Math.round(value * 10000) / 10000;
+
+/**
+ * Incremental min/max/RMS peak pyramid for zoomable waveforms.
+ *
+ * Level 0 holds one point per `baseWindow` samples; each level above merges
+ * pairs of points (min of mins, max of maxes, RMS of the pair) until a level
+ * has at most MIN_PYRAMID_POINTS. Band energies come from a Hann-windowed FFT
+ * per `bandWindow` samples and are attached to every level at least that
+ * coarse (mean of the merged points, normalized per band to 0-1).
+ *
+ * @param {number} sampleRate - Sample rate
+ * @param {Object} options
+ * @param {number} options.baseWindow - Samples per level-0 point (power of 2, default 256)
+ * @param {number} options.bandWindow - Samples per band energy frame (power of 2, default FFT_SIZE)
+ * @returns {{ push: (samples: Int16Array) => void, finish: () => Object }}
+ */
+const createPeakPyramidBuilder = (sampleRate, options = {}) => {
+  const { baseWindow = 256, bandWindow = FFT_SIZE } = options;
+  const fft = createFFT(bandWindow);
+  const hann = new Float32Array(bandWindow);
+  for (let j = 0; j < bandWindow; j++) {
+    hann[j] = 0.5 * (1 - Math.cos((2 * Math.PI * j) / (bandWindow - 1)));
+  }
+
+  const mins = [];
+  const maxs = [];
+  const rms = [];
+  let pointMin = Infinity;
+  let pointMax = -Infinity;
+  let pointSquares = 0;
+  let pointCount = 0;
+
+  const bandNames = Object.keys(FREQUENCY_BANDS);
+  const bandFrames = Object.fromEntries(bandNames.map((band) => [band, []]));
+  const bandBuffer = new Float32Array(bandWindow);
+  let bandFill = 0;
+
+  const closePoint = () => {
+    mins.push(pointMin);
+    maxs.push(pointMax);
+    rms.push(Math.sqrt(pointSquares / pointCount));
+    pointMin = Infinity;
+    pointMax = -Infinity;
+    pointSquares = 0;
+    pointCount = 0;
+  };
+
+  const closeBandFrame = () => {
+    for (let j = 0; j < bandWindow; j++) {
+      bandBuffer[j] = j < bandFill ? bandBuffer[j] * hann[j] : 0;
+    }
+    const magnitudes = fft(bandBuffer);
+    Object.entries(FREQUENCY_BANDS).forEach(([band, { min, max }]) => {
+      bandFrames[band].push(getBandEnergy(magnitudes, sampleRate, bandWindow, min, max));
+    });
+    bandFill = 0;
+  };
+
+  const push = (samples) => {
+    for (let i = 0; i < samples.length; i++) {
+      const sample = samples[i] / 32768;
+      if (sample < pointMin) pointMin = sample;
+      if (sample > pointMax) pointMax = sample;
+      pointSquares += sample * sample;
+      pointCount += 1;
+      if (pointCount === baseWindow) closePoint();
+
+      bandBuffer[bandFill++] = sample;
+      if (bandFill === bandWindow) closeBandFrame();
+    }
+  };
+
+  const mergePairs = (values, merge) => {
+    const merged = [];
+    for (let i = 0; i < values.length; i += 2) {
+      merged.push(i + 1 < values.length ? merge(values[i], values[i + 1]) : values[i]);
+    }
+    return merged;
+  };
+  const mean = (a, b) => (a + b) / 2;
+
+  const finish = () => {
+    if (pointCount > 0) closePoint();
+    if (bandFill > 0) closeBandFrame();
+
+    // Band series at the first level whose points span a whole band frame
+    const bandMax = Object.fromEntries(
+      bandNames.map((band) => [band, bandFrames[band].reduce((top, v) => Math.max(top, v), 1e-9)])
+    );
+    let bandLevel = 0;
+    let levelBands = null;
+    if (baseWindow >= bandWindow) {
+      const ratio = baseWindow / bandWindow;
+      levelBands = Object.fromEntries(
+        bandNames.map((band) => {
+          const frames = bandFrames[band];
+          const values = [];
+          for (let i = 0; i < frames.length; i += ratio) {
+            const slice = frames.slice(i, i + ratio);
+            values.push(slice.reduce((sum, v) => sum + v, 0) / slice.length);
+          }
+          return [band, values];
+        })
+      );
+    } else {
+      bandLevel = Math.log2(bandWindow / baseWindow);
+    }
+
+    const levels = [];
+    let level = { min: mins, max: maxs, rms };
+    let samplesPerPoint = baseWindow;
+    for (let index = 0; ; index++) {
+      if (index === bandLevel && !levelBands) levelBands = bandFrames;
+      levels.push({
+        level: index,
+        samplesPerPoint,
+        pointDuration: samplesPerPoint / sampleRate,
+        length: level.min.length,
+        min: level.min.map(round4),
+        max: level.max.map(round4),
+        rms: level.rms.map(round4),
+        bands: levelBands
+          ? Object.fromEntries(
+              bandNames.map((band) => [band, levelBands[band].map((v) => round4(v / bandMax[band]))])
+            )
+          : null,
+      });
+      if (level.min.length <= MIN_PYRAMID_POINTS) break;
+
+      level = {
+        min: mergePairs(level.min, Math.min),
+        max: mergePairs(level.max, Math.max),
+        rms: mergePairs(level.rms, (a, b) => Math.sqrt((a * a + b * b) / 2)),
+      };
+      if (levelBands) {
+        const current = levelBands;
+        levelBands = Object.fromEntries(bandNames.map((band) => [band, mergePairs(current[band], mean)]));
+      }
+      samplesPerPoint *= 2;
+    }
+
+    let peak = 0;
+    for (let i = 0; i < maxs.length; i++) {
+      peak = Math.max(peak, Math.abs(maxs[i]), Math.abs(mins[i]));
+    }
+    return { levels, peak: round4(peak), baseWindow, bandWindow };
+  };
+
+  return { push, finish };
+};
+
 /**
  * Detect beats using onset strength
  */
@@ -300,37 +684,48 @@ const detectBeats = (onsets, minSpacing = 0.2) => {
  * @returns {Promise<Object>} - Complete waveform analysis
  */
 export const analyzeWaveform = async (songPath, options = {}) => {
-  const { targetPoints = 500 } = options;
+  const { targetPoints = 500, includeOnsetEnvelope = false } = options;
 
   if (!fs.existsSync(songPath)) {
     throw new Error(`Audio file not found: ${songPath}`);
   }
 
-  // Get metadata
-  const meta = await parseFile(songPath);
+  // Get metadata (scan frames if needed: the duration lays out the streamed points)
+  const meta = await parseFile(songPath, { duration: true });
   const duration = meta.format.duration || 0;
 
   if (duration === 0) {
     throw new Error("Could not determine audio duration");
   }
 
-  // Decode to PCM
-  const pcmBuffer = await decodeToPCM(songPath);
-  const int16 = new Int16Array(
-    pcmBuffer.buffer,
-    pcmBuffer.byteOffset,
-    pcmBuffer.byteLength / Int16Array.BYTES_PER_ELEMENT
+  // Stream PCM through the incremental analyzers; nothing holds the whole song
+  const waveformBuilder = createWaveformBuilder(
+    TARGET_SAMPLE_RATE,
+    Math.round(duration * TARGET_SAMPLE_RATE),
+    targetPoints
   );
+  // Fine-grained envelope for the beat tracker (kept out of the default payload)
+  const onsetBuilder = includeOnsetEnvelope ? createOnsetEnvelopeBuilder(TARGET_SAMPLE_RATE) : null;
 
-  // Build waveform data
-  const waveformData = buildWaveformData(int16, TARGET_SAMPLE_RATE, 50, targetPoints);
+  const totalSamples = await streamPCM(songPath, (samples) => {
+    waveformBuilder.push(samples);
+    if (onsetBuilder) onsetBuilder.push(samples);
+  });
+  if (!totalSamples) {
+    throw new Error("No audio samples decoded");
+  }
+
+  const waveformData = waveformBuilder.finish(totalSamples);
 
   // Detect beats from onsets
   const beats = detectBeats(waveformData.onsets);
 
+  const onsetEnvelope = onsetBuilder ? onsetBuilder.finish() : undefined;
+
   return {
     ...waveformData,
     beats,
+    onsetEnvelope,
     bandDefinitions: FREQUENCY_BANDS,
     meta: {
       durationSeconds: Number(duration.toFixed(3)),
@@ -340,4 +735,37 @@ export const analyzeWaveform = async (songPath, options = {}) => {
   };
 };
 
-export default { analyzeWaveform, FREQUENCY_BANDS };
+/**
+ * Build a multi-resolution peak pyramid (min/max/RMS plus band energies per
+ * level) for zoomable timelines. See createPeakPyramidBuilder.
+ *
+ * @param {string} songPath - Path to the audio (or video) file
+ * @param {Object} options
+ * @param {number} options.baseWindow - Samples per level-0 point (default 256, raised for long media)
+ * @returns {Promise<Object>} - { levels, peak, baseWindow, bandWindow, sampleRate, durationSeconds, bandDefinitions }
+ */
+export const buildPeakPyramid = async (songPath, options = {}) => {
+  if (!fs.existsSync(songPath)) {
+    throw new Error(`Audio file not found: ${songPath}`);
+  }
+
+  const meta = await parseFile(songPath, { duration: true }).catch(() => null);
+  const expectedSamples = (meta?.format?.duration || 0) * TARGET_SAMPLE_RATE;
+  let baseWindow = options.baseWindow || 256;
+  while (expectedSamples / baseWindow > MAX_PYRAMID_BASE_POINTS) baseWindow *= 2;
+
+  const builder = createPeakPyramidBuilder(TARGET_SAMPLE_RATE, { baseWindow });
+  const totalSamples = await streamPCM(songPath, (samples) => builder.push(samples));
+  if (!totalSamples) {
+    throw new Error("No audio samples decoded");
+  }
+
+  return {
+    ...builder.finish(),
+    sampleRate: TARGET_SAMPLE_RATE,
+    durationSeconds: Number((totalSamples / TARGET_SAMPLE_RATE).toFixed(3)),
+    bandDefinitions: FREQUENCY_BANDS,
+  };
+};
+
+export default { analyzeWaveform, buildPeakPyramid, computeOnsetEnvelope, FREQUENCY_BANDS };
@@ -0,0 +1,326 @@
+/**
+ * Beat Grid Operations
+ *
+ * Server-side edits for a format's beatGrid: quantize to a fitted tempo grid,
+ * shift by an offset, half / double time, and merging tapped beats with
+ * detected ones. Every operation reports where each existing beat went so
+ * per-beat metadata follows its beat; applyBeatGridOperation then rebuilds
+ * beatGridFrames / beatGridFramePairs / beatMetadata (via
+ * normalizeBeatMetadata) and clip segments through buildFormatWithFrames.
+ *
+ * Operations take an optional `range` ({ start, end } in seconds, end
+ * exclusive); beats outside it are untouched.
+ */
+
+import { TARGET_FPS, secondsToFrame, frameToSeconds } from "./frameAccurateTiming.js";
+import { getSegmentKey } from "./songEditScheduler.js";
+import { buildFormatWithFrames } from "./songFormatFrames.js";
+import { diffBeatGrids } from "./revisionStore.js";
+
+export const BEAT_GRID_OPERATIONS = ["quantize", "offset", "half-time", "double-time", "merge-taps"];
+
+const DEFAULT_QUANTIZE_TOLERANCE = 0.05;
+const DEFAULT_TAP_TOLERANCE = 0.08;
+
+const median = (values) => {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+};
+
+const inRange = (time, range) =>
+  !range || (time >= (range.start ?? -Infinity) && time < (range.end ?? Infinity));
+
+const sortTimes = (times) => [...times].filter(Number.isFinite).sort((a, b) => a - b);
+
+/**
+ * Fit a constant-tempo grid (time = phase + n * period) to beat times.
+ * The period starts from the median inter-beat interval (or `bpm`) and is
+ * refined by least squares over the beats' grid indices.
+ *
+ * @param {number[]} times
+ * @param {{ bpm?: number }} [options]
+ * @returns {{ period: number, phase: number, bpm: number } | null}
+ */
+export const fitTempoGrid = (times, options = {}) => {
+  const sorted = sortTimes(times);
+  if (sorted.length < 2) return null;
+
+  const fixedPeriod = Number.isFinite(options.bpm) && options.bpm > 0 ? 60 / options.bpm : null;
+  let period = fixedPeriod;
+  if (!period) {
+    const intervals = sorted.slice(1).map((time, i) => time - sorted[i]).filter((gap) => gap > 0);
+    const rough = median(intervals);
+    if (!rough) return null;
+    // Ignore gaps and doubled markers when estimating the beat length
+    period = median(intervals.filter((gap) => gap > rough * 0.5 && gap < rough * 1.5)) || rough;
+  }
+
+  const origin = sorted[0];
+  const indices = sorted.map((time) => Math.round((time - origin) / period));
+  let phase = origin;
+  if (!fixedPeriod) {
+    const n = indices.length;
+    const meanIdx = indices.reduce((sum, v) => sum + v, 0) / n;
+    const meanTime = sorted.reduce((sum, v) => sum + v, 0) / n;
+    let covariance = 0;
+    let variance = 0;
+    indices.forEach((idx, i) => {
+      covariance += (idx - meanIdx) * (sorted[i] - meanTime);
+      variance += (idx - meanIdx) ** 2;
+    });
+    if (variance > 0) period = covariance / variance;
+    phase = meanTime - period * meanIdx;
+  } else {
+    phase = sorted.reduce((sum, time, i) => sum + (time - indices[i] * period), 0) / sorted.length;
+  }
+
+  return { period, phase, bpm: Number((60 / period).toFixed(2)) };
+};
+
+/**
+ * Snap beats within `tolerance` of the fitted tempo grid onto it.
+ */
+export const quantizeBeats = (grid, options = {}) => {
+  const { tolerance = DEFAULT_QUANTIZE_TOLERANCE, range, bpm } = options;
+  const sorted = sortTimes(grid);
+  const fit = fitTempoGrid(sorted.filter((time) => inRange(time, range)), { bpm });
+  if (!fit) return { grid: sorted, mapping: sorted.map((time) => [time, time]), fit: null };
+
+  const mapping = sorted.map((time) => {
+    if (!inRange(time, range)) return [time, time];
+    const snapped = fit.phase + Math.round((time - fit.phase) / fit.period) * fit.period;
+    return [time, Math.abs(snapped - time) <= tolerance && snapped >= 0 ? snapped : time];
+  });
+  return { grid: mapping.map(([, to]) => to), mapping, fit };
+};
+
+/**
+ * Shift beats by `offset` seconds. Beats pushed before 0 or past `duration`
+ * are dropped.
+ */
+export const offsetBeats = (grid, options = {}) => {
+  const { offset = 0, range, duration = Infinity } = options;
+  const mapping = sortTimes(grid).map((time) => {
+    if (!inRange(time, range)) return [time, time];
+    const shifted = time + offset;
+    return [time, shifted >= 0 && shifted <= duration ? shifted : null];
+  });
+  return { grid: mapping.map(([, to]) => to).filter((time) => time !== null), mapping };
+};
+
+/**
+ * Half time: keep every other beat in the range, starting with the first.
+ */
+export const halfTimeBeats = (grid, options = {}) => {
+  const { range } = options;
+  let position = 0;
+  const mapping = sortTimes(grid).map((time) => {
+    if (!inRange(time, range)) return [time, time];
+    const keep = position % 2 === 0;
+    position += 1;
+    return [time, keep ? time : null];
+  });
+  return { grid: mapping.map(([, to]) => to).filter((time) => time !== null), mapping };
+};
+
+/**
+ * Double time: add a beat halfway between each pair of consecutive beats in
+ * the range.
+ */
+export const doubleTimeBeats = (grid, options = {}) => {
+  const { range } = options;
+  const sorted = sortTimes(grid);
+  const added = [];
+  sorted.forEach((time, i) => {
+    const next = sorted[i + 1];
+    if (next === undefined || !inRange(time, range) || !inRange(next, range)) return;
+    added.push((time + next) / 2);
+  });
+  return {
+    grid: sortTimes([...sorted, ...added]),
+    mapping: sorted.map((time) => [time, time]),
+  };
+};
+
+/**
+ * Merge tapped beats with detected ones. Each tap claims the nearest unclaimed
+ * detected beat within `tolerance`; with prefer "taps" the beat moves to the
+ * tap, with prefer "detected" it stays put. Unmatched taps are added. With
+ * `removeUnmatched`, detected beats inside the tapped span that no tap
+ * claimed are removed (re-tapping a passage replaces it).
+ */
+export const mergeTappedBeats = (grid, taps, options = {}) => {
+  const { tolerance = DEFAULT_TAP_TOLERANCE, prefer = "taps", removeUnmatched = false } = options;
+  const sorted = sortTimes(grid);
+  const tapTimes = sortTimes(taps || []);
+  const claimed = new Map();
+  const extra = [];
+
+  tapTimes.forEach((tap) => {
+    let best = -1;
+    sorted.forEach((time, i) => {
+      if (claimed.has(i) || Math.abs(time - tap) > tolerance) return;
+      if (best < 0 || Math.abs(time - tap) < Math.abs(sorted[best] - tap)) best = i;
+    });
+    if (best >= 0) claimed.set(best, tap);
+    else extra.push(tap);
+  });
+
+  const span = tapTimes.length
+    ? { start: tapTimes[0] - tolerance, end: tapTimes[tapTimes.length - 1] + tolerance }
+    : null;
+  const mapping = sorted.map((time, i) => {
+    if (claimed.has(i)) return [time, prefer === "taps" ? claimed.get(i) : time];
+    if (removeUnmatched && span && time >= span.start && time <= span.end) return [time, null];
+    return [time, time];
+  });
+
+  return {
+    grid: sortTimes([...mapping.map(([, to]) => to).filter((time) => time !== null), ...extra]),
+    mapping,
+  };
+};
+
+const metadataKey = (entry) =>
+  getSegmentKey(entry?.segmentTime ?? entry?.beatTime ?? entry?.time ?? null);
+
+/**
+ * Snap a grid to frames, dropping beats that land on the same frame, and move
+ * metadata entries to their beat's new (frame-aligned) time.
+ */
+const realignLayer = (layer, result, fps) => {
+  const seenFrames = new Set();
+  const beatGrid = [];
+  result.grid.forEach((time) => {
+    const frame = secondsToFrame(time, fps);
+    if (seenFrames.has(frame)) return;
+    seenFrames.add(frame);
+    beatGrid.push(frameToSeconds(frame, fps));
+  });
+
+  const destination = new Map();
+  result.mapping.forEach(([from, to]) => {
+    const key = getSegmentKey(frameToSeconds(secondsToFrame(from, fps), fps));
+    const fromKey = getSegmentKey(from);
+    const target = to === null ? null : getSegmentKey(frameToSeconds(secondsToFrame(to, fps), fps));
+    destination.set(key, target);
+    destination.set(fromKey, target);
+  });
+
+  const placed = new Set();
+  const beatMetadata = [];
+  (layer.beatMetadata || []).forEach((entry) => {
+    const key = metadataKey(entry);
+    const target = destination.has(key) ? destination.get(key) : key;
+    if (target === null || placed.has(target)) return;
+    placed.add(target);
+    beatMetadata.push({ ...entry, segmentTime: target });
+  });
+
+  return {
+    ...layer,
+    beatGrid,
+    // Drop stale frame data so it is rebuilt from the edited seconds
+    beatGridFrames: null,
+    beatGridFramePairs: null,
+    beatMetadata,
+  };
+};
+
+/**
+ * Apply one beat grid operation to a format and rebuild its frame data.
+ *
+ * @param {Object} format - Stored format
+ * @param {Object} operation
+ * @param {"quantize"|"offset"|"half-time"|"double-time"|"merge-taps"} operation.type
+ * @param {"background"|"foreground"} [operation.layer="background"]
+ * @param {{ start?: number, end?: number }} [operation.range]
+ * @param {number} [operation.tolerance] - quantize / merge-taps match window (seconds)
+ * @param {number} [operation.bpm] - quantize: force this tempo instead of fitting one
+ * @param {number} [operation.offset] - offset: seconds to shift (negative = earlier)
+ * @param {number[]} [operation.taps] - merge-taps: tapped beat times
+ * @param {"taps"|"detected"} [operation.prefer] - merge-taps: whose timing wins on a match
+ * @param {boolean} [operation.removeUnmatched] - merge-taps: drop untapped beats in the tapped span
+ * @returns {{ format: Object, report: Object }}
+ */
+export const applyBeatGridOperation = (format, operation = {}) => {
+  const { type, layer: layerName = "background", range = null } = operation;
+  if (!BEAT_GRID_OPERATIONS.includes(type)) {
+    throw new Error(`Unknown beat grid operation: ${type} (expected ${BEAT_GRID_OPERATIONS.join(" | ")})`);
+  }
+  if (!["background", "foreground"].includes(layerName)) {
+    throw new Error(`Unknown layer: ${layerName}`);
+  }
+  if (range && Number.isFinite(range.start) && Number.isFinite(range.end) && range.end <= range.start) {
+    throw new Error("range.end must be after range.start");
+  }
+
+  const fps = format.meta?.targetFps || TARGET_FPS;
+  const layer = layerName === "foreground" ? format.foreground || {} : format;
+  const grid = layer.beatGrid || [];
+
+  let result;
+  if (type === "quantize") {
+    result = quantizeBeats(grid, { tolerance: operation.tolerance, range, bpm: operation.bpm });
+  } else if (type === "offset") {
+    if (!Number.isFinite(operation.offset)) throw new Error("offset operation needs a numeric offset");
+    result = offsetBeats(grid, {
+      offset: operation.offset,
+      range,
+      duration: format.meta?.durationSeconds || Infinity,
+    });
+  } else if (type === "half-time") {
+    result = halfTimeBeats(grid, { range });
+  } else if (type === "double-time") {
+    result = doubleTimeBeats(grid, { range });
+  } else {
+    if (!Array.isArray(operation.taps) || !operation.taps.length) {
+      throw new Error("merge-taps operation needs a taps array");
+    }
+    result = mergeTappedBeats(grid, operation.taps, {
+      tolerance: operation.tolerance,
+      prefer: operation.prefer,
+      removeUnmatched: operation.removeUnmatched,
+    });
+  }
+
+  const edited = realignLayer(layer, result, fps);
+  const nextFormat =
+    layerName === "foreground" ? { ...format, foreground: { ...format.foreground, ...edited } } : { ...format, ...edited };
+  const { format: withFrames, stats } = buildFormatWithFrames(nextFormat, {
+    slug: format.slug,
+    now: new Date().toISOString(),
+  });
+
+  const after = layerName === "foreground" ? withFrames.foreground.beatGrid : withFrames.beatGrid;
+  const changes = diffBeatGrids(grid, after, { fps });
+  return {
+    format: withFrames,
+    report: {
+      type,
+      layer: layerName,
+      range,
+      beatsBefore: grid.length,
+      beatsAfter: after.length,
+      added: changes.added.length,
+      removed: changes.removed.length,
+      moved: changes.moved.length,
+      fit: result.fit
+        ? { bpm: result.fit.bpm, period: Number(result.fit.period.toFixed(4)), phase: Number(result.fit.phase.toFixed(4)) }
+        : undefined,
+      frameStats: stats,
+    },
+  };
+};
+
+export default {
+  BEAT_GRID_OPERATIONS,
+  fitTempoGrid,
+  quantizeBeats,
+  offsetBeats,
+  halfTimeBeats,
+  doubleTimeBeats,
+  mergeTappedBeats,
+  applyBeatGridOperation,
+};
@@ -0,0 +1,702 @@
+/**
+ * Beat Map Exchange
+ *
+ * Converts a format's beat map (beatGrid, sections, rapidClipRanges) to and
+ * from formats musicians can open in their own tools:
+ * - Audacity label tracks (tab separated: start, end, label)
+ * - CSV (type,start,end,name,energy,interval)
+ * - Standard MIDI files: a tempo map with one quarter note per beat, a
+ *   percussion click on every beat and markers for sections / rapid ranges
+ *
+ * Labels use one scheme everywhere so an export imports back unchanged:
+ *   "beat 12"            point label -> beat
+ *   "section:chorus:high" range      -> section (name, optional energy)
+ *   "rapid:0.1333"       range       -> rapid clip range (interval seconds)
+ * Unprefixed labels from other tools import as beats (points) or sections
+ * (ranges) named after the label.
+ *
+ * Timed lyric (.lrc) files convert to a format.captions object.
+ */
+
+const SECTION_ENERGIES = ["low", "medium", "high"];
+const MIDI_PPQ = 480;
+const MIDI_DEFAULT_TEMPO = 500000; // 120 BPM in microseconds per quarter note
+const MIDI_MAX_TEMPO = 0xffffff;
+const MIDI_CLICK_NOTE = 37; // GM side stick
+const MIDI_CLICK_CHANNEL = 9; // channel 10, percussion
+
+export const BEAT_MAP_TYPES = ["audacity", "csv", "midi"];
+export const BEAT_MAP_PARTS = ["beats", "sections", "rapid"];
+
+const round6 = (value) => Number(value.toFixed(6));
+
+const sortTimes = (times) =>
+  [...new Set((times || []).filter(Number.isFinite).map(round6))].sort((a, b) => a - b);
+
+const getLayer = (format, layer = "background") =>
+  layer === "foreground" ? format.foreground || {} : format;
+
+/**
+ * Collect the exportable parts of a format layer. Sections always come from
+ * the top-level format (they describe the song, not a layer).
+ */
+export const getBeatMap = (format, { layer = "background", include = BEAT_MAP_PARTS } = {}) => {
+  const source = getLayer(format, layer);
+  return {
+    beats: include.includes("beats") ? sortTimes(source.beatGrid) : [],
+    sections: include.includes("sections")
+      ? (format.sections || [])
+          .filter((s) => Number.isFinite(s?.start) && Number.isFinite(s?.end))
+          .sort((a, b) => a.start - b.start)
+      : [],
+    rapidClipRanges: include.includes("rapid")
+      ? (source.rapidClipRanges || [])
+          .filter((r) => Number.isFinite(r?.start) && Number.isFinite(r?.end))
+          .sort((a, b) => a.start - b.start)
+      : [],
+  };
+};
+
+// ---------------------------------------------------------------------------
+// Labels
+// ---------------------------------------------------------------------------
+
+const sectionLabel = (section) =>
+  ["section", section.name || ""].concat(section.energy ? [section.energy] : []).join(":");
+
+const rapidLabel = (range) =>
+  Number.isFinite(range.interval) ? `rapid:${round6(range.interval)}` : "rapid";
+
+/**
+ * Turn a label (plus its time span) into a beat map entry.
+ * @returns {{ kind: "beat"|"section"|"rapid", time?: number, start?: number, end?: number, name?: string|null, energy?: string, interval?: number }}
+ */
+const decodeLabel = (label, start, end) => {
+  const text = String(label || "").trim();
+  const isRange = Number.isFinite(end) && end > start;
+
+  if (/^beat\b/i.test(text)) return { kind: "beat", time: start };
+
+  const section = text.match(/^section(?::([^:]*))?(?::([a-z]+))?$/i);
+  if (section && isRange) {
+    const energy = section[2]?.toLowerCase();
+    return {
+      kind: "section",
+      start,
+      end,
+      name: section[1]?.trim().toLowerCase() || null,
+      ...(SECTION_ENERGIES.includes(energy) ? { energy } : {}),
+    };
+  }
+
+  const rapid = text.match(/^rapid(?::\s*([\d.]+))?$/i);
+  if (rapid && isRange) {
+    const interval = Number(rapid[1]);
+    return { kind: "rapid", start, end, ...(interval > 0 ? { interval } : {}) };
+  }
+
+  if (isRange) return { kind: "section", start, end, name: text.toLowerCase() || null };
+  return { kind: "beat", time: start };
+};
+
+const collectEntries = (entries, warnings) => {
+  const beats = [];
+  const sections = [];
+  const rapidClipRanges = [];
+  entries.forEach((entry) => {
+    if (entry.kind === "beat") {
+      if (entry.time >= 0) beats.push(entry.time);
+      else warnings.push(`Skipped beat at negative time ${entry.time}`);
+    } else {
+      const range = { ...entry };
+      delete range.kind;
+      (entry.kind === "section" ? sections : rapidClipRanges).push(range);
+    }
+  });
+  return {
+    beats: sortTimes(beats),
+    sections: sections.sort((a, b) => a.start - b.start),
+    rapidClipRanges: rapidClipRanges.sort((a, b) => a.start - b.start),
+    warnings,
+  };
+};
+
+// ---------------------------------------------------------------------------
+// Audacity label tracks
+// ---------------------------------------------------------------------------
+
+const exportAudacity = ({ beats, sections, rapidClipRanges }) => {
+  const rows = [
+    ...beats.map((time, i) => [time, time, `beat ${i + 1}`]),
+    ...sections.map((s) => [s.start, s.end, sectionLabel(s)]),
+    ...rapidClipRanges.map((r) => [r.start, r.end, rapidLabel(r)]),
+  ].sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+  return rows.map(([start, end, label]) => `${start.toFixed(6)}\t${end.toFixed(6)}\t${label}`).join("\n") + "\n";
+};
+
+const importAudacity = (content) => {
+  const warnings = [];
+  const entries = [];
+  String(content)
+    .split(/\r?\n/)
+    .forEach((line, i) => {
+      // Spectral label lines ("\tlowHz\thighHz") follow their label; skip them
+      if (!line.trim() || line.startsWith("\\")) return;
+      const [startText, endText, ...labelParts] = line.split("\t");
+      const start = Number(startText);
+      const end = endText === undefined || endText === "" ? start : Number(endText);
+      if (!Number.isFinite(start) || !Number.isFinite(end)) {
+        warnings.push(`Line ${i + 1}: could not read times`);
+        return;
+      }
+      entries.push(decodeLabel(labelParts.join("\t"), start, end));
+    });
+  return collectEntries(entries, warnings);
+};
+
+// ---------------------------------------------------------------------------
+// CSV
+// ---------------------------------------------------------------------------
+
+const CSV_COLUMNS = ["type", "start", "end", "name", "energy", "interval"];
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const parseCsvLine = (line) => {
+  const cells = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      cells.push(cell);
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  cells.push(cell);
+  return cells.map((c) => c.trim());
+};
+
+const exportCsv = ({ beats, sections, rapidClipRanges }) => {
+  const rows = [
+    ...beats.map((time) => ["beat", round6(time), "", "", "", ""]),
+    ...sections.map((s) => ["section", round6(s.start), round6(s.end), s.name || "", s.energy || "", ""]),
+    ...rapidClipRanges.map((r) => [
+      "rapid",
+      round6(r.start),
+      round6(r.end),
+      "",
+      "",
+      Number.isFinite(r.interval) ? round6(r.interval) : "",
+    ]),
+  ].sort((a, b) => a[1] - b[1]);
+  return [CSV_COLUMNS.join(","), ...rows.map((row) => row.map(csvCell).join(","))].join("\n") + "\n";
+};
+
+/**
+ * Reads our own CSV layout, or any CSV whose first column holds beat times
+ * (an optional header row is skipped).
+ */
+const importCsv = (content) => {
+  const warnings = [];
+  const entries = [];
+  const lines = String(content).split(/\r?\n/).filter((line) => line.trim());
+  if (!lines.length) return collectEntries(entries, warnings);
+
+  const header = parseCsvLine(lines[0]).map((h) => h.toLowerCase());
+  const hasHeader = header.some((h) => Number.isNaN(Number(h)));
+  const column = (name, fallback) => (header.includes(name) ? header.indexOf(name) : fallback);
+  const idx = hasHeader
+    ? {
+        type: column("type", -1),
+        start: column("start", column("time", 0)),
+        end: column("end", -1),
+        name: column("name", column("label", -1)),
+        energy: column("energy", -1),
+        interval: column("interval", -1),
+      }
+    : { type: -1, start: 0, end: -1, name: -1, energy: -1, interval: -1 };
+
+  lines.slice(hasHeader ? 1 : 0).forEach((line, i) => {
+    const cells = parseCsvLine(line);
+    const cell = (index) => (index >= 0 ? cells[index] ?? "" : "");
+    const start = Number(cell(idx.start));
+    const end = cell(idx.end) === "" ? start : Number(cell(idx.end));
+    if (!Number.isFinite(start) || !Number.isFinite(end)) {
+      warnings.push(`Row ${i + (hasHeader ? 2 : 1)}: could not read times`);
+      return;
+    }
+    const type = cell(idx.type).toLowerCase();
+    if (type === "section") {
+      const energy = cell(idx.energy).toLowerCase();
+      entries.push({
+        kind: "section",
+        start,
+        end,
+        name: cell(idx.name).toLowerCase() || null,
+        ...(SECTION_ENERGIES.includes(energy) ? { energy } : {}),
+      });
+    } else if (type === "rapid") {
+      const interval = Number(cell(idx.interval));
+      entries.push({ kind: "rapid", start, end, ...(interval > 0 ? { interval } : {}) });
+    } else if (type === "beat") {
+      entries.push({ kind: "beat", time: start });
+    } else {
+      entries.push(decodeLabel(cell(idx.name), start, end));
+    }
+  });
+  return collectEntries(entries, warnings);
+};
+
+// ---------------------------------------------------------------------------
+// MIDI
+// ---------------------------------------------------------------------------
+
+const writeVarLen = (value) => {
+  let v = Math.max(0, Math.round(value));
+  const bytes = [v & 0x7f];
+  v >>= 7;
+  while (v > 0) {
+    bytes.unshift((v & 0x7f) | 0x80);
+    v >>= 7;
+  }
+  return bytes;
+};
+
+const textBytes = (text) => [...Buffer.from(String(text), "utf8")];
+
+const metaEvent = (type, data) => [0xff, type, ...writeVarLen(data.length), ...data];
+
+/**
+ * Build the tempo map: one quarter note per beat interval. Returns a
+ * seconds -> ticks function plus the tempo events.
+ */
+const buildTempoMap = (beats, fallbackTempo) => {
+  if (beats.length < 2) {
+    const ticksPerSecond = (MIDI_PPQ * 1e6) / fallbackTempo;
+    return {
+      tempos: [{ tick: 0, tempo: fallbackTempo }],
+      toTick: (time) => Math.round(time * ticksPerSecond),
+    };
+  }
+
+  const segments = [];
+  for (let i = 0; i < beats.length - 1; i++) {
+    const interval = beats[i + 1] - beats[i];
+    const tempo = Math.min(MIDI_MAX_TEMPO, Math.max(1, Math.round(interval * 1e6)));
+    segments.push({ time: beats[i], tempo, ticksPerSecond: (MIDI_PPQ * 1e6) / tempo });
+  }
+  // Lead-in before the first beat runs at the first beat's tempo
+  let tick = Math.round(beats[0] * segments[0].ticksPerSecond);
+  segments.forEach((segment, i) => {
+    segment.tick = tick;
+    tick += Math.round((beats[i + 1] - beats[i]) * segment.ticksPerSecond);
+  });
+
+  const toTick = (time) => {
+    if (time <= beats[0]) return Math.round(time * segments[0].ticksPerSecond);
+    let segment = segments[0];
+    for (const candidate of segments) {
+      if (candidate.time > time) break;
+      segment = candidate;
+    }
+    return segment.tick + Math.round((time - segment.time) * segment.ticksPerSecond);
+  };
+
+  return {
+    tempos: [{ tick: 0, tempo: segments[0].tempo }, ...segments.slice(1).map(({ tick: t, tempo }) => ({ tick: t, tempo }))],
+    toTick,
+  };
+};
+
+const exportMidi = ({ beats, sections, rapidClipRanges }, { name, bpm } = {}) => {
+  const fallbackTempo = Number.isFinite(bpm) && bpm > 0 ? Math.round(60e6 / bpm) : MIDI_DEFAULT_TEMPO;
+  const { tempos, toTick } = buildTempoMap(beats, fallbackTempo);
+  const clickLength = MIDI_PPQ / 8;
+
+  // [tick, order, bytes] - order keeps tempo before markers before notes on a tick
+  const events = [];
+  if (name) events.push([0, 0, metaEvent(0x03, textBytes(name))]);
+  tempos.forEach(({ tick, tempo }) => {
+    events.push([tick, 1, metaEvent(0x51, [(tempo >> 16) & 0xff, (tempo >> 8) & 0xff, tempo & 0xff])]);
+  });
+  sections.forEach((section) => {
+    events.push([toTick(section.start), 3, metaEvent(0x06, textBytes(sectionLabel(section)))]);
+    events.push([toTick(section.end), 2, metaEvent(0x06, textBytes("end:section"))]);
+  });
+  rapidClipRanges.forEach((range) => {
+    events.push([toTick(range.start), 3, metaEvent(0x06, textBytes(rapidLabel(range)))]);
+    events.push([toTick(range.end), 2, metaEvent(0x06, textBytes("end:rapid"))]);
+  });
+  beats.forEach((time) => {
+    const tick = toTick(time);
+    events.push([tick, 5, [0x90 | MIDI_CLICK_CHANNEL, MIDI_CLICK_NOTE, 100]]);
+    events.push([tick + clickLength, 4, [0x80 | MIDI_CLICK_CHANNEL, MIDI_CLICK_NOTE, 0]]);
+  });
+  events.sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+
+  const track = [];
+  let lastTick = 0;
+  events.forEach(([tick, , bytes]) => {
+    track.push(...writeVarLen(tick - lastTick), ...bytes);
+    lastTick = tick;
+  });
+  track.push(0, 0xff, 0x2f, 0x00);
+
+  const header = Buffer.alloc(14);
+  header.write("MThd", 0, "ascii");
+  header.writeUInt32BE(6, 4);
+  header.writeUInt16BE(0, 8); // format 0
+  header.writeUInt16BE(1, 10);
+  header.writeUInt16BE(MIDI_PPQ, 12);
+  const trackHeader = Buffer.alloc(8);
+  trackHeader.write("MTrk", 0, "ascii");
+  trackHeader.writeUInt32BE(track.length, 4);
+  return Buffer.concat([header, trackHeader, Buffer.from(track)]);
+};
+
+const readMidiEvents = (buffer) => {
+  if (buffer.length < 14 || buffer.toString("ascii", 0, 4) !== "MThd") {
+    throw new Error("Not a MIDI file (missing MThd header)");
+  }
+  const headerLength = buffer.readUInt32BE(4);
+  const trackCount = buffer.readUInt16BE(10);
+  const division = buffer.readUInt16BE(12);
+  if (division & 0x8000) throw new Error("SMPTE-timed MIDI files are not supported");
+
+  const events = [];
+  let offset = 8 + headerLength;
+  for (let t = 0; t < trackCount && offset + 8 <= buffer.length; t++) {
+    const chunkType = buffer.toString("ascii", offset, offset + 4);
+    const length = buffer.readUInt32BE(offset + 4);
+    const end = Math.min(buffer.length, offset + 8 + length);
+    let pos = offset + 8;
+    offset = end;
+    if (chunkType !== "MTrk") continue;
+
+    const readVarLen = () => {
+      let value = 0;
+      let byte;
+      do {
+        byte = buffer[pos++];
+        value = (value << 7) | (byte & 0x7f);
+      } while (byte & 0x80 && pos < end);
+      return value;
+    };
+
+    let tick = 0;
+    let runningStatus = 0;
+    while (pos < end) {
+      tick += readVarLen();
+      let status = buffer[pos];
+      if (status & 0x80) {
+        pos++;
+      } else {
+        status = runningStatus;
+      }
+
+      if (status === 0xff) {
+        const type = buffer[pos++];
+        const length = readVarLen();
+        const data = buffer.subarray(pos, pos + length);
+        pos += length;
+        if (type === 0x51 && length === 3) {
+          events.push({ tick, type: "tempo", tempo: (data[0] << 16) | (data[1] << 8) | data[2] });
+        } else if (type === 0x06 || type === 0x07) {
+          events.push({ tick, type: "marker", text: data.toString("utf8") });
+        } else if (type === 0x2f) {
+          events.push({ tick, type: "end" });
+        }
+      } else if (status === 0xf0 || status === 0xf7) {
+        pos += readVarLen();
+      } else {
+        runningStatus = status;
+        const kind = status & 0xf0;
+        const dataLength = kind === 0xc0 || kind === 0xd0 ? 1 : 2;
+        const data1 = buffer[pos];
+        const data2 = buffer[pos + 1];
+        pos += dataLength;
+        if (kind === 0x90 && data2 > 0) {
+          events.push({ tick, type: "note", channel: status & 0x0f, note: data1 });
+        }
+      }
+    }
+  }
+  return { division, events: events.sort((a, b) => a.tick - b.tick) };
+};
+
+/**
+ * Beats come from percussion-channel notes when there are any (our click
+ * track); otherwise every quarter note of the tempo map is a beat.
+ */
+const importMidi = (content) => {
+  const warnings = [];
+  const buffer = Buffer.isBuffer(content) ? content : Buffer.from(content);
+  const { division, events } = readMidiEvents(buffer);
+
+  const tempoEvents = events.filter((e) => e.type === "tempo");
+  if (!tempoEvents.length || tempoEvents[0].tick > 0) {
+    tempoEvents.unshift({ tick: 0, type: "tempo", tempo: MIDI_DEFAULT_TEMPO });
+    warnings.push("No tempo at tick 0; assumed 120 BPM");
+  }
+  const tempoMap = [];
+  tempoEvents.forEach((event) => {
+    const prev = tempoMap[tempoMap.length - 1];
+    const seconds = prev ? prev.seconds + ((event.tick - prev.tick) * prev.tempo) / (division * 1e6) : 0;
+    if (prev && prev.tick === event.tick) tempoMap.pop();
+    tempoMap.push({ tick: event.tick, tempo: event.tempo, seconds });
+  });
+  const toSeconds = (tick) => {
+    let segment = tempoMap[0];
+    for (const candidate of tempoMap) {
+      if (candidate.tick > tick) break;
+      segment = candidate;
+    }
+    const seconds = segment.seconds + ((tick - segment.tick) * segment.tempo) / (division * 1e6);
+    return Number(seconds.toFixed(3));
+  };
+
+  let beatTicks = events.filter((e) => e.type === "note" && e.channel === MIDI_CLICK_CHANNEL).map((e) => e.tick);
+  if (!beatTicks.length) {
+    const lastTick = events.length ? events[events.length - 1].tick : 0;
+    beatTicks = [];
+    for (let tick = 0; tick <= lastTick; tick += division) beatTicks.push(tick);
+    warnings.push("No percussion notes found; using every quarter note of the tempo map as a beat");
+  }
+
+  const entries = beatTicks.map((tick) => ({ kind: "beat", time: toSeconds(tick) }));
+  const open = { section: [], rapid: [] };
+  events
+    .filter((e) => e.type === "marker")
+    .forEach((event) => {
+      const time = toSeconds(event.tick);
+      const endMatch = event.text.trim().match(/^end:(section|rapid)$/i);
+      if (endMatch) {
+        const start = open[endMatch[1].toLowerCase()].shift();
+        if (start) entries.push(decodeLabel(start.text, start.time, time));
+        else warnings.push(`Unmatched ${event.text} marker at ${time.toFixed(3)}s`);
+        return;
+      }
+      const kind = /^rapid\b/i.test(event.text.trim()) ? "rapid" : "section";
+      open[kind].push({ text: /^(section|rapid)\b/i.test(event.text.trim()) ? event.text : `section:${event.text}`, time });
+    });
+
+  // Open-ended section markers (typical DAW markers) run to the next one
+  const lastTime = events.length ? toSeconds(events[events.length - 1].tick) : 0;
+  open.section.forEach((start, i) => {
+    const end = open.section[i + 1]?.time ?? lastTime;
+    if (end > start.time) entries.push(decodeLabel(start.text, start.time, end));
+  });
+  if (open.rapid.length) warnings.push(`${open.rapid.length} rapid marker(s) had no end marker`);
+
+  return collectEntries(entries, warnings);
+};
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Export a format's beat map.
+ *
+ * @param {Object} format - Song format
+ * @param {"audacity"|"csv"|"midi"} type
+ * @param {{ layer?: "background"|"foreground", include?: string[] }} [options]
+ * @returns {{ content: string|Buffer, contentType: string, extension: string }}
+ */
+export const exportBeatMap = (format, type, options = {}) => {
+  const map = getBeatMap(format, options);
+  if (type === "audacity") {
+    return { content: exportAudacity(map), contentType: "text/plain; charset=utf-8", extension: "txt" };
+  }
+  if (type === "csv") {
+    return { content: exportCsv(map), contentType: "text/csv; charset=utf-8", extension: "csv" };
+  }
+  if (type === "midi") {
+    return {
+      content: exportMidi(map, { name: format.slug, bpm: format.meta?.bpm }),
+      contentType: "audio/midi",
+      extension: "mid",
+    };
+  }
+  throw new Error(`Unknown beat map type: ${type} (expected ${BEAT_MAP_TYPES.join(" | ")})`);
+};
+
+/**
+ * Parse an exported (or hand-made) beat map.
+ *
+ * @param {string|Buffer} content
+ * @param {"audacity"|"csv"|"midi"} type
+ * @returns {{ beats: number[], sections: Object[], rapidClipRanges: Object[], warnings: string[] }}
+ */
+export const parseBeatMap = (content, type) => {
+  if (type === "audacity") return importAudacity(content);
+  if (type === "csv") return importCsv(content);
+  if (type === "midi") return importMidi(content);
+  throw new Error(`Unknown beat map type: ${type} (expected ${BEAT_MAP_TYPES.join(" | ")})`);
+};
+
+/**
+ * Replace the given parts of a format with an imported beat map. Parts the
+ * file has no entries for are left alone. The result still needs
+ * buildFormatWithFrames to rebuild frame data.
+ *
+ * @returns {{ format: Object, replaced: string[] }}
+ */
+export const applyBeatMap = (format, map, { layer = "background", include = BEAT_MAP_PARTS } = {}) => {
+  const next = { ...format };
+  const target = layer === "foreground" ? { ...(format.foreground || {}) } : next;
+  const replaced = [];
+
+  if (include.includes("beats") && map.beats.length) {
+    target.beatGrid = map.beats;
+    // Stale frames would win over the imported seconds
+    target.beatGridFrames = null;
+    target.beatGridFramePairs = null;
+    replaced.push("beats");
+  }
+  if (include.includes("rapid") && map.rapidClipRanges.length) {
+    target.rapidClipRanges = map.rapidClipRanges;
+    replaced.push("rapid");
+  }
+  if (include.includes("sections") && map.sections.length) {
+    next.sections = map.sections;
+    replaced.push("sections");
+  }
+  if (layer === "foreground") next.foreground = target;
+  return { format: next, replaced };
+};
+
+// ---------------------------------------------------------------------------
+// LRC lyrics
+// ---------------------------------------------------------------------------
+
+const LRC_TIME = /\[(\d+):(\d{1,2}(?:[.:]\d{1,3})?)\]/g;
+const LRC_WORD_TIME = /<(\d+):(\d{1,2}(?:[.:]\d{1,3})?)>/g;
+
+const lrcTimeToMs = (minutes, seconds) =>
+  Math.round((Number(minutes) * 60 + Number(seconds.replace(":", "."))) * 1000);
+
+const DEFAULT_LAST_LINE_MS = 4000;
+
+/**
+ * Parse a timed lyric (.lrc) file into format.captions.
+ * Lines end where the next timestamp starts (an empty timestamped line marks
+ * a break). Enhanced LRC word stamps (<mm:ss.xx>) become timed words.
+ *
+ * @param {string} content
+ * @param {{ durationMs?: number, existing?: Object }} [options] - existing
+ *   captions keep their style and display ranges
+ * @returns {{ captions: Object, warnings: string[] }}
+ */
+export const parseLrc = (content, { durationMs, existing } = {}) => {
+  const warnings = [];
+  let offsetMs = 0;
+  let language = null;
+  const stamps = [];
+
+  String(content)
+    .split(/\r?\n/)
+    .forEach((rawLine) => {
+      const line = rawLine.trim();
+      if (!line) return;
+      const tag = line.match(/^\[([a-z]+):(.*)\]$/i);
+      if (tag && !/^\d+$/.test(tag[1])) {
+        if (tag[1].toLowerCase() === "offset") offsetMs = Number(tag[2]) || 0;
+        if (tag[1].toLowerCase() === "la") language = tag[2].trim() || null;
+        return;
+      }
+      const times = [...line.matchAll(LRC_TIME)].map((m) => lrcTimeToMs(m[1], m[2]));
+      if (!times.length) return;
+      const body = line.replace(LRC_TIME, "").trim();
+      times.forEach((startMs) => stamps.push({ startMs, body }));
+    });
+
+  // A positive [offset] makes lyrics appear sooner
+  const shifted = stamps
+    .map((s) => ({ ...s, startMs: Math.max(0, s.startMs - offsetMs) }))
+    .sort((a, b) => a.startMs - b.startMs);
+
+  const lines = [];
+  const words = [];
+  shifted.forEach((stamp, i) => {
+    const text = stamp.body.replace(LRC_WORD_TIME, "").replace(/\s+/g, " ").trim();
+    if (!text) return;
+    const nextStart = shifted[i + 1]?.startMs;
+    const endMs = Number.isFinite(nextStart)
+      ? nextStart
+      : Math.min(stamp.startMs + DEFAULT_LAST_LINE_MS, durationMs || Infinity);
+    if (endMs <= stamp.startMs) {
+      warnings.push(`Line "${text}" has no duration; skipped`);
+      return;
+    }
+    const line = { text, startMs: stamp.startMs, endMs };
+    lines.push(line);
+
+    const wordStamps = [...stamp.body.matchAll(/<(\d+):(\d{1,2}(?:[.:]\d{1,3})?)>\s*([^<]*)/g)]
+      .map((m) => ({ startMs: Math.max(0, lrcTimeToMs(m[1], m[2]) - offsetMs), text: m[3].trim() }));
+    wordStamps.forEach((word, w) => {
+      if (!word.text) return;
+      const wordEnd = Math.min(wordStamps[w + 1]?.startMs ?? endMs, endMs);
+      if (wordEnd > word.startMs) {
+        words.push({ text: word.text, startMs: word.startMs, endMs: wordEnd });
+        line.hasWords = true;
+      }
+    });
+  });
+
+  if (!lines.length) warnings.push("No timed lyric lines found");
+
+  // Word-timed lines show word by word unless display ranges were already set up
+  const displayRanges =
+    words.length && existing?.displayRanges?.length
+      ? existing.displayRanges
+      : lines
+          .filter((line) => line.hasWords)
+          .map((line) => ({ startMs: line.startMs, endMs: line.endMs, mode: "word" }));
+  lines.forEach((line) => delete line.hasWords);
+
+  const now = new Date().toISOString();
+  return {
+    captions: {
+      ...(existing?.style ? { style: existing.style } : {}),
+      displayRanges,
+      enabled: typeof existing?.enabled === "boolean" ? existing.enabled : true,
+      provider: "lrc",
+      status: "ready",
+      requestedAt: now,
+      updatedAt: now,
+      language: language || existing?.language || "en",
+      words,
+      lines,
+    },
+    warnings,
+  };
+};
+
+export default {
+  BEAT_MAP_TYPES,
+  BEAT_MAP_PARTS,
+  getBeatMap,
+  exportBeatMap,
+  parseBeatMap,
+  applyBeatMap,
+  parseLrc,
+};
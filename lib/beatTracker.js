@@ -0,0 +1,334 @@
+/**
+ * Beat Tracker
+ *
+ * Tempo-tracking beat detection for song formats. Works on an onset strength
+ * envelope (see computeOnsetEnvelope in audioWaveformAnalyzer.js) and returns
+ * a musically consistent beat grid instead of thresholded onsets.
+ *
+ * Pipeline:
+ * - Tempo induction: autocorrelation of the onset envelope, weighted by a
+ *   log-tempo prior so half/double tempo errors are less likely
+ * - Beat alignment: dynamic programming over the whole song (Ellis 2007) so
+ *   beats land on strong onsets while keeping a steady period
+ * - Meter: picks the downbeat phase with the strongest low-band accents and
+ *   numbers bars from there
+ * - Confidence: per-beat score from local onset strength and interval regularity
+ */
+
+export const DEFAULT_BEATS_PER_BAR = 4;
+
+const MIN_BPM = 60;
+const MAX_BPM = 200;
+const PRIOR_BPM = 120;
+// Width of the log-tempo prior in octaves
+const PRIOR_WIDTH = 1.0;
+// Penalty weight for deviating from the tempo period inside the DP
+const TIGHTNESS = 100;
+
+const mean = (arr) => {
+  if (!arr.length) return 0;
+  let sum = 0;
+  for (let i = 0; i < arr.length; i += 1) sum += arr[i];
+  return sum / arr.length;
+};
+
+const stdDev = (arr, avg = mean(arr)) => {
+  if (!arr.length) return 0;
+  let sum = 0;
+  for (let i = 0; i < arr.length; i += 1) sum += (arr[i] - avg) * (arr[i] - avg);
+  return Math.sqrt(sum / arr.length);
+};
+
+/**
+ * Remove the slow-moving baseline and scale to unit variance so strong and
+ * quiet passages contribute comparably to tempo induction.
+ */
+const normalizeEnvelope = (envelope, smoothFrames = 16) => {
+  const n = envelope.length;
+  const out = new Float32Array(n);
+  let windowSum = 0;
+  let windowCount = 0;
+  let head = 0;
+  let tail = 0;
+  for (let i = 0; i < n; i += 1) {
+    while (head < n && head <= i + smoothFrames) {
+      windowSum += envelope[head];
+      windowCount += 1;
+      head += 1;
+    }
+    while (tail < i - smoothFrames) {
+      windowSum -= envelope[tail];
+      windowCount -= 1;
+      tail += 1;
+    }
+    const localMean = windowCount ? windowSum / windowCount : 0;
+    out[i] = Math.max(0, envelope[i] - localMean);
+  }
+  const sd = stdDev(out);
+  if (sd > 0) {
+    for (let i = 0; i < n; i += 1) out[i] /= sd;
+  }
+  return out;
+};
+
+/**
+ * Estimate the beat period (in envelope frames) via weighted autocorrelation.
+ * @param {Float32Array} envelope - Normalized onset envelope
+ * @param {number} frameRate - Envelope frames per second
+ * @returns {{period: number, bpm: number, confidence: number}}
+ */
+export const estimateTempo = (envelope, frameRate, options = {}) => {
+  const { minBpm = MIN_BPM, maxBpm = MAX_BPM, priorBpm = PRIOR_BPM } = options;
+  const minLag = Math.max(1, Math.floor((60 / maxBpm) * frameRate));
+  const maxLag = Math.min(envelope.length - 1, Math.ceil((60 / minBpm) * frameRate));
+  if (maxLag <= minLag) {
+    return { period: null, bpm: null, confidence: 0 };
+  }
+
+  const acf = new Float32Array(maxLag * 2 + 2);
+  const acfLimit = Math.min(acf.length, envelope.length);
+  for (let lag = minLag; lag < acfLimit; lag += 1) {
+    let sum = 0;
+    for (let i = lag; i < envelope.length; i += 1) {
+      sum += envelope[i] * envelope[i - lag];
+    }
+    acf[lag] = sum / (envelope.length - lag);
+  }
+
+  const priorLag = (60 / priorBpm) * frameRate;
+  let bestLag = null;
+  let bestScore = -Infinity;
+  const scores = [];
+  for (let lag = minLag; lag <= maxLag; lag += 1) {
+    // Reward lags whose multiples also line up (comb of two harmonics)
+    const harmonic = 2 * lag < acfLimit ? acf[2 * lag] * 0.5 : 0;
+    const octaves = Math.log2(lag / priorLag);
+    const weight = Math.exp(-0.5 * Math.pow(octaves / PRIOR_WIDTH, 2));
+    const score = (acf[lag] + harmonic) * weight;
+    scores.push(score);
+    if (score > bestScore) {
+      bestScore = score;
+      bestLag = lag;
+    }
+  }
+  if (bestLag === null || bestScore <= 0) {
+    return { period: null, bpm: null, confidence: 0 };
+  }
+
+  // Parabolic interpolation for sub-frame period resolution
+  let period = bestLag;
+  if (bestLag > minLag && bestLag < maxLag) {
+    const a = acf[bestLag - 1];
+    const b = acf[bestLag];
+    const c = acf[bestLag + 1];
+    const denom = a - 2 * b + c;
+    if (denom < 0) {
+      period = bestLag + Math.max(-0.5, Math.min(0.5, (0.5 * (a - c)) / denom));
+    }
+  }
+
+  const avgScore = mean(scores.filter((s) => s > 0));
+  const confidence = avgScore > 0 ? Math.max(0, Math.min(1, 1 - avgScore / bestScore)) : 0;
+
+  return {
+    period,
+    bpm: Math.round((60 * frameRate * 100) / period) / 100,
+    confidence: Number(confidence.toFixed(2)),
+  };
+};
+
+/**
+ * Dynamic-programming beat alignment across the whole envelope.
+ * @param {Float32Array} envelope - Normalized onset envelope
+ * @param {number} period - Beat period in frames
+ * @returns {number[]} Beat positions in envelope frames
+ */
+export const alignBeats = (envelope, period, options = {}) => {
+  const { tightness = TIGHTNESS } = options;
+  const n = envelope.length;
+  if (!n || !Number.isFinite(period) || period <= 0) return [];
+
+  const score = new Float32Array(n);
+  const backlink = new Int32Array(n).fill(-1);
+  const minPrev = Math.max(1, Math.round(period / 2));
+  const maxPrev = Math.round(period * 2);
+
+  for (let t = 0; t < n; t += 1) {
+    let best = 0;
+    let bestIdx = -1;
+    for (let d = minPrev; d <= maxPrev; d += 1) {
+      const p = t - d;
+      if (p < 0) break;
+      const deviation = Math.log(d / period);
+      const candidate = score[p] - tightness * deviation * deviation;
+      if (bestIdx === -1 || candidate > best) {
+        best = candidate;
+        bestIdx = p;
+      }
+    }
+    score[t] = envelope[t] + (bestIdx >= 0 ? Math.max(0, best) : 0);
+    backlink[t] = bestIdx >= 0 && best > 0 ? bestIdx : -1;
+  }
+
+  // Start the backtrace from the best-scoring frame within the final period
+  const tailStart = Math.max(0, n - Math.round(period));
+  let end = tailStart;
+  for (let t = tailStart; t < n; t += 1) {
+    if (score[t] > score[end]) end = t;
+  }
+
+  const beats = [];
+  for (let t = end; t >= 0; t = backlink[t]) {
+    beats.push(t);
+    if (backlink[t] === -1) break;
+  }
+  return beats.reverse();
+};
+
+/**
+ * Pick the downbeat phase whose beats carry the strongest low-band accents.
+ * @returns {{phase: number, confidence: number}}
+ */
+const estimateDownbeatPhase = (beatFrames, accentEnvelope, beatsPerBar) => {
+  if (beatFrames.length < beatsPerBar * 2) {
+    return { phase: 0, confidence: 0 };
+  }
+  const sums = new Array(beatsPerBar).fill(0);
+  const counts = new Array(beatsPerBar).fill(0);
+  beatFrames.forEach((frame, idx) => {
+    const phase = idx % beatsPerBar;
+    // Accents often land a frame or two late relative to the tracked beat
+    let peak = 0;
+    for (let f = frame - 2; f <= frame + 2; f += 1) {
+      if (f >= 0 && f < accentEnvelope.length) peak = Math.max(peak, accentEnvelope[f]);
+    }
+    sums[phase] += peak;
+    counts[phase] += 1;
+  });
+  const averages = sums.map((sum, idx) => (counts[idx] ? sum / counts[idx] : 0));
+  let phase = 0;
+  averages.forEach((value, idx) => {
+    if (value > averages[phase]) phase = idx;
+  });
+  const others = averages.filter((_, idx) => idx !== phase);
+  const otherMean = mean(others);
+  const confidence = averages[phase] > 0 ? Math.max(0, Math.min(1, 1 - otherMean / averages[phase])) : 0;
+  return { phase, confidence: Number(confidence.toFixed(2)) };
+};
+
+/**
+ * Track beats, downbeats and bars from an onset envelope.
+ *
+ * @param {Object} onsetEnvelope
+ * @param {Float32Array} onsetEnvelope.strength - Broadband onset strength per frame
+ * @param {Float32Array} [onsetEnvelope.lowStrength] - Low-band onset strength (kick/bass accents)
+ * @param {number} onsetEnvelope.hopSeconds - Seconds per envelope frame
+ * @param {Object} options
+ * @param {number} [options.beatsPerBar=4]
+ * @param {number} [options.minBpm=60]
+ * @param {number} [options.maxBpm=200]
+ * @returns {{
+ *   bpm: number|null,
+ *   tempoConfidence: number,
+ *   beatsPerBar: number,
+ *   downbeatConfidence: number,
+ *   beats: Array<{time: number, bar: number, beatInBar: number, isDownbeat: boolean, confidence: number}>,
+ *   downbeats: number[],
+ *   bars: Array<{number: number, start: number, end: number}>
+ * }}
+ */
+export const trackBeats = (onsetEnvelope, options = {}) => {
+  const { beatsPerBar = DEFAULT_BEATS_PER_BAR, minBpm = MIN_BPM, maxBpm = MAX_BPM } = options;
+  const empty = {
+    bpm: null,
+    tempoConfidence: 0,
+    beatsPerBar,
+    downbeatConfidence: 0,
+    beats: [],
+    downbeats: [],
+    bars: [],
+  };
+
+  const strength = onsetEnvelope?.strength;
+  const hopSeconds = onsetEnvelope?.hopSeconds;
+  if (!strength?.length || !Number.isFinite(hopSeconds) || hopSeconds <= 0) {
+    return empty;
+  }
+  const frameRate = 1 / hopSeconds;
+  const envelope = normalizeEnvelope(strength);
+
+  const tempo = estimateTempo(envelope, frameRate, { minBpm, maxBpm });
+  if (!tempo.period) return empty;
+
+  const beatFrames = alignBeats(envelope, tempo.period);
+  if (beatFrames.length < 2) return empty;
+
+  const accent = onsetEnvelope.lowStrength?.length
+    ? normalizeEnvelope(onsetEnvelope.lowStrength)
+    : envelope;
+  const { phase, confidence: downbeatConfidence } = estimateDownbeatPhase(
+    beatFrames,
+    accent,
+    beatsPerBar
+  );
+
+  // Per-beat confidence: onset support at the beat and how close the
+  // surrounding intervals are to the tracked period.
+  const peakAt = (frame) => {
+    let peak = 0;
+    for (let f = frame - 2; f <= frame + 2; f += 1) {
+      if (f >= 0 && f < envelope.length) peak = Math.max(peak, envelope[f]);
+    }
+    return peak;
+  };
+  const peaks = beatFrames.map(peakAt);
+  const sortedPeaks = [...peaks].sort((a, b) => a - b);
+  const peakReference = sortedPeaks[Math.floor(sortedPeaks.length * 0.9)] || 1;
+
+  const beats = beatFrames.map((frame, idx) => {
+    const prevInterval = idx > 0 ? frame - beatFrames[idx - 1] : null;
+    const nextInterval = idx < beatFrames.length - 1 ? beatFrames[idx + 1] - frame : null;
+    const intervals = [prevInterval, nextInterval].filter((v) => v !== null);
+    const regularity = intervals.length
+      ? mean(intervals.map((d) => Math.exp(-Math.abs(Math.log(d / tempo.period)) * 4)))
+      : 0;
+    const support = Math.min(1, peaks[idx] / peakReference);
+    const confidence = 0.6 * support + 0.4 * regularity;
+
+    const offset = idx - phase;
+    const bar = offset < 0 ? 0 : Math.floor(offset / beatsPerBar) + 1;
+    const beatInBar = ((offset % beatsPerBar) + beatsPerBar) % beatsPerBar + 1;
+    return {
+      time: Number((frame * hopSeconds).toFixed(3)),
+      bar,
+      beatInBar,
+      isDownbeat: offset >= 0 && beatInBar === 1,
+      confidence: Number(confidence.toFixed(2)),
+    };
+  });
+
+  const downbeats = beats.filter((beat) => beat.isDownbeat).map((beat) => beat.time);
+  const songEnd = Number((strength.length * hopSeconds).toFixed(3));
+  const bars = downbeats.map((start, idx) => ({
+    number: idx + 1,
+    start,
+    end: idx < downbeats.length - 1 ? downbeats[idx + 1] : songEnd,
+  }));
+
+  return {
+    bpm: tempo.bpm,
+    tempoConfidence: tempo.confidence,
+    beatsPerBar,
+    downbeatConfidence,
+    beats,
+    downbeats,
+    bars,
+  };
+};
+
+export default {
+  DEFAULT_BEATS_PER_BAR,
+  estimateTempo,
+  alignBeats,
+  trackBeats,
+};
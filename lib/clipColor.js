@@ -0,0 +1,321 @@
+/**
+ * Clip Color
+ *
+ * Fast-cut edits jumped from dark night interiors to blown-out snow
+ * exteriors because selection knew nothing about how clips look. Each pool
+ * clip is sampled once with ffmpeg (a small RGB frame at its first, middle
+ * and last frame) and the result stored on the clip:
+ *
+ *   clip.color = {
+ *     version,
+ *     luminance,    // mean Rec. 709 luma, 0-1
+ *     palette,      // dominant colors: [{ color: "#rrggbb", share }], largest first
+ *     samples       // [{ offset, luminance, color }] - offset in seconds from clip start
+ *   }
+ *   pool.color = { version, generatedAt, analyzed }
+ *
+ * Planners take an optional colorContinuity setting:
+ * - "smooth": favor cuts whose brightness and palette change little
+ * - "sections": smooth within a section, deliberately contrasting on the
+ *   first cut of a new section (needs a section profile; smooth without one)
+ * The distance of a cut weighs brightness where the previous clip was left
+ * against where the next one starts, plus the two clips' palettes.
+ */
+
+import { execFile } from "node:child_process";
+import { promisify } from "node:util";
+import { analyzePoolClips, resolveFfmpegBinary } from "./clipMedia.js";
+import { getSegmentEnergy } from "./sectionProfile.js";
+
+const execFileAsync = promisify(execFile);
+
+export const CLIP_COLOR_VERSION = "rgb-1";
+export const PALETTE_SIZE = 3;
+export const COLOR_CONTINUITY_MODES = ["smooth", "sections"];
+// Best-matching cuts are this many times as likely to be picked as the worst
+export const COLOR_CONTINUITY_WEIGHT = 4;
+
+const FRAME_WIDTH = 32;
+const FRAME_HEIGHT = 18;
+// Levels per channel when binning pixels for the palette (4 -> 64 bins)
+const PALETTE_LEVELS = 4;
+// Samples stay this far inside the clip so a fade or a neighbouring shot is not read
+const EDGE_PAD_SECONDS = 0.04;
+// Cut distances at or above this count as a full contrast
+const FULL_CONTRAST_DISTANCE = 0.5;
+const LUMINANCE_WEIGHT = 0.5;
+const MAX_RGB_DISTANCE = Math.sqrt(3 * 255 * 255);
+
+const toNumber = (value, fallback = null) => {
+  const n = Number(value);
+  return value !== null && value !== undefined && value !== "" && Number.isFinite(n) ? n : fallback;
+};
+
+const round = (value, digits = 3) => (Number.isFinite(value) ? Number(value.toFixed(digits)) : null);
+
+const toHex = (rgb) => `#${rgb.map((v) => Math.round(v).toString(16).padStart(2, "0")).join("")}`;
+
+const fromHex = (hex) => {
+  const match = /^#?([0-9a-f]{6})$/i.exec(hex || "");
+  if (!match) return null;
+  const n = parseInt(match[1], 16);
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+};
+
+const rgbDistance = (a, b) =>
+  Math.sqrt((a[0] - b[0]) ** 2 + (a[1] - b[1]) ** 2 + (a[2] - b[2]) ** 2) / MAX_RGB_DISTANCE;
+
+const lumaOf = (r, g, b) => (0.2126 * r + 0.7152 * g + 0.0722 * b) / 255;
+
+const paletteLevel = (value) => Math.min(PALETTE_LEVELS - 1, Math.floor((value / 256) * PALETTE_LEVELS));
+
+const readColorFrame = async (videoPath, seconds) => {
+  const { stdout } = await execFileAsync(
+    resolveFfmpegBinary(),
+    [
+      "-v",
+      "error",
+      "-ss",
+      seconds.toFixed(3),
+      "-i",
+      videoPath,
+      "-frames:v",
+      "1",
+      "-vf",
+      `scale=${FRAME_WIDTH}:${FRAME_HEIGHT}:flags=area,format=rgb24`,
+      "-f",
+      "rawvideo",
+      "pipe:1",
+    ],
+    { encoding: "buffer", maxBuffer: 1024 * 1024 }
+  );
+  return stdout;
+};
+
+/**
+ * Sample offsets (seconds from clip start) for a clip: first, middle and
+ * last frame, kept EDGE_PAD_SECONDS inside the clip.
+ */
+export const colorSampleOffsets = (duration) => {
+  const span = Math.max(0, duration);
+  const pad = Math.min(EDGE_PAD_SECONDS, span / 4);
+  return Array.from(new Set([pad, span / 2, span - pad].map((offset) => round(offset))));
+};
+
+/**
+ * Color record from RGB24 frames: mean luminance, dominant palette and a
+ * per-frame luminance / mean color sample.
+ *
+ * @param {Array<{ offset: number, pixels: Buffer }>} frames
+ * @returns {Object} clip.color
+ */
+export const summarizeColor = (frames = []) => {
+  const bins = new Map();
+  const samples = [];
+  let totalPixels = 0;
+  let lumaSum = 0;
+
+  for (const { offset, pixels } of frames) {
+    const count = Math.floor(pixels.length / 3);
+    if (!count) continue;
+    let r = 0;
+    let g = 0;
+    let b = 0;
+    let luma = 0;
+    for (let p = 0; p < count; p += 1) {
+      const pr = pixels[p * 3];
+      const pg = pixels[p * 3 + 1];
+      const pb = pixels[p * 3 + 2];
+      r += pr;
+      g += pg;
+      b += pb;
+      luma += lumaOf(pr, pg, pb);
+      const key = (paletteLevel(pr) * PALETTE_LEVELS + paletteLevel(pg)) * PALETTE_LEVELS + paletteLevel(pb);
+      const bin = bins.get(key) || { count: 0, r: 0, g: 0, b: 0 };
+      bin.count += 1;
+      bin.r += pr;
+      bin.g += pg;
+      bin.b += pb;
+      bins.set(key, bin);
+    }
+    totalPixels += count;
+    lumaSum += luma;
+    samples.push({ offset, luminance: round(luma / count), color: toHex([r / count, g / count, b / count]) });
+  }
+
+  if (!totalPixels) {
+    return { version: CLIP_COLOR_VERSION, luminance: null, palette: [], samples: [] };
+  }
+  const palette = [...bins.values()]
+    .sort((a, b) => b.count - a.count)
+    .slice(0, PALETTE_SIZE)
+    .map((bin) => ({ color: toHex([bin.r / bin.count, bin.g / bin.count, bin.b / bin.count]), share: round(bin.count / totalPixels) }));
+
+  return { version: CLIP_COLOR_VERSION, luminance: round(lumaSum / totalPixels), palette, samples };
+};
+
+/**
+ * Color of one pool clip, read from its local source video.
+ *
+ * @param {string} videoPath
+ * @param {Object} clip - { start, end } (or duration)
+ */
+export const analyzeClipColor = async (videoPath, clip) => {
+  const start = toNumber(clip?.start, 0);
+  const end = toNumber(clip?.end, start + (toNumber(clip?.duration, 0) || 0));
+  const frames = [];
+  for (const offset of colorSampleOffsets(end - start)) {
+    frames.push({ offset, pixels: await readColorFrame(videoPath, start + offset) });
+  }
+  return summarizeColor(frames);
+};
+
+export const hasClipColor = (clip) =>
+  clip?.color?.version === CLIP_COLOR_VERSION && Number.isFinite(clip.color.luminance);
+
+/**
+ * Analyze every clip of a pool (reusing records of the same version unless
+ * `force`) and record them on the pool.
+ *
+ * @param {Object} pool
+ * @param {Object} [options]
+ * @param {boolean} [options.force=false]
+ * @param {(event: Object) => void} [options.onProgress] - See clipMedia.analyzePoolClips
+ * @returns {Promise<{ pool: Object, stats: Object }>}
+ */
+export const analyzeClipPoolColor = async (pool, options = {}) => {
+  const { force = false, onProgress = null } = options;
+  const { clips, stats } = await analyzePoolClips(pool, {
+    reuse: (clip) => (!force && clip?.color?.version === CLIP_COLOR_VERSION ? clip : null),
+    analyze: async (videoPath, clip) => ({ ...clip, color: await analyzeClipColor(videoPath, clip) }),
+    onProgress,
+  });
+
+  const analyzed = clips.filter(hasClipColor).length;
+  return {
+    pool: {
+      ...pool,
+      clips,
+      color: { version: CLIP_COLOR_VERSION, generatedAt: new Date().toISOString(), analyzed },
+    },
+    stats,
+  };
+};
+
+// Luminance at an offset into the clip: the nearest sample, else the clip mean
+const luminanceAt = (color, offset) => {
+  const samples = color?.samples || [];
+  if (!samples.length) return color?.luminance ?? null;
+  return samples.reduce((best, sample) =>
+    Math.abs(sample.offset - offset) < Math.abs(best.offset - offset) ? sample : best
+  ).luminance;
+};
+
+// Share-weighted distance from each color of one palette to its nearest in the other, both ways
+const paletteDistance = (a = [], b = []) => {
+  const colorsA = a.map((entry) => ({ rgb: fromHex(entry.color), share: entry.share })).filter((entry) => entry.rgb);
+  const colorsB = b.map((entry) => ({ rgb: fromHex(entry.color), share: entry.share })).filter((entry) => entry.rgb);
+  if (!colorsA.length || !colorsB.length) return null;
+  const oneWay = (from, to) => {
+    const shares = from.reduce((sum, entry) => sum + (entry.share || 0), 0) || 1;
+    return from.reduce(
+      (sum, entry) => sum + (entry.share || 0) * Math.min(...to.map((other) => rgbDistance(entry.rgb, other.rgb))),
+      0
+    ) / shares;
+  };
+  return (oneWay(colorsA, colorsB) + oneWay(colorsB, colorsA)) / 2;
+};
+
+/**
+ * How different a cut looks (0 = seamless, 1 = black to white): brightness
+ * where `fromClip` is left (fromOffset seconds in) against where `toClip`
+ * starts, blended with the distance between their palettes.
+ *
+ * @param {Object} fromClip - Pool clip before the cut
+ * @param {number} fromOffset - Seconds into fromClip where the cut happens
+ * @param {Object} toClip - Pool clip after the cut (entered at its start)
+ * @returns {number|null} Null when either clip has no color record
+ */
+export const colorCutDistance = (fromClip, fromOffset, toClip) => {
+  if (!hasClipColor(fromClip) || !hasClipColor(toClip)) return null;
+  const lumaDelta = Math.abs(luminanceAt(fromClip.color, fromOffset) - luminanceAt(toClip.color, 0));
+  const palette = paletteDistance(fromClip.color.palette, toClip.color.palette);
+  return palette === null ? lumaDelta : LUMINANCE_WEIGHT * lumaDelta + (1 - LUMINANCE_WEIGHT) * palette;
+};
+
+/**
+ * The cut into segments[segmentIndex] under a colorContinuity setting: the
+ * clip it comes from, where that clip is left and whether the cut should
+ * look smooth or contrasting. Null when continuity is off or the previous
+ * segment has no analyzed clip yet.
+ *
+ * @param {Object} params
+ * @param {"smooth"|"sections"|null} params.setting
+ * @param {Object[]} params.segments - Plan segments (assets carry sourcePoolIndex)
+ * @param {number} params.segmentIndex
+ * @param {Object[]} params.clips - Pool clips indexed by sourcePoolIndex
+ * @param {Object|null} [params.sectionProfile] - Needed for "sections"
+ * @returns {{ fromClip: Object, fromOffset: number, mode: "smooth"|"contrast" }|null}
+ */
+export const getCutContinuity = ({ setting, segments, segmentIndex, clips, sectionProfile = null }) => {
+  if (!COLOR_CONTINUITY_MODES.includes(setting) || !segmentIndex) return null;
+  const previous = segments[segmentIndex - 1];
+  const segment = segments[segmentIndex];
+  const fromClip = clips[previous?.asset?.sourcePoolIndex];
+  if (!hasClipColor(fromClip)) return null;
+
+  let mode = "smooth";
+  if (setting === "sections" && sectionProfile) {
+    const sectionOf = (seg) =>
+      getSegmentEnergy(sectionProfile, seg.startSeconds, seg.endSeconds ?? (seg.startSeconds ?? 0) + seg.durationSeconds)
+        ?.section ?? null;
+    const before = sectionOf(previous);
+    const after = sectionOf(segment);
+    if (before && after && before !== after) mode = "contrast";
+  }
+  const fromOffset = Math.max(0, (previous.asset.end ?? 0) - (previous.asset.start ?? 0));
+  return { fromClip, fromOffset, mode };
+};
+
+/**
+ * Selection weight for a candidate clip against a cut: 1 for the worst fit
+ * up to COLOR_CONTINUITY_WEIGHT for the best (smooth: no visible change,
+ * contrast: FULL_CONTRAST_DISTANCE or more). Clips without a color record
+ * weigh like a half-way fit; no continuity means no bias.
+ *
+ * @param {Object|null} continuity - getCutContinuity result
+ * @param {Object} clip - Candidate pool clip
+ * @param {{ strength?: number }} [options]
+ */
+export const getColorContinuityWeight = (continuity, clip, { strength = COLOR_CONTINUITY_WEIGHT } = {}) => {
+  if (!continuity) return 1;
+  const distance = colorCutDistance(continuity.fromClip, continuity.fromOffset, clip);
+  const contrast = distance === null ? 0.5 : Math.min(1, distance / FULL_CONTRAST_DISTANCE);
+  const fit = continuity.mode === "contrast" ? contrast : 1 - contrast;
+  return 1 + (strength - 1) * fit * fit;
+};
+
+/**
+ * Normalize a colorContinuity request value: a mode name, true for
+ * "smooth", anything else off.
+ */
+export const normalizeColorContinuity = (value) => {
+  if (value === true) return "smooth";
+  return COLOR_CONTINUITY_MODES.includes(value) ? value : null;
+};
+
+export default {
+  CLIP_COLOR_VERSION,
+  PALETTE_SIZE,
+  COLOR_CONTINUITY_MODES,
+  COLOR_CONTINUITY_WEIGHT,
+  colorSampleOffsets,
+  summarizeColor,
+  analyzeClipColor,
+  hasClipColor,
+  analyzeClipPoolColor,
+  colorCutDistance,
+  getCutContinuity,
+  getColorContinuityWeight,
+  normalizeColorContinuity,
+};
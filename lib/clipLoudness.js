@@ -0,0 +1,340 @@
+/**
+ * Clip Loudness
+ *
+ * Dialogue clips (pauseMusic, or any clip whose audio is mixed in with
+ * clipVolume) used to play at whatever level the source had, so some lines
+ * were whisper-quiet next to the song. Each pool clip is analyzed once with
+ * ffmpeg and the result stored on the clip:
+ *
+ *   clip.loudness = {
+ *     version, hasAudio,
+ *     integratedLufs,      // EBU R128 integrated loudness (loudnorm)
+ *     truePeakDb,          // dBTP
+ *     loudnessRange,       // LU
+ *     speechRatio,         // share of the clip with voice-band activity (300-3400 Hz)
+ *     hasSpeech            // speechRatio over threshold, or annotated dialogue
+ *   }
+ *   pool.loudness = { version, generatedAt, analyzed }
+ *
+ * Renderers turn it into gains with planDialogueMix: the dialogue clip is
+ * brought to the song's loudness (capped at +/-12 dB and a -1 dBTP peak)
+ * and the music under it is pulled down so speech sits 6 LU above it.
+ */
+
+import fs from "node:fs";
+import { execFile } from "node:child_process";
+import { promisify } from "node:util";
+import { analyzePoolClips, resolveFfmpegBinary } from "./clipMedia.js";
+
+const execFileAsync = promisify(execFile);
+
+export const CLIP_LOUDNESS_VERSION = "loudnorm-1";
+// Used when the song's own loudness is unknown
+export const DEFAULT_DIALOGUE_TARGET_LUFS = -16;
+export const DIALOGUE_OVER_MUSIC_LU = 6;
+export const MAX_DIALOGUE_GAIN_DB = 12;
+export const TRUE_PEAK_CEILING_DB = -1;
+export const SPEECH_RATIO_THRESHOLD = 0.35;
+
+// Targets follow the song, within a range where dialogue stays intelligible
+const MIN_TARGET_LUFS = -24;
+const MAX_TARGET_LUFS = -10;
+const SPEECH_NOISE_FLOOR_DB = -35;
+const SPEECH_MIN_SILENCE_SECONDS = 0.3;
+
+const songLoudnessCache = new Map();
+
+const toNumber = (value, fallback = null) => {
+  const n = Number(value);
+  return value !== null && value !== undefined && value !== "" && Number.isFinite(n) ? n : fallback;
+};
+
+const round = (value, digits = 2) => (Number.isFinite(value) ? Number(value.toFixed(digits)) : null);
+
+const dbToGain = (db) => Math.pow(10, db / 20);
+const gainToDb = (gain) => 20 * Math.log10(gain);
+
+// ffmpeg prints filter reports on stderr; a clip without an audio stream is not an error here
+const runAudioFilter = async (filePath, filter, { start = null, duration = null } = {}) => {
+  const args = ["-hide_banner", "-nostats"];
+  if (start !== null) args.push("-ss", start.toFixed(3));
+  if (duration !== null) args.push("-t", duration.toFixed(3));
+  args.push("-i", filePath, "-vn", "-af", filter, "-f", "null", "-");
+  try {
+    const { stderr } = await execFileAsync(resolveFfmpegBinary(), args, { maxBuffer: 8 * 1024 * 1024 });
+    return stderr;
+  } catch (error) {
+    if (/does not contain any stream|matches no streams|Output file #0 does not contain/i.test(error?.stderr || "")) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Integrated loudness, true peak and loudness range of a file (or a range
+ * of it) from ffmpeg's loudnorm analysis. Null when it has no audio.
+ *
+ * @param {string} filePath
+ * @param {{ start?: number|null, duration?: number|null }} [range]
+ * @returns {Promise<{ integratedLufs: number|null, truePeakDb: number|null, loudnessRange: number|null }|null>}
+ */
+export const measureLoudness = async (filePath, range = {}) => {
+  const stderr = await runAudioFilter(filePath, "loudnorm=print_format=json", range);
+  if (stderr === null) return null;
+  const match = stderr.match(/\{[^{}]*"input_i"[^{}]*\}/);
+  if (!match) throw new Error("loudnorm produced no report");
+  const report = JSON.parse(match[0]);
+  return {
+    // Digital silence reports -inf
+    integratedLufs: round(toNumber(report.input_i)),
+    truePeakDb: round(toNumber(report.input_tp)),
+    loudnessRange: round(toNumber(report.input_lra)),
+  };
+};
+
+/**
+ * Share of a file (or range) with voice-band activity: band-passed to
+ * 300-3400 Hz, everything not reported by silencedetect counts as speech.
+ *
+ * @returns {Promise<number|null>} 0..1, null when it has no audio
+ */
+export const measureSpeechRatio = async (filePath, range = {}) => {
+  const filter =
+    `highpass=f=300,lowpass=f=3400,` +
+    `silencedetect=noise=${SPEECH_NOISE_FLOOR_DB}dB:d=${SPEECH_MIN_SILENCE_SECONDS}`;
+  const stderr = await runAudioFilter(filePath, filter, range);
+  if (stderr === null) return null;
+
+  const durationMatch = stderr.match(/Duration: (\d+):(\d+):(\d+(?:\.\d+)?)/);
+  const fileDuration = durationMatch
+    ? Number(durationMatch[1]) * 3600 + Number(durationMatch[2]) * 60 + Number(durationMatch[3])
+    : null;
+  const total = toNumber(range.duration, fileDuration);
+  if (!total || total <= 0) return null;
+
+  let silent = 0;
+  let openStart = null;
+  for (const line of stderr.split("\n")) {
+    const startMatch = line.match(/silence_start: (-?\d+(?:\.\d+)?)/);
+    if (startMatch) openStart = Math.max(0, Number(startMatch[1]));
+    const durationLine = line.match(/silence_duration: (\d+(?:\.\d+)?)/);
+    if (durationLine) {
+      silent += Number(durationLine[1]);
+      openStart = null;
+    }
+  }
+  // Silence still open at the end runs to the end of the range
+  if (openStart !== null) silent += Math.max(0, total - openStart);
+  return round(Math.min(1, Math.max(0, 1 - silent / total)), 3);
+};
+
+/**
+ * Loudness record for a file or a range of it.
+ *
+ * @param {string} filePath
+ * @param {{ start?: number|null, duration?: number|null, annotatedDialogue?: boolean }} [options]
+ * @returns {Promise<Object>} clip.loudness
+ */
+export const analyzeLoudness = async (filePath, options = {}) => {
+  const { start = null, duration = null, annotatedDialogue = false } = options;
+  const loudness = await measureLoudness(filePath, { start, duration });
+  if (!loudness) {
+    return { version: CLIP_LOUDNESS_VERSION, hasAudio: false, integratedLufs: null, truePeakDb: null, loudnessRange: null, speechRatio: 0, hasSpeech: false };
+  }
+  const speechRatio = (await measureSpeechRatio(filePath, { start, duration })) ?? 0;
+  return {
+    version: CLIP_LOUDNESS_VERSION,
+    hasAudio: true,
+    ...loudness,
+    speechRatio,
+    hasSpeech: annotatedDialogue || speechRatio >= SPEECH_RATIO_THRESHOLD,
+  };
+};
+
+const clipRange = (clip) => {
+  const start = toNumber(clip?.start, 0);
+  const end = toNumber(clip?.end, start + (toNumber(clip?.duration, 0) || 0));
+  return { start, duration: Math.max(0, end - start) };
+};
+
+/**
+ * Loudness of one pool clip, read from its local source video.
+ *
+ * @param {string} videoPath
+ * @param {Object} clip - { start, end, dialogue? }
+ */
+export const analyzeClipLoudness = (videoPath, clip) =>
+  analyzeLoudness(videoPath, { ...clipRange(clip), annotatedDialogue: Boolean(clip?.dialogue) });
+
+/**
+ * Analyze every clip of a pool (reusing records of the same version unless
+ * `force`) and record them on the pool.
+ *
+ * @param {Object} pool
+ * @param {Object} [options]
+ * @param {boolean} [options.force=false]
+ * @param {(event: Object) => void} [options.onProgress] - See clipMedia.analyzePoolClips
+ * @returns {Promise<{ pool: Object, stats: Object }>}
+ */
+export const analyzeClipPoolLoudness = async (pool, options = {}) => {
+  const { force = false, onProgress = null } = options;
+  const { clips, stats } = await analyzePoolClips(pool, {
+    reuse: (clip) => (!force && clip?.loudness?.version === CLIP_LOUDNESS_VERSION ? clip : null),
+    analyze: async (videoPath, clip) => ({ ...clip, loudness: await analyzeClipLoudness(videoPath, clip) }),
+    onProgress,
+  });
+
+  const current = clips.filter((clip) => clip?.loudness?.version === CLIP_LOUDNESS_VERSION);
+  return {
+    pool: {
+      ...pool,
+      clips,
+      loudness: { version: CLIP_LOUDNESS_VERSION, generatedAt: new Date().toISOString(), analyzed: current.length },
+    },
+    stats: { ...stats, withSpeech: current.filter((clip) => clip.loudness.hasSpeech).length },
+  };
+};
+
+/**
+ * Loudness of a song file, cached per path and mtime.
+ */
+export const analyzeSongLoudness = async (songPath) => {
+  const mtimeMs = fs.statSync(songPath).mtimeMs;
+  const cached = songLoudnessCache.get(songPath);
+  if (cached?.mtimeMs === mtimeMs) return cached.loudness;
+  const loudness = await measureLoudness(songPath);
+  songLoudnessCache.set(songPath, { mtimeMs, loudness });
+  return loudness;
+};
+
+/**
+ * Stored loudness for a plan asset: its own record, else the pool clip it
+ * was cut from (same id and video).
+ *
+ * @param {Object} asset - Segment asset
+ * @param {Object[]} [clips] - Pool clips
+ */
+export const getAssetLoudness = (asset, clips = []) => {
+  if (asset?.loudness?.version === CLIP_LOUDNESS_VERSION) return asset.loudness;
+  if (asset?.poolClipId === null || asset?.poolClipId === undefined) return null;
+  const clip = (clips || []).find(
+    (candidate) =>
+      String(candidate?.id) === String(asset.poolClipId) &&
+      (!asset.videoId || !candidate.videoId || candidate.videoId === asset.videoId)
+  );
+  return clip?.loudness?.version === CLIP_LOUDNESS_VERSION ? clip.loudness : null;
+};
+
+/**
+ * Whether a segment's clip audio is dialogue that should be normalized:
+ * audible (clipVolume > 0) and either pausing the music or detected speech.
+ */
+export const isDialogueSegment = ({ clipVolume = 0, pauseMusic = false, loudness = null } = {}) =>
+  clipVolume > 0 && (Boolean(pauseMusic) || Boolean(loudness?.hasSpeech));
+
+/**
+ * Gains that put a dialogue clip at the song's loudness and keep the music
+ * under it DIALOGUE_OVER_MUSIC_LU below the speech.
+ *
+ * @param {Object} params
+ * @param {Object|null} params.loudness - clip.loudness
+ * @param {Object|null} [params.songLoudness] - measureLoudness of the song
+ * @param {number} [params.clipVolume=1] - Slot clipVolume (already applied by the caller)
+ * @param {number} [params.musicVolume=1] - Slot musicVolume (already applied by the caller)
+ * @returns {{ clipGain: number, musicGain: number, gainDb: number, musicGainDb: number, targetLufs: number, limitedBy: string|null }}
+ */
+export const planDialogueMix = ({ loudness, songLoudness = null, clipVolume = 1, musicVolume = 1 }) => {
+  const songLufs = toNumber(songLoudness?.integratedLufs);
+  const targetLufs = Math.min(MAX_TARGET_LUFS, Math.max(MIN_TARGET_LUFS, songLufs ?? DEFAULT_DIALOGUE_TARGET_LUFS));
+  const clipLufs = toNumber(loudness?.integratedLufs);
+  if (!loudness?.hasAudio || clipLufs === null || clipVolume <= 0) {
+    return { clipGain: 1, musicGain: 1, gainDb: 0, musicGainDb: 0, targetLufs, limitedBy: null };
+  }
+
+  // The slot's clipVolume is a deliberate mix choice, so it stays on top of the normalization
+  let gainDb = targetLufs - clipLufs;
+  let limitedBy = null;
+  if (Math.abs(gainDb) > MAX_DIALOGUE_GAIN_DB) {
+    gainDb = Math.sign(gainDb) * MAX_DIALOGUE_GAIN_DB;
+    limitedBy = "max-gain";
+  }
+  const peak = toNumber(loudness.truePeakDb);
+  const volumeDb = gainToDb(clipVolume);
+  if (peak !== null && peak + gainDb + volumeDb > TRUE_PEAK_CEILING_DB) {
+    gainDb = TRUE_PEAK_CEILING_DB - peak - volumeDb;
+    limitedBy = "true-peak";
+  }
+
+  let musicGainDb = 0;
+  if (songLufs !== null && musicVolume > 0) {
+    const dialogueLufs = clipLufs + gainDb + volumeDb;
+    const musicLufs = songLufs + gainToDb(musicVolume);
+    // Ducking is capped like the clip gain so a near-silent clip does not mute the song
+    musicGainDb = Math.max(-MAX_DIALOGUE_GAIN_DB, Math.min(0, dialogueLufs - DIALOGUE_OVER_MUSIC_LU - musicLufs));
+  }
+
+  return {
+    clipGain: round(dbToGain(gainDb), 4),
+    musicGain: round(dbToGain(musicGainDb), 4),
+    gainDb: round(gainDb),
+    musicGainDb: round(musicGainDb),
+    targetLufs,
+    limitedBy,
+  };
+};
+
+/**
+ * Dialogue mix for one rendered segment. Uses stored loudness, and for
+ * pause-music clips without one measures the rendered clip file itself.
+ * Null when the segment is not dialogue or nothing could be measured.
+ *
+ * @param {Object} params
+ * @param {Object} params.asset - Segment asset
+ * @param {string} [params.clipPath] - The clip file fed to the renderer (starts at the clip's in-point)
+ * @param {number} params.clipVolume
+ * @param {number} params.musicVolume
+ * @param {boolean} params.pauseMusic
+ * @param {Object|null} [params.songLoudness]
+ * @param {Object[]} [params.clips] - Pool clips for stored loudness
+ */
+export const resolveDialogueMix = async ({
+  asset,
+  clipPath = null,
+  clipVolume,
+  musicVolume,
+  pauseMusic,
+  songLoudness = null,
+  clips = [],
+}) => {
+  if (clipVolume <= 0) return null;
+  let loudness = getAssetLoudness(asset, clips);
+  if (!loudness && pauseMusic && clipPath) {
+    try {
+      loudness = await analyzeLoudness(clipPath);
+    } catch (error) {
+      console.warn(`[clipLoudness] Could not measure ${clipPath}: ${error.message}`);
+    }
+  }
+  if (!loudness || !isDialogueSegment({ clipVolume, pauseMusic, loudness })) return null;
+  return { loudness, ...planDialogueMix({ loudness, songLoudness, clipVolume, musicVolume }) };
+};
+
+export default {
+  CLIP_LOUDNESS_VERSION,
+  DEFAULT_DIALOGUE_TARGET_LUFS,
+  DIALOGUE_OVER_MUSIC_LU,
+  MAX_DIALOGUE_GAIN_DB,
+  TRUE_PEAK_CEILING_DB,
+  SPEECH_RATIO_THRESHOLD,
+  measureLoudness,
+  measureSpeechRatio,
+  analyzeLoudness,
+  analyzeClipLoudness,
+  analyzeClipPoolLoudness,
+  analyzeSongLoudness,
+  getAssetLoudness,
+  isDialogueSegment,
+  planDialogueMix,
+  resolveDialogueMix,
+};
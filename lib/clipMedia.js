@@ -0,0 +1,93 @@
+/**
+ * Clip Media
+ *
+ * Where the ffmpeg-based analyzers (near-duplicate hashes, loudness, motion,
+ * color, thumbnails, transcription) and the render routes find their inputs:
+ * the ffmpeg binary, the local video file behind a pool clip, and the
+ * per-clip pass those analyzers run over a whole pool.
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import ffmpegPath from "ffmpeg-static";
+import { resolveLocalVideoPath } from "./contentSources.js";
+
+/**
+ * ffmpeg to run: FFMPEG_PATH when it exists, else ffmpeg-static, else
+ * whatever `ffmpeg` is on PATH.
+ */
+export function resolveFfmpegBinary() {
+  const envPath = process.env.FFMPEG_PATH;
+  if (envPath && fs.existsSync(envPath)) return envPath;
+  if (ffmpegPath && fs.existsSync(ffmpegPath)) return ffmpegPath;
+  return "ffmpeg";
+}
+
+/**
+ * Local file for a clip: its own sourcePath (folder-built pools), else the
+ * content source registry's localPath for its video.
+ */
+export const resolveClipVideoPath = (clip) => {
+  if (clip?.sourcePath) {
+    const sourcePath = path.resolve(process.cwd(), clip.sourcePath);
+    if (fs.existsSync(sourcePath)) return sourcePath;
+  }
+  return resolveLocalVideoPath(clip?.videoId) || resolveLocalVideoPath(clip?.cloudinaryId);
+};
+
+/**
+ * Run a per-clip analyzer over every clip of a pool, in order. A clip that
+ * `reuse` hands back (e.g. one with a record of the current version) is kept
+ * as returned, a clip without a local video is kept as is, and any other is
+ * replaced by what `analyze` resolves to. Failures are counted, not thrown.
+ *
+ * Progress events: { type: "missing-video" | "analyzed" | "failed", index,
+ * total, clip, result? (the analyzed clip), error? }
+ *
+ * @param {Object} pool
+ * @param {Object} options
+ * @param {(clip: Object) => Object|null} options.reuse
+ * @param {(videoPath: string, clip: Object) => Promise<Object>} options.analyze
+ * @param {(event: Object) => void} [options.onProgress]
+ * @returns {Promise<{ clips: Object[], stats: { analyzed: number, reused: number, missingVideo: number, failed: number } }>}
+ */
+export const analyzePoolClips = async (pool, { reuse, analyze, onProgress = null }) => {
+  const stats = { analyzed: 0, reused: 0, missingVideo: 0, failed: 0 };
+  const clips = [];
+  const total = pool?.clips?.length || 0;
+
+  for (let i = 0; i < total; i += 1) {
+    const clip = pool.clips[i];
+    const reused = reuse(clip);
+    if (reused) {
+      stats.reused += 1;
+      clips.push(reused);
+      continue;
+    }
+    const videoPath = resolveClipVideoPath(clip);
+    if (!videoPath) {
+      stats.missingVideo += 1;
+      clips.push(clip);
+      onProgress?.({ type: "missing-video", index: i, total, clip });
+      continue;
+    }
+    try {
+      const result = await analyze(videoPath, clip);
+      clips.push(result);
+      stats.analyzed += 1;
+      onProgress?.({ type: "analyzed", index: i, total, clip, result });
+    } catch (error) {
+      stats.failed += 1;
+      clips.push(clip);
+      onProgress?.({ type: "failed", index: i, total, clip, error: error.message });
+    }
+  }
+
+  return { clips, stats };
+};
+
+export default {
+  resolveFfmpegBinary,
+  resolveClipVideoPath,
+  analyzePoolClips,
+};
@@ -0,0 +1,289 @@
+/**
+ * Clip Motion
+ *
+ * Pool clips carried no notion of how much happens on screen, so a hard hit
+ * in the song was as likely to get a slow pan as a dunk or a sword swing.
+ * Each clip is analyzed once with ffmpeg (grayscale 64x36 frames at 10 fps,
+ * mean absolute difference between consecutive frames) and the result
+ * stored on the clip:
+ *
+ *   clip.motion = {
+ *     version,
+ *     score,     // mean frame difference, 0-1 of full pixel range
+ *     energy,    // 0-1 rank of score within the pool (absolute scale outside a pool)
+ *     peak,      // highest curve point
+ *     curve      // MOTION_CURVE_POINTS slices across the clip, 0-1
+ *   }
+ *   pool.motion = { version, generatedAt, analyzed, sampleFps }
+ *
+ * Frame pairs that differ like a scene cut are left out, so a stray cut
+ * inside a clip does not read as action. Planners weight candidates by how
+ * close clip.motion.energy is to the segment's onset strength
+ * (sectionProfile.getSegmentEnergy), falling back to its energy score.
+ */
+
+import { execFile } from "node:child_process";
+import { promisify } from "node:util";
+import { analyzePoolClips, resolveFfmpegBinary } from "./clipMedia.js";
+
+const execFileAsync = promisify(execFile);
+
+export const CLIP_MOTION_VERSION = "framediff-1";
+export const MOTION_SAMPLE_FPS = 10;
+export const MOTION_CURVE_POINTS = 8;
+// Best-matching clips are this many times as likely to be picked as the worst
+export const MOTION_MATCH_WEIGHT = 4;
+
+const FRAME_WIDTH = 64;
+const FRAME_HEIGHT = 36;
+// Mean frame difference that counts as full-on motion on the absolute scale
+const MOTION_FULL_SCALE = 0.1;
+// Frame pairs above this are a cut, not motion
+const CUT_DIFF_THRESHOLD = 0.3;
+// Very short clips are read a little past their end so there are frames to compare
+const MIN_MOTION_SECONDS = 0.4;
+// Long clips are analyzed from their first few minutes only
+const MAX_MOTION_SECONDS = 180;
+
+const toNumber = (value, fallback = null) => {
+  const n = Number(value);
+  return value !== null && value !== undefined && value !== "" && Number.isFinite(n) ? n : fallback;
+};
+
+const round = (value, digits = 3) => (Number.isFinite(value) ? Number(value.toFixed(digits)) : null);
+
+const toAbsoluteEnergy = (value) => round(Math.min(1, Math.max(0, value / MOTION_FULL_SCALE)));
+
+const readMotionFrames = async (videoPath, { start, duration }) => {
+  const frameBytes = FRAME_WIDTH * FRAME_HEIGHT;
+  const expectedFrames = Math.ceil(duration * MOTION_SAMPLE_FPS) + 2;
+  const { stdout } = await execFileAsync(
+    resolveFfmpegBinary(),
+    [
+      "-v",
+      "error",
+      "-ss",
+      start.toFixed(3),
+      "-t",
+      duration.toFixed(3),
+      "-i",
+      videoPath,
+      "-an",
+      "-vf",
+      `fps=${MOTION_SAMPLE_FPS},scale=${FRAME_WIDTH}:${FRAME_HEIGHT}:flags=area,format=gray`,
+      "-f",
+      "rawvideo",
+      "pipe:1",
+    ],
+    { encoding: "buffer", maxBuffer: Math.max(1024 * 1024, expectedFrames * frameBytes * 2) }
+  );
+  const frames = [];
+  for (let offset = 0; offset + frameBytes <= stdout.length; offset += frameBytes) {
+    frames.push(stdout.subarray(offset, offset + frameBytes));
+  }
+  return frames;
+};
+
+/**
+ * Mean absolute difference (0-1) between each pair of consecutive frames.
+ *
+ * @param {Buffer[]} frames - Equal-sized grayscale frames
+ * @returns {number[]}
+ */
+export const computeFrameDifferences = (frames = []) => {
+  const diffs = [];
+  for (let i = 1; i < frames.length; i += 1) {
+    const prev = frames[i - 1];
+    const next = frames[i];
+    const length = Math.min(prev.length, next.length);
+    if (!length) continue;
+    let sum = 0;
+    for (let p = 0; p < length; p += 1) sum += Math.abs(next[p] - prev[p]);
+    diffs.push(sum / (length * 255));
+  }
+  return diffs;
+};
+
+/**
+ * Motion record from frame differences: overall score, absolute energy and
+ * a curve of MOTION_CURVE_POINTS slices. Cut-like pairs are skipped.
+ *
+ * @param {number[]} diffs - computeFrameDifferences output
+ * @returns {Object} clip.motion
+ */
+export const summarizeMotion = (diffs = []) => {
+  const motionDiffs = diffs.map((diff) => (diff > CUT_DIFF_THRESHOLD ? null : diff));
+  const kept = motionDiffs.filter((diff) => diff !== null);
+  if (!kept.length) {
+    return { version: CLIP_MOTION_VERSION, score: null, energy: null, peak: null, curve: [] };
+  }
+  const score = kept.reduce((sum, diff) => sum + diff, 0) / kept.length;
+
+  const points = Math.min(MOTION_CURVE_POINTS, motionDiffs.length);
+  const curve = [];
+  for (let i = 0; i < points; i += 1) {
+    const slice = motionDiffs
+      .slice(Math.floor((i / points) * motionDiffs.length), Math.floor(((i + 1) / points) * motionDiffs.length))
+      .filter((diff) => diff !== null);
+    // A slice that is all cut carries its neighbour's level rather than reading as still
+    const value = slice.length ? slice.reduce((sum, diff) => sum + diff, 0) / slice.length : null;
+    curve.push(value === null ? null : toAbsoluteEnergy(value));
+  }
+  for (let i = 0; i < curve.length; i += 1) {
+    if (curve[i] === null) curve[i] = curve[i - 1] ?? curve.find((value) => value !== null) ?? 0;
+  }
+
+  return {
+    version: CLIP_MOTION_VERSION,
+    score: round(score, 4),
+    energy: toAbsoluteEnergy(score),
+    peak: Math.max(...curve),
+    curve,
+  };
+};
+
+/**
+ * Motion of one pool clip, read from its local source video.
+ *
+ * @param {string} videoPath
+ * @param {Object} clip - { start, end } (or duration)
+ */
+export const analyzeClipMotion = async (videoPath, clip) => {
+  const start = toNumber(clip?.start, 0);
+  const end = toNumber(clip?.end, start + (toNumber(clip?.duration, 0) || 0));
+  const duration = Math.min(MAX_MOTION_SECONDS, Math.max(MIN_MOTION_SECONDS, end - start));
+  const frames = await readMotionFrames(videoPath, { start, duration });
+  return summarizeMotion(computeFrameDifferences(frames));
+};
+
+export const hasClipMotion = (clip) =>
+  clip?.motion?.version === CLIP_MOTION_VERSION && Number.isFinite(clip.motion.energy);
+
+/**
+ * Replace each analyzed clip's energy with the rank of its score in the
+ * pool (0 = stillest, 1 = busiest), so it spreads over 0-1 like the song's
+ * onset curve does. Returns new clip objects for the ranked clips.
+ *
+ * @param {Object[]} clips
+ * @returns {Object[]}
+ */
+export const rankClipMotion = (clips = []) => {
+  const scores = clips
+    .filter((clip) => clip?.motion?.version === CLIP_MOTION_VERSION && Number.isFinite(clip.motion.score))
+    .map((clip) => clip.motion.score)
+    .sort((a, b) => a - b);
+  if (scores.length < 2) return clips;
+
+  const rankOf = (score) => {
+    let below = 0;
+    let equal = 0;
+    for (const value of scores) {
+      if (value < score) below += 1;
+      else if (value === score) equal += 1;
+      else break;
+    }
+    return (below + (equal - 1) / 2) / (scores.length - 1);
+  };
+  return clips.map((clip) =>
+    clip?.motion?.version === CLIP_MOTION_VERSION && Number.isFinite(clip.motion.score)
+      ? { ...clip, motion: { ...clip.motion, energy: round(rankOf(clip.motion.score)) } }
+      : clip
+  );
+};
+
+/**
+ * Analyze every clip of a pool (reusing records of the same version unless
+ * `force`), rank them and record the run on the pool.
+ *
+ * @param {Object} pool
+ * @param {Object} [options]
+ * @param {boolean} [options.force=false]
+ * @param {(event: Object) => void} [options.onProgress] - See clipMedia.analyzePoolClips
+ * @returns {Promise<{ pool: Object, stats: Object }>}
+ */
+export const analyzeClipPoolMotion = async (pool, options = {}) => {
+  const { force = false, onProgress = null } = options;
+  const { clips, stats } = await analyzePoolClips(pool, {
+    reuse: (clip) => (!force && clip?.motion?.version === CLIP_MOTION_VERSION ? clip : null),
+    analyze: async (videoPath, clip) => ({ ...clip, motion: await analyzeClipMotion(videoPath, clip) }),
+    onProgress,
+  });
+
+  const ranked = rankClipMotion(clips);
+  const analyzed = ranked.filter(hasClipMotion).length;
+  return {
+    pool: {
+      ...pool,
+      clips: ranked,
+      motion: {
+        version: CLIP_MOTION_VERSION,
+        generatedAt: new Date().toISOString(),
+        analyzed,
+        sampleFps: MOTION_SAMPLE_FPS,
+      },
+    },
+    stats,
+  };
+};
+
+/**
+ * Motion level (0-1) a segment calls for: its onset strength, else its
+ * energy score. Null when the song has no profile.
+ *
+ * @param {Object|null} segmentEnergy - sectionProfile.getSegmentEnergy result
+ */
+export const getSegmentMotionTarget = (segmentEnergy) => {
+  const target = segmentEnergy?.onsetStrength ?? segmentEnergy?.energyScore;
+  return Number.isFinite(target) ? target : null;
+};
+
+/**
+ * Selection weight for a clip against a segment's motion target: 1 for the
+ * worst match up to MOTION_MATCH_WEIGHT for an exact one, falling off with
+ * the square of the distance. Clips without a motion record weigh like a
+ * half-way match; no target means no bias.
+ *
+ * @param {Object} clip - Pool clip
+ * @param {number|null} target - getSegmentMotionTarget result
+ * @param {{ strength?: number }} [options]
+ */
+export const getMotionMatchWeight = (clip, target, { strength = MOTION_MATCH_WEIGHT } = {}) => {
+  if (target === null || target === undefined) return 1;
+  const closeness = hasClipMotion(clip) ? 1 - Math.min(1, Math.abs(clip.motion.energy - target)) : 0.5;
+  return 1 + (strength - 1) * closeness * closeness;
+};
+
+/**
+ * Weighted shuffle of candidate indices by motion match, for planners that
+ * try candidates in order. Better matches tend to come first; the input
+ * order is kept when there is no target.
+ *
+ * @param {number[]} indices - Pool indices
+ * @param {Object[]} clips - Pool clips indexed by candidate
+ * @param {number|null} target
+ * @param {() => number} [random]
+ * @returns {number[]}
+ */
+export const orderByMotionMatch = (indices, clips, target, random = Math.random) => {
+  if (target === null || target === undefined || !indices?.length) return indices;
+  return indices
+    .map((idx) => ({ idx, key: Math.pow(random() || Number.EPSILON, 1 / getMotionMatchWeight(clips[idx], target)) }))
+    .sort((a, b) => b.key - a.key)
+    .map(({ idx }) => idx);
+};
+
+export default {
+  CLIP_MOTION_VERSION,
+  MOTION_SAMPLE_FPS,
+  MOTION_CURVE_POINTS,
+  MOTION_MATCH_WEIGHT,
+  computeFrameDifferences,
+  summarizeMotion,
+  analyzeClipMotion,
+  hasClipMotion,
+  rankClipMotion,
+  analyzeClipPoolMotion,
+  getSegmentMotionTarget,
+  getMotionMatchWeight,
+  orderByMotionMatch,
+};
@@ -0,0 +1,361 @@
+/**
+ * Clip Pool Builder
+ *
+ * Builds a clip pool (the instantClipPool.json format: clips, durationBuckets,
+ * buckets, tagBuckets, moments) straight from a folder of source videos, so a
+ * new footage library needs neither Twelve Labs nor Cloudinary:
+ *
+ * 1. Probe each video with ffprobe (utils/videoValidation.getVideoMetadata)
+ * 2. Detect every scene cut with ffmpeg (detectAllCutsInVideo)
+ * 3. Carve each cut-free shot into clips whose lengths rotate through the
+ *    duration buckets, keeping the shot's remainder as one shorter clip
+ * 4. Snap clips to whole frames and index them by duration bucket and tag
+ *
+ * Videos that are declared in a content source (data/content-sources) keep
+ * their registry videoId / cloudinaryId; anything else is keyed by filename.
+ */
+
+import fs from "fs";
+import path from "path";
+import { getVideoMetadata, detectAllCutsInVideo } from "../utils/videoValidation.js";
+import { DURATION_BUCKETS, getDurationBucket } from "./songEdit.js";
+import { findSourceVideo } from "./contentSources.js";
+import { findAllCutFreeWindows } from "./sceneCuts.js";
+
+export const CLIP_POOL_BUILDER_VERSION = "folder-1.0.0";
+
+export const VIDEO_EXTENSIONS = [".mp4", ".mov", ".m4v", ".mkv", ".webm"];
+
+const DEFAULT_THRESHOLD = 0.3;
+const DEFAULT_BUFFER = 0.05;
+const DEFAULT_MIN_CLIP_SECONDS = DURATION_BUCKETS.extraShort.min;
+const DEFAULT_FPS = 30;
+const FRAME_EPSILON = 1e-6;
+
+const round3 = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * List video files in a folder, sorted by relative path.
+ *
+ * @param {string} folder
+ * @param {{ recursive?: boolean }} [options]
+ * @returns {string[]} Absolute paths
+ */
+export const listVideoFiles = (folder, { recursive = false } = {}) => {
+  const root = path.resolve(folder);
+  if (!fs.existsSync(root) || !fs.statSync(root).isDirectory()) {
+    throw new Error(`Video folder not found: ${root}`);
+  }
+  const files = [];
+  const walk = (dir) => {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        if (recursive && !entry.name.startsWith(".")) walk(fullPath);
+      } else if (VIDEO_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+        files.push(fullPath);
+      }
+    }
+  };
+  walk(root);
+  return files.sort((a, b) => a.localeCompare(b));
+};
+
+/**
+ * ffprobe reports a frame count and a duration; their ratio is the average
+ * frame rate. Rounded to 3 decimals so 30fps CFR reads as exactly 30.
+ */
+const probeFps = (metadata) => {
+  if (!metadata?.frameCount || !metadata?.duration) return null;
+  const fps = round3(metadata.frameCount / metadata.duration);
+  return fps > 0 ? fps : null;
+};
+
+/**
+ * Window lengths to carve, one per DURATION_BUCKETS range between
+ * `minClipSeconds` and `maxClipSeconds`: the middle of the range (clamped to
+ * those limits), so snapping to whole frames keeps a clip in its bucket.
+ */
+const getCarveLengths = (minClipSeconds, maxClipSeconds) =>
+  Object.entries(DURATION_BUCKETS)
+    .filter(([, range]) => range.max > minClipSeconds && range.min < maxClipSeconds)
+    .map(([bucket, range]) => ({
+      bucket,
+      seconds: Math.min(Math.max((range.min + range.max) / 2, minClipSeconds), maxClipSeconds),
+    }));
+
+/**
+ * Split a video's cut-free shots into clip windows.
+ *
+ * Each shot (the span between two cuts, minus `buffer` on the cut sides) is
+ * carved front to back. Every window takes the length of the bucket with
+ * the fewest clips so far (the longer one on a tie) among those that
+ * findAllCutFreeWindows still fits from there, so the video fills every
+ * bucket instead of mostly the top one. What's left at the end of the shot
+ * becomes one more clip when it is at least `minClipSeconds` long.
+ *
+ * @param {Object} params
+ * @param {string} params.videoId - Video key (the cuts are passed explicitly)
+ * @param {number} params.duration - Video duration in seconds
+ * @param {number[]} params.cuts - Detected cut times (seconds, sorted)
+ * @param {number} [params.buffer]
+ * @param {number} [params.maxClipSeconds]
+ * @param {number} [params.minClipSeconds]
+ * @returns {Array<{start: number, end: number}>}
+ */
+export const carveCutFreeClips = ({
+  videoId,
+  duration,
+  cuts,
+  buffer = DEFAULT_BUFFER,
+  maxClipSeconds = DURATION_BUCKETS.cinematic.max,
+  minClipSeconds = DEFAULT_MIN_CLIP_SECONDS,
+}) => {
+  const inside = cuts.filter((t) => t > 0 && t < duration);
+  const boundaries = [0, ...inside, duration];
+  const lengths = getCarveLengths(minClipSeconds, maxClipSeconds);
+  const carved = Object.fromEntries(lengths.map(({ bucket }) => [bucket, 0]));
+  const windows = [];
+
+  for (let i = 0; i < boundaries.length - 1; i++) {
+    const shotStart = i === 0 ? boundaries[i] : boundaries[i] + buffer;
+    const shotEnd = i === boundaries.length - 2 ? boundaries[i + 1] : boundaries[i + 1] - buffer;
+    if (shotEnd - shotStart < minClipSeconds) continue;
+
+    let cursor = shotStart;
+    for (;;) {
+      const fitting = lengths
+        .map((length) => ({
+          ...length,
+          window: findAllCutFreeWindows(videoId, cursor, shotEnd + FRAME_EPSILON, length.seconds, { cuts, buffer })[0],
+        }))
+        .filter(({ window }) => window);
+      if (!fitting.length) break;
+      const pick = fitting.reduce((best, length) =>
+        carved[length.bucket] < carved[best.bucket] ||
+        (carved[length.bucket] === carved[best.bucket] && length.seconds > best.seconds)
+          ? length
+          : best
+      );
+      windows.push(pick.window);
+      carved[pick.bucket] += 1;
+      cursor = pick.window.end;
+    }
+
+    if (shotEnd - cursor >= minClipSeconds) {
+      windows.push({ start: cursor, end: shotEnd });
+    }
+  }
+
+  return windows;
+};
+
+/**
+ * Probe, cut-detect and carve one video into pool clips (ids are assigned
+ * later, when the pool is assembled).
+ *
+ * @param {string} filePath
+ * @param {Object} [options]
+ * @returns {Promise<{ video: Object, clips: Object[] }>}
+ */
+export const buildVideoClips = async (filePath, options = {}) => {
+  const {
+    threshold = DEFAULT_THRESHOLD,
+    buffer = DEFAULT_BUFFER,
+    maxClipSeconds,
+    minClipSeconds = DEFAULT_MIN_CLIP_SECONDS,
+    fps: fpsOverride = null,
+    tags = [],
+  } = options;
+
+  const filename = path.basename(filePath);
+  const baseName = filename.replace(/\.[^.]+$/, "");
+  const registered = findSourceVideo(filename) || findSourceVideo(baseName);
+  const videoId = registered?.videoId || baseName;
+  const cloudinaryId = registered?.cloudinary?.default || baseName;
+
+  const metadata = await getVideoMetadata(filePath);
+  if (!metadata.duration || !metadata.videoStreams) {
+    throw new Error(`No video stream in ${filename}`);
+  }
+  const fps = Number(fpsOverride) || probeFps(metadata) || registered?.fps || DEFAULT_FPS;
+
+  const detection = await detectAllCutsInVideo(filePath, threshold);
+  if (detection.error) {
+    console.warn(`[clipPoolBuilder] Cut detection failed for ${filename}: ${detection.error}`);
+  }
+  const cuts = detection.cuts || [];
+
+  const windows = carveCutFreeClips({
+    videoId,
+    duration: metadata.duration,
+    cuts,
+    buffer,
+    maxClipSeconds,
+    minClipSeconds,
+  });
+
+  const minFrames = Math.max(1, Math.ceil(minClipSeconds * fps - FRAME_EPSILON));
+  const clips = [];
+  for (const window of windows) {
+    // Snap inward so a clip never reaches past its cut-free window
+    const startFrame = Math.ceil(window.start * fps - FRAME_EPSILON);
+    const endFrameExclusive = Math.floor(window.end * fps + FRAME_EPSILON);
+    const durationFrames = endFrameExclusive - startFrame;
+    if (durationFrames < minFrames) continue;
+
+    const start = round3(startFrame / fps);
+    const end = round3(endFrameExclusive / fps);
+    const duration = round3(end - start);
+    clips.push({
+      type: "clip",
+      videoId,
+      cloudinaryId,
+      start,
+      end,
+      duration,
+      durationBucket: getDurationBucket(duration),
+      cutFreeVerified: !detection.error && !cuts.some((t) => t > start && t < end),
+      confidence: null,
+      thumbnail: null,
+      sourceQuery: "folder",
+      character: null,
+      sceneType: "visual",
+      tags: [...tags],
+      dialogue: null,
+      annotationSources: [],
+      fps,
+      startFrame,
+      endFrameExclusive,
+      durationFrames,
+      sourcePath: path.relative(process.cwd(), filePath),
+    });
+  }
+
+  return {
+    video: {
+      file: path.relative(process.cwd(), filePath),
+      videoId,
+      cloudinaryId,
+      registered: Boolean(registered),
+      duration: round3(metadata.duration),
+      fps,
+      width: metadata.width,
+      height: metadata.height,
+      cuts: cuts.length,
+      clips: clips.length,
+      error: detection.error || null,
+    },
+    clips,
+  };
+};
+
+/**
+ * Duration bucket / tag indices and distribution counts for a clip list.
+ *
+ * @param {Object[]} clips
+ * @returns {{ buckets: Object, tagBuckets: Object, distribution: Object }}
+ */
+export const indexClipPool = (clips) => {
+  const buckets = {};
+  const tagBuckets = {};
+  const distribution = { byVideo: {}, byBucket: {}, byTag: {} };
+
+  clips.forEach((clip, idx) => {
+    const bucket = clip.durationBucket || getDurationBucket(clip.duration || 0);
+    if (!buckets[bucket]) buckets[bucket] = [];
+    buckets[bucket].push(idx);
+    distribution.byBucket[bucket] = (distribution.byBucket[bucket] || 0) + 1;
+
+    const videoKey = clip.cloudinaryId || clip.videoId;
+    distribution.byVideo[videoKey] = (distribution.byVideo[videoKey] || 0) + 1;
+
+    for (const tag of clip.tags || []) {
+      if (!tagBuckets[tag]) tagBuckets[tag] = [];
+      tagBuckets[tag].push(idx);
+      distribution.byTag[tag] = (distribution.byTag[tag] || 0) + 1;
+    }
+  });
+
+  return { buckets, tagBuckets, distribution };
+};
+
+/**
+ * Build a complete clip pool from every video in `folder`.
+ *
+ * @param {string} folder
+ * @param {Object} [options]
+ * @param {boolean} [options.recursive=false]
+ * @param {number} [options.threshold=0.3] - ffmpeg scene-change threshold
+ * @param {number} [options.buffer=0.05] - Seconds kept clear of each cut
+ * @param {number} [options.maxClipSeconds] - Longest clip (default: top bucket max)
+ * @param {number} [options.minClipSeconds] - Shortest clip kept
+ * @param {number} [options.fps] - Force a frame rate instead of probing
+ * @param {string[]} [options.tags] - Tags added to every clip (e.g. a player slug)
+ * @param {(event: Object) => void} [options.onProgress]
+ * @returns {Promise<Object>} Pool document
+ */
+export const buildClipPoolFromFolder = async (folder, options = {}) => {
+  const { recursive = false, onProgress = null, ...clipOptions } = options;
+  const files = listVideoFiles(folder, { recursive });
+  if (!files.length) {
+    throw new Error(`No videos (${VIDEO_EXTENSIONS.join(", ")}) found in ${folder}`);
+  }
+
+  const videos = [];
+  const clips = [];
+  for (let i = 0; i < files.length; i++) {
+    const filePath = files[i];
+    onProgress?.({ type: "video-start", index: i, total: files.length, file: filePath });
+    try {
+      const result = await buildVideoClips(filePath, clipOptions);
+      videos.push(result.video);
+      clips.push(...result.clips);
+      onProgress?.({ type: "video-done", index: i, total: files.length, file: filePath, video: result.video });
+    } catch (error) {
+      const video = {
+        file: path.relative(process.cwd(), filePath),
+        clips: 0,
+        error: error.message,
+      };
+      videos.push(video);
+      onProgress?.({ type: "video-failed", index: i, total: files.length, file: filePath, video });
+    }
+  }
+
+  const idWidth = Math.max(3, String(clips.length).length);
+  const numbered = clips.map((clip, idx) => ({
+    type: clip.type,
+    id: `clip-${String(idx + 1).padStart(idWidth, "0")}`,
+    ...clip,
+  }));
+  const { buckets, tagBuckets, distribution } = indexClipPool(numbered);
+
+  return {
+    generatedAt: new Date().toISOString(),
+    version: CLIP_POOL_BUILDER_VERSION,
+    source: {
+      folder: path.relative(process.cwd(), path.resolve(folder)) || ".",
+      threshold: clipOptions.threshold ?? DEFAULT_THRESHOLD,
+      buffer: clipOptions.buffer ?? DEFAULT_BUFFER,
+      videos,
+    },
+    durationBuckets: DURATION_BUCKETS,
+    distribution,
+    clips: numbered,
+    moments: [],
+    totalClips: numbered.length,
+    buckets,
+    tagBuckets,
+  };
+};
+
+export default {
+  CLIP_POOL_BUILDER_VERSION,
+  VIDEO_EXTENSIONS,
+  listVideoFiles,
+  carveCutFreeClips,
+  buildVideoClips,
+  indexClipPool,
+  buildClipPoolFromFolder,
+};
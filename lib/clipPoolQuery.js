@@ -0,0 +1,475 @@
+/**
+ * Clip Pool Query
+ *
+ * Filters, sorts and pages a content source's clip pool on the server so
+ * clients can browse it without downloading every clip.
+ *
+ * Filters (all optional, combined with AND):
+ * - tags:        expression over clip tags, e.g.
+ *                `character:elle AND (sfx:punch OR sfx:impact) AND NOT dialogue`
+ *                Operators AND / OR / NOT (case-insensitive), parentheses,
+ *                "quoted terms" for tags with spaces; adjacent terms are ANDed.
+ * - character:   any of (matches clip.character and annotationMeta.characters)
+ * - bucket:      any of the duration bucket names
+ * - sceneType:   any of
+ * - minDuration / maxDuration (seconds)
+ * - video:       any of (Twelve Labs videoId, Cloudinary id, label or filename)
+ * - from / to:   source-video time range the clip must overlap (seconds)
+ * - sfxOnly:     true = only sfx clips, false = exclude them
+ * - sfx:         any of annotationMeta.sfxCategories
+ * - cutFreeVerified: true / false
+ * - include:     "clips" (default), "moments" or "all"
+ *
+ * Sorting: "chronology" (source video order, then start), "usage" (how often
+ * slot curation has picked the clip), "duration" or "pool" (file order), with
+ * order "asc" / "desc". Paging: offset + limit.
+ */
+
+import fs from "fs";
+import path from "path";
+import { findSourceVideo, getClipPoolPaths, listSourceVideos, resolveContentSourceId } from "./contentSources.js";
+
+export const CLIP_POOL_SORTS = ["chronology", "usage", "duration", "pool"];
+export const CLIP_POOL_INCLUDES = ["clips", "moments", "all"];
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+const SLOTS_ROOT = path.join(process.cwd(), "data", "instant-editor");
+
+// Parsed pools keyed by path, reloaded when the file changes
+const poolCache = new Map();
+
+const toNumber = (value, fallback = null) => {
+  if (value === null || value === undefined || value === "") return fallback;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : fallback;
+};
+
+const normalizeTerm = (value) => (value || "").toString().trim().toLowerCase();
+
+// "the bride" and "the-bride" both appear in annotated pools
+const normalizeCharacter = (value) => normalizeTerm(value).replace(/[\s_]+/g, "-");
+
+const toList = (value) => {
+  if (value === null || value === undefined || value === "") return [];
+  const items = Array.isArray(value) ? value : value.toString().split(",");
+  return items.map((item) => item.toString().trim()).filter(Boolean);
+};
+
+const toBoolean = (value) => {
+  if (value === true || value === false) return value;
+  const normalized = normalizeTerm(value);
+  if (["true", "1", "yes"].includes(normalized)) return true;
+  if (["false", "0", "no"].includes(normalized)) return false;
+  return null;
+};
+
+// ============================================================================
+// Tag expressions
+// ============================================================================
+
+const tokenizeTagExpression = (expression) => {
+  const tokens = [];
+  const pattern = /\s*(?:(\()|(\))|"([^"]*)"|([^\s()"]+))/gy;
+  let match;
+  let lastIndex = 0;
+  while ((match = pattern.exec(expression)) !== null) {
+    lastIndex = pattern.lastIndex;
+    if (match[1]) tokens.push({ type: "(" });
+    else if (match[2]) tokens.push({ type: ")" });
+    else if (match[3] !== undefined) tokens.push({ type: "term", value: normalizeTerm(match[3]) });
+    else {
+      const word = match[4];
+      const upper = word.toUpperCase();
+      if (upper === "AND" || upper === "OR" || upper === "NOT") tokens.push({ type: upper });
+      else tokens.push({ type: "term", value: normalizeTerm(word) });
+    }
+    if (pattern.lastIndex >= expression.length) break;
+  }
+  if (expression.slice(lastIndex).trim()) {
+    throw new Error(`Unexpected input in tag expression at "${expression.slice(lastIndex).trim()}"`);
+  }
+  return tokens;
+};
+
+/**
+ * Parse a tag expression into a tree of
+ * { op: "and"|"or", items } / { op: "not", item } / { op: "tag", tag }.
+ *
+ * @param {string} expression
+ * @returns {Object|null} null for an empty expression
+ */
+export const parseTagExpression = (expression) => {
+  const source = (expression || "").toString();
+  if (!source.trim()) return null;
+  const tokens = tokenizeTagExpression(source);
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+
+  const parsePrimary = () => {
+    const token = tokens[pos++];
+    if (!token) throw new Error("Tag expression ends unexpectedly");
+    if (token.type === "NOT") return { op: "not", item: parsePrimary() };
+    if (token.type === "term") return { op: "tag", tag: token.value };
+    if (token.type === "(") {
+      const inner = parseOr();
+      if (peek()?.type !== ")") throw new Error("Missing ) in tag expression");
+      pos++;
+      return inner;
+    }
+    throw new Error(`Unexpected ${token.type} in tag expression`);
+  };
+
+  const parseAnd = () => {
+    const items = [parsePrimary()];
+    while (peek() && peek().type !== "OR" && peek().type !== ")") {
+      if (peek().type === "AND") pos++;
+      items.push(parsePrimary());
+    }
+    return items.length === 1 ? items[0] : { op: "and", items };
+  };
+
+  const parseOr = () => {
+    const items = [parseAnd()];
+    while (peek()?.type === "OR") {
+      pos++;
+      items.push(parseAnd());
+    }
+    return items.length === 1 ? items[0] : { op: "or", items };
+  };
+
+  const tree = parseOr();
+  if (pos < tokens.length) throw new Error(`Unexpected ${tokens[pos].type} in tag expression`);
+  return tree;
+};
+
+/**
+ * @param {Object|null} tree - From parseTagExpression
+ * @param {Set<string>} tags - Lowercased clip tags
+ */
+export const matchesTagExpression = (tree, tags) => {
+  if (!tree) return true;
+  switch (tree.op) {
+    case "tag":
+      return tags.has(tree.tag);
+    case "not":
+      return !matchesTagExpression(tree.item, tags);
+    case "and":
+      return tree.items.every((item) => matchesTagExpression(item, tags));
+    case "or":
+      return tree.items.some((item) => matchesTagExpression(item, tags));
+    default:
+      return false;
+  }
+};
+
+// ============================================================================
+// Query parsing
+// ============================================================================
+
+/**
+ * Normalize query parameters (URLSearchParams or a plain object from a JSON
+ * body) into a query. Invalid values are reported instead of thrown so the
+ * route can answer 400.
+ *
+ * @param {URLSearchParams|Object} params
+ * @returns {{ query: Object, errors: string[] }}
+ */
+export const parseClipPoolQuery = (params = {}) => {
+  const get = (key) =>
+    typeof params.get === "function" ? params.get(key) ?? undefined : params[key];
+  const errors = [];
+
+  let tagTree = null;
+  try {
+    tagTree = parseTagExpression(get("tags"));
+  } catch (error) {
+    errors.push(error.message);
+  }
+
+  const readNumber = (key) => {
+    const raw = get(key);
+    const value = toNumber(raw);
+    if (raw !== undefined && raw !== null && raw !== "" && value === null) {
+      errors.push(`${key} must be a number`);
+    }
+    return value;
+  };
+
+  const readBoolean = (key) => {
+    const raw = get(key);
+    if (raw === undefined || raw === null || raw === "") return null;
+    const value = toBoolean(raw);
+    if (value === null) errors.push(`${key} must be true or false`);
+    return value;
+  };
+
+  const sort = normalizeTerm(get("sort")) || "pool";
+  if (!CLIP_POOL_SORTS.includes(sort)) {
+    errors.push(`sort must be one of ${CLIP_POOL_SORTS.join(", ")}`);
+  }
+  const order = normalizeTerm(get("order")) || "asc";
+  if (order !== "asc" && order !== "desc") errors.push("order must be asc or desc");
+  const include = normalizeTerm(get("include")) || "clips";
+  if (!CLIP_POOL_INCLUDES.includes(include)) {
+    errors.push(`include must be one of ${CLIP_POOL_INCLUDES.join(", ")}`);
+  }
+
+  const query = {
+    source: get("source") || null,
+    tags: tagTree,
+    characters: toList(get("character")).map(normalizeCharacter),
+    buckets: toList(get("bucket")),
+    sceneTypes: toList(get("sceneType")).map(normalizeTerm),
+    minDuration: readNumber("minDuration"),
+    maxDuration: readNumber("maxDuration"),
+    videos: toList(get("video")),
+    from: readNumber("from"),
+    to: readNumber("to"),
+    sfxOnly: readBoolean("sfxOnly"),
+    sfx: toList(get("sfx")).map(normalizeTerm),
+    cutFreeVerified: readBoolean("cutFreeVerified"),
+    include,
+    sort,
+    order,
+    offset: Math.max(0, Math.floor(readNumber("offset") ?? 0)),
+    limit: Math.min(MAX_LIMIT, Math.max(1, Math.floor(readNumber("limit") ?? DEFAULT_LIMIT))),
+    facets: readBoolean("facets") === true,
+  };
+
+  return { query, errors };
+};
+
+// ============================================================================
+// Loading
+// ============================================================================
+
+/**
+ * Load the clip pool a content source declares (falling back to its
+ * fallbackPath), cached until the file changes.
+ *
+ * @param {string|null} sourceId - Content source id; null for the default source
+ * @returns {{ sourceId: string, path: string, pool: Object }|null}
+ */
+export const loadClipPool = (sourceId = null) => {
+  const resolvedId = resolveContentSourceId(sourceId);
+  if (!resolvedId) return null;
+  const { path: poolPath, fallbackPath } = getClipPoolPaths(resolvedId);
+
+  for (const candidate of [poolPath, fallbackPath]) {
+    if (!candidate || !fs.existsSync(candidate)) continue;
+    const mtimeMs = fs.statSync(candidate).mtimeMs;
+    const cached = poolCache.get(candidate);
+    if (cached?.mtimeMs === mtimeMs) return { sourceId: resolvedId, path: candidate, pool: cached.pool };
+    try {
+      const pool = JSON.parse(fs.readFileSync(candidate, "utf8"));
+      poolCache.set(candidate, { mtimeMs, pool });
+      return { sourceId: resolvedId, path: candidate, pool };
+    } catch (error) {
+      console.warn(`[clipPoolQuery] Failed to read ${candidate}: ${error.message}`);
+    }
+  }
+  return null;
+};
+
+/**
+ * How many slot-curator candidates (data/instant-editor/<song>/slots.json)
+ * come from each pool clip: same source video and overlapping time range.
+ *
+ * @param {Object[]} entries - Pool clips / moments
+ * @returns {Map<Object, number>} entry -> count
+ */
+export const collectClipUsage = (entries) => {
+  const usage = new Map(entries.map((entry) => [entry, 0]));
+  if (!fs.existsSync(SLOTS_ROOT)) return usage;
+
+  const byVideo = new Map();
+  for (const entry of entries) {
+    const key = entry.videoId || entry.cloudinaryId;
+    if (!key) continue;
+    if (!byVideo.has(key)) byVideo.set(key, []);
+    byVideo.get(key).push(entry);
+  }
+
+  for (const song of fs.readdirSync(SLOTS_ROOT)) {
+    const slotsPath = path.join(SLOTS_ROOT, song, "slots.json");
+    if (!fs.existsSync(slotsPath)) continue;
+    let slots;
+    try {
+      slots = JSON.parse(fs.readFileSync(slotsPath, "utf8"));
+    } catch (error) {
+      console.warn(`[clipPoolQuery] Skipping unreadable ${slotsPath}: ${error.message}`);
+      continue;
+    }
+    for (const segment of slots?.segments || []) {
+      for (const candidate of segment?.candidates || []) {
+        const key =
+          candidate.videoId ||
+          findSourceVideo(candidate.cloudinaryId)?.videoId ||
+          candidate.cloudinaryId;
+        const start = toNumber(candidate.start, 0);
+        const end = toNumber(candidate.end, start);
+        for (const entry of byVideo.get(key) || []) {
+          if (start < entry.end && end > entry.start) {
+            usage.set(entry, usage.get(entry) + 1);
+          }
+        }
+      }
+    }
+  }
+  return usage;
+};
+
+// ============================================================================
+// Querying
+// ============================================================================
+
+const clipTagSet = (clip) => new Set((clip.tags || []).map(normalizeTerm));
+
+const clipCharacters = (clip) => {
+  const characters = [clip.character, ...(clip.annotationMeta?.characters || [])];
+  return characters.filter(Boolean).map(normalizeCharacter);
+};
+
+const resolveVideoKeys = (videos) => {
+  const keys = new Set();
+  for (const video of videos) {
+    keys.add(video);
+    const registered = findSourceVideo(video);
+    if (registered) {
+      keys.add(registered.videoId);
+      Object.values(registered.cloudinary || {}).forEach((id) => keys.add(id));
+    }
+  }
+  return keys;
+};
+
+const buildMatcher = (query) => {
+  const videoKeys = query.videos.length ? resolveVideoKeys(query.videos) : null;
+  return (clip) => {
+    const duration = toNumber(clip.duration, toNumber(clip.end, 0) - toNumber(clip.start, 0));
+    const start = toNumber(clip.start, 0);
+    const end = toNumber(clip.end, start + duration);
+
+    if (query.tags && !matchesTagExpression(query.tags, clipTagSet(clip))) return false;
+    if (query.characters.length && !clipCharacters(clip).some((c) => query.characters.includes(c))) {
+      return false;
+    }
+    if (query.buckets.length && !query.buckets.includes(clip.durationBucket)) return false;
+    if (query.sceneTypes.length && !query.sceneTypes.includes(normalizeTerm(clip.sceneType))) {
+      return false;
+    }
+    if (query.minDuration !== null && duration < query.minDuration) return false;
+    if (query.maxDuration !== null && duration > query.maxDuration) return false;
+    if (videoKeys && !videoKeys.has(clip.videoId) && !videoKeys.has(clip.cloudinaryId)) return false;
+    if (query.from !== null && end <= query.from) return false;
+    if (query.to !== null && start >= query.to) return false;
+    if (query.sfxOnly !== null && Boolean(clip.annotationMeta?.onlySfx) !== query.sfxOnly) return false;
+    if (query.sfx.length) {
+      const categories = (clip.annotationMeta?.sfxCategories || []).map(normalizeTerm);
+      if (!categories.some((category) => query.sfx.includes(category))) return false;
+    }
+    if (query.cutFreeVerified !== null && Boolean(clip.cutFreeVerified) !== query.cutFreeVerified) {
+      return false;
+    }
+    return true;
+  };
+};
+
+const chronologyRank = () => {
+  const rank = new Map();
+  listSourceVideos().forEach((video, idx) => {
+    rank.set(video.videoId, idx);
+    Object.values(video.cloudinary || {}).forEach((id) => rank.set(id, idx));
+  });
+  return (clip) => rank.get(clip.videoId) ?? rank.get(clip.cloudinaryId) ?? Number.MAX_SAFE_INTEGER;
+};
+
+const countBy = (items, keyFn) =>
+  items.reduce((acc, item) => {
+    const keys = [].concat(keyFn(item)).filter(Boolean);
+    keys.forEach((key) => {
+      acc[key] = (acc[key] || 0) + 1;
+    });
+    return acc;
+  }, {});
+
+/**
+ * Run a query against a pool.
+ *
+ * @param {Object} pool - Clip pool document
+ * @param {Object} query - From parseClipPoolQuery
+ * @returns {{ total: number, offset: number, limit: number, sort: string, order: string, items: Object[], facets?: Object }}
+ *   Items are the pool entries plus `poolIndex` (index in pool.clips, or
+ *   pool.moments for moments), `kind` and, when sorting by usage, `usageCount`.
+ */
+export const queryClipPool = (pool, query) => {
+  const entries = [];
+  if (query.include !== "moments") {
+    (pool?.clips || []).forEach((clip, poolIndex) => entries.push({ clip, kind: "clip", poolIndex }));
+  }
+  if (query.include !== "clips") {
+    (pool?.moments || []).forEach((clip, poolIndex) => entries.push({ clip, kind: "moment", poolIndex }));
+  }
+
+  const matches = buildMatcher(query);
+  const matched = entries.filter((entry) => matches(entry.clip));
+
+  const usage = query.sort === "usage" ? collectClipUsage(matched.map((entry) => entry.clip)) : null;
+  const direction = query.order === "desc" ? -1 : 1;
+  const rankOf = query.sort === "chronology" ? chronologyRank() : null;
+  const compare = {
+    chronology: (a, b) =>
+      rankOf(a.clip) - rankOf(b.clip) ||
+      String(a.clip.videoId).localeCompare(String(b.clip.videoId)) ||
+      toNumber(a.clip.start, 0) - toNumber(b.clip.start, 0),
+    usage: (a, b) => usage.get(a.clip) - usage.get(b.clip),
+    duration: (a, b) => toNumber(a.clip.duration, 0) - toNumber(b.clip.duration, 0),
+    pool: () => 0,
+  }[query.sort];
+  // Ties keep pool order, whichever direction is requested
+  const sorted = matched
+    .map((entry, idx) => ({ entry, idx }))
+    .sort((a, b) => direction * compare(a.entry, b.entry) || a.idx - b.idx)
+    .map(({ entry }) => entry);
+
+  const page = sorted.slice(query.offset, query.offset + query.limit).map(({ clip, kind, poolIndex }) => ({
+    ...clip,
+    kind,
+    poolIndex,
+    ...(usage ? { usageCount: usage.get(clip) } : {}),
+  }));
+
+  const result = {
+    total: matched.length,
+    offset: query.offset,
+    limit: query.limit,
+    sort: query.sort,
+    order: query.order,
+    items: page,
+  };
+
+  if (query.facets) {
+    const clips = matched.map((entry) => entry.clip);
+    result.facets = {
+      buckets: countBy(clips, (clip) => clip.durationBucket),
+      characters: countBy(clips, (clip) => Array.from(new Set(clipCharacters(clip)))),
+      sceneTypes: countBy(clips, (clip) => clip.sceneType),
+      videos: countBy(clips, (clip) => clip.cloudinaryId || clip.videoId),
+    };
+  }
+
+  return result;
+};
+
+export default {
+  CLIP_POOL_SORTS,
+  CLIP_POOL_INCLUDES,
+  parseTagExpression,
+  matchesTagExpression,
+  parseClipPoolQuery,
+  loadClipPool,
+  collectClipUsage,
+  queryClipPool,
+};
@@ -12,6 +12,8 @@ import {
   findAnnotationOverlaps,
   clipOverlapsDisliked,
 } from "./movieAnnotation.js";
+import { findCutFreeWindow, getChunkMetadata, getCutsInRange } from "./sceneCuts.js";
+import { findSourceVideo, getVideoFps } from "./contentSources.js";
 
 const POOL_PATH = path.join(process.cwd(), "data", "instantClipPool.json");
 const MANIFEST_PATH = path.join(process.cwd(), "data", "killBillMovieManifest.json");
@@ -603,3 +605,300 @@ export const generateClipId = (clips) => {
   return `clip-${String(maxValue + 1).padStart(3, "0")}`;
 };
 
+
+// ============================================================================
+// Integrity audit
+// ============================================================================
+
+export const CLIP_AUDIT_ISSUES = [
+  "cuts-inside",
+  "frame-mismatch",
+  "past-source-end",
+  "disliked",
+  "duplicate",
+];
+
+// Shortest clip an auto-fix may leave behind; anything shorter is removed
+const DEFAULT_MIN_FIXED_DURATION = 0.3;
+
+const roundSeconds = (value) => Number(value.toFixed(3));
+
+const resolveClipFps = (clip, videoId) =>
+  Number(clip.fps) || getVideoFps(videoId || clip.cloudinaryId, DEFAULT_FRAME_RATE);
+
+/**
+ * Source duration from the content source registry, then the scene-cut data,
+ * then the movie manifest (when one is loaded).
+ */
+const resolveSourceDuration = (clip, videoId, manifestIndex) => {
+  const registered = findSourceVideo(videoId) || findSourceVideo(clip.cloudinaryId);
+  if (Number(registered?.durationSeconds) > 0) return Number(registered.durationSeconds);
+  const chunkDuration = getChunkMetadata(videoId)?.durationSeconds;
+  if (chunkDuration > 0) return chunkDuration;
+  const manifestDuration = manifestIndex?.get(getCloudinaryIdForClip(clip))?.durationSeconds;
+  return manifestDuration > 0 ? manifestDuration : null;
+};
+
+// Cuts strictly inside the clip; a cut within half a frame of an edge is the edge
+const cutsInsideClip = (videoId, start, end, fps) => {
+  const edge = 0.5 / fps;
+  return getCutsInRange(videoId, start, end).filter((t) => t > start + edge && t < end - edge);
+};
+
+/**
+ * Check every clip in a pool for stale or broken entries.
+ *
+ * Issues (see CLIP_AUDIT_ISSUES):
+ * - cuts-inside: cutFreeVerified, but the scene-cut data has cuts inside it
+ * - frame-mismatch: startFrame / endFrameExclusive don't round from start / end at its fps
+ * - past-source-end: starts before 0 or ends after the source video
+ * - disliked: overlaps a disliked annotation range
+ * - duplicate: same source and (within tolerance) same range as an earlier clip
+ *
+ * @param {Object} pool - Clip pool document
+ * @param {Object} [options]
+ * @param {Map} [options.manifestIndex] - Optional, for source durations
+ * @param {Object} [options.guidance] - Movie annotation guidance (disliked ranges)
+ * @param {number} [options.duplicateTolerance]
+ * @returns {{ checkedAt: string, totals: Object, issues: Object[] }}
+ */
+export const auditClipPool = (pool, options = {}) => {
+  const {
+    manifestIndex = null,
+    guidance = loadMovieAnnotationGuidance(),
+    duplicateTolerance = DEFAULT_DUPLICATE_TOLERANCE,
+  } = options;
+  const clips = pool?.clips || [];
+  const issues = [];
+  const addIssue = (clip, index, type, message, details = {}) =>
+    issues.push({ clipId: clip.id, index, type, message, ...details });
+
+  clips.forEach((clip, index) => {
+    const videoId = clip.videoId || getVideoIdForClip(clip);
+    const start = Number(clip.start) || 0;
+    const end = Number.isFinite(Number(clip.end)) ? Number(clip.end) : start + (Number(clip.duration) || 0);
+    const fps = resolveClipFps(clip, videoId);
+
+    if (clip.cutFreeVerified && videoId) {
+      const cuts = cutsInsideClip(videoId, start, end, fps);
+      if (cuts.length) {
+        addIssue(clip, index, "cuts-inside", `${cuts.length} cut(s) inside a cut-free verified clip`, {
+          cuts: cuts.map(roundSeconds),
+        });
+      }
+    }
+
+    const startFrameOff =
+      Number.isFinite(clip.startFrame) && Math.abs(clip.startFrame - start * fps) > 0.5 + 1e-6;
+    const endFrameOff =
+      Number.isFinite(clip.endFrameExclusive) &&
+      Math.abs(clip.endFrameExclusive - end * fps) > 0.5 + 1e-6;
+    if (startFrameOff || endFrameOff) {
+      addIssue(clip, index, "frame-mismatch", `Frame fields don't match ${start}-${end}s at ${fps}fps`, {
+        fps,
+        expected: { startFrame: Math.round(start * fps), endFrameExclusive: Math.round(end * fps) },
+        actual: { startFrame: clip.startFrame, endFrameExclusive: clip.endFrameExclusive },
+      });
+    }
+
+    const sourceDuration = resolveSourceDuration(clip, videoId, manifestIndex);
+    if (start < 0 || (sourceDuration && end > sourceDuration + DEFAULT_OVERLAP_TOLERANCE)) {
+      addIssue(
+        clip,
+        index,
+        "past-source-end",
+        start < 0 ? "Starts before the source video" : `Ends after the source video (${sourceDuration}s)`,
+        { sourceDuration }
+      );
+    }
+
+    const disliked = videoId ? clipOverlapsDisliked(videoId, start, end, guidance) : null;
+    if (disliked) {
+      addIssue(clip, index, "disliked", `Overlaps disliked range (${disliked.label || disliked.source})`, {
+        dislikedRange: { id: disliked.id, start: disliked.startSeconds, end: disliked.endSeconds },
+      });
+    }
+  });
+
+  const bySource = new Map();
+  clips.forEach((clip, index) => {
+    const key = getCloudinaryIdForClip(clip) || clip.videoId;
+    if (!key) return;
+    if (!bySource.has(key)) bySource.set(key, []);
+    bySource.get(key).push({ clip, index });
+  });
+  bySource.forEach((entries) => {
+    const indexById = new Map(entries.map((entry) => [entry.clip.id, entry.index]));
+    const flagged = new Set();
+    const { duplicates } = analyzeSourceConflicts(entries, duplicateTolerance);
+    duplicates.forEach(([originalId, duplicateId]) => {
+      if (flagged.has(duplicateId)) return;
+      flagged.add(duplicateId);
+      const index = indexById.get(duplicateId);
+      addIssue(clips[index], index, "duplicate", `Duplicates ${originalId}`, { duplicateOf: originalId });
+    });
+  });
+
+  issues.sort((a, b) => a.index - b.index);
+  const byIssue = Object.fromEntries(CLIP_AUDIT_ISSUES.map((type) => [type, 0]));
+  issues.forEach((issue) => {
+    byIssue[issue.type] += 1;
+  });
+
+  return {
+    checkedAt: new Date().toISOString(),
+    totals: {
+      clips: clips.length,
+      withIssues: new Set(issues.map((issue) => issue.index)).size,
+      byIssue,
+    },
+    issues,
+  };
+};
+
+/**
+ * Longest cut-free stretch of [start, end], found with findCutFreeWindow.
+ */
+const retrimCutFree = (videoId, start, end, fps, buffer) => {
+  if (!cutsInsideClip(videoId, start, end, fps).length) return { start, end };
+  // Same boundaries findCutFreeWindow uses, so the longest gap is guaranteed to fit
+  const boundaries = [start, ...getCutsInRange(videoId, start, end).filter((t) => t > start), end];
+  let longest = 0;
+  for (let i = 0; i < boundaries.length - 1; i++) {
+    const inner = (i === 0 ? 0 : buffer) + (i === boundaries.length - 2 ? 0 : buffer);
+    longest = Math.max(longest, boundaries[i + 1] - boundaries[i] - inner);
+  }
+  if (longest <= 0) return null;
+  const window = findCutFreeWindow(videoId, start, end, longest, { buffer, preferStart: false });
+  return window.found ? { start: window.start, end: window.end } : null;
+};
+
+/**
+ * Longest part of start..end that no disliked range of the video overlaps,
+ * or null when the ranges cover all of it.
+ */
+const longestClearStretch = (videoId, start, end, guidance) => {
+  const ranges = (guidance?.dislikedRanges || [])
+    .filter((range) => range.videoId === videoId && range.startSeconds < end && range.endSeconds > start)
+    .sort((a, b) => a.startSeconds - b.startSeconds);
+  let best = null;
+  let cursor = start;
+  [...ranges, { startSeconds: end, endSeconds: end }].forEach((range) => {
+    const gapEnd = Math.min(range.startSeconds, end);
+    if (gapEnd > cursor && (!best || gapEnd - cursor > best.end - best.start)) {
+      best = { start: cursor, end: gapEnd };
+    }
+    cursor = Math.max(cursor, range.endSeconds);
+  });
+  return best && !clipOverlapsDisliked(videoId, best.start, best.end, guidance) ? best : null;
+};
+
+/**
+ * Apply auto-fixes for an audit report. Clips with cuts inside, past the
+ * source end or overlapping disliked ranges are re-trimmed to their longest
+ * clean stretch (via findCutFreeWindow); frame fields are recomputed; clips
+ * that end up too short or can't be cleared of every disliked range, and
+ * duplicates, are removed. Moments are untouched.
+ *
+ * @param {Object} pool
+ * @param {Object} report - From auditClipPool
+ * @param {Object} [options]
+ * @param {number} [options.buffer=0.05] - Seconds kept clear of cuts when re-trimming
+ * @param {number} [options.minDuration=0.3] - Shortest clip kept after re-trimming
+ * @returns {{ pool: Object, fixes: Object[] }}
+ */
+export const fixClipPoolIssues = (pool, report, options = {}) => {
+  const {
+    buffer = 0.05,
+    minDuration = DEFAULT_MIN_FIXED_DURATION,
+    manifestIndex = null,
+    guidance = loadMovieAnnotationGuidance(),
+  } = options;
+  const clips = pool?.clips || [];
+  const issuesByIndex = new Map();
+  (report?.issues || []).forEach((issue) => {
+    if (!issuesByIndex.has(issue.index)) issuesByIndex.set(issue.index, []);
+    issuesByIndex.get(issue.index).push(issue);
+  });
+
+  const fixes = [];
+  const fixed = [];
+  clips.forEach((clip, index) => {
+    const issues = issuesByIndex.get(index);
+    if (!issues) {
+      fixed.push(clip);
+      return;
+    }
+    const types = new Set(issues.map((issue) => issue.type));
+    const from = { start: clip.start, end: clip.end };
+    const remove = (reason) => fixes.push({ clipId: clip.id, action: "removed", reason, from });
+
+    if (types.has("duplicate")) {
+      remove(issues.find((issue) => issue.type === "duplicate").message);
+      return;
+    }
+
+    const videoId = clip.videoId || getVideoIdForClip(clip);
+    const fps = resolveClipFps(clip, videoId);
+    let start = Number(clip.start) || 0;
+    let end = Number(clip.end) || start;
+
+    if (types.has("past-source-end")) {
+      const sourceDuration = resolveSourceDuration(clip, videoId, manifestIndex);
+      start = Math.max(0, start);
+      if (sourceDuration) end = Math.min(end, Math.floor(sourceDuration * fps) / fps);
+    }
+
+    if (types.has("disliked") && clipOverlapsDisliked(videoId, start, end, guidance)) {
+      const clear = longestClearStretch(videoId, start, end, guidance);
+      if (!clear) {
+        remove("No stretch clear of disliked ranges");
+        return;
+      }
+      ({ start, end } = clear);
+    }
+
+    // Re-trimming can expose cuts in what's left, so always re-check cut-free clips
+    if (end - start >= minDuration && (types.has("cuts-inside") || clip.cutFreeVerified) && videoId) {
+      const window = retrimCutFree(videoId, start, end, fps, buffer);
+      if (!window) {
+        remove("No cut-free stretch left");
+        return;
+      }
+      ({ start, end } = window);
+    }
+
+    const startFrame = Math.ceil(start * fps - 1e-6);
+    const endFrameExclusive = Math.floor(end * fps + 1e-6);
+    const duration = roundSeconds((endFrameExclusive - startFrame) / fps);
+    if (duration < minDuration) {
+      remove(`Shorter than ${minDuration}s after re-trimming`);
+      return;
+    }
+
+    const next = {
+      ...clip,
+      start: roundSeconds(startFrame / fps),
+      end: roundSeconds(endFrameExclusive / fps),
+      duration,
+      fps,
+      startFrame,
+      endFrameExclusive,
+      durationFrames: endFrameExclusive - startFrame,
+      durationBucket: resolveDurationBucket(duration, pool.durationBuckets, null),
+    };
+    fixed.push(next);
+    fixes.push({
+      clipId: clip.id,
+      action: next.start !== clip.start || next.end !== clip.end ? "retrimmed" : "reframed",
+      issues: Array.from(types),
+      from,
+      to: { start: next.start, end: next.end },
+    });
+  });
+
+  return {
+    pool: rebuildClipPool({ basePool: pool, clips: fixed, manifestIndex: manifestIndex || new Map() }),
+    fixes,
+  };
+};
@@ -0,0 +1,342 @@
+/**
+ * Clip Thumbnails
+ *
+ * Poster frames and scrubbable sprite sheets for source-video ranges, cut
+ * locally with ffmpeg (no Cloudinary round trip) and cached under public/
+ * so the editor can show them offline:
+ *
+ *   public/clip-thumbnails/<video>/<startMs>-<endMs>-poster.jpg
+ *   public/clip-thumbnails/<video>/<startMs>-<endMs>-sprite-<frames>.jpg   // frames tiles, left to right, top to bottom
+ *   public/clip-thumbnails/<video>/<startMs>-<endMs>-sprite-<frames>.vtt   // WEBVTT cues "sprite.jpg#xywh=x,y,w,h"
+ *
+ * Cue times are relative to the range start, so a timeline item playing the
+ * clip from its first frame can look tiles up directly. Pools record the
+ * public paths on each clip:
+ *
+ *   clip.thumbnail = "/clip-thumbnails/.../poster.jpg"   // when it had none
+ *   clip.thumbnails = { version, poster, sprite, vtt, frames, columns, rows, tileWidth, tileHeight, intervalSec }
+ *   pool.thumbnails = { version, frames, generatedAt, clipCount }
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import { execFile } from "node:child_process";
+import { promisify } from "node:util";
+import { findSourceVideo } from "./contentSources.js";
+import { analyzePoolClips, resolveFfmpegBinary, resolveClipVideoPath } from "./clipMedia.js";
+
+const execFileAsync = promisify(execFile);
+
+export const CLIP_THUMBNAILS_VERSION = "ffmpeg-1";
+export const DEFAULT_SPRITE_FRAMES = 10;
+export const MAX_SPRITE_FRAMES = 60;
+// Longest range the on-demand endpoint will cut a sprite for
+export const MAX_THUMBNAIL_RANGE_SECONDS = 600;
+
+const PUBLIC_DIR = path.join(process.cwd(), "public");
+const THUMBNAILS_DIR = path.join(PUBLIC_DIR, "clip-thumbnails");
+const POSTER_WIDTH = 320;
+const POSTER_HEIGHT = 180;
+const TILE_WIDTH = 160;
+const TILE_HEIGHT = 90;
+const MAX_SPRITE_COLUMNS = 5;
+
+// Concurrent requests for the same range share one ffmpeg run
+const inFlight = new Map();
+
+const toNumber = (value, fallback = null) => {
+  const n = Number(value);
+  return value !== null && value !== undefined && value !== "" && Number.isFinite(n) ? n : fallback;
+};
+
+const sanitizeName = (value) => `${value}`.replace(/[^A-Za-z0-9_-]+/g, "-").replace(/^-+|-+$/g, "") || "video";
+
+const fitFilter = (width, height) =>
+  `scale=${width}:${height}:force_original_aspect_ratio=decrease,pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2`;
+
+const toPublicUrl = (absPath) => `/${path.relative(PUBLIC_DIR, absPath).split(path.sep).join("/")}`;
+
+const formatVttTime = (seconds) => {
+  const totalMs = Math.max(0, Math.round(seconds * 1000));
+  const hh = String(Math.floor(totalMs / 3600000)).padStart(2, "0");
+  const mm = String(Math.floor((totalMs % 3600000) / 60000)).padStart(2, "0");
+  const ss = String(Math.floor((totalMs % 60000) / 1000)).padStart(2, "0");
+  return `${hh}:${mm}:${ss}.${String(totalMs % 1000).padStart(3, "0")}`;
+};
+
+/**
+ * Tile layout of a sprite with `frames` tiles.
+ */
+export const getSpriteLayout = (frames = DEFAULT_SPRITE_FRAMES) => {
+  const columns = Math.min(frames, MAX_SPRITE_COLUMNS);
+  return { columns, rows: Math.ceil(frames / columns), tileWidth: TILE_WIDTH, tileHeight: TILE_HEIGHT };
+};
+
+/**
+ * WEBVTT index for a sprite: one cue per tile, times relative to the range
+ * start, pointing at the sprite (relative to the .vtt file) with #xywh=.
+ *
+ * @param {string} spriteName - Sprite file name next to the .vtt
+ * @param {number} durationSeconds
+ * @param {number} frames
+ * @returns {string}
+ */
+export const buildSpriteVtt = (spriteName, durationSeconds, frames = DEFAULT_SPRITE_FRAMES) => {
+  const { columns, tileWidth, tileHeight } = getSpriteLayout(frames);
+  const interval = durationSeconds / frames;
+  const cues = Array.from({ length: frames }, (_, i) => {
+    const x = (i % columns) * tileWidth;
+    const y = Math.floor(i / columns) * tileHeight;
+    return `${formatVttTime(i * interval)} --> ${formatVttTime((i + 1) * interval)}\n${spriteName}#xywh=${x},${y},${tileWidth},${tileHeight}`;
+  });
+  return `WEBVTT\n\n${cues.join("\n\n")}\n`;
+};
+
+/**
+ * Where the thumbnails of a source-video range live (absolute paths and
+ * public URLs). Keyed by video (its registry label, whichever id the range
+ * carries) and range, so pool clips and on-demand requests for the same
+ * range share files.
+ *
+ * @param {{ videoId?: string, cloudinaryId?: string, start: number, end: number }} range
+ * @param {{ frames?: number }} [options]
+ */
+export const getThumbnailPaths = (range, { frames = DEFAULT_SPRITE_FRAMES } = {}) => {
+  const video = findSourceVideo(range.cloudinaryId) || findSourceVideo(range.videoId);
+  const dir = path.join(THUMBNAILS_DIR, sanitizeName(video?.label || range.cloudinaryId || range.videoId));
+  const base = `${Math.round(range.start * 1000)}-${Math.round(range.end * 1000)}`;
+  const files = {
+    poster: path.join(dir, `${base}-poster.jpg`),
+    sprite: path.join(dir, `${base}-sprite-${frames}.jpg`),
+    vtt: path.join(dir, `${base}-sprite-${frames}.vtt`),
+  };
+  return {
+    dir,
+    files,
+    urls: { poster: toPublicUrl(files.poster), sprite: toPublicUrl(files.sprite), vtt: toPublicUrl(files.vtt) },
+  };
+};
+
+const buildRecord = (range, frames) => {
+  const { urls } = getThumbnailPaths(range, { frames });
+  return {
+    version: CLIP_THUMBNAILS_VERSION,
+    ...urls,
+    frames,
+    ...getSpriteLayout(frames),
+    intervalSec: Number(((range.end - range.start) / frames).toFixed(3)),
+  };
+};
+
+const runFfmpeg = (args) => execFileAsync(resolveFfmpegBinary(), ["-v", "error", "-y", ...args], { maxBuffer: 1024 * 1024 });
+
+// ffmpeg writes next to the target and the file is renamed in, so readers never see half a jpg
+const writeWithFfmpeg = async (target, argsFor) => {
+  const tmpPath = target.replace(/(\.\w+)$/, `.tmp-${process.pid}$1`);
+  try {
+    await runFfmpeg(argsFor(tmpPath));
+    fs.renameSync(tmpPath, target);
+  } finally {
+    if (fs.existsSync(tmpPath)) fs.unlinkSync(tmpPath);
+  }
+};
+
+const renderThumbnails = async (videoPath, range, frames, force) => {
+  const { dir, files } = getThumbnailPaths(range, { frames });
+  fs.mkdirSync(dir, { recursive: true });
+  const duration = range.end - range.start;
+  const { columns, rows } = getSpriteLayout(frames);
+
+  if (force || !fs.existsSync(files.poster)) {
+    const midpoint = range.start + duration / 2;
+    await writeWithFfmpeg(files.poster, (out) => [
+      "-ss",
+      midpoint.toFixed(3),
+      "-i",
+      videoPath,
+      "-frames:v",
+      "1",
+      "-vf",
+      fitFilter(POSTER_WIDTH, POSTER_HEIGHT),
+      "-q:v",
+      "4",
+      out,
+    ]);
+  }
+
+  if (force || !fs.existsSync(files.sprite)) {
+    await writeWithFfmpeg(files.sprite, (out) => [
+      "-ss",
+      range.start.toFixed(3),
+      "-t",
+      duration.toFixed(3),
+      "-i",
+      videoPath,
+      "-vf",
+      `fps=${frames}/${duration.toFixed(3)},${fitFilter(TILE_WIDTH, TILE_HEIGHT)},tile=${columns}x${rows}`,
+      "-frames:v",
+      "1",
+      "-q:v",
+      "5",
+      out,
+    ]);
+  }
+
+  if (force || !fs.existsSync(files.vtt)) {
+    fs.writeFileSync(files.vtt, buildSpriteVtt(path.basename(files.sprite), duration, frames), "utf8");
+  }
+};
+
+const normalizeRange = (range) => {
+  const start = toNumber(range?.start, 0);
+  const end = toNumber(range?.end, start + (toNumber(range?.duration, 0) || 0));
+  return { videoId: range?.videoId || null, cloudinaryId: range?.cloudinaryId || null, start, end };
+};
+
+/**
+ * Cached thumbnails for a range, or null when they were never generated.
+ */
+export const findCachedThumbnails = (range, { frames = DEFAULT_SPRITE_FRAMES } = {}) => {
+  const normalized = normalizeRange(range);
+  if (!normalized.videoId && !normalized.cloudinaryId) return null;
+  const { files } = getThumbnailPaths(normalized, { frames });
+  return Object.values(files).every((file) => fs.existsSync(file)) ? buildRecord(normalized, frames) : null;
+};
+
+/**
+ * Poster and sprite for one source-video range, generated with ffmpeg
+ * unless already cached. Throws when there is no local video for it.
+ *
+ * @param {Object} range - { videoId?, cloudinaryId?, start, end, sourcePath? }
+ * @param {Object} [options]
+ * @param {number} [options.frames=10] - Sprite tiles
+ * @param {boolean} [options.force=false] - Re-render cached files
+ * @param {string} [options.videoPath] - Defaults to the clip's sourcePath / registry localPath
+ * @returns {Promise<Object>} The clip.thumbnails record
+ */
+export const ensureClipThumbnails = async (range, options = {}) => {
+  const { frames = DEFAULT_SPRITE_FRAMES, force = false } = options;
+  const normalized = normalizeRange(range);
+  if (!(normalized.end > normalized.start)) {
+    throw new Error(`Invalid thumbnail range ${normalized.start}-${normalized.end}`);
+  }
+  if (!force) {
+    const cached = findCachedThumbnails(normalized, { frames });
+    if (cached) return cached;
+  }
+  const videoPath = options.videoPath || resolveClipVideoPath(range);
+  if (!videoPath) {
+    throw new Error(`No local video for ${normalized.cloudinaryId || normalized.videoId}`);
+  }
+
+  const key = getThumbnailPaths(normalized, { frames }).files.sprite;
+  if (!inFlight.has(key)) {
+    inFlight.set(
+      key,
+      renderThumbnails(videoPath, normalized, frames, force).finally(() => inFlight.delete(key))
+    );
+  }
+  await inFlight.get(key);
+  return buildRecord(normalized, frames);
+};
+
+/**
+ * Poster URL for a range that works offline: the cached file when there is
+ * one, else the on-demand endpoint when a local video exists, else null.
+ */
+export const getLocalPosterUrl = (range) => {
+  const cached = findCachedThumbnails(range);
+  if (cached) return cached.poster;
+  if (!resolveClipVideoPath(range)) return null;
+  const params = new URLSearchParams({ start: String(range.start), end: String(range.end), redirect: "poster" });
+  if (range.videoId) params.set("videoId", range.videoId);
+  if (range.cloudinaryId) params.set("cloudinaryId", range.cloudinaryId);
+  return `/api/clip-thumbnails?${params.toString()}`;
+};
+
+/**
+ * Generate thumbnails for every clip of a pool (reusing cached ones of the
+ * same version and frame count unless `force`) and record them on the pool.
+ *
+ * @param {Object} pool
+ * @param {Object} [options]
+ * @param {number} [options.frames=10]
+ * @param {boolean} [options.force=false]
+ * @param {(event: Object) => void} [options.onProgress] - See clipMedia.analyzePoolClips
+ * @returns {Promise<{ pool: Object, stats: Object }>}
+ */
+export const thumbnailClipPool = async (pool, options = {}) => {
+  const { frames = DEFAULT_SPRITE_FRAMES, force = false, onProgress = null } = options;
+
+  const withThumbnails = (clip, thumbnails) => ({
+    ...clip,
+    thumbnail: clip.thumbnail || thumbnails.poster,
+    thumbnails,
+  });
+
+  const { clips, stats } = await analyzePoolClips(pool, {
+    reuse: (clip) => {
+      const current = clip?.thumbnails;
+      const cached =
+        !force && current?.version === CLIP_THUMBNAILS_VERSION && current.frames === frames
+          ? findCachedThumbnails(clip, { frames })
+          : null;
+      return cached ? withThumbnails(clip, cached) : null;
+    },
+    analyze: async (videoPath, clip) =>
+      withThumbnails(clip, await ensureClipThumbnails(clip, { frames, force, videoPath })),
+    onProgress,
+  });
+
+  const clipCount = clips.filter((clip) => clip?.thumbnails?.version === CLIP_THUMBNAILS_VERSION).length;
+  return {
+    pool: {
+      ...pool,
+      clips,
+      thumbnails: { version: CLIP_THUMBNAILS_VERSION, frames, generatedAt: new Date().toISOString(), clipCount },
+    },
+    stats: { generated: stats.analyzed, reused: stats.reused, missingVideo: stats.missingVideo, failed: stats.failed, clipCount },
+  };
+};
+
+/**
+ * Pool clips whose poster is on disk, e.g. for the seek animation.
+ *
+ * @param {Object[]} clips
+ * @param {{ playerTag?: string|null, limit?: number }} [options]
+ * @returns {Array<{ id: string|null, src: string, cloudinaryId: string|null, start: number, playerTag: string|null }>}
+ */
+export const listClipPosters = (clips, { playerTag = null, limit = 200 } = {}) => {
+  const tag = playerTag && playerTag !== "all" ? playerTag.toLowerCase() : null;
+  const posters = [];
+  for (const clip of clips || []) {
+    if (posters.length >= limit) break;
+    const poster = clip?.thumbnails?.poster;
+    if (!poster || !fs.existsSync(path.join(PUBLIC_DIR, poster))) continue;
+    const clipTag = clip.playerTag ? `${clip.playerTag}`.toLowerCase().replace(/[^a-z0-9_]+/g, "_") : null;
+    if (tag && clipTag !== tag) continue;
+    posters.push({
+      id: clip.id ?? null,
+      src: poster,
+      cloudinaryId: clip.cloudinaryId || null,
+      start: toNumber(clip.start, 0),
+      playerTag: clipTag,
+    });
+  }
+  return posters;
+};
+
+export default {
+  CLIP_THUMBNAILS_VERSION,
+  DEFAULT_SPRITE_FRAMES,
+  MAX_SPRITE_FRAMES,
+  MAX_THUMBNAIL_RANGE_SECONDS,
+  getSpriteLayout,
+  buildSpriteVtt,
+  getThumbnailPaths,
+  findCachedThumbnails,
+  ensureClipThumbnails,
+  getLocalPosterUrl,
+  thumbnailClipPool,
+  listClipPosters,
+};
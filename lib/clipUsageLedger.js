@@ -0,0 +1,307 @@
+/**
+ * Clip Usage Ledger
+ *
+ * Remembers which pool clips went into which edit so later runs can steer
+ * away from favourites that show up in every variant.
+ *
+ * Layout: data/clip-usage/ledger.json
+ * {
+ *   version: 1,
+ *   runs: [{
+ *     id, recordedAt, kind: "generate-edit" | "song-edit" | "instant" | ...,
+ *     songSlug, variant,          // job id or variant seed
+ *     placements: [{ slot, poolClipId, videoId, cloudinaryId, start, end }]
+ *   }]                            // oldest first, capped at MAX_RUNS
+ * }
+ *
+ * Fatigue: every placement of a clip adds 0.5^(ageDays / halfLifeDays), so a
+ * clip used today counts 1, two weeks ago 0.5 (default half-life), and old
+ * runs fade out. Planners turn fatigue into a selection weight with
+ * getFatigueWeights: 1 / (1 + strength * fatigue).
+ */
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { findSourceVideo } from "./contentSources.js";
+
+const LEDGER_PATH = path.join(process.cwd(), "data", "clip-usage", "ledger.json");
+const LEDGER_VERSION = 1;
+const MAX_RUNS = 2000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const DEFAULT_FATIGUE_HALF_LIFE_DAYS = 14;
+
+let ledgerCache = null;
+
+const toNumber = (value, fallback = null) => {
+  const n = Number(value);
+  return value !== null && value !== undefined && value !== "" && Number.isFinite(n) ? n : fallback;
+};
+
+// Placements and pool clips are matched per source video, whichever id they carry
+const videoKeyOf = (item) =>
+  item?.videoId || findSourceVideo(item?.cloudinaryId)?.videoId || item?.cloudinaryId || null;
+
+const emptyLedger = () => ({ version: LEDGER_VERSION, runs: [] });
+
+/**
+ * The ledger, re-read when the file changes.
+ */
+export const loadClipUsageLedger = () => {
+  if (!fs.existsSync(LEDGER_PATH)) return emptyLedger();
+  const mtimeMs = fs.statSync(LEDGER_PATH).mtimeMs;
+  if (ledgerCache?.mtimeMs === mtimeMs) return ledgerCache.ledger;
+  try {
+    const ledger = JSON.parse(fs.readFileSync(LEDGER_PATH, "utf8"));
+    const normalized = { ...emptyLedger(), ...ledger, runs: Array.isArray(ledger?.runs) ? ledger.runs : [] };
+    ledgerCache = { mtimeMs, ledger: normalized };
+    return normalized;
+  } catch (error) {
+    console.warn(`[clipUsageLedger] Ignoring unreadable ledger: ${error.message}`);
+    return emptyLedger();
+  }
+};
+
+const writeLedger = (ledger) => {
+  fs.mkdirSync(path.dirname(LEDGER_PATH), { recursive: true });
+  const tmpPath = `${LEDGER_PATH}.tmp`;
+  // Compact: the ledger is rewritten on every run and holds up to MAX_RUNS of them
+  fs.writeFileSync(tmpPath, JSON.stringify(ledger), "utf8");
+  fs.renameSync(tmpPath, LEDGER_PATH);
+  ledgerCache = null;
+};
+
+/**
+ * Placements for a plan's segments (anything with an asset pointing at a
+ * source video).
+ */
+export const extractPlacements = (segments = []) =>
+  (segments || [])
+    .map((segment, idx) => {
+      const asset = segment?.asset;
+      if (!asset) return null;
+      const start = toNumber(asset.start, 0);
+      const end = toNumber(asset.end, start + (toNumber(asset.duration, 0) || 0));
+      const placement = {
+        slot: Number.isInteger(segment.index) ? segment.index : idx,
+        poolClipId: asset.poolClipId ?? null,
+        videoId: asset.videoId || null,
+        cloudinaryId: asset.cloudinaryId || null,
+        start,
+        end,
+      };
+      return placement.videoId || placement.cloudinaryId ? placement : null;
+    })
+    .filter(Boolean);
+
+/**
+ * Append one run to the ledger. Never throws: a failed write is logged and
+ * the edit goes on.
+ *
+ * @param {Object} params
+ * @param {string} params.kind - "generate-edit", "song-edit", "instant", ...
+ * @param {string} [params.songSlug]
+ * @param {string|number} [params.variant] - Job id or variant seed
+ * @param {Object[]} params.segments - Plan segments with assets
+ * @returns {Object|null} The recorded run
+ */
+export const recordClipUsage = ({ kind, songSlug = null, variant = null, segments }) => {
+  try {
+    const placements = extractPlacements(segments);
+    if (!placements.length) return null;
+    const recordedAt = new Date().toISOString();
+    const run = {
+      id: `${recordedAt.replace(/[:.]/g, "-")}-${crypto.randomBytes(3).toString("hex")}`,
+      recordedAt,
+      kind,
+      songSlug,
+      variant: variant === null || variant === undefined ? null : String(variant),
+      placements,
+    };
+    const ledger = loadClipUsageLedger();
+    writeLedger({ ...ledger, runs: [...ledger.runs, run].slice(-MAX_RUNS) });
+    return run;
+  } catch (error) {
+    console.warn(`[clipUsageLedger] Failed to record ${kind} usage: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Usage per pool clip. A placement counts for the clip it names
+ * (poolClipId on the same video) or, for plans not built from a pool,
+ * every clip of the same video it overlaps.
+ *
+ * @param {Object[]} clips - Pool clips
+ * @param {Object} [options]
+ * @param {number} [options.halfLifeDays=14]
+ * @param {number} [options.now=Date.now()]
+ * @param {Object} [options.ledger] - Defaults to the stored ledger
+ * @returns {Array<{ uses: number, fatigue: number, lastUsedAt: string|null, songs: string[] }>}
+ */
+export const computeClipFatigue = (clips, options = {}) => {
+  const {
+    halfLifeDays = DEFAULT_FATIGUE_HALF_LIFE_DAYS,
+    now = Date.now(),
+    ledger = loadClipUsageLedger(),
+  } = options;
+  const stats = (clips || []).map(() => ({ uses: 0, fatigue: 0, lastUsedAt: null, songs: new Set() }));
+
+  const byVideo = new Map();
+  const byVideoClipId = new Map();
+  const push = (map, key, idx) => {
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(idx);
+  };
+  (clips || []).forEach((clip, idx) => {
+    const key = videoKeyOf(clip);
+    if (!key) return;
+    push(byVideo, key, idx);
+    if (clip.id !== null && clip.id !== undefined) push(byVideoClipId, `${key}\n${clip.id}`, idx);
+  });
+
+  for (const run of ledger.runs || []) {
+    const recordedMs = Date.parse(run.recordedAt);
+    const ageDays = Number.isFinite(recordedMs) ? Math.max(0, (now - recordedMs) / DAY_MS) : 0;
+    const decay = Math.pow(0.5, ageDays / Math.max(halfLifeDays, 1e-6));
+    for (const placement of run.placements || []) {
+      const key = videoKeyOf(placement);
+      const named =
+        placement.poolClipId !== null && placement.poolClipId !== undefined
+          ? byVideoClipId.get(`${key}\n${placement.poolClipId}`) || []
+          : [];
+      const matched = named.length
+        ? named
+        : (byVideo.get(key) || []).filter((idx) => {
+            const start = toNumber(clips[idx].start, 0);
+            const end = toNumber(clips[idx].end, start);
+            return placement.start < end && placement.end > start;
+          });
+      matched.forEach((idx) => {
+        const entry = stats[idx];
+        entry.uses += 1;
+        entry.fatigue += decay;
+        if (!entry.lastUsedAt || run.recordedAt > entry.lastUsedAt) entry.lastUsedAt = run.recordedAt;
+        if (run.songSlug) entry.songs.add(run.songSlug);
+      });
+    }
+  }
+
+  return stats.map((entry) => ({
+    ...entry,
+    fatigue: Number(entry.fatigue.toFixed(4)),
+    songs: Array.from(entry.songs),
+  }));
+};
+
+/**
+ * Selection weight per pool clip: 1 for unused clips, lower the more (and
+ * the more recently) a clip was used.
+ *
+ * @param {Object[]} clips
+ * @param {{ strength?: number, halfLifeDays?: number, now?: number }} [options]
+ * @returns {number[]}
+ */
+export const getFatigueWeights = (clips, options = {}) => {
+  const { strength = 1, ...fatigueOptions } = options;
+  return computeClipFatigue(clips, fatigueOptions).map((entry) => 1 / (1 + Math.max(0, strength) * entry.fatigue));
+};
+
+/**
+ * Weighted random pick (Math.random, so seeded runs stay reproducible).
+ *
+ * @param {Array} items
+ * @param {(item: any) => number} weightOf
+ */
+export const pickWeighted = (items = [], weightOf = () => 1) => {
+  if (!items.length) return null;
+  const weights = items.map((item) => Math.max(0, Number(weightOf(item)) || 0));
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  if (total <= 0) return items[Math.floor(Math.random() * items.length)];
+  let target = Math.random() * total;
+  for (let i = 0; i < items.length; i += 1) {
+    target -= weights[i];
+    if (target < 0) return items[i];
+  }
+  return items[items.length - 1];
+};
+
+/**
+ * Usage report over the ledger, optionally scoped to a song, kind or time
+ * window, with per-clip fatigue for `clips` (a pool) when given.
+ *
+ * @param {Object} [options]
+ * @param {Object[]} [options.clips] - Pool clips to rank
+ * @param {string} [options.songSlug]
+ * @param {string} [options.kind]
+ * @param {number} [options.days] - Only runs from the last N days
+ * @param {number} [options.limit=25] - Top clips / recent runs returned
+ * @param {number} [options.halfLifeDays]
+ */
+export const buildClipUsageReport = (options = {}) => {
+  const { clips = null, songSlug = null, kind = null, days = null, limit = 25, halfLifeDays } = options;
+  const ledger = loadClipUsageLedger();
+  const since = days ? Date.now() - days * DAY_MS : null;
+  const runs = ledger.runs.filter(
+    (run) =>
+      (!songSlug || run.songSlug === songSlug) &&
+      (!kind || run.kind === kind) &&
+      (!since || Date.parse(run.recordedAt) >= since)
+  );
+
+  const byKind = {};
+  const bySong = {};
+  let placements = 0;
+  runs.forEach((run) => {
+    byKind[run.kind] = (byKind[run.kind] || 0) + 1;
+    if (run.songSlug) bySong[run.songSlug] = (bySong[run.songSlug] || 0) + 1;
+    placements += run.placements?.length || 0;
+  });
+
+  const report = {
+    generatedAt: new Date().toISOString(),
+    filters: { songSlug, kind, days },
+    totals: { runs: runs.length, placements },
+    byKind,
+    bySong,
+    recentRuns: runs
+      .slice(-limit)
+      .reverse()
+      .map(({ placements: runPlacements, ...run }) => ({ ...run, clipCount: runPlacements?.length || 0 })),
+  };
+
+  if (Array.isArray(clips)) {
+    const fatigue = computeClipFatigue(clips, { halfLifeDays, ledger: { runs } });
+    const used = fatigue
+      .map((entry, idx) => ({ entry, clip: clips[idx] }))
+      .filter(({ entry }) => entry.uses > 0);
+    report.totals.distinctClips = used.length;
+    report.totals.neverUsed = clips.length - used.length;
+    report.topClips = used
+      .sort((a, b) => b.entry.fatigue - a.entry.fatigue || b.entry.uses - a.entry.uses)
+      .slice(0, limit)
+      .map(({ entry, clip }) => ({
+        clipId: clip.id ?? null,
+        videoId: clip.videoId || null,
+        cloudinaryId: clip.cloudinaryId || null,
+        start: clip.start,
+        end: clip.end,
+        ...entry,
+        weight: Number((1 / (1 + entry.fatigue)).toFixed(4)),
+      }));
+  }
+
+  return report;
+};
+
+export default {
+  DEFAULT_FATIGUE_HALF_LIFE_DAYS,
+  loadClipUsageLedger,
+  extractPlacements,
+  recordClipUsage,
+  computeClipFatigue,
+  getFatigueWeights,
+  pickWeighted,
+  buildClipUsageReport,
+};
@@ -0,0 +1,245 @@
+/**
+ * Content Source Registry
+ *
+ * Every footage library the editors can cut from is declared in
+ * data/content-sources/<id>.json: its videos (Twelve Labs ids, Cloudinary
+ * ids per variant, local file, fps), its clip pool and its scene-cut data.
+ * Modules that used to carry their own Kill Bill id tables resolve through
+ * this registry instead, so adding a library is one new manifest file.
+ *
+ * Manifest shape:
+ * {
+ *   id: "killbill",
+ *   label: "Kill Bill Edits",
+ *   default?: boolean,                 // source used when a request names none
+ *   fps?: number,                      // fallback for videos without fps
+ *   clipPool?: { path, fallbackPath? },
+ *   sceneCuts?: { path },
+ *   videos: [{
+ *     partId, partNumber?, volume?, label, filename?, localPath?, fps?, durationSeconds?,
+ *     twelveLabs: { videoId, envVar? },   // envVar overrides videoId when set
+ *     cloudinary: { legacy?, default, cutout?, ... },
+ *     aliases?: string[]
+ *   }]
+ * }
+ */
+
+import fs from "fs";
+import path from "path";
+
+const CONTENT_SOURCES_DIR = path.join(process.cwd(), "data", "content-sources");
+const DEFAULT_FPS = 30;
+
+let registryCache = null;
+
+const stripExtension = (value) => (value ? value.replace(/\.mp4$/i, "") : value);
+
+const resolveRepoPath = (relativePath) =>
+  relativePath ? path.resolve(process.cwd(), relativePath) : null;
+
+const normalizeVideo = (video, source) => {
+  const twelveLabs = video.twelveLabs || {};
+  const envValue = twelveLabs.envVar ? process.env[twelveLabs.envVar]?.trim() : null;
+  const videoId = envValue || twelveLabs.videoId || null;
+  const cloudinary = { ...(video.cloudinary || {}) };
+  const label = video.label || stripExtension(cloudinary.default) || video.partId;
+
+  return {
+    ...video,
+    sourceId: source.id,
+    label,
+    videoId,
+    filename: video.filename || `${cloudinary.default || label}.mp4`,
+    fps: Number(video.fps) || Number(source.fps) || DEFAULT_FPS,
+    cloudinary,
+    aliases: Array.isArray(video.aliases) ? video.aliases : [],
+  };
+};
+
+const readManifest = (filePath) => {
+  try {
+    const manifest = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    if (!manifest?.id) {
+      console.warn(`[contentSources] Skipping ${filePath}: missing id`);
+      return null;
+    }
+    return manifest;
+  } catch (error) {
+    console.warn(`[contentSources] Skipping unreadable ${filePath}: ${error.message}`);
+    return null;
+  }
+};
+
+const buildRegistry = () => {
+  const files = fs.existsSync(CONTENT_SOURCES_DIR)
+    ? fs.readdirSync(CONTENT_SOURCES_DIR).filter((file) => file.toLowerCase().endsWith(".json")).sort()
+    : [];
+
+  const sources = new Map();
+  const videos = [];
+  const lookup = new Map();
+
+  const register = (key, video) => {
+    const normalized = (key || "").toString().trim();
+    if (!normalized) return;
+    if (!lookup.has(normalized)) lookup.set(normalized, video);
+    const lower = normalized.toLowerCase();
+    if (!lookup.has(lower)) lookup.set(lower, video);
+  };
+
+  for (const file of files) {
+    const manifest = readManifest(path.join(CONTENT_SOURCES_DIR, file));
+    if (!manifest) continue;
+    if (sources.has(manifest.id)) {
+      console.warn(`[contentSources] Duplicate source id "${manifest.id}" in ${file}, ignoring`);
+      continue;
+    }
+    const sourceVideos = (manifest.videos || []).map((video) => normalizeVideo(video, manifest));
+    sources.set(manifest.id, { ...manifest, videos: sourceVideos });
+
+    for (const video of sourceVideos) {
+      videos.push(video);
+      register(video.videoId, video);
+      register(video.twelveLabs?.videoId, video);
+      register(video.partId, video);
+      register(video.label, video);
+      register(video.filename, video);
+      Object.values(video.cloudinary).forEach((cloudinaryId) => {
+        register(cloudinaryId, video);
+        register(`${cloudinaryId}.mp4`, video);
+      });
+    }
+  }
+
+  if (!sources.size) {
+    console.warn(`[contentSources] No content sources found in ${CONTENT_SOURCES_DIR}`);
+  }
+
+  return { sources, videos, lookup };
+};
+
+const ensureRegistry = () => {
+  if (!registryCache) {
+    registryCache = buildRegistry();
+  }
+  return registryCache;
+};
+
+/**
+ * Drop the cached registry so manifests (and env overrides) are re-read.
+ */
+export const refreshContentSources = () => {
+  registryCache = buildRegistry();
+  return registryCache;
+};
+
+/**
+ * @returns {Array<Record<string, any>>} All declared sources, videos normalized
+ */
+export const listContentSources = () => Array.from(ensureRegistry().sources.values());
+
+export const getContentSource = (sourceId) => ensureRegistry().sources.get(sourceId) || null;
+
+export const getDefaultContentSourceId = () => {
+  const sources = listContentSources();
+  return (sources.find((source) => source.default) || sources[0])?.id || null;
+};
+
+/**
+ * Validate a requested source id, falling back to the default source.
+ */
+export const resolveContentSourceId = (sourceId) =>
+  sourceId && getContentSource(sourceId) ? sourceId : getDefaultContentSourceId();
+
+/**
+ * Videos across all sources, or only those of `sourceId`.
+ */
+export const listSourceVideos = (sourceId = null) => {
+  const { videos } = ensureRegistry();
+  return sourceId ? videos.filter((video) => video.sourceId === sourceId) : videos.slice();
+};
+
+/**
+ * Find a video by Twelve Labs id, part id, label, filename or any Cloudinary
+ * public id (with or without .mp4).
+ *
+ * @param {string} idOrName
+ * @returns {Object|null} Normalized video entry
+ */
+export const findSourceVideo = (idOrName) => {
+  if (idOrName === null || idOrName === undefined) return null;
+  const key = idOrName.toString().trim();
+  if (!key) return null;
+  const { lookup } = ensureRegistry();
+  return lookup.get(key) || lookup.get(key.toLowerCase()) || null;
+};
+
+/**
+ * Ids to key a video by in id maps: its videoId (which honours the
+ * twelveLabs.envVar override) and the registry's own Twelve Labs id, which
+ * pool clips keep carrying when the override is set.
+ */
+export const getVideoIds = (video) =>
+  Array.from(new Set([video?.videoId, video?.twelveLabs?.videoId].filter(Boolean)));
+
+/**
+ * Cloudinary public id of `variant` for a video, falling back to the default
+ * variant.
+ */
+export const getVideoCloudinaryId = (idOrName, variant = "default") => {
+  const video = findSourceVideo(idOrName);
+  if (!video) return null;
+  return video.cloudinary[variant] || video.cloudinary.default || null;
+};
+
+/**
+ * Absolute path of the video's local file, or null when it isn't on disk.
+ */
+export const resolveLocalVideoPath = (idOrName) => {
+  const localPath = resolveRepoPath(findSourceVideo(idOrName)?.localPath);
+  return localPath && fs.existsSync(localPath) ? localPath : null;
+};
+
+export const getVideoFps = (idOrName, fallback = DEFAULT_FPS) =>
+  findSourceVideo(idOrName)?.fps || fallback;
+
+/**
+ * Absolute clip pool paths for a source.
+ *
+ * @returns {{ path: string|null, fallbackPath: string|null }}
+ */
+export const getClipPoolPaths = (sourceId) => {
+  const clipPool = getContentSource(sourceId)?.clipPool || {};
+  return {
+    path: resolveRepoPath(clipPool.path),
+    fallbackPath: resolveRepoPath(clipPool.fallbackPath),
+  };
+};
+
+/**
+ * Absolute paths of every scene-cut file declared by a source (deduplicated).
+ */
+export const listSceneCutPaths = () =>
+  Array.from(
+    new Set(
+      listContentSources()
+        .map((source) => resolveRepoPath(source.sceneCuts?.path))
+        .filter(Boolean)
+    )
+  );
+
+export default {
+  refreshContentSources,
+  listContentSources,
+  getContentSource,
+  getDefaultContentSourceId,
+  resolveContentSourceId,
+  listSourceVideos,
+  findSourceVideo,
+  getVideoIds,
+  getVideoCloudinaryId,
+  resolveLocalVideoPath,
+  getVideoFps,
+  getClipPoolPaths,
+  listSceneCutPaths,
+};
@@ -6,6 +6,9 @@ import {
   createClipPoolSummary,
 } from "./quickEdit3.js";
 import { loadInstantClipPool } from "./songEdit.js";
+import { getFatigueWeights } from "./clipUsageLedger.js";
+import { normalizeColorContinuity } from "./clipColor.js";
+import { loadSectionProfile } from "./sectionProfile.js";
 
 const mulberry32 = (seed) => {
   let a = seed >>> 0;
@@ -47,7 +50,8 @@ const applyPoolPermutation = (pool, perm) => {
   };
 };
 
-const buildBiasedPermutation = (pool, seed) => {
+// fatigueWeights (optional, per clip) scale each score down for clips earlier runs used a lot
+const buildBiasedPermutation = (pool, seed, fatigueWeights = null) => {
   const rng = mulberry32(seed || Date.now());
   const clips = pool?.clips || [];
   const durations = clips.map((clip) => {
@@ -63,7 +67,7 @@ const buildBiasedPermutation = (pool, seed) => {
     const normalized = Math.max(0, durations[idx] || 0) / maxDuration;
     const biasWeight = Math.pow(normalized, 2); // emphasize longer clips
     const jitter = rng() * 0.25; // prevent strict ordering
-    return { idx, score: biasWeight + jitter };
+    return { idx, score: (biasWeight + jitter) * (fatigueWeights ? fatigueWeights[idx] : 1) };
   });
 
   weighted.sort((a, b) => b.score - a.score);
@@ -71,7 +75,14 @@ const buildBiasedPermutation = (pool, seed) => {
   return perm;
 };
 
-export const buildInstantPlan = ({ songSlug, chronologicalOrder = false, variantSeed = Date.now(), bias = true }) => {
+export const buildInstantPlan = ({
+  songSlug,
+  chronologicalOrder = false,
+  variantSeed = Date.now(),
+  bias = true,
+  fatigueWeight = 0,
+  colorContinuity = null,
+}) => {
   if (!songSlug) {
     throw new Error("songSlug is required");
   }
@@ -83,14 +94,22 @@ export const buildInstantPlan = ({ songSlug, chronologicalOrder = false, variant
   }
 
   const seed = Number.isFinite(variantSeed) ? variantSeed : Date.now();
-  const permutation = bias ? buildBiasedPermutation(pool, seed) : pool.clips.map((_, idx) => idx);
+  const continuity = normalizeColorContinuity(colorContinuity);
+  const fatigueWeights = fatigueWeight > 0 ? getFatigueWeights(pool.clips, { strength: fatigueWeight }) : null;
+  const permutation = bias ? buildBiasedPermutation(pool, seed, fatigueWeights) : pool.clips.map((_, idx) => idx);
   const biasedPool = applyPoolPermutation(pool, permutation);
 
   const { segments, fps, totalFrames, stats } = buildQuickEdit3Segments(format);
   const { usedClipIndices, swapHistory } = assignQuickEdit3Clips({
     segments,
     pool: biasedPool,
-    options: { chronologicalOrder },
+    options: {
+      chronologicalOrder,
+      fatigueWeight,
+      colorContinuity: continuity,
+      // Section changes are only needed for "sections" continuity
+      sectionProfile: continuity === "sections" ? loadSectionProfile(songSlug, format) : null,
+    },
   });
   const trimResult = trimQuickEdit3Segments({ segments, fps });
 
@@ -121,6 +140,8 @@ export const buildInstantPlan = ({ songSlug, chronologicalOrder = false, variant
     biasInfo: {
       strategy: bias ? "duration_priority_seeded" : "none",
       seed,
+      fatigueWeight: Math.max(0, Number(fatigueWeight) || 0),
+      colorContinuity: continuity,
     },
   };
 
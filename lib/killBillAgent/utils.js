@@ -5,6 +5,7 @@ import {
   getKillBillVideoParts,
   getKillBillVideoIdForPart as getConfiguredVideoIdForPart,
 } from "../twelveLabs/videoCatalog.js";
+import { listSourceVideos } from "../contentSources.js";
 
 const VIDEO_PARTS = getKillBillVideoParts();
 
@@ -80,13 +81,11 @@ export const VIDEO_ID_ALIASES = LEGACY_PART5_ID
   : {};
 
 // Map legacy Cloudinary public_ids to 30fps variants
-const CLOUDINARY_30FPS_MAP = {
-  Kill_Bill_Vol1_Part1: "Kill_Bill_Vol1_Part1_30FPS",
-  Kill_Bill_Vol1_Part2: "Kill_Bill_Vol1_Part2_30FPS",
-  Kill_Bill_Vol2_Part1: "Kill_Bill_Vol2_Part1_30FPS",
-  Kill_Bill_Vol2_Part2: "Kill_Bill_Vol2_Part2_30FPS",
-  Kill_Bill_Vol2_Part3: "Kill_Bill_Vol2_Part3_30FPS",
-};
+const CLOUDINARY_30FPS_MAP = Object.fromEntries(
+  listSourceVideos()
+    .filter((video) => video.cloudinary.legacy && video.cloudinary.default)
+    .map((video) => [video.cloudinary.legacy, video.cloudinary.default])
+);
 
 const normalizeCloudinaryId = (id) => {
   if (!id || typeof id !== "string") return id;
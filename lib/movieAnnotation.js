@@ -1,10 +1,12 @@
 import fs from "fs";
 import path from "path";
+import crypto from "crypto";
 import {
   VIDEO_ID_TO_CLOUDINARY,
   CLOUDINARY_TO_VIDEO_ID,
   CLOUDINARY_VARIANTS,
 } from "./songEdit.js";
+import { findSourceVideo, getVideoFps, listSourceVideos } from "./contentSources.js";
 
 const MOVIE_ANNOTATION_DIR = path.join(process.cwd(), "data", "movie-annotation");
 const ICONIC_DIR = path.join(MOVIE_ANNOTATION_DIR, "iconic");
@@ -14,31 +16,23 @@ const DISLIKES_DIR = path.join(MOVIE_ANNOTATION_DIR, "dislikes");
 const CUTOUTS_DIR = path.join(MOVIE_ANNOTATION_DIR, "cutouts");
 const CATALOG_PATH = path.join(MOVIE_ANNOTATION_DIR, "clips.json");
 
-export const PART_ID_TO_CLOUDINARY = {
-  "part-1-cutout": "Kill_Bill_Vol1_Part1_30FPS",
-  "part-2-cutout": "Kill_Bill_Vol1_Part2_30FPS",
-  "part-3-cutout": "Kill_Bill_Vol2_Part1_30FPS",
-  "part-4-cutout": "Kill_Bill_Vol2_Part2_30FPS",
-  "part-5-cutout": "Kill_Bill_Vol2_Part3_30FPS",
-  "part-1": "Kill_Bill_Vol1_Part1_30FPS",
-  "part-2": "Kill_Bill_Vol1_Part2_30FPS",
-  "part-3": "Kill_Bill_Vol2_Part1_30FPS",
-  "part-4": "Kill_Bill_Vol2_Part2_30FPS",
-  "part-5": "Kill_Bill_Vol2_Part3_30FPS",
-};
+// Part ids (and their "-cutout" aliases) resolve through the content source
+// registry; clips.json part meta can still override per part.
+const PART_VIDEOS = listSourceVideos().filter((video) => video.partId);
 
-export const PART_ID_TO_CLOUDINARY_CUTOUT = {
-  "part-1": "Kill_Bill_Vol1_Part1_30FPS_CUTOUT",
-  "part-1-cutout": "Kill_Bill_Vol1_Part1_30FPS_CUTOUT",
-  "part-2": "Kill_Bill_Vol1_Part2_30FPS_CUTOUT",
-  "part-2-cutout": "Kill_Bill_Vol1_Part2_30FPS_CUTOUT",
-  "part-3": "Kill_Bill_Vol2_Part1_30FPS_CUTOUT",
-  "part-3-cutout": "Kill_Bill_Vol2_Part1_30FPS_CUTOUT",
-  "part-4": "Kill_Bill_Vol2_Part2_30FPS_CUTOUT",
-  "part-4-cutout": "Kill_Bill_Vol2_Part2_30FPS_CUTOUT",
-  "part-5": "Kill_Bill_Vol2_Part3_30FPS_CUTOUT",
-  "part-5-cutout": "Kill_Bill_Vol2_Part3_30FPS_CUTOUT",
-};
+export const PART_ID_TO_CLOUDINARY = Object.fromEntries(
+  PART_VIDEOS.flatMap((video) => [
+    [`${video.partId}-cutout`, video.cloudinary.default],
+    [video.partId, video.cloudinary.default],
+  ])
+);
+
+export const PART_ID_TO_CLOUDINARY_CUTOUT = Object.fromEntries(
+  PART_VIDEOS.filter((video) => video.cloudinary.cutout).flatMap((video) => [
+    [video.partId, video.cloudinary.cutout],
+    [`${video.partId}-cutout`, video.cloudinary.cutout],
+  ])
+);
 
 // Canonical frame rate for the project (used as fallback).
 const DEFAULT_FRAME_RATE = 30;
@@ -84,7 +78,8 @@ const normalizeVariantKey = (variant) => {
 };
 
 const frameRateForPart = (partId) =>
-  PART_META_MAP.get(partId)?.frameRate || DEFAULT_FRAME_RATE;
+  PART_META_MAP.get(partId)?.frameRate ||
+  getVideoFps(partId.replace(/-cutout$/, ""), DEFAULT_FRAME_RATE);
 
 const canonicalCloudinaryForPart = (partId, options = {}) => {
   const variantKey = normalizeVariantKey(options.variant);
@@ -368,10 +363,11 @@ const loadCutouts = () => {
 };
 
 const buildGuidance = () => {
+  const likes = loadLikes().filter((entry) => entry && entry.videoId);
   const highlights = [
     ...loadEntriesFromDir(ICONIC_DIR, "entries"),
     ...loadEntriesFromDir(EVENTS_DIR, "events"),
-    ...loadLikes(),
+    ...likes,
     ...loadCutouts(),
   ].filter((entry) => entry && entry.videoId);
 
@@ -398,9 +394,20 @@ const buildGuidance = () => {
     })),
   ];
 
+  const likedRanges = likes.map((entry) => ({
+    id: entry.id,
+    videoId: entry.videoId,
+    cloudinaryId: entry.cloudinaryId,
+    startSeconds: entry.startSeconds,
+    endSeconds: entry.endSeconds,
+    label: entry.label || entry.type || "liked",
+    source: entry.source,
+  }));
+
   return {
     highlights,
     dislikedRanges,
+    likedRanges,
   };
 };
 
@@ -449,3 +456,290 @@ export const clipOverlapsDisliked = (
   );
 };
 
+
+// ---------------------------------------------------------------------------
+// Clip ratings: thumbs up/down from the editor and search results, stored as
+// likes/<partId>.json and dislikes/<partId>.json entries.
+// ---------------------------------------------------------------------------
+
+export const CLIP_RATINGS = ["like", "dislike"];
+
+export const CLIP_RATING_REASONS = {
+  like: ["iconic", "action", "emotion", "dialogue", "composition", "fits-music", "other"],
+  dislike: [
+    "bad-framing",
+    "contains-cut",
+    "boring",
+    "low-quality",
+    "text-on-screen",
+    "wrong-character",
+    "off-tone",
+    "other",
+  ],
+};
+
+// Liked clips are this many times as likely to be picked as unrated ones
+export const LIKED_CLIP_WEIGHT = 2;
+
+const RATING_DIRS = { like: LIKES_DIR, dislike: DISLIKES_DIR };
+
+const toSlug = (value) =>
+  (value || "")
+    .toString()
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+
+const readRatingDoc = (rating, partId) => {
+  const doc = readJsonFile(path.join(RATING_DIRS[rating], `${partId}.json`)) || {};
+  return { ...doc, partId, entries: Array.isArray(doc.entries) ? doc.entries : [] };
+};
+
+const writeRatingDoc = (rating, doc) => {
+  const filePath = path.join(RATING_DIRS[rating], `${doc.partId}.json`);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(doc, null, 2), "utf-8");
+  fs.renameSync(tmpPath, filePath);
+  annotationCache = null;
+};
+
+const listRatingPartIds = (rating) =>
+  fs.existsSync(RATING_DIRS[rating])
+    ? fs
+        .readdirSync(RATING_DIRS[rating])
+        .filter((file) => file.endsWith(".json"))
+        .map(derivePartIdFromFilename)
+    : [];
+
+const entryRange = (entry, partId) => {
+  const startSeconds = secondsFromEntry(entry, partId, "start");
+  const endSeconds = secondsFromEntry(entry, partId, "end");
+  return Number.isFinite(startSeconds) && Number.isFinite(endSeconds) ? { startSeconds, endSeconds } : null;
+};
+
+const isSameRange = (entry, partId, startSeconds, endSeconds) => {
+  const range = entryRange(entry, partId);
+  return (
+    Boolean(range) &&
+    Math.abs(range.startSeconds - startSeconds) <= OVERLAP_TOLERANCE &&
+    Math.abs(range.endSeconds - endSeconds) <= OVERLAP_TOLERANCE
+  );
+};
+
+/**
+ * Whether a clip can be rated: ratings are stored per registry video, so the
+ * videoId or cloudinaryId must name a video the content source registry
+ * knows (sources without registry videos, like the default NBA pool, can't).
+ */
+export const isRatableSource = (videoId, cloudinaryId) =>
+  Boolean((findSourceVideo(videoId) || findSourceVideo(cloudinaryId))?.partId);
+
+/**
+ * Validate a thumbs up/down. The clip is named by videoId or cloudinaryId
+ * (any id the content source registry knows) plus a source-video range.
+ *
+ * @param {Object} input - { rating, videoId?, cloudinaryId?, start, end, reason, notes?, tags?, origin?, poolClipId? }
+ * @returns {{ errors: string[], value: Object|null }}
+ */
+export const validateClipRating = (input = {}) => {
+  const errors = [];
+  const rating = toSlug(input.rating);
+  if (!CLIP_RATINGS.includes(rating)) {
+    errors.push(`rating must be one of: ${CLIP_RATINGS.join(", ")}`);
+  }
+
+  const video = findSourceVideo(input.videoId) || findSourceVideo(input.cloudinaryId);
+  if (!video?.partId) {
+    errors.push(`Unknown source video "${input.videoId || input.cloudinaryId || ""}"`);
+  }
+
+  const startSeconds = Number(input.startSeconds ?? input.start);
+  const endSeconds = Number(input.endSeconds ?? input.end);
+  if (!Number.isFinite(startSeconds) || startSeconds < 0) {
+    errors.push("start must be a non-negative number of seconds");
+  } else if (!Number.isFinite(endSeconds) || endSeconds <= startSeconds) {
+    errors.push("end must be greater than start");
+  }
+
+  const reason = toSlug(input.reason);
+  if (!reason) {
+    errors.push("reason is required");
+  } else if (CLIP_RATINGS.includes(rating) && !CLIP_RATING_REASONS[rating].includes(reason)) {
+    errors.push(`reason for a ${rating} must be one of: ${CLIP_RATING_REASONS[rating].join(", ")}`);
+  }
+
+  if (errors.length) {
+    return { errors, value: null };
+  }
+
+  const cloudinaryIds = Object.values(video.cloudinary);
+  const requestedCloudinary = (input.cloudinaryId || "").toString().replace(/\.mp4$/i, "");
+  return {
+    errors,
+    value: {
+      rating,
+      partId: video.partId,
+      videoId: video.videoId,
+      cloudinaryId: cloudinaryIds.includes(requestedCloudinary) ? requestedCloudinary : video.cloudinary.default,
+      startSeconds: Number(startSeconds.toFixed(3)),
+      endSeconds: Number(endSeconds.toFixed(3)),
+      reason,
+      notes: (input.notes || "").toString().trim(),
+      tags: Array.isArray(input.tags) ? input.tags.map(toSlug).filter(Boolean) : [],
+      origin: toSlug(input.origin) || "editor",
+      poolClipId: input.poolClipId ?? null,
+    },
+  };
+};
+
+/**
+ * Store a like or dislike. A range carries one rating: rating it again (in
+ * either direction) replaces the earlier entry.
+ *
+ * @param {Object} input - See validateClipRating
+ * @returns {Object} The stored entry with its rating, partId and the ids it replaced
+ */
+export const recordClipRating = (input) => {
+  const { errors, value } = validateClipRating(input);
+  if (errors.length) {
+    throw new Error(`Invalid clip rating: ${errors.join("; ")}`);
+  }
+  const { rating, partId, ...fields } = value;
+
+  const replaced = [];
+  CLIP_RATINGS.forEach((kind) => {
+    const doc = readRatingDoc(kind, partId);
+    const kept = doc.entries.filter((entry) => {
+      if (!isSameRange(entry, partId, fields.startSeconds, fields.endSeconds)) return true;
+      replaced.push(entry.id || null);
+      return false;
+    });
+    if (kept.length !== doc.entries.length) {
+      writeRatingDoc(kind, { ...doc, entries: kept });
+    }
+  });
+
+  const entry = {
+    id: `${rating}-${partId}-${crypto.randomBytes(4).toString("hex")}`,
+    ...fields,
+    createdAt: new Date().toISOString(),
+  };
+  const doc = readRatingDoc(rating, partId);
+  writeRatingDoc(rating, { ...doc, entries: [...doc.entries, entry] });
+  return { rating, partId, ...entry, replaced: replaced.filter(Boolean) };
+};
+
+/**
+ * Delete a stored like or dislike by id.
+ *
+ * @returns {Object|null} The removed entry, or null when no entry has that id
+ */
+export const removeClipRating = (id) => {
+  if (!id) return null;
+  for (const rating of CLIP_RATINGS) {
+    for (const partId of listRatingPartIds(rating)) {
+      const doc = readRatingDoc(rating, partId);
+      const entry = doc.entries.find((candidate) => candidate?.id === id);
+      if (!entry) continue;
+      writeRatingDoc(rating, { ...doc, entries: doc.entries.filter((candidate) => candidate !== entry) });
+      return { rating, partId, ...entry };
+    }
+  }
+  return null;
+};
+
+/**
+ * Stored likes and dislikes, newest first, optionally for one video and
+ * overlapping a start/end range.
+ *
+ * @param {{ videoId?: string, cloudinaryId?: string, start?: number, end?: number, rating?: string }} [filters]
+ * @returns {Array<Record<string, any>>}
+ */
+export const listClipRatings = (filters = {}) => {
+  const { videoId = null, cloudinaryId = null, start = null, end = null, rating = null } = filters;
+  const partFilter = videoId || cloudinaryId ? findSourceVideo(videoId || cloudinaryId)?.partId || null : null;
+  if ((videoId || cloudinaryId) && !partFilter) return [];
+  const hasRange = Number.isFinite(start) && Number.isFinite(end);
+
+  return CLIP_RATINGS.filter((kind) => !rating || kind === rating)
+    .flatMap((kind) =>
+      listRatingPartIds(kind)
+        .filter((partId) => !partFilter || partId === partFilter)
+        .flatMap((partId) =>
+          readRatingDoc(kind, partId).entries.map((entry) => ({
+            rating: kind,
+            partId,
+            ...entry,
+            ...entryRange(entry, partId),
+          }))
+        )
+    )
+    .filter(
+      (entry) =>
+        Number.isFinite(entry.startSeconds) &&
+        (!hasRange || rangesOverlap(entry.startSeconds, entry.endSeconds, start, end))
+    )
+    .sort((a, b) => (b.createdAt || "").localeCompare(a.createdAt || ""));
+};
+
+/**
+ * Rating of a source-video range: a dislike wins over a like.
+ *
+ * @returns {{ rating: "like" | "dislike", range: Object }|null}
+ */
+export const getClipRating = (
+  videoId,
+  startSeconds,
+  endSeconds,
+  guidance = loadMovieAnnotationGuidance()
+) => {
+  const disliked = clipOverlapsDisliked(videoId, startSeconds, endSeconds, guidance);
+  if (disliked) {
+    return { rating: "dislike", range: disliked };
+  }
+  const liked = (guidance?.likedRanges || []).find(
+    (range) =>
+      range.videoId === videoId &&
+      rangesOverlap(range.startSeconds, range.endSeconds, startSeconds, endSeconds)
+  );
+  return liked ? { rating: "like", range: liked } : null;
+};
+
+/**
+ * Pool indices of liked and disliked clips, for the planners.
+ *
+ * @param {Object[]} clips - Pool clips (videoId or cloudinaryId, start, end)
+ * @returns {{ liked: Set<number>, disliked: Set<number> }}
+ */
+export const getClipRatingIndex = (clips = [], guidance = loadMovieAnnotationGuidance()) => {
+  const liked = new Set();
+  const disliked = new Set();
+  if (!guidance?.dislikedRanges?.length && !guidance?.likedRanges?.length) {
+    return { liked, disliked };
+  }
+  (clips || []).forEach((clip, idx) => {
+    const videoId = clip?.videoId || findSourceVideo(clip?.cloudinaryId)?.videoId;
+    const start = Number(clip?.start);
+    const end = Number(clip?.end);
+    if (!videoId || !Number.isFinite(start) || !Number.isFinite(end)) return;
+    const verdict = getClipRating(videoId, start, end, guidance);
+    if (verdict?.rating === "dislike") disliked.add(idx);
+    else if (verdict?.rating === "like") liked.add(idx);
+  });
+  return { liked, disliked };
+};
+
+/**
+ * Usage levels for the pool planners (set-likes of indices a pick must
+ * avoid) with disliked clips blocked: every level is tried with dislikes
+ * excluded first, so a disliked clip only comes back when nothing else fits.
+ *
+ * @param {Array<{ has: (idx: number) => boolean }>} levels
+ * @param {{ disliked: Set<number> }} ratings - From getClipRatingIndex
+ */
+export const withDislikedBlocked = (levels, ratings) =>
+  ratings?.disliked?.size
+    ? [...levels.map((used) => ({ has: (idx) => ratings.disliked.has(idx) || used.has(idx) })), ...levels]
+    : levels;
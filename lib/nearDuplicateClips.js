@@ -0,0 +1,333 @@
+/**
+ * Near-Duplicate Clip Groups
+ *
+ * Pools hold many clips cut from the same shot a few seconds apart, and to a
+ * viewer those read as the same clip. Each clip gets a perceptual hash (a
+ * 64-bit dHash of a few frames sampled across the clip, read with ffmpeg)
+ * and clips whose hashes are within a Hamming threshold are clustered:
+ *
+ *   clip.phash = { version, frames: ["f0e1d2c3b4a59687", ...] }
+ *   clip.nearDuplicateGroup = "ndg-0001"     // only on clips that share a group
+ *   pool.nearDuplicates = { version, threshold, frames, generatedAt, groups: { "ndg-0001": [clipId, ...] } }
+ *
+ * Planners (createNearDuplicateUsage) and the slot curator (keyed on
+ * getNearDuplicateKey(clip)) enforce no-reuse and spacing per group rather
+ * than per clip: once a group member is placed, the rest of the group is
+ * treated as used. When the pool runs out of fresh groups the reuse levels
+ * fall back to per-clip no-reuse, so a group can then appear more than once
+ * (never the same clip twice).
+ */
+
+import { execFile } from "node:child_process";
+import { promisify } from "node:util";
+import { resolveClipVideoPath, resolveFfmpegBinary } from "./clipMedia.js";
+
+const execFileAsync = promisify(execFile);
+
+export const NEAR_DUPLICATE_VERSION = "dhash-1";
+export const DEFAULT_HASH_FRAMES = 3;
+// Mean Hamming distance (of 64 bits) per sampled frame for two clips to group
+export const DEFAULT_NEAR_DUPLICATE_THRESHOLD = 10;
+
+// dHash compares each pixel with its right neighbour on a 9x8 grayscale thumbnail
+const HASH_WIDTH = 9;
+const HASH_HEIGHT = 8;
+const NIBBLE_BITS = [0, 1, 1, 2, 1, 2, 2, 3, 1, 2, 2, 3, 2, 3, 3, 4];
+
+/**
+ * dHash of a 9x8 8-bit grayscale frame, as 16 hex characters.
+ *
+ * @param {Buffer|Uint8Array} pixels - 72 bytes, row-major
+ * @returns {string}
+ */
+export const computeDHash = (pixels) => {
+  if (!pixels || pixels.length < HASH_WIDTH * HASH_HEIGHT) {
+    throw new Error(`dHash needs ${HASH_WIDTH * HASH_HEIGHT} pixels, got ${pixels?.length ?? 0}`);
+  }
+  let hex = "";
+  let nibble = 0;
+  let bits = 0;
+  for (let y = 0; y < HASH_HEIGHT; y += 1) {
+    for (let x = 0; x < HASH_WIDTH - 1; x += 1) {
+      const offset = y * HASH_WIDTH + x;
+      nibble = (nibble << 1) | (pixels[offset] > pixels[offset + 1] ? 1 : 0);
+      bits += 1;
+      if (bits === 4) {
+        hex += nibble.toString(16);
+        nibble = 0;
+        bits = 0;
+      }
+    }
+  }
+  return hex;
+};
+
+export const hammingDistance = (hexA, hexB) => {
+  if (!hexA || !hexB || hexA.length !== hexB.length) return Number.POSITIVE_INFINITY;
+  let distance = 0;
+  for (let i = 0; i < hexA.length; i += 1) {
+    distance += NIBBLE_BITS[parseInt(hexA[i], 16) ^ parseInt(hexB[i], 16)];
+  }
+  return distance;
+};
+
+/**
+ * Mean per-frame Hamming distance between two clip hashes (frames compared
+ * in order). Infinity when either clip has no usable hash.
+ */
+export const clipHashDistance = (hashA, hashB) => {
+  const framesA = hashA?.frames || [];
+  const framesB = hashB?.frames || [];
+  const count = Math.min(framesA.length, framesB.length);
+  if (!count || hashA.version !== hashB.version) return Number.POSITIVE_INFINITY;
+  let total = 0;
+  for (let i = 0; i < count; i += 1) {
+    total += hammingDistance(framesA[i], framesB[i]);
+  }
+  return total / count;
+};
+
+/**
+ * Evenly spaced sample times inside [start, end) (midpoints of equal slices,
+ * so the very first and last frames, often fades, are skipped).
+ */
+export const sampleTimes = (start, end, frames = DEFAULT_HASH_FRAMES) => {
+  const span = Math.max(0, end - start);
+  return Array.from({ length: frames }, (_, i) => Number((start + ((i + 0.5) / frames) * span).toFixed(3)));
+};
+
+const readHashFrame = async (videoPath, seconds) => {
+  const { stdout } = await execFileAsync(
+    resolveFfmpegBinary(),
+    [
+      "-v",
+      "error",
+      "-ss",
+      seconds.toFixed(3),
+      "-i",
+      videoPath,
+      "-frames:v",
+      "1",
+      "-vf",
+      `scale=${HASH_WIDTH}:${HASH_HEIGHT}:flags=area,format=gray`,
+      "-f",
+      "rawvideo",
+      "pipe:1",
+    ],
+    { encoding: "buffer", maxBuffer: 1024 * 1024 }
+  );
+  return computeDHash(stdout);
+};
+
+/**
+ * Perceptual hash for one clip of a local video file.
+ *
+ * @param {string} videoPath
+ * @param {{ start: number, end: number }} clip
+ * @param {{ frames?: number }} [options]
+ * @returns {Promise<{ version: string, frames: string[] }>}
+ */
+export const hashClip = async (videoPath, clip, { frames = DEFAULT_HASH_FRAMES } = {}) => {
+  const start = Number(clip.start) || 0;
+  const end = Number.isFinite(Number(clip.end)) ? Number(clip.end) : start + (Number(clip.duration) || 0);
+  const hashes = [];
+  for (const seconds of sampleTimes(start, end, frames)) {
+    hashes.push(await readHashFrame(videoPath, seconds));
+  }
+  return { version: NEAR_DUPLICATE_VERSION, frames: hashes };
+};
+
+/**
+ * Cluster hashed clips into near-duplicate groups (single linkage: A~B and
+ * B~C put A, B and C in one group). Only groups of two or more are returned.
+ *
+ * @param {Object[]} clips
+ * @param {{ threshold?: number }} [options]
+ * @returns {number[][]} Clip indices per group, in pool order
+ */
+export const groupNearDuplicates = (clips, { threshold = DEFAULT_NEAR_DUPLICATE_THRESHOLD } = {}) => {
+  const parent = clips.map((_, idx) => idx);
+  const find = (idx) => {
+    while (parent[idx] !== idx) {
+      parent[idx] = parent[parent[idx]];
+      idx = parent[idx];
+    }
+    return idx;
+  };
+
+  const hashed = clips.map((clip, idx) => (clip?.phash?.frames?.length ? idx : -1)).filter((idx) => idx >= 0);
+  for (let i = 0; i < hashed.length; i += 1) {
+    for (let j = i + 1; j < hashed.length; j += 1) {
+      const a = hashed[i];
+      const b = hashed[j];
+      if (clipHashDistance(clips[a].phash, clips[b].phash) <= threshold) {
+        const rootA = find(a);
+        const rootB = find(b);
+        if (rootA !== rootB) parent[Math.max(rootA, rootB)] = Math.min(rootA, rootB);
+      }
+    }
+  }
+
+  const groups = new Map();
+  hashed.forEach((idx) => {
+    const root = find(idx);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(idx);
+  });
+  return Array.from(groups.values()).filter((members) => members.length > 1);
+};
+
+/**
+ * Re-cluster a pool from the hashes it already carries and write the
+ * groups onto it (clip.nearDuplicateGroup and pool.nearDuplicates).
+ *
+ * @param {Object} pool
+ * @param {{ threshold?: number, frames?: number }} [options]
+ * @returns {Object} New pool object
+ */
+export const applyNearDuplicateGroups = (pool, options = {}) => {
+  const { threshold = DEFAULT_NEAR_DUPLICATE_THRESHOLD, frames = DEFAULT_HASH_FRAMES } = options;
+  const clips = (pool?.clips || []).map((clip) => {
+    const next = { ...clip };
+    delete next.nearDuplicateGroup;
+    return next;
+  });
+  const groupIndices = groupNearDuplicates(clips, { threshold });
+  const idWidth = Math.max(4, String(groupIndices.length).length);
+  const groups = {};
+  groupIndices.forEach((members, i) => {
+    const groupId = `ndg-${String(i + 1).padStart(idWidth, "0")}`;
+    groups[groupId] = members.map((idx) => clips[idx].id ?? idx);
+    members.forEach((idx) => {
+      clips[idx].nearDuplicateGroup = groupId;
+    });
+  });
+
+  return {
+    ...pool,
+    clips,
+    nearDuplicates: {
+      version: NEAR_DUPLICATE_VERSION,
+      threshold,
+      frames,
+      generatedAt: new Date().toISOString(),
+      groupCount: groupIndices.length,
+      groupedClips: groupIndices.reduce((sum, members) => sum + members.length, 0),
+      groups,
+    },
+  };
+};
+
+/**
+ * Hash every clip of a pool (reusing hashes of the same version and frame
+ * count unless `force`) and group near-duplicates.
+ *
+ * @param {Object} pool
+ * @param {Object} [options]
+ * @param {number} [options.frames=3] - Frames sampled per clip
+ * @param {number} [options.threshold=10] - Mean Hamming distance to group
+ * @param {boolean} [options.force=false] - Re-hash clips that already have a hash
+ * @param {(event: Object) => void} [options.onProgress]
+ * @returns {Promise<{ pool: Object, stats: Object }>}
+ */
+export const hashClipPool = async (pool, options = {}) => {
+  const {
+    frames = DEFAULT_HASH_FRAMES,
+    threshold = DEFAULT_NEAR_DUPLICATE_THRESHOLD,
+    force = false,
+    onProgress = null,
+  } = options;
+  const stats = { hashed: 0, reused: 0, missingVideo: 0, failed: 0 };
+  const clips = [];
+  const total = pool?.clips?.length || 0;
+
+  for (let i = 0; i < total; i += 1) {
+    const clip = pool.clips[i];
+    const current = clip?.phash;
+    if (!force && current?.version === NEAR_DUPLICATE_VERSION && current.frames?.length === frames) {
+      stats.reused += 1;
+      clips.push(clip);
+      continue;
+    }
+    const videoPath = resolveClipVideoPath(clip);
+    if (!videoPath) {
+      stats.missingVideo += 1;
+      clips.push(clip);
+      onProgress?.({ type: "missing-video", index: i, total, clip });
+      continue;
+    }
+    try {
+      clips.push({ ...clip, phash: await hashClip(videoPath, clip, { frames }) });
+      stats.hashed += 1;
+      onProgress?.({ type: "hashed", index: i, total, clip });
+    } catch (error) {
+      stats.failed += 1;
+      clips.push(clip);
+      onProgress?.({ type: "failed", index: i, total, clip, error: error.message });
+    }
+  }
+
+  const grouped = applyNearDuplicateGroups({ ...pool, clips }, { threshold, frames });
+  return {
+    pool: grouped,
+    stats: {
+      ...stats,
+      groups: grouped.nearDuplicates.groupCount,
+      groupedClips: grouped.nearDuplicates.groupedClips,
+    },
+  };
+};
+
+/**
+ * Identity used for no-reuse and spacing: the near-duplicate group when the
+ * clip has one, else the clip itself.
+ */
+export const getNearDuplicateKey = (clip) => {
+  if (!clip) return null;
+  if (clip.nearDuplicateGroup) return clip.nearDuplicateGroup;
+  if (clip.id !== undefined && clip.id !== null) return `clip:${clip.id}`;
+  const start = Number(clip.start ?? 0).toFixed(3);
+  return `${clip.videoId || clip.indexId || clip.cloudinaryId || "unknown"}@${start}`;
+};
+
+/**
+ * Set-like view over `usedIndices` (pool indices already placed) that also
+ * reports every other member of a used clip's near-duplicate group as used.
+ * Reads `usedIndices` live, so callers keep adding/removing on their own set.
+ *
+ * @param {Object[]} clips - The pool clips the indices point into
+ * @param {Set<number>} usedIndices
+ * @returns {{ has: (idx: number) => boolean }}
+ */
+export const createNearDuplicateUsage = (clips, usedIndices) => {
+  const members = new Map();
+  (clips || []).forEach((clip, idx) => {
+    const group = clip?.nearDuplicateGroup;
+    if (!group) return;
+    if (!members.has(group)) members.set(group, []);
+    members.get(group).push(idx);
+  });
+  return {
+    has: (idx) => {
+      if (usedIndices.has(idx)) return true;
+      const group = clips?.[idx]?.nearDuplicateGroup;
+      return Boolean(group) && members.get(group).some((member) => usedIndices.has(member));
+    },
+  };
+};
+
+export default {
+  NEAR_DUPLICATE_VERSION,
+  DEFAULT_HASH_FRAMES,
+  DEFAULT_NEAR_DUPLICATE_THRESHOLD,
+  computeDHash,
+  hammingDistance,
+  clipHashDistance,
+  sampleTimes,
+  hashClip,
+  groupNearDuplicates,
+  applyNearDuplicateGroups,
+  hashClipPool,
+  getNearDuplicateKey,
+  createNearDuplicateUsage,
+};
@@ -5,6 +5,8 @@ import { frameToSeconds } from "./frameAccurateTiming.js";
  * - Video time is authoritative.
  * - Song time advances only during audible song slices (beat windows).
  * - Silence covers clip overruns; silence does not advance song time.
+ * - musicGains (segment index -> gain, from planDialogueMix in clipLoudness.js)
+ *   pulls the song slice down under normalized dialogue clips.
  *
  * Returns songAudioFilters and songAudioLabels that can be concatenated / mixed downstream.
  */
@@ -13,6 +15,7 @@ export const buildPauseMusicSongBed = ({
   fps = 30,
   timelineSeconds = 0,
   timelineOffsets = new Map(),
+  musicGains = new Map(),
 }) => {
   const songAudioFilters = [];
   const songAudioLabels = [];
@@ -34,14 +37,16 @@ export const buildPauseMusicSongBed = ({
 
     const songSliceDur = beatWindow; // always play song for the beat window
     const silenceDur = Math.max(0, clipDur - beatWindow); // overrun becomes silence
+    const musicGain = musicGains.get(segment.index) ?? 1;
 
     // Song slice for the beat window
     if (songSliceDur > 0) {
       const delayMs = Math.max(0, Math.round(timelineStart * 1000));
+      const gainFilter = musicGain < 1 ? `,volume=${musicGain.toFixed(4)}` : "";
       songAudioFilters.push(
         `[0:a]atrim=${songStart.toFixed(6)}:${(songStart + songSliceDur).toFixed(
           6
-        )},asetpts=PTS-STARTPTS,adelay=${delayMs}|${delayMs}[sa${segIdx}]`
+        )},asetpts=PTS-STARTPTS${gainFilter},adelay=${delayMs}|${delayMs}[sa${segIdx}]`
       );
       songAudioLabels.push(`[sa${segIdx}]`);
       songCursor += songSliceDur;
@@ -66,6 +71,7 @@ export const buildPauseMusicSongBed = ({
       silenceInserted: silenceDur,
       timelineStart,
       songStart,
+      musicGain,
     });
   });
 
@@ -0,0 +1,207 @@
+/**
+ * Plan Store
+ *
+ * Generate Edit plans kept server-side by plan id, together with the
+ * segments the editor has locked and the options the plan was built with.
+ * Partial regeneration and single-segment reselects read the stored plan,
+ * so the editor sends a plan id and lock changes instead of the whole plan.
+ *
+ * Layout: data/plans/<planId>.json
+ *   { id, songSlug, createdAt, updatedAt, revision, options, locks, plan }
+ *
+ * `locks` are segment indices, ascending. `revision` counts saves of the
+ * plan (generation, regeneration, reselect); lock changes do not bump it.
+ * Every generation stores a new plan, so only the MAX_PLANS most recently
+ * updated are kept.
+ */
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+const PLANS_DIR = path.join(process.cwd(), "data", "plans");
+
+// Options a regeneration reuses unless the request overrides them
+export const PLAN_OPTION_KEYS = ["chronologicalOrder", "fatigueWeight", "colorContinuity", "assignmentMode", "solver"];
+
+// Like the clip usage ledger's runs: the least recently updated plans go first
+const MAX_PLANS = 2000;
+
+const SAFE_NAME = /^[a-zA-Z0-9._-]+$/;
+
+const assertSafeName = (value, label) => {
+  if (typeof value !== "string" || !SAFE_NAME.test(value) || value.includes("..")) {
+    throw new Error(`Invalid ${label}: ${value}`);
+  }
+};
+
+const planPath = (planId) => {
+  assertSafeName(planId, "plan id");
+  return path.join(PLANS_DIR, `${planId}.json`);
+};
+
+const writeState = (state) => {
+  fs.mkdirSync(PLANS_DIR, { recursive: true });
+  const filePath = planPath(state.id);
+  const tmpPath = `${filePath}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(state, null, 2), "utf-8");
+  fs.renameSync(tmpPath, filePath);
+  return state;
+};
+
+/**
+ * Delete the least recently updated plans beyond MAX_PLANS.
+ *
+ * @returns {number} How many were removed
+ */
+const prunePlans = () => {
+  const files = fs.readdirSync(PLANS_DIR).filter((file) => file.endsWith(".json"));
+  if (files.length <= MAX_PLANS) return 0;
+  const stale = files
+    .map((file) => ({ file, mtimeMs: fs.statSync(path.join(PLANS_DIR, file)).mtimeMs }))
+    .sort((a, b) => a.mtimeMs - b.mtimeMs)
+    .slice(0, files.length - MAX_PLANS);
+  stale.forEach(({ file }) => fs.unlinkSync(path.join(PLANS_DIR, file)));
+  return stale.length;
+};
+
+const normalizeLocks = (locks, segmentCount) =>
+  [...new Set(locks)].filter((index) => index < segmentCount).sort((a, b) => a - b);
+
+/**
+ * Check a lock change: `locks` replaces the set, `lock` / `unlock` add and
+ * remove indices. Every index must be a segment of the plan.
+ *
+ * @param {{ locks?: number[], lock?: number[], unlock?: number[] }} change
+ * @param {number} segmentCount
+ * @returns {{ errors: string[] }}
+ */
+export const validateLockChange = (change, segmentCount) => {
+  const errors = [];
+  if (!change || typeof change !== "object") {
+    return { errors: ["Body must be an object with locks, lock or unlock"] };
+  }
+  ["locks", "lock", "unlock"].forEach((key) => {
+    if (change[key] === undefined) return;
+    if (!Array.isArray(change[key])) {
+      errors.push(`${key} must be an array of segment indices`);
+      return;
+    }
+    change[key].forEach((index) => {
+      if (!Number.isInteger(index) || index < 0 || index >= segmentCount) {
+        errors.push(`${key}: ${JSON.stringify(index)} is not a segment index (0-${segmentCount - 1})`);
+      }
+    });
+  });
+  if (change.locks === undefined && change.lock === undefined && change.unlock === undefined) {
+    errors.push("Expected locks, lock or unlock");
+  }
+  return { errors };
+};
+
+/**
+ * New plan id: song slug, timestamp and a random suffix.
+ */
+export const createPlanId = (songSlug) => {
+  const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+  const slug = String(songSlug || "plan").replace(/[^a-zA-Z0-9-]/g, "-");
+  return `${slug}-${stamp}-${crypto.randomBytes(3).toString("hex")}`;
+};
+
+/**
+ * Stored plan state, or null when there is none.
+ *
+ * @param {string} planId
+ */
+export const loadPlanState = (planId) => {
+  const filePath = planPath(planId);
+  if (!fs.existsSync(filePath)) return null;
+  return JSON.parse(fs.readFileSync(filePath, "utf-8"));
+};
+
+/**
+ * Store a plan under `planId` (a new id when omitted). Locks carry over from
+ * the stored state unless `locks` is given; options are the PLAN_OPTION_KEYS
+ * the plan was built with.
+ *
+ * @param {{ planId?: string, plan: Object, options?: Object, locks?: number[] }} params
+ * @returns {Object} The stored state
+ */
+export const savePlanState = ({ planId = null, plan, options = {}, locks = null }) => {
+  if (!plan?.songSlug || !Array.isArray(plan.segments)) {
+    throw new Error("plan with songSlug and segments is required");
+  }
+  const id = planId || createPlanId(plan.songSlug);
+  const previous = planId ? loadPlanState(planId) : null;
+  const now = new Date().toISOString();
+  const storedOptions = {};
+  PLAN_OPTION_KEYS.forEach((key) => {
+    if (options[key] !== undefined) storedOptions[key] = options[key];
+  });
+  const state = writeState({
+    id,
+    songSlug: plan.songSlug,
+    createdAt: previous?.createdAt || now,
+    updatedAt: now,
+    revision: (previous?.revision || 0) + 1,
+    options: storedOptions,
+    locks: normalizeLocks(locks ?? previous?.locks ?? [], plan.segments.length),
+    plan: { ...plan, planId: id },
+  });
+  if (!previous) prunePlans();
+  return state;
+};
+
+/**
+ * Apply a lock change (see validateLockChange) to a stored plan.
+ *
+ * @returns {Object|null} The updated state, null when the plan is unknown
+ */
+export const updatePlanLocks = (planId, { locks, lock = [], unlock = [] }) => {
+  const state = loadPlanState(planId);
+  if (!state) return null;
+  const next = new Set(Array.isArray(locks) ? locks : state.locks || []);
+  lock.forEach((index) => next.add(index));
+  unlock.forEach((index) => next.delete(index));
+  return writeState({
+    ...state,
+    updatedAt: new Date().toISOString(),
+    locks: normalizeLocks([...next], state.plan.segments.length),
+  });
+};
+
+/**
+ * Locks of a stored plan in the shape planner.applyLocks takes.
+ *
+ * @param {Object} state - From loadPlanState
+ */
+export const getLockedAssets = (state) =>
+  (state?.locks || [])
+    .map((segmentIndex) => {
+      const segment = state.plan.segments[segmentIndex];
+      return segment?.asset ? { segmentIndex, startFrame: segment.startFrame, asset: segment.asset } : null;
+    })
+    .filter(Boolean);
+
+/**
+ * Remove a stored plan.
+ *
+ * @returns {boolean} false when there was none
+ */
+export const deletePlanState = (planId) => {
+  const filePath = planPath(planId);
+  if (!fs.existsSync(filePath)) return false;
+  fs.unlinkSync(filePath);
+  return true;
+};
+
+export default {
+  PLAN_OPTION_KEYS,
+  validateLockChange,
+  createPlanId,
+  loadPlanState,
+  savePlanState,
+  updatePlanLocks,
+  getLockedAssets,
+  deletePlanState,
+};
@@ -0,0 +1,141 @@
+/**
+ * Planner context
+ *
+ * Per-run state the engine and the solver share: the prepared pool, clip
+ * durations, options, used indices, instantiated scorers and reuse policy,
+ * and the per-segment description (required duration, bucket, energy,
+ * chronological target, combined scorer weight).
+ */
+
+import { getDurationBucket } from "../songEdit.js";
+import { getSegmentEnergy } from "../sectionProfile.js";
+import { getClipRatingIndex } from "../movieAnnotation.js";
+import { getClipDurationSeconds, prepareClipPool, resolveLocalClipPath } from "./pool.js";
+
+export const createContext = (config, { pool, segments = [], options = {}, used = new Set(), totalSegments = 0 }) => {
+  const preparedPool = (config.preparePool || prepareClipPool)(pool);
+  const clips = preparedPool?.clips || [];
+  const clipDurations = clips.map(getClipDurationSeconds);
+  const memos = new Map();
+  const memo = (key, compute) => {
+    if (!memos.has(key)) memos.set(key, compute());
+    return memos.get(key);
+  };
+  const chronologicalOrder = Boolean(options.chronologicalOrder) && totalSegments > 0 && clips.length > 0;
+
+  const ctx = {
+    config,
+    pool: preparedPool,
+    clips,
+    clipDurations,
+    segments,
+    options,
+    used,
+    fps: options.fps ?? null,
+    random: options.random || Math.random,
+    sectionProfile: options.sectionProfile || null,
+    chronologicalOrder,
+    totalSegments,
+    chronologicalWindowSize: chronologicalOrder
+      ? Math.max(15, Math.floor(clips.length / Math.max(totalSegments, 1)) + 5)
+      : 0,
+    memo,
+    // Editor thumbs up/down (movieAnnotation likes/dislikes), read on first use
+    get ratings() {
+      return memo("ratings", () => getClipRatingIndex(clips));
+    },
+    getClipBucket: (idx) => clips[idx]?.durationBucket || getDurationBucket(clipDurations[idx] ?? 0),
+  };
+  // Named so the solver can report each scorer's share of a pick
+  ctx.weighters = (config.scorers || [])
+    .map((scorer) => ({ name: scorer.name || "scorer", weigh: scorer(ctx) }))
+    .filter((weighter) => weighter.weigh);
+  ctx.reuse = config.reusePolicy(ctx);
+  return ctx;
+};
+
+export const getRequiredDuration = (ctx, segment) =>
+  Math.max(0, ...(ctx.config.candidateFilters || []).map((filter) => filter.requiredDuration?.(segment, ctx) ?? 0));
+
+// Shortest clip worth gathering; the trim policy still places requiredDuration
+export const getCandidateDuration = (ctx, segment, requiredDuration) =>
+  Math.min(
+    requiredDuration,
+    ...(ctx.config.candidateFilters || []).map((filter) => filter.candidateDuration?.(segment, ctx) ?? requiredDuration)
+  );
+
+export const restrictAllowed = (ctx, segCtx, allowed) =>
+  (ctx.config.candidateFilters || []).reduce(
+    (current, filter) => (filter.restrict ? filter.restrict(current, segCtx, ctx) : current),
+    allowed
+  );
+
+export const describeSegment = (ctx, segmentIndex, segment, bounds = {}) => {
+  const requiredDuration = getRequiredDuration(ctx, segment);
+  const energy = getSegmentEnergy(
+    ctx.sectionProfile,
+    segment.startSeconds,
+    segment.endSeconds ?? (segment.startSeconds ?? 0) + segment.durationSeconds
+  );
+  const segCtx = {
+    segment,
+    segmentIndex,
+    requiredDuration,
+    candidateDuration: getCandidateDuration(ctx, segment, requiredDuration),
+    bucket: getDurationBucket(requiredDuration),
+    energy,
+    minPoolIndex: typeof bounds.minPoolIndex === "number" ? bounds.minPoolIndex : null,
+    maxPoolIndex: typeof bounds.maxPoolIndex === "number" ? bounds.maxPoolIndex : null,
+    selectionTarget: ctx.chronologicalOrder
+      ? Math.floor(((segmentIndex || 0) / Math.max(ctx.totalSegments - 1, 1)) * Math.max(ctx.clips.length - 1, 0))
+      : null,
+  };
+  const weightFns = ctx.weighters.map(({ weigh }) => weigh(segCtx)).filter(Boolean);
+  segCtx.weightOf = weightFns.length ? (idx) => weightFns.reduce((product, weightOf) => product * weightOf(idx), 1) : null;
+  return segCtx;
+};
+
+/**
+ * options.lockedSegments as a Set of segment indices; each must already
+ * carry an asset with a pool index.
+ */
+export const getLockedSegments = (segments, options = {}) => {
+  const locked = new Set(options.lockedSegments || []);
+  locked.forEach((segmentIndex) => {
+    if (typeof segments?.[segmentIndex]?.asset?.sourcePoolIndex !== "number") {
+      throw new Error(`Locked segment ${segmentIndex} has no clip assigned`);
+    }
+  });
+  return locked;
+};
+
+export const assignClipToSegment = ({ ctx, segment, poolIndex, placement, useLocalPaths }) => {
+  const clip = ctx.clips[poolIndex];
+  segment.asset = {
+    indexId: clip.indexId || null,
+    videoId: clip.videoId || null,
+    cloudinaryId: clip.cloudinaryId || null,
+    start: placement.start,
+    end: placement.end,
+    duration: placement.duration ?? placement.end - placement.start,
+    cutFreeVerified: Boolean(clip.cutFreeVerified),
+    poolClipId: clip.id,
+    availableDuration: ctx.clipDurations[poolIndex],
+    sourcePoolIndex: poolIndex,
+    localPath: useLocalPaths ? resolveLocalClipPath(clip.id) : null,
+    thumbnails: clip.thumbnails || null,
+    loudness: clip.loudness || null,
+    motion: clip.motion || null,
+    color: clip.color || null,
+  };
+};
+
+export default {
+  createContext,
+  getRequiredDuration,
+  getCandidateDuration,
+  restrictAllowed,
+  describeSegment,
+  getLockedSegments,
+  assignClipToSegment,
+};
@@ -0,0 +1,518 @@
+/**
+ * Planner engine
+ *
+ * Generate Edit, Quick Edit 3/6 and the song-edit quick modes are all the
+ * same loop over segments; what differs is plugged in as strategies
+ * (./strategies.js). A planner configuration is
+ *
+ *   {
+ *     name,
+ *     loadFormat(songSlug),              // song format for buildPlan
+ *     segmentBuilder(format),            // -> { segments, fps, totalFrames, stats }
+ *     preparePool?(pool),                // default prepareClipPool (buckets, tag/intent indices)
+ *     candidateFilters: [{
+ *       name,
+ *       requiredDuration?(segment, ctx), // seconds of source needed; the largest wins
+ *       candidateDuration?(segment, ctx),// shorter clips still gathered (the trim policy decides)
+ *       restrict?(allowed, segCtx, ctx), // narrow the allowed Set (null = whole pool)
+ *       hard?,                           // the solver keeps restrict as a hard constraint
+ *       shape?(candidates, segCtx, ctx), // reorder/prefer among gathered candidates
+ *       score?(idx, segCtx, ctx),        // solver soft term for a candidate
+ *     }],
+ *     scorers: [(ctx) => null | (segCtx) => null | (idx) => weight],
+ *     reusePolicy(ctx),                  // -> { levels, accepts?, record?, swap?, state? }
+ *     trimPolicy: { place(clip, segCtx, ctx), finalize({ segments, fps }) },
+ *     selection?,                        // "weighted" (default) | "inOrder" | "shuffled"
+ *     segmentOrder?,                     // "timeline" (default) | "longestFirst"
+ *     bucketGating?,                     // "pool" for pools without duration buckets
+ *     sectionProfile?,                   // buildPlan loads the song's section profile
+ *   }
+ *
+ * For each segment, for each reuse level (set-likes of indices to avoid,
+ * strictest first) and chronological window, the engine narrows the allowed
+ * clips with the filters, gathers candidates long enough for the segment,
+ * shapes them, and picks one weighted by the product of the scorers. The
+ * trim policy places the pick inside its clip; a pick the trim or reuse
+ * policy turns down is dropped and the next one tried. A segment with
+ * nothing left can take a donor segment's clip when the reuse policy allows
+ * swaps.
+ *
+ * options.assignmentMode "solver" hands assignment to the constraint solver
+ * (./solver.js) instead: the whole timeline at once under hard constraints,
+ * with a scoreBreakdown on every segment.
+ *
+ * options.lockedSegments (segment indices) keep the clip their segment
+ * already has; both modes count those clips as used (and the solver as
+ * fixed neighbours for source spacing) and only fill the other segments.
+ *
+ * API:
+ *   const planner = createPlanner(config);
+ *   planner.buildPlan({ songSlug, chronologicalOrder, fatigueWeight, colorContinuity, assignmentMode, solver, locks });
+ *   planner.applyLocks({ segments, pool, locks });     // -> locked segment indices
+ *   planner.assignClips({ segments, pool, options });  // -> { usedClipIndices, swapHistory, reuseState, solver? }
+ *   planner.reselectClip({ segmentIndex, segment, pool, options, usedPoolIndices, bounds });
+ *   planner.trimSegments({ segments, fps });
+ */
+
+import { hasLocalInstantClips, loadInstantClipPool } from "../songEdit.js";
+import { loadSectionProfile } from "../sectionProfile.js";
+import { pickWeighted } from "../clipUsageLedger.js";
+import { createClipPoolSummary, gatherCandidates, pickRandom, prepareClipPool } from "./pool.js";
+import {
+  assignClipToSegment,
+  createContext,
+  describeSegment,
+  getLockedSegments,
+  getRequiredDuration,
+  restrictAllowed,
+} from "./context.js";
+import { solveClipsWith } from "./solver.js";
+
+export {
+  buildBucketCounts,
+  createClipPoolSummary,
+  getClipDurationSeconds,
+  prepareClipPool,
+  resolveLocalClipPath,
+} from "./pool.js";
+export { candidateFilters, reusePolicies, scorers, segmentBuilders, trimPolicies } from "./strategies.js";
+export { SOLVER_DEFAULTS, normalizeSolverOptions } from "./solver.js";
+
+const SELECTION_MODES = ["weighted", "inOrder", "shuffled"];
+export const ASSIGNMENT_MODES = ["greedy", "solver"];
+
+// Weighted shuffle (larger weights tend to come first); a Fisher–Yates
+// shuffle without weights, so seeded plans keep their draw order
+const shuffleCandidates = (items, weightOf, random) => {
+  if (weightOf) {
+    return items
+      .map((idx) => ({ idx, key: Math.pow(random() || Number.EPSILON, 1 / Math.max(Number.EPSILON, weightOf(idx))) }))
+      .sort((a, b) => b.key - a.key)
+      .map(({ idx }) => idx);
+  }
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i -= 1) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
+
+// Pool-index windows around the segment's chronological target, widening,
+// then the whole pool (null)
+const buildAllowedWindows = (ctx, selectionTarget) => {
+  const poolSize = ctx.clips.length;
+  if (!ctx.chronologicalOrder || poolSize === 0) {
+    return [null];
+  }
+  const size = ctx.chronologicalWindowSize;
+  const windows = [];
+  const pushWindow = (start, end) => {
+    const normalizedStart = Math.max(0, Math.min(poolSize - 1, Math.floor(start)));
+    const normalizedEnd = Math.max(normalizedStart + 1, Math.min(poolSize, Math.floor(end)));
+    if (!windows.some((win) => win.start === normalizedStart && win.end === normalizedEnd)) {
+      windows.push({ start: normalizedStart, end: normalizedEnd });
+    }
+  };
+  pushWindow(selectionTarget, selectionTarget + size);
+  pushWindow(Math.max(0, selectionTarget - Math.floor(size / 2)), selectionTarget + Math.floor(size / 2));
+  pushWindow(Math.max(0, selectionTarget - size), selectionTarget + size * 2);
+
+  return [
+    ...windows.map((window) => {
+      const windowSet = new Set();
+      for (let idx = window.start; idx < window.end; idx += 1) {
+        windowSet.add(idx);
+      }
+      return windowSet;
+    }),
+    null, // final fallback allows entire pool
+  ];
+};
+
+const pickCandidate = (ctx, items, weightOf) =>
+  weightOf ? pickWeighted(items, weightOf) : pickRandom(items, ctx.random);
+
+// Random (weighted) pick, or in chronological mode one of the first few
+// candidates at or after the segment's target pool index
+const selectCandidate = (ctx, candidates, segCtx) => {
+  if (!candidates.length) return null;
+  if (!ctx.chronologicalOrder) {
+    return pickCandidate(ctx, candidates, segCtx.weightOf);
+  }
+  const sorted = [...candidates].sort((a, b) => a - b);
+  const jitter = Math.max(3, Math.floor(ctx.chronologicalWindowSize / 5));
+  const targetStart = segCtx.selectionTarget;
+  const startIdx = typeof targetStart === "number" ? sorted.findIndex((idx) => idx >= targetStart) : -1;
+  const from = Math.max(0, startIdx);
+  const pick = pickCandidate(ctx, sorted.slice(from, Math.min(sorted.length, from + jitter)), segCtx.weightOf);
+  return pick ?? sorted[from];
+};
+
+const placeCandidate = (ctx, idx, segCtx) => {
+  const placement = ctx.config.trimPolicy.place(ctx.clips[idx], segCtx, ctx);
+  if (!placement) return null;
+  if (ctx.reuse.accepts && !ctx.reuse.accepts(idx, placement, segCtx)) return null;
+  return placement;
+};
+
+// "shuffled" shuffles every candidate, used ones included, and skips the
+// used ones afterwards
+const chooseCandidate = (ctx, candidates, segCtx, used) => {
+  const selection = ctx.config.selection || "weighted";
+  if (selection !== "weighted") {
+    const ordered = selection === "shuffled" ? shuffleCandidates(candidates, segCtx.weightOf, ctx.random) : candidates;
+    for (const idx of ordered) {
+      if (used.has(idx)) continue;
+      const placement = placeCandidate(ctx, idx, segCtx);
+      if (placement) return { idx, placement };
+    }
+    return null;
+  }
+  let remaining = candidates;
+  while (remaining.length) {
+    const idx = selectCandidate(ctx, remaining, segCtx);
+    if (idx === null || idx === undefined) return null;
+    const placement = placeCandidate(ctx, idx, segCtx);
+    if (placement) return { idx, placement };
+    remaining = remaining.filter((candidate) => candidate !== idx);
+  }
+  return null;
+};
+
+/**
+ * Best candidate for one segment across reuse levels and chronological
+ * windows, or null. `miss.candidates` ends up with the most candidates any
+ * attempt had, for the error when nothing fits.
+ */
+const selectForSegment = (ctx, segCtx, { exclude = new Set(), miss = {} } = {}) => {
+  const withinBounds = (idx) =>
+    (segCtx.minPoolIndex === null || idx >= segCtx.minPoolIndex) &&
+    (segCtx.maxPoolIndex === null || idx < segCtx.maxPoolIndex);
+  const hasBounds = segCtx.minPoolIndex !== null || segCtx.maxPoolIndex !== null;
+  const bucketGating = ctx.config.bucketGating || (ctx.chronologicalOrder ? "bucketed" : "any");
+  const windows = buildAllowedWindows(ctx, segCtx.selectionTarget);
+  const shuffled = ctx.config.selection === "shuffled";
+  miss.candidates = 0;
+
+  for (const used of ctx.reuse.levels) {
+    for (const window of windows) {
+      let allowed = restrictAllowed(ctx, segCtx, window);
+      if (allowed && hasBounds) {
+        allowed = new Set([...allowed].filter(withinBounds));
+      }
+      let candidates = gatherCandidates({
+        requiredDuration: segCtx.candidateDuration,
+        bucketName: ctx.chronologicalOrder ? segCtx.bucket : null,
+        pool: ctx.pool,
+        clipDurations: ctx.clipDurations,
+        exclude,
+        used: shuffled ? new Set() : used,
+        allowed,
+        bucketGating,
+      });
+      if (hasBounds) {
+        candidates = candidates.filter(withinBounds);
+      }
+      candidates = (ctx.config.candidateFilters || []).reduce(
+        (current, filter) => (filter.shape ? filter.shape(current, segCtx, ctx) : current),
+        candidates
+      );
+      miss.candidates = Math.max(miss.candidates, candidates.length);
+      const chosen = chooseCandidate(ctx, candidates, segCtx, used);
+      if (chosen) return chosen;
+    }
+  }
+  return null;
+};
+
+/**
+ * Put locked clips from an earlier plan back onto freshly built segments.
+ * Each lock is { segmentIndex, startFrame?, asset } (the earlier plan's
+ * segment); its pool index is re-resolved by pool clip id so a rebuilt pool
+ * keeps working. Returns the locked segment indices for
+ * options.lockedSegments.
+ *
+ * @throws when the song's segments no longer line up or a clip left the pool
+ */
+const applyLocksWith = (config, { segments, pool, locks = [] }) => {
+  const clips = (config.preparePool || prepareClipPool)(pool)?.clips || [];
+  return locks.map(({ segmentIndex, startFrame, asset }) => {
+    const segment = segments[segmentIndex];
+    if (!segment) {
+      throw new Error(`Locked segment ${segmentIndex} is out of range (${segments.length} segments)`);
+    }
+    if (typeof startFrame === "number" && Number.isFinite(segment.startFrame) && segment.startFrame !== startFrame) {
+      throw new Error(`Locked segment ${segmentIndex} no longer starts at frame ${startFrame}; the song format changed`);
+    }
+    const sameClip = (clip) => Boolean(clip) && (asset?.poolClipId ? clip.id === asset.poolClipId : true);
+    const poolIndex = sameClip(clips[asset?.sourcePoolIndex])
+      ? asset.sourcePoolIndex
+      : clips.findIndex((clip) => asset?.poolClipId && clip.id === asset.poolClipId);
+    if (typeof poolIndex !== "number" || poolIndex < 0) {
+      throw new Error(`Locked segment ${segmentIndex}: clip ${asset?.poolClipId || "?"} is no longer in the clip pool`);
+    }
+    segment.asset = { ...asset, sourcePoolIndex: poolIndex };
+    return segmentIndex;
+  });
+};
+
+const assignClipsWith = (config, { segments, pool, options = {} }) => {
+  const { useLocalPaths = hasLocalInstantClips() } = options;
+  const ctx = createContext(config, { pool, segments, options, totalSegments: segments?.length || 0 });
+  const swapHistory = [];
+  const misses = new Map(); // segment index -> { requiredDuration, candidates }
+
+  // Locked segments keep their clip; it counts as used for everyone else
+  const locked = getLockedSegments(segments, options);
+  locked.forEach((segmentIndex) => {
+    const segment = segments[segmentIndex];
+    const idx = segment.asset.sourcePoolIndex;
+    ctx.used.add(idx);
+    ctx.reuse.record?.(idx, { start: segment.asset.start, end: segment.asset.end }, describeSegment(ctx, segmentIndex, segment));
+  });
+
+  const assignForSegment = (segmentIndex, { exclude = new Set(), allowSwap = true } = {}) => {
+    const segment = segments[segmentIndex];
+    const segCtx = describeSegment(ctx, segmentIndex, segment);
+    if (segCtx.energy) {
+      segment.energyProfile = segCtx.energy;
+    }
+
+    const miss = { requiredDuration: segCtx.requiredDuration };
+    const chosen = selectForSegment(ctx, segCtx, { exclude, miss });
+    misses.set(segmentIndex, miss);
+    if (chosen) {
+      assignClipToSegment({ ctx, segment, poolIndex: chosen.idx, placement: chosen.placement, useLocalPaths });
+      ctx.used.add(chosen.idx);
+      ctx.reuse.record?.(chosen.idx, chosen.placement, segCtx);
+      return chosen.idx;
+    }
+
+    if (!allowSwap || !ctx.reuse.swap) {
+      return null;
+    }
+
+    // Take a clip from a segment that can be given a different one
+    const allowed = restrictAllowed(ctx, segCtx, null);
+    for (let donorIdx = 0; donorIdx < segments.length; donorIdx += 1) {
+      if (donorIdx === segmentIndex || locked.has(donorIdx)) continue;
+      const donorSegment = segments[donorIdx];
+      const donorClipIndex = donorSegment.asset?.sourcePoolIndex;
+      if (donorClipIndex === undefined || donorClipIndex === null) continue;
+      if (allowed && !allowed.has(donorClipIndex)) continue;
+      const donorDuration = ctx.clipDurations[donorClipIndex] ?? 0;
+      if (donorDuration < segCtx.requiredDuration) continue;
+      if (getRequiredDuration(ctx, donorSegment) >= donorDuration) continue;
+
+      ctx.used.delete(donorClipIndex);
+      const newClipForDonor = assignForSegment(donorIdx, {
+        exclude: new Set([donorClipIndex]),
+        allowSwap: false,
+      });
+      if (newClipForDonor !== null) {
+        swapHistory.push({
+          targetSegment: segmentIndex,
+          donorSegment: donorIdx,
+          swappedClip: donorClipIndex,
+        });
+        const placement = config.trimPolicy.place(ctx.clips[donorClipIndex], segCtx, ctx);
+        assignClipToSegment({ ctx, segment, poolIndex: donorClipIndex, placement, useLocalPaths });
+        ctx.used.add(donorClipIndex);
+        return donorClipIndex;
+      }
+      ctx.used.add(donorClipIndex);
+    }
+
+    return null;
+  };
+
+  const order = segments.map((_, idx) => idx).filter((idx) => !locked.has(idx));
+  if (config.segmentOrder === "longestFirst") {
+    order.sort((a, b) => (segments[b].frameCount || 0) - (segments[a].frameCount || 0));
+  }
+  order.forEach((idx) => {
+    const assignedClip = assignForSegment(idx);
+    if (assignedClip === null) {
+      const { requiredDuration, candidates } = misses.get(idx);
+      throw new Error(
+        `Unable to select clip for segment ${idx} (${segments[idx].type}); ` +
+          `need ${requiredDuration.toFixed(3)}s (${Math.round(requiredDuration * (ctx.fps || 30))}f), ${candidates} candidates tried`
+      );
+    }
+  });
+
+  return {
+    usedClipIndices: ctx.used,
+    swapHistory,
+    reuseState: ctx.reuse.state || null,
+  };
+};
+
+/**
+ * Reselect a single clip for an existing segment with the same rules as
+ * initial assignment (duration, filters, scorers, reuse levels, optional
+ * chronological windowing), limited to pool indices in
+ * [bounds.minPoolIndex, bounds.maxPoolIndex) to preserve chronology with
+ * adjacent slots.
+ *
+ * options.totalSegments enables chronological windowing; options.segments
+ * (the plan's segments) lets color continuity see the previous cut.
+ *
+ * Returns the pick plus `asset`, the segment asset assignment would store
+ * for it (options.useLocalPaths as in assignClips).
+ *
+ * NOTE: This does not mutate any segment and does not perform trimming;
+ * callers should apply pauseMusic trimming rules separately if needed.
+ */
+const reselectClipWith = (
+  config,
+  { segmentIndex, segment, pool, options = {}, usedPoolIndices = [], bounds = {} }
+) => {
+  if (!segment) {
+    throw new Error("segment is required");
+  }
+  const used = new Set((usedPoolIndices || []).filter((v) => typeof v === "number"));
+  // Allow replacing the current assignment
+  const currentIdx = segment?.asset?.sourcePoolIndex;
+  if (typeof currentIdx === "number") {
+    used.delete(currentIdx);
+  }
+  const totalSegments = typeof options.totalSegments === "number" ? options.totalSegments : 0;
+  const ctx = createContext(config, { pool, segments: options.segments || [], options, used, totalSegments });
+  if (!ctx.clips.length) {
+    throw new Error("Clip pool unavailable");
+  }
+
+  const chosen = selectForSegment(ctx, describeSegment(ctx, segmentIndex, segment, bounds));
+  if (!chosen) {
+    throw new Error("No valid replacement clip found for segment");
+  }
+  const assigned = {};
+  assignClipToSegment({
+    ctx,
+    segment: assigned,
+    poolIndex: chosen.idx,
+    placement: chosen.placement,
+    useLocalPaths: options.useLocalPaths ?? hasLocalInstantClips(),
+  });
+  return {
+    poolIndex: chosen.idx,
+    clip: ctx.clips[chosen.idx],
+    clipDuration: ctx.clipDurations[chosen.idx] ?? 0,
+    placement: chosen.placement,
+    asset: assigned.asset,
+  };
+};
+
+const buildPlanWith = (
+  planner,
+  {
+    songSlug,
+    chronologicalOrder = false,
+    fatigueWeight = 0,
+    colorContinuity = null,
+    assignmentMode = "greedy",
+    solver = null,
+    locks = [],
+  }
+) => {
+  const format = planner.loadFormat(songSlug);
+  const pool = loadInstantClipPool();
+  if (!pool?.clips?.length) {
+    throw new Error("Instant clip pool not available. Generate data/instantClipPool.json first.");
+  }
+  const { segments, fps, totalFrames, stats } = planner.buildSegments(format);
+  const preparedPool = (planner.config.preparePool || prepareClipPool)(pool);
+  const lockedSegments = planner.applyLocks({ segments, pool: preparedPool, locks });
+  const { usedClipIndices, swapHistory, solver: solverStats } = planner.assignClips({
+    segments,
+    pool: preparedPool,
+    options: {
+      chronologicalOrder,
+      sectionProfile: planner.config.sectionProfile ? loadSectionProfile(songSlug, format) : null,
+      fatigueWeight,
+      colorContinuity,
+      assignmentMode,
+      solver,
+      lockedSegments,
+    },
+  });
+  const trimResult = planner.trimSegments({ segments, fps });
+
+  return {
+    songSlug,
+    songFormat: {
+      source: format.source,
+      meta: format.meta || {},
+      beatCount: format.beatGrid?.length || 0,
+      rapidRangeCount: format.rapidClipRanges?.length || 0,
+    },
+    chronologicalOrder: Boolean(chronologicalOrder),
+    selectionMode: chronologicalOrder ? "chronological" : "randomized",
+    assignmentMode: solverStats ? "solver" : "greedy",
+    solver: solverStats || null,
+    lockedSegments,
+    fps,
+    totalFrames: trimResult?.totalFrames ?? totalFrames,
+    totalClips: segments.length,
+    uniqueClipsUsed: usedClipIndices.size,
+    swapCount: swapHistory.length,
+    stats,
+    segments,
+    clipPool: {
+      ...createClipPoolSummary(preparedPool),
+      uniqueClipsUsed: usedClipIndices.size,
+      usedClipCount: usedClipIndices.size,
+      swapCount: swapHistory.length,
+    },
+  };
+};
+
+/**
+ * Planner for a strategy configuration (see the module comment).
+ *
+ * @param {Object} config
+ */
+export const createPlanner = (config) => {
+  if (!config?.name) {
+    throw new Error("Planner config needs a name");
+  }
+  if (typeof config.reusePolicy !== "function" || typeof config.trimPolicy?.place !== "function") {
+    throw new Error(`Planner "${config.name}" needs a reusePolicy and a trimPolicy`);
+  }
+  if (config.selection && !SELECTION_MODES.includes(config.selection)) {
+    throw new Error(`Planner "${config.name}" has unknown selection "${config.selection}" (expected ${SELECTION_MODES.join(" | ")})`);
+  }
+
+  const planner = {
+    name: config.name,
+    config,
+    loadFormat: (songSlug) => {
+      if (!songSlug) {
+        throw new Error("songSlug is required");
+      }
+      if (!config.loadFormat) {
+        throw new Error(`Planner "${config.name}" has no format loader`);
+      }
+      return config.loadFormat(songSlug);
+    },
+    buildSegments: (format) => {
+      if (!config.segmentBuilder) {
+        throw new Error(`Planner "${config.name}" has no segment builder`);
+      }
+      return config.segmentBuilder(format);
+    },
+    applyLocks: (params) => applyLocksWith(config, params),
+    assignClips: (params) =>
+      params?.options?.assignmentMode === "solver" ? solveClipsWith(config, params) : assignClipsWith(config, params),
+    reselectClip: (params) => reselectClipWith(config, params),
+    trimSegments: (params) => config.trimPolicy.finalize(params),
+    buildPlan: (params) => buildPlanWith(planner, params),
+  };
+  return planner;
+};
+
+export default {
+  createPlanner,
+};
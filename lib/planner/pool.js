@@ -0,0 +1,177 @@
+/**
+ * Planner pool helpers
+ *
+ * Pool preparation and candidate gathering shared by every planner
+ * configuration (see ./index.js): duration buckets, dialogue/intent tag
+ * buckets, local clip paths and the pool summary plans echo back.
+ */
+
+import fs from "fs";
+import path from "path";
+import { getDurationBucket } from "../songEdit.js";
+
+export const DURATION_BUCKET_SEQUENCE = [
+  "rapid",
+  "extraShort",
+  "short",
+  "medium",
+  "long",
+  "extraLong",
+  "superLong",
+  "ultraLong",
+  "cinematic",
+];
+
+// Tags that count as an intent on their own (others need an "intent:" prefix)
+const INTENT_TAGS = ["visual", "dialogue", "action", "punch", "impact", "whoosh"];
+
+export const getClipDurationSeconds = (clip) => {
+  if (!clip) return 0;
+  if (typeof clip.duration === "number") return clip.duration;
+  const start = typeof clip.start === "number" ? clip.start : 0;
+  const end = typeof clip.end === "number" ? clip.end : start;
+  return Math.max(0, end - start);
+};
+
+export const pickRandom = (items = [], random = Math.random) => {
+  if (!items.length) return null;
+  const idx = Math.floor(random() * items.length);
+  return items[idx];
+};
+
+export const buildBucketCounts = (buckets = {}) => {
+  return Object.fromEntries(
+    Object.entries(buckets).map(([bucket, indices]) => [bucket, Array.isArray(indices) ? indices.length : 0])
+  );
+};
+
+export const resolveLocalClipPath = (clipId) => {
+  if (!clipId) return null;
+  const localDir = path.join(process.cwd(), "public", "instant-clips");
+  const candidate = path.join(localDir, `${clipId}.mp4`);
+  return fs.existsSync(candidate) ? candidate : null;
+};
+
+export const createClipPoolSummary = (pool) => ({
+  totalClips: Array.isArray(pool?.clips) ? pool.clips.length : 0,
+  buckets: buildBucketCounts(pool?.buckets),
+});
+
+export const isDialogueClip = (clip) => Boolean(clip?.tags?.some((tag) => (tag || "").toLowerCase().includes("dialogue")));
+
+/**
+ * Keep the pool's clips (not stills or titles) and index them by duration
+ * bucket, dialogue tag and intent (sceneType/type, "intent:*" tags and the
+ * INTENT_TAGS), so pauseMusic beats can align to intent.
+ *
+ * @param {Object} pool - { clips, ... }
+ * @returns {Object} { ...pool, clips, buckets, tagBuckets, intentBuckets }
+ */
+export const prepareClipPool = (pool) => {
+  const clips = (pool?.clips || []).filter((c) => (c?.type || "clip") === "clip");
+  const buckets = {};
+  const tagBuckets = {};
+  const intentBuckets = {};
+
+  const pushIntent = (key, idx) => {
+    const normalized = (key || "").toLowerCase().trim();
+    if (!normalized) return;
+    if (!intentBuckets[normalized]) intentBuckets[normalized] = [];
+    intentBuckets[normalized].push(idx);
+  };
+
+  clips.forEach((clip, idx) => {
+    const bucketName = clip.durationBucket || getDurationBucket(getClipDurationSeconds(clip));
+    if (!buckets[bucketName]) buckets[bucketName] = [];
+    buckets[bucketName].push(idx);
+    if (isDialogueClip(clip)) {
+      if (!tagBuckets.dialogue) tagBuckets.dialogue = [];
+      tagBuckets.dialogue.push(idx);
+    }
+
+    const sceneType = (clip?.sceneType || clip?.type || "").toLowerCase();
+    pushIntent(sceneType, idx);
+    (clip?.tags || []).forEach((tag) => {
+      const lower = (tag || "").toLowerCase();
+      if (lower.startsWith("intent:")) {
+        pushIntent(lower.replace("intent:", ""), idx);
+      } else if (INTENT_TAGS.includes(lower)) {
+        pushIntent(lower, idx);
+      }
+    });
+  });
+  return { ...pool, clips, buckets, tagBuckets, intentBuckets };
+};
+
+/**
+ * Pool indices long enough for `requiredDuration` that are not excluded,
+ * used or outside `allowed`.
+ *
+ * bucketGating:
+ * - "bucketed": walk up the duration buckets from `bucketName` and stop at
+ *   the first that has candidates, then any bucket
+ * - "any": every bucket at once
+ * - "pool": plain pool order, for pools without buckets
+ * Bucketed pools finally fall back to every clip, longest first.
+ */
+export const gatherCandidates = ({
+  requiredDuration,
+  bucketName,
+  pool,
+  clipDurations,
+  exclude = new Set(),
+  used = new Set(),
+  allowed = null,
+  bucketGating = "any",
+}) => {
+  const fits = (idx) =>
+    !exclude.has(idx) &&
+    !used.has(idx) &&
+    (clipDurations[idx] ?? 0) >= requiredDuration &&
+    (!allowed || allowed.has(idx));
+
+  if (bucketGating === "pool") {
+    return [...(pool?.clips || []).keys()].filter(fits);
+  }
+
+  const bucketStart = DURATION_BUCKET_SEQUENCE.indexOf(bucketName);
+  const candidates = [];
+
+  const addFromBucket = (bucket) => {
+    const indices = pool?.buckets?.[bucket] || [];
+    for (const idx of indices) {
+      if (fits(idx)) candidates.push(idx);
+    }
+  };
+
+  if (bucketStart >= 0 && bucketGating === "bucketed") {
+    for (let i = bucketStart; i < DURATION_BUCKET_SEQUENCE.length; i += 1) {
+      addFromBucket(DURATION_BUCKET_SEQUENCE[i]);
+      if (candidates.length) {
+        return candidates;
+      }
+    }
+  }
+
+  Object.keys(pool?.buckets || {}).forEach(addFromBucket);
+
+  if (candidates.length) {
+    return candidates;
+  }
+
+  return [...(pool?.clips || []).keys()]
+    .filter(fits)
+    .sort((a, b) => (clipDurations[b] || 0) - (clipDurations[a] || 0));
+};
+
+export default {
+  DURATION_BUCKET_SEQUENCE,
+  getClipDurationSeconds,
+  pickRandom,
+  buildBucketCounts,
+  resolveLocalClipPath,
+  createClipPoolSummary,
+  isDialogueClip,
+  prepareClipPool,
+  gatherCandidates,
+};
@@ -0,0 +1,479 @@
+/**
+ * Constraint solver
+ *
+ * The engine's alternative to greedy per-segment picks (assignmentMode
+ * "solver"): the whole timeline is assigned at once.
+ *
+ *   hard  duration fit (the filters' requiredDuration), filters marked hard
+ *         (dialogue beats), a cut-free source range, no clip used twice (nor
+ *         two of a near-duplicate group), and clips from the same source
+ *         moment (same video, ranges closer than sourceGapSeconds) at least
+ *         minSourceSpacing segments apart
+ *   soft  chronology, the filters' scores (intent/tags, energy), the
+ *         planner's scorers as ln(weight), dislikes, variety and character
+ *         quotas (shares of the timeline per clip character)
+ *
+ * Beam search over the timeline builds a feasible assignment; local search
+ * (replace and swap moves) improves it until the time budget runs out.
+ * Every segment gets a scoreBreakdown with the weighted terms behind its
+ * pick; options.solver.weights scales terms by name.
+ *
+ * Cut-free: clips flagged cutFreeVerified pass; others are checked against
+ * scene cut data (sceneCuts.js) when there is some, and pass as
+ * "unverified" when there is none.
+ *
+ * Locked segments (options.lockedSegments) keep their clip as a fixed pick:
+ * nobody else may use it, spacing is checked against it, and the search
+ * never moves it.
+ */
+
+import { hasLocalInstantClips } from "../songEdit.js";
+import { hasSceneCutsData, isSegmentCutFree } from "../sceneCuts.js";
+import {
+  assignClipToSegment,
+  createContext,
+  describeSegment,
+  getLockedSegments,
+  getRequiredDuration,
+} from "./context.js";
+
+export const SOLVER_DEFAULTS = {
+  timeBudgetMs: 1500,
+  beamWidth: 8,
+  candidatesPerState: 12,
+  minSourceSpacing: 2,
+  sourceGapSeconds: 10,
+  characterQuotas: {},
+  weights: {},
+};
+
+// Beam search hands over to greedy completion after this share of the budget
+const BEAM_BUDGET_SHARE = 0.6;
+const DISLIKED_PENALTY = -3;
+const QUOTA_OVER_PENALTY = -2;
+const QUOTA_UNDER_BONUS = 0.5;
+const QUOTA_SHORTFALL_PENALTY = 2;
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+const clampInt = (value, fallback, min, max) => {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isFinite(parsed) ? Math.min(max, Math.max(min, parsed)) : fallback;
+};
+
+/**
+ * Solver settings from a request value (unknown or invalid fields fall back
+ * to SOLVER_DEFAULTS).
+ *
+ * @param {Object} [options]
+ */
+export const normalizeSolverOptions = (options = {}) => {
+  const source = options && typeof options === "object" ? options : {};
+  const weights = {};
+  Object.entries(source.weights || {}).forEach(([term, weight]) => {
+    const value = Number(weight);
+    if (Number.isFinite(value)) weights[term] = value;
+  });
+  const characterQuotas = {};
+  Object.entries(source.characterQuotas || {}).forEach(([character, quota]) => {
+    const share = (value) => {
+      const parsed = Number(value);
+      return Number.isFinite(parsed) ? Math.min(1, Math.max(0, parsed)) : null;
+    };
+    const min = share(quota?.min);
+    const max = share(quota?.max);
+    if (min !== null || max !== null) characterQuotas[character] = { min, max };
+  });
+  const sourceGap = Number(source.sourceGapSeconds);
+  return {
+    timeBudgetMs: clampInt(source.timeBudgetMs, SOLVER_DEFAULTS.timeBudgetMs, 50, 30000),
+    beamWidth: clampInt(source.beamWidth, SOLVER_DEFAULTS.beamWidth, 1, 64),
+    candidatesPerState: clampInt(source.candidatesPerState, SOLVER_DEFAULTS.candidatesPerState, 1, 100),
+    minSourceSpacing: clampInt(source.minSourceSpacing, SOLVER_DEFAULTS.minSourceSpacing, 1, 20),
+    sourceGapSeconds: Number.isFinite(sourceGap) && sourceGap >= 0 ? sourceGap : SOLVER_DEFAULTS.sourceGapSeconds,
+    characterQuotas,
+    weights,
+  };
+};
+
+const getClipCharacter = (clip) => clip?.character || clip?.annotationMeta?.characters?.[0] || null;
+
+const isSameSourceMoment = (a, b, gapSeconds) =>
+  Boolean(a?.videoId) &&
+  a.videoId === b?.videoId &&
+  (a.start ?? 0) - gapSeconds < (b.end ?? 0) &&
+  (b.start ?? 0) - gapSeconds < (a.end ?? 0);
+
+const getCutFreeStatus = (clip, placement, requiredDuration, sceneCutsAvailable) => {
+  if (clip.cutFreeVerified) return "verified";
+  if (!sceneCutsAvailable || !clip.videoId) return "unverified";
+  return isSegmentCutFree(clip.videoId, placement.start, placement.start + requiredDuration) ? "checked" : null;
+};
+
+const formatSummary = (terms) =>
+  Object.entries(terms)
+    .filter(([, value]) => Math.abs(value) >= 0.05)
+    .sort((a, b) => Math.abs(b[1]) - Math.abs(a[1]))
+    .slice(0, 4)
+    .map(([term, value]) => `${term} ${value >= 0 ? "+" : ""}${value.toFixed(2)}`)
+    .join(", ");
+
+/**
+ * Solve clip assignment for every segment (see the module comment). Same
+ * inputs and result as the engine's assignClips, plus result.solver with
+ * search statistics; each segment gets asset and scoreBreakdown.
+ *
+ * @param {Object} config - Planner configuration
+ * @param {{ segments: Object[], pool: Object, options?: Object }} params
+ */
+export const solveClipsWith = (config, { segments, pool, options = {} }) => {
+  const { useLocalPaths = hasLocalInstantClips() } = options;
+  const settings = normalizeSolverOptions(options.solver);
+  const startedAt = Date.now();
+  const elapsed = () => Date.now() - startedAt;
+  const weightOf = (term) => settings.weights[term] ?? 1;
+
+  // Scorers read the previous pick from ctx.segments; the solver points that
+  // at scratch copies it fills per candidate pairing
+  const scratch = (segments || []).map((segment) => ({ ...segment, asset: null }));
+  const ctx = createContext(config, { pool, segments: scratch, options, totalSegments: scratch.length });
+  const { clips, clipDurations } = ctx;
+  if (!clips.length) {
+    throw new Error("Clip pool unavailable");
+  }
+  const total = scratch.length;
+  const sceneCutsAvailable = hasSceneCutsData();
+  const filters = config.candidateFilters || [];
+  const hardFilters = filters.filter((filter) => filter.hard && filter.restrict);
+  const scoredFilters = filters.filter((filter) => filter.score);
+  const { disliked } = ctx.ratings;
+
+  // Scorer weight functions per (segment, previous pick)
+  const scorerFns = new Map();
+  const getScorerFns = (segmentIndex, previous) => {
+    const key = `${segmentIndex}:${previous ? previous.idx : ""}`;
+    if (!scorerFns.has(key)) {
+      const before = scratch[segmentIndex - 1];
+      if (before) {
+        before.asset = previous
+          ? { sourcePoolIndex: previous.idx, start: previous.placement.start, end: previous.placement.end }
+          : null;
+      }
+      const segCtx = segCtxs[segmentIndex];
+      scorerFns.set(
+        key,
+        ctx.weighters
+          .map(({ name, weigh }) => ({ name, weightAt: weigh(segCtx) }))
+          .filter(({ weightAt }) => weightAt)
+      );
+      if (before) before.asset = null;
+    }
+    return scorerFns.get(key);
+  };
+
+  // Locked segments keep their clip: a fixed single candidate, off limits
+  // (with its near-duplicate group) everywhere else
+  const locked = getLockedSegments(segments, options);
+  const reservedIndices = new Set([...locked].map((segmentIndex) => segments[segmentIndex].asset.sourcePoolIndex));
+  const reservedGroups = new Set([...reservedIndices].map((idx) => clips[idx]?.nearDuplicateGroup).filter(Boolean));
+
+  // Per segment: every clip that meets the hard unary constraints, best
+  // first by its own terms and the scorers without a previous pick (ties in
+  // random order)
+  const segCtxs = scratch.map((segment, segmentIndex) => describeSegment(ctx, segmentIndex, segment));
+  const candidateLists = scratch.map((segment, segmentIndex) => {
+    const segCtx = segCtxs[segmentIndex];
+    const unaryScorers = getScorerFns(segmentIndex, null);
+    const requiredDuration = getRequiredDuration(ctx, segment);
+    const toEntry = (idx, placement, cutFree) => {
+      const terms = {};
+      if (ctx.chronologicalOrder) {
+        terms.chronology =
+          -Math.min(3, Math.abs(idx - segCtx.selectionTarget) / ctx.chronologicalWindowSize) * weightOf("chronology");
+      }
+      scoredFilters.forEach((filter) => {
+        terms[filter.name] = filter.score(idx, segCtx, ctx) * weightOf(filter.name);
+      });
+      if (disliked.has(idx)) {
+        terms.disliked = DISLIKED_PENALTY * weightOf("disliked");
+      }
+      const rank = unaryScorers.reduce(
+        (sum, { name, weightAt }) => sum + Math.log(Math.max(Number.EPSILON, weightAt(idx))) * weightOf(name),
+        Object.values(terms).reduce((sum, value) => sum + value, 0)
+      );
+      return { idx, placement, cutFree, requiredDuration, terms, rank, tieBreak: ctx.random() };
+    };
+
+    if (locked.has(segmentIndex)) {
+      const { asset } = segments[segmentIndex];
+      return [toEntry(asset.sourcePoolIndex, { start: asset.start, end: asset.end, duration: asset.duration }, "locked")];
+    }
+    const allowed = hardFilters.reduce((current, filter) => filter.restrict(current, segCtx, ctx), null);
+    const entries = [];
+    clips.forEach((clip, idx) => {
+      if (allowed && !allowed.has(idx)) return;
+      if (reservedIndices.has(idx) || (clip.nearDuplicateGroup && reservedGroups.has(clip.nearDuplicateGroup))) return;
+      if ((clipDurations[idx] ?? 0) < requiredDuration) return;
+      const placement = config.trimPolicy.place(clip, segCtx, ctx);
+      if (!placement) return;
+      const cutFree = getCutFreeStatus(clip, placement, requiredDuration, sceneCutsAvailable);
+      if (!cutFree) return;
+      entries.push(toEntry(idx, placement, cutFree));
+    });
+    entries.sort((a, b) => b.rank - a.rank || a.tieBreak - b.tieBreak);
+    if (!entries.length) {
+      throw new Error(
+        `Solver: no clip fits segment ${segmentIndex} (${segment.type}, needs ${requiredDuration.toFixed(2)}s of cut-free source)`
+      );
+    }
+    return entries;
+  });
+  const candidateMaps = candidateLists.map((entries) => new Map(entries.map((entry) => [entry.idx, entry])));
+
+  const quotaTargets = Object.fromEntries(
+    Object.entries(settings.characterQuotas).map(([character, { min, max }]) => [
+      character,
+      {
+        min: min === null ? null : Math.ceil(min * total),
+        max: max === null ? null : Math.floor(max * total),
+      },
+    ])
+  );
+
+  // Terms that depend on the previous pick and the characters used so far
+  const stepTerms = (segmentIndex, entry, previous, characterCounts) => {
+    const terms = { ...entry.terms };
+    const clip = clips[entry.idx];
+    if (ctx.chronologicalOrder && previous && previous.idx > entry.idx) {
+      terms.chronology = (terms.chronology || 0) - 0.5 * weightOf("chronology");
+    }
+    getScorerFns(segmentIndex, previous).forEach(({ name, weightAt }) => {
+      const weight = weightAt(entry.idx);
+      if (weight > 0 && weight !== 1) terms[name] = Math.log(weight) * weightOf(name);
+    });
+    if (previous) {
+      const previousClip = clips[previous.idx];
+      const character = getClipCharacter(clip);
+      let variety = 0;
+      if (character && character === getClipCharacter(previousClip)) variety -= 0.5;
+      if (clip.sceneType && clip.sceneType === previousClip.sceneType) variety -= 0.5;
+      if (clip.videoId && clip.videoId === previousClip.videoId) variety -= 0.25;
+      if (variety) terms.variety = variety * weightOf("variety");
+    }
+    const character = getClipCharacter(clip);
+    const quota = character ? quotaTargets[character] : null;
+    if (quota) {
+      const count = characterCounts.get(character) || 0;
+      let quotaTerm = 0;
+      if (quota.max !== null && count + 1 > quota.max) quotaTerm += QUOTA_OVER_PENALTY;
+      if (quota.min !== null && count < quota.min) quotaTerm += QUOTA_UNDER_BONUS;
+      if (quotaTerm) terms.character = quotaTerm * weightOf("character");
+    }
+    return { terms, total: Object.values(terms).reduce((sum, value) => sum + value, 0) };
+  };
+
+  const getQuotaShortfall = (characterCounts) =>
+    Object.entries(quotaTargets).reduce(
+      (sum, [character, { min }]) => sum + (min === null ? 0 : Math.max(0, min - (characterCounts.get(character) || 0))),
+      0
+    );
+
+  const evaluate = (picks) => {
+    const characterCounts = new Map();
+    let objective = 0;
+    const perSegment = picks.map((entry, segmentIndex) => {
+      const step = stepTerms(segmentIndex, entry, picks[segmentIndex - 1] || null, characterCounts);
+      const character = getClipCharacter(clips[entry.idx]);
+      if (character) characterCounts.set(character, (characterCounts.get(character) || 0) + 1);
+      objective += step.total;
+      return step;
+    });
+    const quotaShortfall = getQuotaShortfall(characterCounts);
+    objective -= quotaShortfall * QUOTA_SHORTFALL_PENALTY * weightOf("character");
+    return { objective, perSegment, characterCounts, quotaShortfall };
+  };
+
+  const nearDuplicateGroupOf = (idx) => clips[idx]?.nearDuplicateGroup || null;
+  // Locked neighbours count before the search reaches them; two locked
+  // segments are never in conflict
+  const pickAt = (picks, segmentIndex) =>
+    picks[segmentIndex] || (locked.has(segmentIndex) ? candidateLists[segmentIndex][0] : null);
+  const spacedAt = (picks, segmentIndex) => {
+    const entry = picks[segmentIndex];
+    for (let offset = 1; offset < settings.minSourceSpacing; offset += 1) {
+      for (const otherIndex of [segmentIndex - offset, segmentIndex + offset]) {
+        if (locked.has(segmentIndex) && locked.has(otherIndex)) continue;
+        const other = pickAt(picks, otherIndex);
+        if (other && isSameSourceMoment(clips[entry.idx], clips[other.idx], settings.sourceGapSeconds)) return false;
+      }
+    }
+    return true;
+  };
+
+  // Beam search over the timeline
+  let beam = [{ picks: [], score: 0, characterCounts: new Map() }];
+  let expanded = 0;
+  let greedyFrom = null;
+  for (let segmentIndex = 0; segmentIndex < total; segmentIndex += 1) {
+    const squeezed = elapsed() > settings.timeBudgetMs * BEAM_BUDGET_SHARE;
+    if (squeezed && greedyFrom === null) greedyFrom = segmentIndex;
+    const width = squeezed ? 1 : settings.beamWidth;
+    const perState = squeezed ? 1 : settings.candidatesPerState;
+    const children = [];
+    beam.forEach((state) => {
+      const usedIndices = new Set(state.picks.map((entry) => entry.idx));
+      const usedGroups = new Set(state.picks.map((entry) => nearDuplicateGroupOf(entry.idx)).filter(Boolean));
+      const previous = state.picks[segmentIndex - 1] || null;
+      let taken = 0;
+      for (const entry of candidateLists[segmentIndex]) {
+        if (taken >= perState) break;
+        if (usedIndices.has(entry.idx)) continue;
+        const group = nearDuplicateGroupOf(entry.idx);
+        if (group && usedGroups.has(group)) continue;
+        const picks = [...state.picks, entry];
+        if (!spacedAt(picks, segmentIndex)) continue;
+        taken += 1;
+        expanded += 1;
+        const step = stepTerms(segmentIndex, entry, previous, state.characterCounts);
+        const character = getClipCharacter(clips[entry.idx]);
+        const characterCounts = new Map(state.characterCounts);
+        if (character) characterCounts.set(character, (characterCounts.get(character) || 0) + 1);
+        children.push({ picks, score: state.score + step.total, characterCounts });
+      }
+    });
+    if (!children.length) {
+      throw new Error(
+        `Solver: no assignment satisfies the hard constraints at segment ${segmentIndex} ` +
+          `(${scratch[segmentIndex].type}): ${candidateLists[segmentIndex].length} clips fit, ` +
+          `all already used or within ${settings.minSourceSpacing} segments of the same source moment`
+      );
+    }
+    children.sort((a, b) => b.score - a.score);
+    beam = children.slice(0, width);
+  }
+
+  // Local search: replace one pick or swap two, keep strict improvements
+  let current = beam[0].picks;
+  let currentEval = evaluate(current);
+  const holders = new Map();
+  const groupHolders = new Map();
+  current.forEach((entry) => {
+    holders.set(entry.idx, true);
+    const group = nearDuplicateGroupOf(entry.idx);
+    if (group) groupHolders.set(group, (groupHolders.get(group) || 0) + 1);
+  });
+  const openSegments = current.map((_, index) => index).filter((index) => !locked.has(index));
+  const maxIdle = 20 * openSegments.length + 200;
+  let iterations = 0;
+  let improvedMoves = 0;
+  let idle = 0;
+  while (openSegments.length > 0 && idle < maxIdle && elapsed() < settings.timeBudgetMs) {
+    iterations += 1;
+    idle += 1;
+    const openIndex = Math.floor(ctx.random() * openSegments.length);
+    const segmentIndex = openSegments[openIndex];
+    const trial = [...current];
+    let touched;
+    if (openSegments.length > 1 && ctx.random() < 0.5) {
+      const otherOffset = 1 + Math.floor(ctx.random() * (openSegments.length - 1));
+      const otherIndex = openSegments[(openIndex + otherOffset) % openSegments.length];
+      const swappedIn = candidateMaps[segmentIndex].get(current[otherIndex].idx);
+      const swappedOut = candidateMaps[otherIndex].get(current[segmentIndex].idx);
+      if (!swappedIn || !swappedOut) continue;
+      trial[segmentIndex] = swappedIn;
+      trial[otherIndex] = swappedOut;
+      touched = [segmentIndex, otherIndex];
+    } else {
+      // Mostly near the top of the list, sometimes anywhere in it
+      const choices = candidateLists[segmentIndex];
+      const reach = ctx.random() < 0.75 ? Math.min(choices.length, settings.candidatesPerState * 2) : choices.length;
+      const replacement = choices[Math.floor(ctx.random() * reach)];
+      if (!replacement || holders.has(replacement.idx)) continue;
+      const group = nearDuplicateGroupOf(replacement.idx);
+      if (group && group !== nearDuplicateGroupOf(current[segmentIndex].idx) && groupHolders.get(group)) continue;
+      trial[segmentIndex] = replacement;
+      touched = [segmentIndex];
+    }
+    if (!touched.every((index) => spacedAt(trial, index))) continue;
+    const trialEval = evaluate(trial);
+    if (trialEval.objective <= currentEval.objective + 1e-9) continue;
+
+    touched.forEach((index) => {
+      const before = current[index].idx;
+      holders.delete(before);
+      const group = nearDuplicateGroupOf(before);
+      if (group) groupHolders.set(group, groupHolders.get(group) - 1);
+    });
+    touched.forEach((index) => {
+      holders.set(trial[index].idx, true);
+      const group = nearDuplicateGroupOf(trial[index].idx);
+      if (group) groupHolders.set(group, (groupHolders.get(group) || 0) + 1);
+    });
+    current = trial;
+    currentEval = trialEval;
+    improvedMoves += 1;
+    idle = 0;
+  }
+
+  current.forEach((entry, segmentIndex) => {
+    const segment = segments[segmentIndex];
+    const segCtx = segCtxs[segmentIndex];
+    if (segCtx.energy) {
+      segment.energyProfile = segCtx.energy;
+    }
+    if (!locked.has(segmentIndex)) {
+      assignClipToSegment({ ctx, segment, poolIndex: entry.idx, placement: entry.placement, useLocalPaths });
+    }
+    let nearestSameSource = null;
+    current.forEach((other, otherIndex) => {
+      if (otherIndex === segmentIndex) return;
+      if (!isSameSourceMoment(clips[entry.idx], clips[other.idx], settings.sourceGapSeconds)) return;
+      const distance = Math.abs(otherIndex - segmentIndex);
+      if (nearestSameSource === null || distance < nearestSameSource) nearestSameSource = distance;
+    });
+    const { terms, total: segmentTotal } = currentEval.perSegment[segmentIndex];
+    const rounded = Object.fromEntries(
+      Object.entries(terms)
+        .filter(([, value]) => value !== 0)
+        .map(([term, value]) => [term, round(value)])
+    );
+    segment.scoreBreakdown = {
+      mode: "solver",
+      total: round(segmentTotal),
+      terms: rounded,
+      summary: formatSummary(rounded),
+      hard: {
+        requiredDuration: round(entry.requiredDuration),
+        clipDuration: round(clipDurations[entry.idx] ?? 0),
+        cutFree: entry.cutFree,
+        nearestSameSource,
+      },
+      locked: locked.has(segmentIndex),
+      rank: candidateLists[segmentIndex].indexOf(entry) + 1,
+      candidates: candidateLists[segmentIndex].length,
+    };
+  });
+
+  return {
+    usedClipIndices: new Set(current.map((entry) => entry.idx)),
+    swapHistory: [],
+    reuseState: null,
+    solver: {
+      ...settings,
+      objective: round(currentEval.objective),
+      expanded,
+      greedyFrom,
+      iterations,
+      improvedMoves,
+      elapsedMs: elapsed(),
+      characterCounts: Object.fromEntries(currentEval.characterCounts),
+      quotaShortfall: currentEval.quotaShortfall,
+    },
+  };
+};
+
+export default {
+  SOLVER_DEFAULTS,
+  normalizeSolverOptions,
+  solveClipsWith,
+};
@@ -0,0 +1,555 @@
+/**
+ * Planner strategies
+ *
+ * The building blocks planner configurations are assembled from (see
+ * ./index.js for the interfaces and how the engine calls them):
+ *
+ *   segmentBuilders   format -> { segments, fps, totalFrames, stats }
+ *   candidateFilters  required duration, allowed sets and candidate shaping
+ *   scorers           selection weights, per clip and per segment
+ *   reusePolicies     what an earlier pick blocks, and swap fallback
+ *   trimPolicies      which part of the clip plays, and final trimming
+ */
+
+import { calculateFrameAccurateSegments } from "../songEdit.js";
+import { secondsToFrame, frameToSeconds, getEditPlanStats } from "../frameAccurateTiming.js";
+import { clampVolume, getBeatKey, normalizeBeatMetadata, normalizeIntroBeat } from "../songEditScheduler.js";
+import { clipMatchesEnergy, preferEnergyCandidates } from "../sectionProfile.js";
+import { createNearDuplicateUsage } from "../nearDuplicateClips.js";
+import { getFatigueWeights } from "../clipUsageLedger.js";
+import { getMotionMatchWeight, getSegmentMotionTarget, hasClipMotion } from "../clipMotion.js";
+import { getColorContinuityWeight, getCutContinuity, hasClipColor, normalizeColorContinuity } from "../clipColor.js";
+import { LIKED_CLIP_WEIGHT, withDislikedBlocked } from "../movieAnnotation.js";
+import { isDialogueClip } from "./pool.js";
+
+const RAPID_SAFETY_DEFAULTS = { clipVolume: 0, musicVolume: 1, pauseMusic: false };
+
+const intersectSets = (a, b) => {
+  if (!a || !b) return null;
+  const result = new Set();
+  a.forEach((value) => {
+    if (b.has(value)) result.add(value);
+  });
+  return result;
+};
+
+const isPauseMusicSegment = (segment) =>
+  segment?.type === "rapid"
+    ? Boolean(segment.rapidClipSlot?.pauseMusic)
+    : Boolean(segment?.beatMetadata?.clipSlot?.pauseMusic);
+
+const sumFrameCounts = (segments) => segments.reduce((total, segment) => total + (segment.frameCount || 0), 0);
+
+// ---------------------------------------------------------------------------
+// Segment builders
+// ---------------------------------------------------------------------------
+
+/**
+ * Beat-grid segments: frame-accurate beats and rapid ranges with their beat
+ * metadata and clip slots, or the base layer's frameSegments for formats
+ * without beat/rapid marks.
+ */
+const buildBeatGridSegments = (format) => {
+  if (!format) {
+    throw new Error("format is required");
+  }
+  const { segments, fps, totalFrames } = calculateFrameAccurateSegments(format);
+  const baseLayer = (format.layers || []).find(
+    (layer) => layer?.type === "base" && Array.isArray(layer.frameSegments) && layer.frameSegments.length
+  );
+
+  const deriveFromLayer = () => {
+    if (!baseLayer) return null;
+    const layerSegments = baseLayer.frameSegments.map((seg, idx) => {
+      const startSeconds =
+        typeof seg.startSeconds === "number"
+          ? seg.startSeconds
+          : typeof seg.startMs === "number"
+          ? seg.startMs / 1000
+          : 0;
+      const endSecondsRaw =
+        typeof seg.endSeconds === "number"
+          ? seg.endSeconds
+          : typeof seg.endMs === "number"
+          ? seg.endMs / 1000
+          : null;
+      const startFrame =
+        typeof seg.startFrame === "number" ? seg.startFrame : secondsToFrame(startSeconds, fps);
+      const frameCountCandidate =
+        typeof seg.frameCount === "number" ? seg.frameCount : undefined;
+      const endFrame =
+        typeof seg.endFrame === "number"
+          ? seg.endFrame
+          : frameCountCandidate
+          ? startFrame + frameCountCandidate
+          : typeof endSecondsRaw === "number"
+          ? secondsToFrame(endSecondsRaw, fps)
+          : startFrame;
+      const frameCount = Math.max(1, frameCountCandidate ?? endFrame - startFrame);
+      const endSeconds =
+        typeof endSecondsRaw === "number" ? endSecondsRaw : frameToSeconds(endFrame, fps);
+      const durationSeconds =
+        typeof seg.durationSeconds === "number"
+          ? seg.durationSeconds
+          : Math.max(endSeconds - startSeconds, frameCount / fps);
+
+      return {
+        ...seg,
+        index: typeof seg.index === "number" ? seg.index : idx,
+        type: "beat",
+        startFrame,
+        endFrame,
+        frameCount,
+        startSeconds,
+        endSeconds,
+        durationSeconds,
+        minSourceDuration: durationSeconds,
+        beatWindowSeconds: durationSeconds,
+        beatFrameCount: frameCount,
+        fps,
+      };
+    });
+
+    const derivedTotalFrames = layerSegments.reduce(
+      (max, seg) => Math.max(max, seg.endFrame || seg.startFrame + seg.frameCount),
+      0
+    );
+    const derivedStats = getEditPlanStats({
+      segments: layerSegments,
+      fps,
+      totalFrames: derivedTotalFrames,
+    });
+
+    return { segments: layerSegments, totalFrames: derivedTotalFrames, stats: derivedStats };
+  };
+
+  // If no beat/rapid marks exist but FBv2 layer frameSegments are present, prefer them.
+  const shouldUseLayerSegments =
+    (!Array.isArray(format.beatGrid) || format.beatGrid.length === 0) &&
+    (!Array.isArray(format.rapidClipRanges) || format.rapidClipRanges.length === 0);
+  const layerDerived = shouldUseLayerSegments ? deriveFromLayer() : null;
+
+  if (layerDerived) {
+    return { segments: layerDerived.segments, fps, totalFrames: layerDerived.totalFrames, stats: layerDerived.stats };
+  }
+  const normalizedBeatMetadata = normalizeBeatMetadata(format.beatGrid || [], format.beatMetadata || []);
+  const introBeat = normalizeIntroBeat(format.introBeat);
+  const beatMetaByKey = new Map(
+    normalizedBeatMetadata.map((entry) => [getBeatKey(entry.beatTime), entry])
+  );
+
+  const formatDefaults = {
+    clipVolume: clampVolume(
+      format?.introBeat?.clipSlot?.clipVolume,
+      clampVolume(format?.beatMetadata?.[0]?.clipSlot?.clipVolume, RAPID_SAFETY_DEFAULTS.clipVolume)
+    ),
+    musicVolume: clampVolume(
+      format?.introBeat?.clipSlot?.musicVolume,
+      clampVolume(format?.beatMetadata?.[0]?.clipSlot?.musicVolume, RAPID_SAFETY_DEFAULTS.musicVolume)
+    ),
+    pauseMusic: Boolean(format?.introBeat?.clipSlot?.pauseMusic ?? RAPID_SAFETY_DEFAULTS.pauseMusic),
+  };
+
+  const rapidRanges = Array.isArray(format?.rapidClipRanges) ? format.rapidClipRanges : [];
+  const resolveRapidClipSlot = (segmentStartSeconds) => {
+    const time = typeof segmentStartSeconds === "number" ? segmentStartSeconds : null;
+    const idx = time === null
+      ? -1
+      : rapidRanges.findIndex((range) => {
+          const start = range?.start;
+          const end = range?.end;
+          if (typeof start !== "number" || typeof end !== "number") return false;
+          // tolerate floating point edges
+          return time >= start - 1e-6 && time < end + 1e-6;
+        });
+    const range = idx >= 0 ? rapidRanges[idx] : null;
+    return {
+      rapidRangeIndex: idx >= 0 ? idx : null,
+      clipSlot: {
+        clipVolume: clampVolume(range?.clipVolume, formatDefaults.clipVolume ?? RAPID_SAFETY_DEFAULTS.clipVolume),
+        musicVolume: clampVolume(range?.musicVolume, formatDefaults.musicVolume ?? RAPID_SAFETY_DEFAULTS.musicVolume),
+        pauseMusic:
+          typeof range?.pauseMusic === "boolean"
+            ? range.pauseMusic
+            : Boolean(formatDefaults.pauseMusic ?? RAPID_SAFETY_DEFAULTS.pauseMusic),
+      },
+    };
+  };
+
+  const normalizedSegments = segments.map((segment) => {
+    const normalizedType = segment.type === "segment" ? "beat" : segment.type;
+    const beatMeta =
+      normalizedType === "intro"
+        ? introBeat
+        : normalizedType === "beat"
+        ? beatMetaByKey.get(getBeatKey(segment.startSeconds)) || null
+        : null;
+    const base = {
+      ...segment,
+      type: normalizedType,
+      durationSeconds: segment.durationSeconds,
+      minSourceDuration: segment.minSourceDuration,
+      beatWindowSeconds: segment.durationSeconds,
+      beatFrameCount: segment.frameCount,
+      fps,
+      beatMetadata: beatMeta,
+    };
+
+    if (normalizedType === "rapid") {
+      const rapid = resolveRapidClipSlot(segment.startSeconds);
+      return {
+        ...base,
+        rapidRangeIndex: rapid.rapidRangeIndex,
+        rapidClipSlot: rapid.clipSlot,
+      };
+    }
+
+    return base;
+  });
+  const normalizedStats = getEditPlanStats({
+    segments: normalizedSegments,
+    fps,
+    totalFrames,
+  });
+  return { segments: normalizedSegments, fps, totalFrames, stats: normalizedStats };
+};
+
+export const segmentBuilders = {
+  beatGrid: buildBeatGridSegments,
+  frameAccurate: (format) => calculateFrameAccurateSegments(format),
+};
+
+const getSegmentIntent = (segment) => (segment?.beatMetadata?.intent || "").toLowerCase().trim();
+
+// Pool indices whose sceneType/type/tags carry the intent
+const getIntentIndices = (ctx, intent) =>
+  ctx.memo(`intent:${intent}`, () => {
+    const collected = new Set(ctx.pool?.intentBuckets?.[intent] || []);
+    if (!collected.size) {
+      ctx.clips.forEach((clip, idx) => {
+        const sceneType = (clip?.sceneType || clip?.type || "").toLowerCase();
+        const tags = (clip?.tags || []).map((tag) => (tag || "").toLowerCase());
+        if (sceneType === intent || tags.some((tag) => tag === intent || tag === `intent:${intent}` || tag.includes(intent))) {
+          collected.add(idx);
+        }
+      });
+    }
+    return collected;
+  });
+
+// ---------------------------------------------------------------------------
+// Candidate filters
+// ---------------------------------------------------------------------------
+
+export const candidateFilters = {
+  // Enough source for the segment (less options.durationTolerance seconds)
+  durationFit: {
+    name: "durationFit",
+    requiredDuration: (segment, ctx) =>
+      Math.max(segment.durationSeconds, segment.minSourceDuration || 0) - (ctx.options.durationTolerance || 0),
+  },
+
+  // Frame-counted pools: a clip whose length rounds to the segment's frames
+  // is a candidate; the trim policy turns down the ones still too short
+  frameRounding: {
+    name: "frameRounding",
+    candidateDuration: (segment, ctx) => {
+      const fps = ctx.fps || 30;
+      return (Math.round(segment.durationSeconds * fps) - 0.5) / fps;
+    },
+  },
+
+  // pauseMusic beats play their clip for the whole beat window
+  pauseWindow: {
+    name: "pauseWindow",
+    requiredDuration: (segment) =>
+      isPauseMusicSegment(segment)
+        ? Math.max(segment.durationSeconds, segment.minSourceDuration || 0, segment.beatWindowSeconds || 0)
+        : 0,
+  },
+
+  // Beats tagged (or with intent) dialogue only take dialogue-tagged clips
+  dialogue: {
+    name: "dialogue",
+    hard: true,
+    restrict: (allowed, { segment }, ctx) => {
+      const tags = segment?.beatMetadata?.guidelineTags || [];
+      const intent = (segment?.beatMetadata?.intent || "").toLowerCase();
+      if (!tags.some((tag) => (tag || "").toLowerCase().includes("dialogue")) && intent !== "dialogue") {
+        return allowed;
+      }
+      const dialogueAllowed = ctx.memo("dialogue", () => {
+        const indices = new Set(ctx.pool?.tagBuckets?.dialogue || []);
+        ctx.clips.forEach((clip, idx) => {
+          if (isDialogueClip(clip)) indices.add(idx);
+        });
+        return indices;
+      });
+      if (dialogueAllowed.size === 0) {
+        throw new Error("Dialogue clips required but dialogue pool is empty");
+      }
+      return allowed ? intersectSets(allowed, dialogueAllowed) : dialogueAllowed;
+    },
+  },
+
+  // pauseMusic beats align to the beat's intent (sceneType/type/tags); when
+  // nothing else fits the intent alone wins
+  pauseIntent: {
+    name: "pauseIntent",
+    restrict: (allowed, { segment }, ctx) => {
+      const intent = getSegmentIntent(segment);
+      if (!isPauseMusicSegment(segment) || !intent) return allowed;
+      const intentAllowed = getIntentIndices(ctx, intent);
+      if (!intentAllowed.size) return allowed;
+      const intersected = allowed ? intersectSets(allowed, intentAllowed) : new Set(intentAllowed);
+      return intersected.size ? intersected : new Set(intentAllowed);
+    },
+  },
+
+  // Solver only: any beat's intent and guideline tags as a soft preference
+  intentMatch: {
+    name: "intentMatch",
+    score: (idx, { segment }, ctx) => {
+      const intent = getSegmentIntent(segment);
+      const intentScore = intent && getIntentIndices(ctx, intent).has(idx) ? 1 : 0;
+      const guidelineTags = (segment?.beatMetadata?.guidelineTags || [])
+        .map((tag) => (tag || "").toLowerCase().trim())
+        .filter(Boolean);
+      if (!guidelineTags.length) return intentScore;
+      const clip = ctx.clips[idx];
+      const clipText = [clip?.sceneType, clip?.type, ...(clip?.tags || [])].filter(Boolean).join(" ").toLowerCase();
+      const matched = guidelineTags.filter((tag) => clipText.includes(tag)).length;
+      return intentScore + (0.5 * matched) / guidelineTags.length;
+    },
+  },
+
+  // Song shape: drops/high energy prefer rapid/action clips, quiet passages cinematic/dialogue
+  energyPreference: {
+    name: "energyPreference",
+    shape: (candidates, { energy, bucket }, ctx) =>
+      preferEnergyCandidates(candidates, ctx.clips, energy, {
+        getBucket: ctx.getClipBucket,
+        requiredBucket: bucket,
+      }),
+    score: (idx, { energy, bucket }, ctx) =>
+      energy?.preference &&
+      clipMatchesEnergy(ctx.clips[idx], energy.preference, { bucket: ctx.getClipBucket(idx), requiredBucket: bucket })
+        ? 0.5
+        : 0,
+  },
+};
+
+// ---------------------------------------------------------------------------
+// Scorers: (ctx) => null | (segCtx) => null | (idx) => weight
+// ---------------------------------------------------------------------------
+
+export const scorers = {
+  // Optional: lower the odds of clips earlier runs used a lot (see clipUsageLedger)
+  fatigue: (ctx) => {
+    const strength = Number(ctx.options.fatigueWeight) || 0;
+    if (strength <= 0) return null;
+    const weights = getFatigueWeights(ctx.clips, { strength });
+    return () => (idx) => weights[idx];
+  },
+
+  // Editor thumbs up (movieAnnotation likes): liked clips are picked more often
+  liked: (ctx) => (ctx.ratings.liked.size ? () => (idx) => (ctx.ratings.liked.has(idx) ? LIKED_CLIP_WEIGHT : 1) : null),
+
+  // Clip motion (clipMotion.js) is matched against the segment's onset strength
+  motionMatch: (ctx) => {
+    if (!ctx.clips.some(hasClipMotion)) return null;
+    return ({ energy }) => {
+      const target = getSegmentMotionTarget(energy);
+      return target === null ? null : (idx) => getMotionMatchWeight(ctx.clips[idx], target);
+    };
+  },
+
+  // Optional: smooth (or, on section changes, contrasting) cuts by color and brightness (clipColor.js)
+  colorContinuity: (ctx) => {
+    const setting = ctx.clips.some(hasClipColor) ? normalizeColorContinuity(ctx.options.colorContinuity) : null;
+    if (!setting) return null;
+    return ({ segmentIndex }) => {
+      const continuity = getCutContinuity({
+        setting,
+        segments: ctx.segments,
+        segmentIndex,
+        clips: ctx.clips,
+        sectionProfile: ctx.sectionProfile,
+      });
+      return continuity ? (idx) => getColorContinuityWeight(continuity, ctx.clips[idx]) : null;
+    };
+  },
+};
+
+// ---------------------------------------------------------------------------
+// Reuse policies: (ctx) => { levels, accepts?, record?, release?, swap?, state? }
+// ---------------------------------------------------------------------------
+
+export const reusePolicies = {
+  // A used clip blocks its whole near-duplicate group; plain per-clip reuse
+  // rules are the fallback once the groups run out. Disliked clips only come
+  // back when nothing else fits. Segments that find nothing take a clip from
+  // another segment that can be given a different one.
+  nearDuplicate: (ctx) => ({
+    levels: withDislikedBlocked([createNearDuplicateUsage(ctx.clips, ctx.used), ctx.used], ctx.ratings),
+    swap: true,
+  }),
+
+  // One clip per source video across the whole plan
+  uniqueSource: (ctx) => {
+    const videoUses = new Map();
+    ctx.used.forEach((idx) => {
+      const videoId = ctx.clips[idx]?.videoId;
+      if (videoId) videoUses.set(videoId, (videoUses.get(videoId) || 0) + 1);
+    });
+    return {
+      levels: [
+        {
+          has: (idx) => {
+            const videoId = ctx.clips[idx]?.videoId;
+            return ctx.used.has(idx) || !videoId || videoUses.has(videoId);
+          },
+        },
+      ],
+      record: (idx) => {
+        const videoId = ctx.clips[idx].videoId;
+        videoUses.set(videoId, (videoUses.get(videoId) || 0) + 1);
+      },
+      release: (idx) => {
+        const videoId = ctx.clips[idx].videoId;
+        const count = (videoUses.get(videoId) || 0) - 1;
+        if (count > 0) videoUses.set(videoId, count);
+        else videoUses.delete(videoId);
+      },
+    };
+  },
+
+  // Frame ranges used per source asset: an asset is used once unless
+  // options.reuseClips, and its ranges never overlap unless
+  // options.allowOverlap (the segment is then marked forcedReuse)
+  assetLedger: (ctx) => {
+    const { reuseClips = false, allowOverlap = false } = ctx.options;
+    const fps = ctx.fps || 30;
+    const ledger = new Map(); // assetId -> ranges [{startFrame,endFrame}]
+    const useCount = new Map(); // assetId -> integer
+    const assetIdOf = (idx) => {
+      const clip = ctx.clips[idx];
+      return clip?.videoId || clip?.cloudinaryId || clip?.id || null;
+    };
+    const overlaps = (assetId, { start, end }) => {
+      const startFrame = Math.round(start * fps);
+      const endFrame = Math.round(end * fps);
+      return (ledger.get(assetId) || []).some((r) => !(endFrame <= r.startFrame || startFrame >= r.endFrame));
+    };
+    return {
+      levels: [{ has: (idx) => !assetIdOf(idx) || (!reuseClips && useCount.has(assetIdOf(idx))) }],
+      accepts: (idx, placement) => allowOverlap || !overlaps(assetIdOf(idx), placement),
+      record: (idx, placement, { segment }) => {
+        const assetId = assetIdOf(idx);
+        segment.forcedReuse = overlaps(assetId, placement);
+        if (!ledger.has(assetId)) ledger.set(assetId, []);
+        ledger.get(assetId).push({ startFrame: Math.round(placement.start * fps), endFrame: Math.round(placement.end * fps) });
+        useCount.set(assetId, (useCount.get(assetId) || 0) + 1);
+      },
+      state: { ledger, useCount, assetIdOf },
+    };
+  },
+};
+
+// ---------------------------------------------------------------------------
+// Trim policies: { place(clip, segCtx, ctx) -> { start, end } | null, finalize({ segments, fps }) }
+// ---------------------------------------------------------------------------
+
+/**
+ * Trim each segment to its frame-accurate duration (pauseMusic beats keep
+ * their clip's full length) and bring the asset window and frame bounds in
+ * line with it.
+ */
+const trimToBeats = ({ segments, fps }) => {
+  let totalFrames = 0;
+  segments.forEach((segment) => {
+    const asset = segment.asset;
+    if (!asset) {
+      throw new Error(`Segment ${segment.index} missing asset`);
+    }
+    const effectiveFps = segment.fps || fps || 30;
+    const minDuration = 1 / effectiveFps;
+    const available = Number(asset.availableDuration) || 0;
+    const isRapid = segment.type === "rapid";
+    const pauseMusic = isPauseMusicSegment(segment);
+
+    // Respect the frame-accurate segment duration; do NOT stretch rapid clips
+    // to the full source length or the rapid cadence is lost.
+    let duration = Math.max(Number(segment.durationSeconds) || 0, minDuration);
+    const shouldStretchToAvailable = !isRapid && pauseMusic && available > duration;
+    if (shouldStretchToAvailable) {
+      duration = available;
+    }
+
+    segment.durationSeconds = duration;
+    segment.minSourceDuration = Math.max(segment.minSourceDuration || 0, duration);
+
+    segment.asset.end = asset.start + duration;
+    if (duration > available) {
+      throw new Error(
+        `Segment ${segment.index} requires ${duration.toFixed(3)}s but clip provides ${available.toFixed(3)}s`
+      );
+    }
+
+    const frameCount = Math.max(1, Math.round(duration * effectiveFps));
+    segment.frameCount = frameCount;
+    if (Number.isFinite(segment.startFrame)) {
+      segment.endFrame = segment.startFrame + frameCount;
+    }
+    if (Number.isFinite(segment.startSeconds)) {
+      segment.endSeconds = segment.startSeconds + duration;
+    } else if (Number.isFinite(segment.startFrame)) {
+      segment.startSeconds = segment.startFrame / effectiveFps;
+      segment.endSeconds = segment.endFrame / effectiveFps;
+    }
+
+    totalFrames += frameCount;
+  });
+  return { totalFrames };
+};
+
+const placeAtClipStart = (clip, { segment }) => {
+  const start = clip.start ?? 0;
+  return { start, end: start + segment.durationSeconds, duration: segment.durationSeconds };
+};
+
+export const trimPolicies = {
+  // Clip plays from its start for the beat; pauseMusic beats stretch to the whole clip
+  beats: {
+    name: "beats",
+    place: placeAtClipStart,
+    finalize: trimToBeats,
+  },
+
+  // Clip plays from its start for exactly the segment's frames
+  clipStart: {
+    name: "clipStart",
+    place: placeAtClipStart,
+    finalize: ({ segments }) => ({ totalFrames: sumFrameCounts(segments) }),
+  },
+
+  // A random window of the required length anywhere inside the clip
+  randomWindow: {
+    name: "randomWindow",
+    place: (clip, { requiredDuration }, ctx) => {
+      const clipDuration = (clip.end ?? 0) - (clip.start ?? 0);
+      if (clipDuration < requiredDuration) return null;
+      const start = (clip.start ?? 0) + Math.max(0, clipDuration - requiredDuration) * ctx.random();
+      return { start, end: start + requiredDuration };
+    },
+    finalize: ({ segments }) => ({ totalFrames: sumFrameCounts(segments) }),
+  },
+};
+
+export default {
+  segmentBuilders,
+  candidateFilters,
+  scorers,
+  reusePolicies,
+  trimPolicies,
+};
@@ -0,0 +1,332 @@
+/**
+ * Rapid Clip Range Detection
+ *
+ * Proposes `rapidClipRanges` from the audio instead of hand-authoring every
+ * fast-cut section. A stretch qualifies when its onset density clearly
+ * exceeds the song's norm or when hi-hat / treble energy spikes on top of a
+ * busy onset rate. Each proposal carries a suggested cut interval (snapped to
+ * the beat subdivision nearest the onset rate, in whole frames) and a
+ * confidence score. Proposals are reviewed in the format builder; nothing
+ * here writes to the format.
+ */
+
+import { TARGET_FPS, secondsToFrame, frameToSeconds } from "./frameAccurateTiming.js";
+
+// Sliding window for onset density (seconds)
+const DENSITY_WINDOW_SECONDS = 1;
+// Onsets per second that count as busy regardless of the song's baseline
+const MIN_RAPID_ONSET_RATE = 4;
+// Points scoring at least this are part of a candidate range
+const ACTIVE_SCORE = 0.4;
+// Candidate runs separated by less than this are merged
+const MERGE_GAP_SECONDS = 0.4;
+// Range edges snap to a beat within this distance
+const BEAT_SNAP_SECONDS = 0.15;
+// Existing rapid ranges use 1-frame to 0.25s intervals
+const MAX_INTERVAL_SECONDS = 0.25;
+const BEAT_SUBDIVISIONS = [1, 2, 3, 4, 6, 8];
+// A proposal overlapping an existing or rejected range by this fraction is dropped
+const OVERLAP_DROP_RATIO = 0.5;
+
+const clamp01 = (value) => Math.max(0, Math.min(1, value));
+
+const median = (values) => {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+};
+
+/**
+ * Onset times at envelope resolution when the fine onset envelope is
+ * available (analyzer runs), otherwise the waveform's coarse onsets (saved
+ * waveform data).
+ */
+const collectOnsetTimes = (waveform) => {
+  const envelope = waveform?.onsetEnvelope;
+  if (envelope?.strength?.length && envelope.hopSeconds > 0) {
+    const { strength, hopSeconds } = envelope;
+    const halfWindow = Math.max(1, Math.round(0.15 / hopSeconds));
+    const minGap = Math.max(1, Math.round(0.05 / hopSeconds));
+    let globalMean = 0;
+    for (let i = 0; i < strength.length; i += 1) globalMean += strength[i];
+    globalMean /= strength.length;
+
+    const times = [];
+    let lastPeak = -Infinity;
+    for (let i = 1; i < strength.length - 1; i += 1) {
+      const value = strength[i];
+      if (value <= strength[i - 1] || value < strength[i + 1]) continue;
+      let localSum = 0;
+      let count = 0;
+      for (let j = Math.max(0, i - halfWindow); j <= Math.min(strength.length - 1, i + halfWindow); j += 1) {
+        localSum += strength[j];
+        count += 1;
+      }
+      const threshold = Math.max((localSum / count) * 1.4, globalMean * 0.8);
+      if (value > threshold && i - lastPeak >= minGap) {
+        times.push(i * hopSeconds);
+        lastPeak = i;
+      }
+    }
+    return times;
+  }
+  return (waveform?.onsets || []).map((onset) => onset.time).filter(Number.isFinite);
+};
+
+/**
+ * Per-point hi-hat / treble activity as a z-score against the whole song.
+ */
+const trebleActivity = (waveform, numPoints) => {
+  const bands = waveform?.bands || {};
+  const series = ["highMids", "treble", "brilliance"].map((band) => bands[band]).filter(Array.isArray);
+  if (!series.length) return new Array(numPoints).fill(0);
+
+  const energy = Array.from({ length: numPoints }, (_, i) =>
+    series.reduce((sum, band) => sum + (band[i] || 0), 0) / series.length
+  );
+  const mean = energy.reduce((sum, v) => sum + v, 0) / (energy.length || 1);
+  const std = Math.sqrt(energy.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (energy.length || 1)) || 1;
+  return energy.map((value) => (value - mean) / std);
+};
+
+/**
+ * Choose a cut interval: the beat subdivision closest to the onset spacing,
+ * rounded to whole frames.
+ */
+const suggestInterval = (iois, beatPeriod, fps) => {
+  const onsetSpacing = median(iois);
+  let interval = onsetSpacing || (beatPeriod ? beatPeriod / 4 : 0.1);
+  if (beatPeriod && onsetSpacing) {
+    interval = BEAT_SUBDIVISIONS.map((n) => beatPeriod / n).reduce((best, candidate) =>
+      Math.abs(Math.log(candidate / onsetSpacing)) < Math.abs(Math.log(best / onsetSpacing)) ? candidate : best
+    );
+  }
+  const maxFrames = Math.floor(MAX_INTERVAL_SECONDS * fps);
+  const frames = Math.min(maxFrames, Math.max(1, Math.round(interval * fps)));
+  return Number(frameToSeconds(frames, fps).toFixed(4));
+};
+
+const snapEdge = (time, beats, fps) => {
+  let nearest = null;
+  for (const beat of beats) {
+    if (Math.abs(beat - time) <= BEAT_SNAP_SECONDS && (nearest === null || Math.abs(beat - time) < Math.abs(nearest - time))) {
+      nearest = beat;
+    }
+  }
+  const snapped = nearest !== null ? nearest : frameToSeconds(secondsToFrame(time, fps), fps);
+  return Number(snapped.toFixed(3));
+};
+
+const overlapRatio = (range, other) => {
+  const overlap = Math.min(range.end, other.end) - Math.max(range.start, other.start);
+  const length = range.end - range.start;
+  return overlap > 0 && length > 0 ? overlap / length : 0;
+};
+
+/**
+ * Stable id so a rejected proposal is recognized when analysis runs again.
+ */
+export const rapidProposalId = (range) =>
+  `rapid-${Math.round(range.start * 1000)}-${Math.round(range.end * 1000)}`;
+
+/**
+ * Propose rapid clip ranges from waveform analysis.
+ *
+ * @param {Object} waveform - analyzeWaveform output (onsets, bands, pointDuration; onsetEnvelope when available)
+ * @param {Object} [options]
+ * @param {number[]} [options.beats] - Beat grid for edge snapping and interval subdivisions
+ * @param {Array<{start: number, end: number}>} [options.existingRanges] - Authored ranges to skip
+ * @param {Array<{start: number, end: number}>} [options.rejectedRanges] - Previously rejected proposals to skip
+ * @param {number} [options.minDuration=1] - Shortest range worth proposing (seconds)
+ * @param {number} [options.minConfidence=0.35]
+ * @param {number} [options.maxProposals=12]
+ * @param {number} [options.fps]
+ * @returns {Array<{ id: string, start: number, end: number, interval: number, confidence: number, onsetRate: number, trebleScore: number, source: string, status: "pending" }>}
+ */
+export const detectRapidRanges = (waveform, options = {}) => {
+  const {
+    beats = [],
+    existingRanges = [],
+    rejectedRanges = [],
+    minDuration = 1,
+    minConfidence = 0.35,
+    maxProposals = 12,
+    fps = TARGET_FPS,
+  } = options;
+
+  const duration = waveform?.meta?.durationSeconds || waveform?.durationSeconds || 0;
+  const numPoints = waveform?.numPoints || waveform?.volume?.length || 0;
+  const step = waveform?.pointDuration || (numPoints ? duration / numPoints : 0);
+  if (!duration || !numPoints || !step) return [];
+
+  const onsetTimes = collectOnsetTimes(waveform).sort((a, b) => a - b);
+  if (onsetTimes.length < 4) return [];
+
+  // Onset density per point over a centered window
+  const density = new Array(numPoints).fill(0);
+  let lo = 0;
+  let hi = 0;
+  for (let i = 0; i < numPoints; i += 1) {
+    const center = (i + 0.5) * step;
+    const from = center - DENSITY_WINDOW_SECONDS / 2;
+    const to = center + DENSITY_WINDOW_SECONDS / 2;
+    while (lo < onsetTimes.length && onsetTimes[lo] < from) lo += 1;
+    while (hi < onsetTimes.length && onsetTimes[hi] < to) hi += 1;
+    density[i] = (hi - lo) / DENSITY_WINDOW_SECONDS;
+  }
+  const baseline = Math.max(1, median(density) || 0);
+  const treble = trebleActivity(waveform, numPoints);
+
+  const scores = density.map((rate, i) => {
+    const densityScore = clamp01((rate / baseline - 1) / 1.5);
+    const trebleScore = clamp01(treble[i] / 2);
+    const busy = rate >= MIN_RAPID_ONSET_RATE || (treble[i] >= 1.5 && rate >= MIN_RAPID_ONSET_RATE * 0.6);
+    return busy ? 0.65 * densityScore + 0.35 * trebleScore : 0;
+  });
+
+  // Contiguous active runs, merged across short gaps
+  const runs = [];
+  for (let i = 0; i < numPoints; i += 1) {
+    if (scores[i] < ACTIVE_SCORE) continue;
+    const last = runs[runs.length - 1];
+    if (last && (i - last.to) * step <= MERGE_GAP_SECONDS) last.to = i;
+    else runs.push({ from: i, to: i });
+  }
+
+  const blocked = [...existingRanges, ...rejectedRanges].filter(
+    (range) => Number.isFinite(range?.start) && Number.isFinite(range?.end)
+  );
+  const sortedBeats = [...beats].filter(Number.isFinite).sort((a, b) => a - b);
+
+  const proposals = runs
+    .map(({ from, to }) => {
+      const start = snapEdge(from * step, sortedBeats, fps);
+      const end = snapEdge(Math.min(duration, (to + 1) * step), sortedBeats, fps);
+      if (end - start < minDuration) return null;
+
+      const inRange = onsetTimes.filter((time) => time >= start && time < end);
+      const iois = inRange.slice(1).map((time, i) => time - inRange[i]).filter((gap) => gap > 0);
+      const rangeBeats = sortedBeats.filter((beat) => beat >= start - 1 && beat <= end + 1);
+      const beatPeriod = median(rangeBeats.slice(1).map((beat, i) => beat - rangeBeats[i])) || median(sortedBeats.slice(1).map((beat, i) => beat - sortedBeats[i]));
+
+      const meanScore = scores.slice(from, to + 1).reduce((sum, v) => sum + v, 0) / (to - from + 1);
+      const meanIoi = iois.length ? iois.reduce((sum, v) => sum + v, 0) / iois.length : 0;
+      const ioiStd = iois.length
+        ? Math.sqrt(iois.reduce((sum, v) => sum + (v - meanIoi) ** 2, 0) / iois.length)
+        : 0;
+      const regularity = meanIoi > 0 ? 1 - clamp01(ioiStd / meanIoi) : 0;
+      const lengthFactor = clamp01((end - start) / 2);
+      const confidence = clamp01(meanScore * (0.6 + 0.4 * regularity) * (0.7 + 0.3 * lengthFactor) * 1.6);
+
+      const meanTreble = treble.slice(from, to + 1).reduce((sum, v) => sum + v, 0) / (to - from + 1);
+      const onsetRate = inRange.length / (end - start);
+      const sources = [];
+      if (onsetRate >= baseline * 1.5) sources.push("onset-density");
+      if (meanTreble >= 1) sources.push("treble");
+
+      const range = {
+        start,
+        end,
+        interval: suggestInterval(iois, beatPeriod, fps),
+        confidence: Number(confidence.toFixed(2)),
+        onsetRate: Number(onsetRate.toFixed(2)),
+        trebleScore: Number(clamp01(meanTreble / 2).toFixed(2)),
+        source: sources.join("+") || "onset-density",
+        status: "pending",
+      };
+      return { id: rapidProposalId(range), ...range };
+    })
+    .filter(Boolean)
+    .filter((proposal) => proposal.confidence >= minConfidence)
+    .filter((proposal) => !blocked.some((range) => overlapRatio(proposal, range) >= OVERLAP_DROP_RATIO));
+
+  return proposals
+    .sort((a, b) => b.confidence - a.confidence)
+    .slice(0, maxProposals)
+    .sort((a, b) => a.start - b.start);
+};
+
+/**
+ * Merge a fresh detection run into a format's stored proposals. Reviewed
+ * (accepted / rejected) proposals are kept as history; pending ones are
+ * replaced by the new run.
+ */
+export const mergeRapidProposals = (storedProposals = [], detected = []) => {
+  const reviewed = storedProposals.filter((proposal) => proposal?.status && proposal.status !== "pending");
+  const reviewedIds = new Set(reviewed.map((proposal) => proposal.id));
+  return [...reviewed, ...detected.filter((proposal) => !reviewedIds.has(proposal.id))].sort(
+    (a, b) => a.start - b.start
+  );
+};
+
+/**
+ * Apply accept / reject decisions to a format. Accepted proposals (with any
+ * edits to start / end / interval) are added to rapidClipRanges unless they
+ * overlap an existing range; rejected ones stay recorded so detection does
+ * not propose them again. Frame data is not rebuilt here.
+ *
+ * @param {Object} format
+ * @param {{ accept?: string[], reject?: string[], edits?: Object<string, {start?: number, end?: number, interval?: number}> }} decisions
+ * @returns {{ format: Object, accepted: string[], rejected: string[], conflicts: Array<{id: string, reason: string}> }}
+ */
+export const reviewRapidProposals = (format, decisions = {}) => {
+  const { accept = [], reject = [], edits = {} } = decisions;
+  const proposals = (format.rapidClipProposals || []).map((proposal) => ({ ...proposal }));
+  const byId = new Map(proposals.map((proposal) => [proposal.id, proposal]));
+  const rapidClipRanges = [...(format.rapidClipRanges || [])];
+  const reviewedAt = new Date().toISOString();
+  const accepted = [];
+  const rejected = [];
+  const conflicts = [];
+
+  accept.forEach((id) => {
+    const proposal = byId.get(id);
+    if (!proposal) {
+      conflicts.push({ id, reason: "unknown proposal" });
+      return;
+    }
+    const edit = edits[id] || {};
+    const range = {
+      start: Number.isFinite(edit.start) ? edit.start : proposal.start,
+      end: Number.isFinite(edit.end) ? edit.end : proposal.end,
+      interval: Number.isFinite(edit.interval) && edit.interval > 0 ? edit.interval : proposal.interval,
+    };
+    if (range.end <= range.start) {
+      conflicts.push({ id, reason: "end must be after start" });
+      return;
+    }
+    const clash = rapidClipRanges.find(
+      (existing) => Math.min(existing.end, range.end) - Math.max(existing.start, range.start) > 0
+    );
+    if (clash) {
+      conflicts.push({ id, reason: `overlaps existing range ${clash.start}-${clash.end}` });
+      return;
+    }
+    rapidClipRanges.push(range);
+    Object.assign(proposal, range, { status: "accepted", reviewedAt });
+    accepted.push(id);
+  });
+
+  reject.forEach((id) => {
+    const proposal = byId.get(id);
+    if (!proposal) {
+      conflicts.push({ id, reason: "unknown proposal" });
+      return;
+    }
+    Object.assign(proposal, { status: "rejected", reviewedAt });
+    rejected.push(id);
+  });
+
+  return {
+    format: {
+      ...format,
+      rapidClipRanges: rapidClipRanges.sort((a, b) => a.start - b.start),
+      rapidClipProposals: proposals,
+    },
+    accepted,
+    rejected,
+    conflicts,
+  };
+};
+
+export default { detectRapidRanges, rapidProposalId, mergeRapidProposals, reviewRapidProposals };
@@ -0,0 +1,647 @@
+/**
+ * Revision Store
+ *
+ * Keeps a history of every saved song format and waveform analysis so edits
+ * can be listed, inspected, diffed and rolled back. Replaces the ad-hoc
+ * `<slug>.json.backup-<timestamp>` files next to formats and the single-slot
+ * `<slug>.backup.json` used by waveform undo; legacy backups found on disk
+ * are copied into the store the first time a slug is touched. The backup
+ * files stay where they are (some are tracked in git).
+ *
+ * Layout: data/revisions/<kind>/<slug>/
+ *   index.json          - revision metadata, oldest first
+ *   <revisionId>.json   - { ...metadata, data }
+ *   legacy-imports.json - legacy backup file names already imported
+ *
+ * Revision ids sort chronologically (ISO timestamp + content hash prefix).
+ * Recording is content-addressed: a revision identical to the newest one is
+ * not stored again.
+ */
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { secondsToFrame, TARGET_FPS } from "./frameAccurateTiming.js";
+import { getSegmentKey } from "./songEditScheduler.js";
+import { parseSongFormatContent, writeSongFormatFile } from "./songFormatSchema.js";
+
+const DATA_DIR = path.join(process.cwd(), "data");
+const REVISIONS_DIR = path.join(DATA_DIR, "revisions");
+
+export const DEFAULT_RETENTION = {
+  // Always keep this many of the newest revisions
+  keepLast: 20,
+  // Beyond that, keep the newest revision of each day for this many days
+  keepDays: 30,
+};
+
+// Beats that shift by less than this are reported as moved, not removed + added
+const BEAT_MOVE_TOLERANCE_SECONDS = 0.25;
+
+const SAFE_NAME = /^[a-zA-Z0-9._-]+$/;
+
+const assertSafeName = (value, label) => {
+  if (typeof value !== "string" || !SAFE_NAME.test(value) || value.includes("..")) {
+    throw new Error(`Invalid ${label}: ${value}`);
+  }
+};
+
+const hashData = (data) =>
+  crypto.createHash("sha1").update(JSON.stringify(data)).digest("hex");
+
+const readJson = (filePath) => JSON.parse(fs.readFileSync(filePath, "utf-8"));
+
+const writeJson = (filePath, data) => {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(data, null, 2), "utf-8");
+};
+
+const summarizeFormat = (format = {}) => ({
+  schemaVersion: format.schemaVersion ?? null,
+  durationSeconds: format.meta?.durationSeconds ?? null,
+  bpm: format.meta?.bpm ?? null,
+  beatCount: Array.isArray(format.beatGrid) ? format.beatGrid.length : 0,
+  metadataCount: Array.isArray(format.beatMetadata) ? format.beatMetadata.length : 0,
+  rapidRangeCount: Array.isArray(format.rapidClipRanges) ? format.rapidClipRanges.length : 0,
+  sectionCount: Array.isArray(format.sections) ? format.sections.length : 0,
+});
+
+const summarizeWaveform = (waveform = {}) => ({
+  numPoints: waveform.numPoints ?? (Array.isArray(waveform.volume) ? waveform.volume.length : 0),
+  duration: waveform.meta?.duration ?? null,
+  onsetCount: Array.isArray(waveform.onsets) ? waveform.onsets.length : 0,
+  beatCount: Array.isArray(waveform.beats) ? waveform.beats.length : 0,
+});
+
+/**
+ * Legacy `<slug>.json.backup-2026-01-19T17-51-22-425Z` -> ISO timestamp.
+ */
+const parseLegacyBackupTimestamp = (fileName) => {
+  const match = fileName.match(/backup-(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/);
+  if (!match) return null;
+  const [, date, hh, mm, ss, ms] = match;
+  return `${date}T${hh}:${mm}:${ss}.${ms}Z`;
+};
+
+/**
+ * Stored kinds. Each knows where its live file lives, how to read and write
+ * it, how to summarize a revision and which legacy backup files to import.
+ */
+const KINDS = {
+  format: {
+    liveDir: path.join(DATA_DIR, "song-formats"),
+    read: (filePath) => parseSongFormatContent(fs.readFileSync(filePath, "utf-8")).format,
+    write: (filePath, data) => {
+      const { format, warnings } = writeSongFormatFile(filePath, data);
+      return { data: format, warnings };
+    },
+    summarize: summarizeFormat,
+    findLegacyBackups: (dir, slug) =>
+      fs
+        .readdirSync(dir)
+        .filter((file) => file.startsWith(`${slug}.json.backup-`))
+        .map((file) => ({ file, createdAt: parseLegacyBackupTimestamp(file) })),
+  },
+  waveform: {
+    liveDir: path.join(DATA_DIR, "waveform-data"),
+    read: readJson,
+    write: (filePath, data) => {
+      writeJson(filePath, data);
+      return { data, warnings: [] };
+    },
+    summarize: summarizeWaveform,
+    findLegacyBackups: (dir, slug) =>
+      fs.readdirSync(dir).filter((file) => file === `${slug}.backup.json`).map((file) => ({ file })),
+  },
+};
+
+export const REVISION_KINDS = Object.keys(KINDS);
+
+const getKind = (kind) => {
+  const config = KINDS[kind];
+  if (!config) {
+    throw new Error(`Unknown revision kind: ${kind} (expected ${REVISION_KINDS.join(" | ")})`);
+  }
+  return config;
+};
+
+const slugDir = (kind, slug) => path.join(REVISIONS_DIR, kind, slug);
+const indexPath = (kind, slug) => path.join(slugDir(kind, slug), "index.json");
+const legacyImportsPath = (kind, slug) => path.join(slugDir(kind, slug), "legacy-imports.json");
+const STORE_FILES = new Set(["index.json", "legacy-imports.json"]);
+const revisionPath = (kind, slug, id) => path.join(slugDir(kind, slug), `${id}.json`);
+
+/**
+ * Live file path for a slug.
+ */
+export const getLivePath = (kind, slug) => {
+  assertSafeName(slug, "slug");
+  return path.join(getKind(kind).liveDir, `${slug}.json`);
+};
+
+const readIndex = (kind, slug) => {
+  const file = indexPath(kind, slug);
+  if (!fs.existsSync(file)) return [];
+  try {
+    const entries = readJson(file);
+    return Array.isArray(entries) ? entries : [];
+  } catch (err) {
+    console.warn(`[revisionStore] Rebuilding unreadable index for ${kind}/${slug}: ${err.message}`);
+    return fs
+      .readdirSync(slugDir(kind, slug))
+      .filter((file) => file.endsWith(".json") && !STORE_FILES.has(file))
+      .map((file) => {
+        const meta = readJson(path.join(slugDir(kind, slug), file));
+        delete meta.data;
+        return meta;
+      })
+      .sort((a, b) => a.id.localeCompare(b.id));
+  }
+};
+
+const writeIndex = (kind, slug, entries) => writeJson(indexPath(kind, slug), entries);
+
+const storeRevision = (kind, slug, data, { reason, createdAt, entries }) => {
+  const hash = hashData(data);
+  const latest = entries[entries.length - 1];
+  if (latest?.hash === hash) return { revision: latest, created: false };
+
+  const timestamp = createdAt || new Date().toISOString();
+  const meta = {
+    id: `${timestamp.replace(/[:.]/g, "-")}-${hash.slice(0, 8)}`,
+    kind,
+    slug,
+    createdAt: timestamp,
+    reason: reason || "save",
+    hash,
+    summary: getKind(kind).summarize(data),
+  };
+  writeJson(revisionPath(kind, slug, meta.id), { ...meta, data });
+  entries.push(meta);
+  entries.sort((a, b) => a.id.localeCompare(b.id));
+  return { revision: meta, created: true };
+};
+
+const readLegacyImports = (kind, slug) => {
+  const file = legacyImportsPath(kind, slug);
+  if (!fs.existsSync(file)) return [];
+  try {
+    const imported = readJson(file);
+    return Array.isArray(imported) ? imported : [];
+  } catch (err) {
+    console.warn(`[revisionStore] Ignoring unreadable legacy import list for ${kind}/${slug}: ${err.message}`);
+    return [];
+  }
+};
+
+/**
+ * Copy legacy backup files for a slug into the store (oldest first). The
+ * files are left on disk and remembered in legacy-imports.json so they are
+ * imported once. Unreadable backups are reported and retried next time.
+ */
+const importLegacyBackups = (kind, slug, entries) => {
+  const config = getKind(kind);
+  if (!fs.existsSync(config.liveDir)) return 0;
+
+  const done = new Set(readLegacyImports(kind, slug));
+  const backups = config
+    .findLegacyBackups(config.liveDir, slug)
+    .filter((backup) => !done.has(backup.file))
+    .map((backup) => {
+      const filePath = path.join(config.liveDir, backup.file);
+      return {
+        ...backup,
+        filePath,
+        createdAt: backup.createdAt || fs.statSync(filePath).mtime.toISOString(),
+      };
+    })
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+  let imported = 0;
+  for (const backup of backups) {
+    try {
+      const data = config.read(backup.filePath);
+      storeRevision(kind, slug, data, { reason: "legacy-backup", createdAt: backup.createdAt, entries });
+      done.add(backup.file);
+      imported += 1;
+    } catch (err) {
+      console.warn(`[revisionStore] Could not import legacy backup ${backup.file}: ${err.message}`);
+    }
+  }
+  if (imported) writeJson(legacyImportsPath(kind, slug), Array.from(done).sort());
+  return imported;
+};
+
+/**
+ * Load the revision index for a slug, importing legacy backups first.
+ */
+const loadEntries = (kind, slug) => {
+  assertSafeName(slug, "slug");
+  getKind(kind);
+  const entries = readIndex(kind, slug);
+  const imported = importLegacyBackups(kind, slug, entries);
+  if (imported) {
+    writeIndex(kind, slug, entries);
+    console.log(`[revisionStore] Imported ${imported} legacy backup(s) for ${kind}/${slug}`);
+  }
+  return entries;
+};
+
+const readLive = (kind, slug) => {
+  const livePath = getLivePath(kind, slug);
+  if (!fs.existsSync(livePath)) return null;
+  return getKind(kind).read(livePath);
+};
+
+/**
+ * Record a revision of `data` for a slug.
+ *
+ * @param {"format"|"waveform"} kind
+ * @param {string} slug
+ * @param {Object} data - Full document to store
+ * @param {{ reason?: string }} [options]
+ * @returns {{ revision: Object, created: boolean }} created=false when identical to the newest revision
+ */
+export const recordRevision = (kind, slug, data, options = {}) => {
+  const entries = loadEntries(kind, slug);
+  const result = storeRevision(kind, slug, data, { reason: options.reason, entries });
+  if (result.created) writeIndex(kind, slug, entries);
+  return result;
+};
+
+/**
+ * Record the live file as a revision if it differs from the newest one
+ * (e.g. it was edited by hand or predates the store).
+ */
+export const snapshotLiveFile = (kind, slug, options = {}) => {
+  const live = readLive(kind, slug);
+  if (!live) return null;
+  return recordRevision(kind, slug, live, { reason: options.reason || "snapshot" });
+};
+
+/**
+ * Write a document to its live file and record it as a revision. The current
+ * live file is snapshotted first so nothing is lost to the overwrite.
+ *
+ * @returns {{ data: Object, warnings: string[], revision: Object }}
+ */
+export const writeWithRevision = (kind, slug, data, options = {}) => {
+  const config = getKind(kind);
+  const livePath = getLivePath(kind, slug);
+  snapshotLiveFile(kind, slug, { reason: "before-" + (options.reason || "save") });
+
+  fs.mkdirSync(config.liveDir, { recursive: true });
+  const written = config.write(livePath, data);
+  const { revision } = recordRevision(kind, slug, written.data, { reason: options.reason || "save" });
+  return { ...written, revision };
+};
+
+/**
+ * List revisions for a slug, newest first (metadata only).
+ */
+export const listRevisions = (kind, slug) => {
+  const entries = loadEntries(kind, slug);
+  const live = readLive(kind, slug);
+  const liveHash = live ? hashData(live) : null;
+  return entries
+    .map((entry) => ({ ...entry, isCurrent: entry.hash === liveHash }))
+    .reverse();
+};
+
+/**
+ * Load one revision including its data. `id` may be "current" for the live file.
+ */
+export const getRevision = (kind, slug, id) => {
+  if (id === "current") {
+    const live = readLive(kind, slug);
+    if (!live) throw new Error(`No live ${kind} for ${slug}`);
+    return {
+      id: "current",
+      kind,
+      slug,
+      createdAt: null,
+      reason: "current",
+      hash: hashData(live),
+      summary: getKind(kind).summarize(live),
+      data: live,
+    };
+  }
+  assertSafeName(id, "revision id");
+  loadEntries(kind, slug);
+  const filePath = revisionPath(kind, slug, id);
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Revision not found: ${kind}/${slug}/${id}`);
+  }
+  return readJson(filePath);
+};
+
+/**
+ * Newest revision whose content differs from the live file (the undo target).
+ */
+export const getPreviousRevision = (kind, slug) => {
+  const entries = loadEntries(kind, slug);
+  const live = readLive(kind, slug);
+  const liveHash = live ? hashData(live) : null;
+  for (let i = entries.length - 1; i >= 0; i -= 1) {
+    if (entries[i].hash !== liveHash) return entries[i];
+  }
+  return null;
+};
+
+/**
+ * Restore a revision to the live file. The restore itself is recorded, so it
+ * can be undone like any other save.
+ */
+export const restoreRevision = (kind, slug, id, options = {}) => {
+  const revision = getRevision(kind, slug, id);
+  const data = options.transform ? options.transform(revision.data) : revision.data;
+  const result = writeWithRevision(kind, slug, data, { reason: `restore:${revision.id}` });
+  return { ...result, restoredFrom: revision.id };
+};
+
+/**
+ * Match two beat grids: beats on the same frame are unchanged, nearby
+ * leftovers are moves, the rest are additions / removals.
+ *
+ * @param {number[]} before
+ * @param {number[]} after
+ * @param {{ fps?: number, moveTolerance?: number }} [options]
+ */
+export const diffBeatGrids = (before = [], after = [], options = {}) => {
+  const { fps = TARGET_FPS, moveTolerance = BEAT_MOVE_TOLERANCE_SECONDS } = options;
+  const afterByFrame = new Map();
+  after.forEach((time) => {
+    const frame = secondsToFrame(time, fps);
+    if (!afterByFrame.has(frame)) afterByFrame.set(frame, []);
+    afterByFrame.get(frame).push(time);
+  });
+
+  let unchanged = 0;
+  const removedCandidates = [];
+  before.forEach((time) => {
+    const bucket = afterByFrame.get(secondsToFrame(time, fps));
+    if (bucket?.length) {
+      bucket.pop();
+      unchanged += 1;
+    } else {
+      removedCandidates.push(time);
+    }
+  });
+  const addedCandidates = Array.from(afterByFrame.values()).flat();
+
+  // Pair leftovers closest-first within the tolerance
+  const pairs = [];
+  removedCandidates.forEach((from, i) => {
+    addedCandidates.forEach((to, j) => {
+      const delta = Math.abs(to - from);
+      if (delta <= moveTolerance) pairs.push({ i, j, delta });
+    });
+  });
+  pairs.sort((a, b) => a.delta - b.delta);
+
+  const usedBefore = new Set();
+  const usedAfter = new Set();
+  const moved = [];
+  pairs.forEach(({ i, j }) => {
+    if (usedBefore.has(i) || usedAfter.has(j)) return;
+    usedBefore.add(i);
+    usedAfter.add(j);
+    const from = removedCandidates[i];
+    const to = addedCandidates[j];
+    moved.push({ from, to, delta: Number((to - from).toFixed(3)) });
+  });
+
+  return {
+    unchanged,
+    added: addedCandidates.filter((_, j) => !usedAfter.has(j)).sort((a, b) => a - b),
+    removed: removedCandidates.filter((_, i) => !usedBefore.has(i)).sort((a, b) => a - b),
+    moved: moved.sort((a, b) => a.from - b.from),
+  };
+};
+
+const metadataTime = (entry) =>
+  getSegmentKey(entry?.segmentTime ?? entry?.beatTime ?? entry?.time);
+
+const changedFields = (before = {}, after = {}, prefix = "") => {
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const fields = [];
+  keys.forEach((key) => {
+    if (key === "segmentTime" || key === "beatTime") return;
+    const a = before?.[key];
+    const b = after?.[key];
+    if (JSON.stringify(a) === JSON.stringify(b)) return;
+    const isNested = a && b && typeof a === "object" && typeof b === "object" && !Array.isArray(a);
+    if (isNested && !prefix) fields.push(...changedFields(a, b, `${key}.`));
+    else fields.push(`${prefix}${key}`);
+  });
+  return fields;
+};
+
+/**
+ * Compare per-beat metadata, following moved beats to their new time.
+ */
+const diffBeatMetadata = (before = [], after = [], moved = []) => {
+  const movedTo = new Map(moved.map((move) => [getSegmentKey(move.from), getSegmentKey(move.to)]));
+  const afterByKey = new Map();
+  after.forEach((entry) => {
+    const key = metadataTime(entry);
+    if (key !== null) afterByKey.set(key, entry);
+  });
+  // Entries left at a moved beat's old time are compared in place
+  const beforeByKey = new Map();
+  before.forEach((entry) => {
+    const key = metadataTime(entry);
+    if (key === null) return;
+    const target = afterByKey.has(key) ? key : movedTo.get(key) ?? key;
+    beforeByKey.set(target, entry);
+  });
+
+  const added = [];
+  const removed = [];
+  const changed = [];
+  afterByKey.forEach((entry, key) => {
+    if (!beforeByKey.has(key)) {
+      added.push(key);
+      return;
+    }
+    const fields = changedFields(beforeByKey.get(key), entry);
+    if (fields.length) changed.push({ time: key, fields });
+  });
+  beforeByKey.forEach((_, key) => {
+    if (!afterByKey.has(key)) removed.push(key);
+  });
+
+  const byNumber = (a, b) => a - b;
+  return {
+    added: added.sort(byNumber),
+    removed: removed.sort(byNumber),
+    changed: changed.sort((a, b) => a.time - b.time),
+  };
+};
+
+const diffLayer = (before = {}, after = {}, fps) => {
+  const beats = diffBeatGrids(before.beatGrid || [], after.beatGrid || [], { fps });
+  return {
+    beats,
+    metadata: diffBeatMetadata(before.beatMetadata || [], after.beatMetadata || [], beats.moved),
+  };
+};
+
+// Derived or bookkeeping fields that would only echo the beat / metadata diff
+const FORMAT_DIFF_IGNORED = new Set([
+  "beatGrid",
+  "beatGridFrames",
+  "beatGridFramePairs",
+  "beatMetadata",
+  "rapidClipFrames",
+  "clipSegments",
+  "foreground",
+  "createdAt",
+  "updatedAt",
+]);
+const META_DIFF_IGNORED = new Set(["totalFrames", "totalClips", "minClipFrames", "maxClipFrames", "avgClipFrames"]);
+
+const diffFormats = (before = {}, after = {}) => {
+  const fps = after.meta?.targetFps || before.meta?.targetFps || TARGET_FPS;
+  const layer = diffLayer(before, after, fps);
+  const hasForeground = before.foreground || after.foreground;
+  const foreground = hasForeground ? diffLayer(before.foreground, after.foreground, fps) : null;
+
+  const fields = changedFields(before, after).filter((field) => {
+    const [root, sub] = field.split(".");
+    if (FORMAT_DIFF_IGNORED.has(root)) return false;
+    return !(root === "meta" && META_DIFF_IGNORED.has(sub));
+  });
+
+  const parts = [];
+  const { beats, metadata } = layer;
+  if (beats.added.length) parts.push(`${beats.added.length} beats added`);
+  if (beats.removed.length) parts.push(`${beats.removed.length} removed`);
+  if (beats.moved.length) parts.push(`${beats.moved.length} moved`);
+  const metadataChanges = metadata.added.length + metadata.removed.length + metadata.changed.length;
+  if (metadataChanges) parts.push(`${metadataChanges} metadata entries changed`);
+  if (foreground) {
+    const fgBeats = foreground.beats.added.length + foreground.beats.removed.length + foreground.beats.moved.length;
+    if (fgBeats) parts.push(`${fgBeats} foreground beat changes`);
+  }
+  if (fields.length) parts.push(`fields changed: ${fields.join(", ")}`);
+
+  return { ...layer, foreground, fields, summary: parts.join(", ") || "no changes" };
+};
+
+const diffWaveforms = (before = {}, after = {}) => {
+  const fields = changedFields(before, after).filter(
+    (field) => !["savedAt", "restoredAt"].includes(field)
+  );
+  const a = summarizeWaveform(before);
+  const b = summarizeWaveform(after);
+  const counts = Object.keys(a)
+    .filter((key) => a[key] !== b[key])
+    .map((key) => ({ field: key, before: a[key], after: b[key] }));
+  return {
+    fields,
+    counts,
+    summary: fields.length ? `fields changed: ${fields.join(", ")}` : "no changes",
+  };
+};
+
+/**
+ * Diff two revisions (either may be "current").
+ */
+export const diffRevisions = (kind, slug, fromId, toId = "current") => {
+  const from = getRevision(kind, slug, fromId);
+  const to = getRevision(kind, slug, toId);
+  const diff = kind === "format" ? diffFormats(from.data, to.data) : diffWaveforms(from.data, to.data);
+  const describe = ({ id, createdAt, reason, summary }) => ({ id, createdAt, reason, summary });
+  return { kind, slug, from: describe(from), to: describe(to), ...diff };
+};
+
+/**
+ * Delete revisions outside the retention policy. The newest `keepLast`
+ * revisions, the newest revision per day within `keepDays`, and the revision
+ * matching the live file are always kept.
+ *
+ * @param {"format"|"waveform"} kind
+ * @param {string} slug
+ * @param {{ keepLast?: number, keepDays?: number, dryRun?: boolean, now?: Date }} [policy]
+ */
+export const pruneRevisions = (kind, slug, policy = {}) => {
+  const {
+    keepLast = DEFAULT_RETENTION.keepLast,
+    keepDays = DEFAULT_RETENTION.keepDays,
+    dryRun = false,
+    now = new Date(),
+  } = policy;
+  const entries = loadEntries(kind, slug);
+  const live = readLive(kind, slug);
+  const liveHash = live ? hashData(live) : null;
+  const cutoff = now.getTime() - keepDays * 24 * 60 * 60 * 1000;
+
+  const keep = new Set();
+  const seenDays = new Set();
+  [...entries].reverse().forEach((entry, newestIndex) => {
+    const day = entry.createdAt.slice(0, 10);
+    const withinWindow = new Date(entry.createdAt).getTime() >= cutoff;
+    if (newestIndex < keepLast || entry.hash === liveHash || (withinWindow && !seenDays.has(day))) {
+      keep.add(entry.id);
+    }
+    seenDays.add(day);
+  });
+
+  const removed = entries.filter((entry) => !keep.has(entry.id));
+  if (!dryRun && removed.length) {
+    removed.forEach((entry) => {
+      const filePath = revisionPath(kind, slug, entry.id);
+      if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+    });
+    writeIndex(
+      kind,
+      slug,
+      entries.filter((entry) => keep.has(entry.id))
+    );
+  }
+
+  return {
+    kind,
+    slug,
+    dryRun,
+    policy: { keepLast, keepDays },
+    kept: entries.length - removed.length,
+    removed: removed.map((entry) => entry.id),
+  };
+};
+
+/**
+ * Slugs that have stored revisions (or legacy backups waiting to be imported).
+ */
+export const listRevisionSlugs = (kind) => {
+  const config = getKind(kind);
+  const slugs = new Set();
+  const storeDir = path.join(REVISIONS_DIR, kind);
+  if (fs.existsSync(storeDir)) {
+    fs.readdirSync(storeDir).forEach((slug) => slugs.add(slug));
+  }
+  if (fs.existsSync(config.liveDir)) {
+    fs.readdirSync(config.liveDir)
+      .filter((file) => file.endsWith(".json") && !file.includes(".backup"))
+      .forEach((file) => slugs.add(file.replace(/\.json$/, "")));
+  }
+  return Array.from(slugs).sort();
+};
+
+export default {
+  REVISION_KINDS,
+  DEFAULT_RETENTION,
+  getLivePath,
+  recordRevision,
+  snapshotLiveFile,
+  writeWithRevision,
+  listRevisions,
+  getRevision,
+  getPreviousRevision,
+  restoreRevision,
+  diffBeatGrids,
+  diffRevisions,
+  pruneRevisions,
+  listRevisionSlugs,
+};
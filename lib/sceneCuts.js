@@ -1,7 +1,8 @@
 /**
  * Scene Cuts Utility Library
  * 
- * Provides fast lookups against pre-computed scene cut data from clip-boundaries.json.
+ * Provides fast lookups against pre-computed scene cut data (clip-boundaries.json,
+ * or whichever files the content sources declare).
  * Used to validate that clip segments don't contain internal cuts, which would
  * break beat alignment in song-based edits.
  * 
@@ -13,6 +14,7 @@
 
 import fs from "fs";
 import path from "path";
+import { findSourceVideo, getVideoIds, listSceneCutPaths, listSourceVideos } from "./contentSources.js";
 
 // ============================================================================
 // VideoId to Filename Mapping
@@ -20,19 +22,18 @@ import path from "path";
 
 /**
  * Maps Twelve Labs videoIds to clip-boundaries.json filenames
- * This mapping comes from movieIndex.json
+ * Derived from the content source registry (data/content-sources)
  */
-const VIDEO_ID_TO_FILENAME = {
-  '69254495b401380ebb921f0d': 'Kill_Bill_Vol1_Part1.mp4',
-  '69254488b401380ebb921f0a': 'Kill_Bill_Vol1_Part2.mp4',
-  '69255fc7c631cdc4fe330a73': 'Kill_Bill_Vol2_Part1.mp4',
-  '69255fe49fbc66589d49dbac': 'Kill_Bill_Vol2_Part2.mp4',
-  '69255ff6c631cdc4fe330a9c': 'Kill_Bill_Vol2_Part3.mp4',
-};
+const SCENE_CUT_VIDEOS = listSourceVideos().filter((video) => video.videoId && video.filename);
+
+// Also keyed by the registry's own videoId, which pool clips carry under an env override
+const VIDEO_ID_TO_FILENAME = Object.fromEntries(
+  SCENE_CUT_VIDEOS.flatMap((video) => getVideoIds(video).map((videoId) => [videoId, video.filename]))
+);
 
-// Reverse mapping for convenience
+// Reverse mapping for convenience (to the effective videoId)
 const FILENAME_TO_VIDEO_ID = Object.fromEntries(
-  Object.entries(VIDEO_ID_TO_FILENAME).map(([k, v]) => [v, k])
+  SCENE_CUT_VIDEOS.map((video) => [video.filename, video.videoId])
 );
 
 // ============================================================================
@@ -79,18 +80,27 @@ export const loadSceneCuts = () => {
     return null;
   }
 
-  const sceneCutsPath = path.join(process.cwd(), "data", "clip-boundaries.json");
-  
+  // Each content source declares its own scene-cut file; sources may share one
+  const sceneCutsPaths = listSceneCutPaths().filter((filePath) => fs.existsSync(filePath));
+
   try {
-    if (!fs.existsSync(sceneCutsPath)) {
-      console.warn("[sceneCuts] clip-boundaries.json not found, cut detection will use FFmpeg fallback");
+    if (!sceneCutsPaths.length) {
+      console.warn("[sceneCuts] No scene cut files found, cut detection will use FFmpeg fallback");
       sceneCutsLoadError = "File not found";
       return null;
     }
-    
-    const content = fs.readFileSync(sceneCutsPath, "utf-8");
-    const data = JSON.parse(content);
-    
+
+    const files = sceneCutsPaths.map((filePath) => JSON.parse(fs.readFileSync(filePath, "utf-8")));
+    const data =
+      files.length === 1
+        ? files[0]
+        : {
+            ...files[0],
+            chunks: files.flatMap((file) => file.chunks || []),
+            totalCuts: files.reduce((sum, file) => sum + (Number(file.totalCuts) || 0), 0),
+            sources: sceneCutsPaths.map((filePath) => path.relative(process.cwd(), filePath)),
+          };
+
     // Index chunks for fast lookup.
     const chunksByFilename = {};
     const chunksByVideoId = {};
@@ -176,7 +186,7 @@ export const loadSceneCuts = () => {
     
     return sceneCutsCache;
   } catch (error) {
-    console.error("[sceneCuts] Failed to load clip-boundaries.json:", error.message);
+    console.error("[sceneCuts] Failed to load scene cut data:", error.message);
     sceneCutsLoadError = error.message;
     return null;
   }
@@ -212,6 +222,12 @@ export const getChunkData = (videoIdOrFilename) => {
   if (filename && data.chunksByFilename[filename]) {
     return data.chunksByFilename[filename];
   }
+
+  // Any other id the content source registry knows (Cloudinary ids, labels)
+  const video = findSourceVideo(videoIdOrFilename);
+  if (video) {
+    return data.chunksByVideoId[video.videoId] || data.chunksByFilename[video.filename] || null;
+  }
   
   return null;
 };
@@ -443,12 +459,15 @@ export const findCutFreeWindow = (videoId, clipStart, clipEnd, requiredDuration,
  * @param {number} clipEnd - End of available clip range
  * @param {number} requiredDuration - Required duration for each segment
  * @param {Object} options - Options
+ * @param {number} [options.buffer=0.05] - Seconds kept clear on each side of a cut
+ * @param {number[]} [options.cuts] - Cut times to use instead of the stored
+ *   scene-cut data (e.g. freshly detected cuts for footage not in any source)
  * @returns {Array<{start: number, end: number}>} Array of valid windows
  */
 export const findAllCutFreeWindows = (videoId, clipStart, clipEnd, requiredDuration, options = {}) => {
   const { buffer = 0.05 } = options;
   
-  const chunk = getChunkData(videoId);
+  const chunk = Array.isArray(options.cuts) ? { cuts: options.cuts } : getChunkData(videoId);
   
   // If no cut data, return the whole clip as one window
   if (!chunk || !chunk.cuts || chunk.cuts.length === 0) {
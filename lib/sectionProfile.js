@@ -0,0 +1,235 @@
+/**
+ * Section / Energy Profile
+ *
+ * Gives the clip planners a view of the song's shape: which section a segment
+ * falls in and how energetic that stretch is. Planners use it to pull rapid /
+ * action clips into drops and high-energy passages, and cinematic / dialogue
+ * clips into quiet passages. Duration gating still comes first; the profile
+ * only decides which of the valid candidates are preferred.
+ *
+ * Sources, in order of preference:
+ * - format.sections (saved by the format builder or returned by analyze)
+ * - sections derived from saved waveform data (data/waveform-data/<slug>.json)
+ * - the waveform energy curve alone, for per-segment energy scores
+ * With none of these the profile is inactive and planners behave as before.
+ *
+ * Saved waveform data also gives an onset curve (spectral flux), which
+ * planners match against clip motion (clipMotion.js): hard hits get busy
+ * clips, soft passages slow ones.
+ */
+
+import fs from "fs";
+import path from "path";
+import { segmentSong, computeEnergyCurve, computeOnsetCurve, energyLevel } from "./songStructure.js";
+
+const WAVEFORM_DIR = path.join(process.cwd(), "data", "waveform-data");
+
+// Fallback energy scores when only section labels are known
+const LEVEL_SCORES = { low: 0.2, medium: 0.5, high: 0.85 };
+// A segment's onset strength blends the hit it starts on (this window around
+// the cut) with the mean onset strength across the segment
+const ONSET_HIT_BEFORE_SECONDS = 0.05;
+const ONSET_HIT_AFTER_SECONDS = 0.15;
+const ONSET_HIT_WEIGHT = 0.5;
+
+const DURATION_BUCKET_SEQUENCE = [
+  "rapid",
+  "extraShort",
+  "short",
+  "medium",
+  "long",
+  "extraLong",
+  "superLong",
+  "ultraLong",
+  "cinematic",
+];
+// Intense segments prefer source clips at most this many buckets above the
+// segment's own bucket (tight, punchy clips); calm segments prefer these
+const INTENSE_BUCKET_SLACK = 1;
+const CALM_BUCKETS = new Set(["superLong", "ultraLong", "cinematic"]);
+const INTENSE_KEYWORDS = ["action", "fight", "combat", "battle", "punch", "impact", "whoosh", "sword", "gun", "kick", "chaos"];
+const CALM_KEYWORDS = ["dialogue", "cinematic", "emotional", "dramatic", "close-up", "stare", "calm"];
+
+/**
+ * Load saved waveform analysis for a song, if the format builder stored one.
+ */
+export const loadSongWaveform = (songSlug) => {
+  if (!songSlug) return null;
+  const waveformPath = path.join(WAVEFORM_DIR, `${songSlug}.json`);
+  if (!fs.existsSync(waveformPath)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(waveformPath, "utf-8"));
+  } catch (err) {
+    console.warn(`[sectionProfile] Failed to read waveform data for ${songSlug}: ${err.message}`);
+    return null;
+  }
+};
+
+const normalizeSections = (sections) =>
+  (Array.isArray(sections) ? sections : [])
+    .filter((section) => typeof section?.start === "number" && typeof section?.end === "number")
+    .filter((section) => section.end > section.start)
+    .map((section) => ({
+      name: (section.name || "").toLowerCase().trim() || null,
+      start: section.start,
+      end: section.end,
+      energy: LEVEL_SCORES[section.energy] !== undefined ? section.energy : null,
+    }))
+    .sort((a, b) => a.start - b.start);
+
+/**
+ * Build a section/energy profile for a format.
+ *
+ * @param {Object} format - Song format (uses format.sections)
+ * @param {{ waveform?: Object }} [options] - Saved waveform analysis for energy curves
+ * @returns {{ active: boolean, source: string|null, sections: Array, energyCurve: Object|null, onsetCurve: Object|null }}
+ */
+export const buildSectionProfile = (format, options = {}) => {
+  const { waveform = null } = options;
+  let sections = normalizeSections(format?.sections);
+  let source = sections.length ? "format" : null;
+
+  if (!sections.length && waveform?.bands) {
+    sections = normalizeSections(segmentSong(waveform));
+    source = sections.length ? "waveform" : null;
+  }
+
+  const energyCurve = waveform ? computeEnergyCurve(waveform) : null;
+  const onsetCurve = waveform ? computeOnsetCurve(waveform) : null;
+  if (!source && energyCurve) source = "energy-curve";
+
+  return {
+    active: Boolean(sections.length || energyCurve),
+    source,
+    sections,
+    energyCurve,
+    onsetCurve,
+  };
+};
+
+/**
+ * Convenience loader used by plan builders: format sections plus saved waveform data.
+ */
+export const loadSectionProfile = (songSlug, format) =>
+  buildSectionProfile(format, { waveform: loadSongWaveform(songSlug) });
+
+const curveMean = (curve, startSeconds, endSeconds) => {
+  if (!curve?.values?.length) return null;
+  const from = Math.max(0, Math.floor(startSeconds / curve.pointDuration));
+  const to = Math.min(curve.values.length, Math.max(from + 1, Math.ceil(endSeconds / curve.pointDuration)));
+  if (from >= to) return null;
+  let sum = 0;
+  for (let i = from; i < to; i += 1) sum += curve.values[i];
+  return sum / (to - from);
+};
+
+const curveMax = (curve, startSeconds, endSeconds) => {
+  if (!curve?.values?.length) return null;
+  const from = Math.max(0, Math.floor(startSeconds / curve.pointDuration));
+  const to = Math.min(curve.values.length, Math.max(from + 1, Math.ceil(endSeconds / curve.pointDuration)));
+  if (from >= to) return null;
+  let max = 0;
+  for (let i = from; i < to; i += 1) max = Math.max(max, curve.values[i]);
+  return max;
+};
+
+const segmentOnsetStrength = (curve, startSeconds, endSeconds) => {
+  const hit = curveMax(curve, Math.max(0, startSeconds - ONSET_HIT_BEFORE_SECONDS), startSeconds + ONSET_HIT_AFTER_SECONDS);
+  const body = curveMean(curve, startSeconds, endSeconds);
+  if (hit === null || body === null) return null;
+  return ONSET_HIT_WEIGHT * hit + (1 - ONSET_HIT_WEIGHT) * body;
+};
+
+/**
+ * Describe the song at a segment: section name, energy level, onset strength
+ * (0-1, null without waveform data) and the clip preference that follows
+ * from it ("intense", "calm" or null for no bias).
+ *
+ * @param {Object|null} profile - Result of buildSectionProfile
+ * @param {number} startSeconds
+ * @param {number} endSeconds
+ */
+export const getSegmentEnergy = (profile, startSeconds, endSeconds = startSeconds) => {
+  if (!profile?.active || typeof startSeconds !== "number") return null;
+  const midpoint = (startSeconds + Math.max(startSeconds, endSeconds)) / 2;
+  const section =
+    profile.sections.find((entry) => midpoint >= entry.start && midpoint < entry.end) || null;
+
+  const curveScore = curveMean(profile.energyCurve, startSeconds, Math.max(startSeconds, endSeconds));
+  const energyScore =
+    curveScore !== null ? curveScore : section?.energy ? LEVEL_SCORES[section.energy] : null;
+  const energy = section?.energy || (energyScore !== null ? energyLevel(energyScore) : null);
+
+  const onsetStrength = segmentOnsetStrength(profile.onsetCurve, startSeconds, Math.max(startSeconds, endSeconds));
+
+  let preference = null;
+  if (section?.name === "drop" || energy === "high") preference = "intense";
+  else if (energy === "low") preference = "calm";
+
+  return {
+    section: section?.name || null,
+    energy,
+    energyScore: energyScore !== null ? Number(energyScore.toFixed(3)) : null,
+    onsetStrength: onsetStrength !== null ? Number(onsetStrength.toFixed(3)) : null,
+    preference,
+  };
+};
+
+/**
+ * Whether a pool clip suits an energy preference, judged by duration bucket,
+ * scene type, tags and (for search-built pools) the query that found it.
+ *
+ * @param {Object} clip - Pool clip
+ * @param {"intense"|"calm"|null} preference
+ * @param {{ bucket?: string, requiredBucket?: string }} [options] - Clip bucket and the segment's own bucket
+ */
+export const clipMatchesEnergy = (clip, preference, options = {}) => {
+  if (!clip || !preference) return false;
+  const { bucket = clip.durationBucket, requiredBucket = "rapid" } = options;
+  const bucketIdx = DURATION_BUCKET_SEQUENCE.indexOf(bucket);
+  if (preference === "intense") {
+    const maxIdx = Math.max(
+      DURATION_BUCKET_SEQUENCE.indexOf(requiredBucket) + INTENSE_BUCKET_SLACK,
+      DURATION_BUCKET_SEQUENCE.indexOf("short")
+    );
+    if (bucketIdx >= 0 && bucketIdx <= maxIdx) return true;
+  } else if (CALM_BUCKETS.has(bucket)) {
+    return true;
+  }
+
+  const keywords = preference === "intense" ? INTENSE_KEYWORDS : CALM_KEYWORDS;
+  const text = [clip.sceneType, clip.sourceQuery, clip.query, ...(clip.tags || [])]
+    .filter(Boolean)
+    .join(" ")
+    .toLowerCase();
+  return keywords.some((keyword) => text.includes(keyword));
+};
+
+/**
+ * Narrow a candidate list to the clips that suit the segment's energy.
+ * Falls back to the full list when nothing matches so selection never fails
+ * because of the profile.
+ *
+ * @param {number[]} candidates - Pool indices that already passed duration/intent gating
+ * @param {Object[]} clips - Pool clips indexed by candidate
+ * @param {Object|null} segmentEnergy - Result of getSegmentEnergy
+ * @param {{ getBucket?: (idx: number) => string, requiredBucket?: string }} [options]
+ */
+export const preferEnergyCandidates = (candidates, clips, segmentEnergy, options = {}) => {
+  const { getBucket = (idx) => clips[idx]?.durationBucket, requiredBucket } = options;
+  const preference = segmentEnergy?.preference;
+  if (!preference || !candidates?.length) return candidates;
+  const preferred = candidates.filter((idx) =>
+    clipMatchesEnergy(clips[idx], preference, { bucket: getBucket(idx), requiredBucket })
+  );
+  return preferred.length ? preferred : candidates;
+};
+
+export default {
+  loadSongWaveform,
+  buildSectionProfile,
+  loadSectionProfile,
+  getSegmentEnergy,
+  clipMatchesEnergy,
+  preferEnergyCandidates,
+};
@@ -2,6 +2,7 @@ import fs from "node:fs";
 import fsp from "node:fs/promises";
 import path from "node:path";
 import crypto from "node:crypto";
+import { getNearDuplicateKey } from "./nearDuplicateClips";
 
 export const SLOTS_ROOT = path.join(process.cwd(), "data", "instant-editor");
 export const DURATION_EPSILON = 1e-3;
@@ -17,6 +18,8 @@ export type SlotCandidate = {
   intents?: string[] | null;
   bucket?: string | null;
   seed?: number;
+  poolClipId?: string | null;
+  nearDuplicateGroup?: string | null;
 };
 
 export type SlotSegment = {
@@ -122,6 +125,13 @@ export const buildCoverage = (segments: SlotSegment[]): Record<string, DurationC
   return coverage;
 };
 
+/**
+ * Identity for no-reuse / spacing: candidates from one near-duplicate group
+ * count as the same clip (getNearDuplicateKey on the pool clip they came from).
+ */
+export const candidateGroupKey = (cand: SlotCandidate): string =>
+  getNearDuplicateKey({ ...cand, id: cand.poolClipId || null }) as string;
+
 export const dedupeCandidates = (candidates: SlotCandidate[]) => {
   const seen = new Set<string>();
   const deduped: SlotCandidate[] = [];
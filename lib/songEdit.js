@@ -27,42 +27,14 @@ import {
   findAllCutFreeWindows,
   hasSceneCutsData,
 } from "./sceneCuts.js";
+import { getSegmentEnergy, loadSectionProfile, preferEnergyCandidates } from "./sectionProfile.js";
+import { LIKED_CLIP_WEIGHT, clipOverlapsDisliked, getClipRatingIndex } from "./movieAnnotation.js";
+import { pickWeighted } from "./clipUsageLedger.js";
+import { getMotionMatchWeight, getSegmentMotionTarget, hasClipMotion, orderByMotionMatch } from "./clipMotion.js";
 import { STATIC_SONG_FORMATS, getStaticFormatBySlug } from "../data/songFormatsStatic.js";
-
-/**
- * Some song-format exports accidentally wrote two JSON objects back-to-back,
- * which makes JSON.parse fail and causes us to fall back to the static formats
- * (and the default LoveMe audio). This helper attempts to recover by splitting
- * the file into two top-level objects and merging them, preserving the slug
- * while letting the richer second object override placeholder values.
- */
-const recoverMultiObjectFormat = (content, slug) => {
-  if (!content) return null;
-
-  // Look for a top-level boundary like "}\n{" without a separating comma.
-  const separatorMatch = content.match(/}\s*\n\s*{/);
-  if (!separatorMatch) return null;
-
-  const separator = separatorMatch[0];
-  const splitIndex = content.indexOf(separator);
-  if (splitIndex === -1) return null;
-
-  const firstPart = content.slice(0, splitIndex + 1);
-  const secondPart = content.slice(splitIndex + separator.length - 1);
-
-  try {
-    const firstObj = JSON.parse(firstPart);
-    const secondObj = JSON.parse(secondPart.trim());
-    const merged = { ...firstObj, ...secondObj };
-    if (!merged.slug && slug) merged.slug = slug;
-    return merged;
-  } catch (parseErr) {
-    console.warn(
-      `[loadSongFormat] Multi-object recovery failed for ${slug}: ${parseErr?.message}`,
-    );
-    return null;
-  }
-};
+import { readSongFormatFile } from "./songFormatSchema.js";
+import { getVideoIds, listSourceVideos } from "./contentSources.js";
+import { candidateFilters, createPlanner, reusePolicies, trimPolicies } from "./planner/index.js";
 
 /**
  * Song Edit Library
@@ -112,28 +84,38 @@ const summarizeFormat = (slug, format) => {
 
 /**
  * Load a song format from disk, falling back to static bundled definitions.
+ * Disk formats are migrated to the current schema version and validated; an
+ * invalid file falls back to the static definition when one exists.
  */
 export const loadSongFormat = (slug) => {
   const formatPath = path.join(process.cwd(), "data", "song-formats", `${slug}.json`);
+  let invalidReason = null;
 
   if (fs.existsSync(formatPath)) {
-    let content = null;
     try {
-      content = fs.readFileSync(formatPath, "utf-8");
-      return JSON.parse(content);
-    } catch (err) {
-      console.warn(`[loadSongFormat] Failed to parse ${slug} from disk, using static fallback: ${err?.message}`);
-      const recovered = recoverMultiObjectFormat(content, slug);
-      if (recovered) {
-        console.warn(`[loadSongFormat] Recovered ${slug} by merging multi-object format file`);
-        return recovered;
+      const { format, changes, errors } = readSongFormatFile(formatPath);
+      if (!errors.length) {
+        if (changes.length) {
+          console.warn(
+            `[loadSongFormat] ${slug} is stored in a legacy shape (${changes.join("; ")}); run scripts/repair-song-formats.mjs`
+          );
+        }
+        if (!format.slug) format.slug = slug;
+        return format;
       }
+      invalidReason = errors.join("; ");
+    } catch (err) {
+      invalidReason = err?.message;
     }
+    console.warn(`[loadSongFormat] Failed to load ${slug} from disk, using static fallback: ${invalidReason}`);
   }
 
   const fallback = getStaticFormatBySlug(slug);
   if (fallback) return fallback;
 
+  if (invalidReason) {
+    throw new Error(`Song format ${slug} is invalid: ${invalidReason}`);
+  }
   throw new Error(`Song format not found: ${slug}`);
 };
 
@@ -279,6 +261,8 @@ const searchForClipQuick = async ({ query, candidates, usedClips = new Set() })
       
       if (usedClips.has(clipKey)) continue;
       if (isBannedClip(videoId, start)) continue;
+      // Skip ranges thumbed down in the editor
+      if (clipOverlapsDisliked(videoId, start, clip.end || start + 5)) continue;
 
       return {
         indexId: process.env.TWELVELABS_INDEX_ID,
@@ -373,6 +357,8 @@ const searchForClipDetailed = async ({ query, candidates, usedClips = new Set()
       
       if (usedClips.has(clipKey)) continue;
       if (isBannedClip(videoId, start)) continue;
+      // Skip ranges thumbed down in the editor
+      if (clipOverlapsDisliked(videoId, start, clip.end || start + 5)) continue;
 
       return {
         indexId: process.env.TWELVELABS_INDEX_ID,
@@ -560,6 +546,7 @@ const buildClipPool = async ({
       if (usedClips.has(clipKey)) continue;
       
       const clipEnd = Math.min(chunk.end_offset ?? clipStart + 10, clipStart + 10);
+      if (clipOverlapsDisliked(chunk.videoId, clipStart, clipEnd)) continue;
 
       // Calculate cut-free info for fallback clips too
       let cutFreeWindows = [];
@@ -620,6 +607,7 @@ const assignClipsWithReuse = ({
   fps = TARGET_FPS,
   enforceUnique = false, // Quick mode sets true; others remain unchanged
   diversify = true, // Quick mode diversifies search zones
+  sectionProfile = null, // Song sections/energy; biases candidate order toward the song's shape
 }) => {
   const segments = [];
   const recentlyUsed = []; // Track recent clip pool indices
@@ -642,6 +630,9 @@ const assignClipsWithReuse = ({
     return arr;
   };
   
+  // Pools with clip motion (clipMotion.js) get it matched against onset strength
+  const hasMotion = clipPool.some(hasClipMotion);
+
   // Load scene cuts data once for all lookups
   const hasPrecomputedCuts = hasSceneCutsData();
   if (hasPrecomputedCuts) {
@@ -715,6 +706,33 @@ const assignClipsWithReuse = ({
     // Shuffle candidates per request for true random ordering
     const shuffledCandidates = shuffleInPlace([...candidateIndices]);
 
+    // Clips that suit the section energy are tried first; the rest stay as fallback
+    const segmentEnergy = getSegmentEnergy(sectionProfile, ts.time, ts.time + ts.duration);
+    // Within each group, clips whose motion matches the hit tend to come first
+    const motionTarget = hasMotion ? getSegmentMotionTarget(segmentEnergy) : null;
+    if (motionTarget !== null) {
+      shuffledCandidates.splice(
+        0,
+        shuffledCandidates.length,
+        ...orderByMotionMatch(shuffledCandidates, clipPool, motionTarget, rng)
+      );
+    }
+    if (segmentEnergy?.preference) {
+      const preferred = preferEnergyCandidates(shuffledCandidates, clipPool, segmentEnergy, {
+        getBucket: (idx) => getDurationBucket(clipPool[idx].end - clipPool[idx].start),
+        requiredBucket: getDurationBucket(neededDuration),
+      });
+      if (preferred !== shuffledCandidates) {
+        const preferredSet = new Set(preferred);
+        shuffledCandidates.splice(
+          0,
+          shuffledCandidates.length,
+          ...preferred,
+          ...shuffledCandidates.filter((idx) => !preferredSet.has(idx))
+        );
+      }
+    }
+
     // Pass order: strict (unused asset) -> relaxed (used, non-overlap) -> fallback (overlap)
     const passOrder = enforceUnique ? ["strict", "relaxed", "fallback"] : ["fallback"];
     for (const pass of passOrder) {
@@ -857,6 +875,7 @@ const assignClipsWithReuse = ({
         thumbnail: sourceClip.thumbnail,
       },
       sourcePoolIndex: selectedIdx,
+      energyProfile: segmentEnergy || undefined,
       isReused: recentlyUsed.includes(selectedIdx),
       cutFreeVerified: cutCheckPassed && hasPrecomputedCuts,
       forcedReuse,
@@ -911,119 +930,100 @@ const loadQuickPoolClips = () => {
     .filter((c) => c.videoId && c.duration > 0);
 };
 
+const shuffleWithRng = (arr, rng) => {
+  for (let i = arr.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [arr[i], arr[j]] = [arr[j], arr[i]];
+  }
+  return arr;
+};
+
+/**
+ * Quick V2: every segment gets a clip from a different source video,
+ * longest segments first, clips tried in seeded-shuffle pool order and
+ * played from their start.
+ */
 const assignClipsQuickV2 = ({ frameSegments, fps, seed = Date.now(), poolClips: poolClipsArg = null }) => {
   const rng = createSeededRng(seed >>> 0);
-  const shuffleInPlace = (arr) => {
-    for (let i = arr.length - 1; i > 0; i--) {
-      const j = Math.floor(rng() * (i + 1));
-      [arr[i], arr[j]] = [arr[j], arr[i]];
-    }
-    return arr;
-  };
-
-  const requirements = frameSegments.map((seg) => {
-    const targetFrames = seg.frameCount || Math.max(1, Math.round((seg.durationSeconds || 0.1) * fps));
-    const targetSeconds = frameToSeconds(targetFrames, fps);
-    return {
-      index: seg.index,
-      targetFrames,
-      targetSeconds,
-      type: seg.type,
-    };
-  });
-
-  const poolClips = shuffleInPlace(
-    poolClipsArg && poolClipsArg.length ? [...poolClipsArg] : loadQuickPoolClips()
+  const poolClips = shuffleWithRng(
+    poolClipsArg && poolClipsArg.length ? [...poolClipsArg] : loadQuickPoolClips(),
+    rng
   );
   if (!poolClips.length) {
     throw new Error("[quick-v2] Clip pool is empty");
   }
-  if (poolClips.length < requirements.length) {
+  if (poolClips.length < frameSegments.length) {
     throw new Error(
-      `[quick-v2] Insufficient unique clips: have ${poolClips.length}, need ${requirements.length}`
+      `[quick-v2] Insufficient unique clips: have ${poolClips.length}, need ${frameSegments.length}`
     );
   }
 
-  // Sort requirements by descending duration to reduce failure chance
-  const sortedReqs = [...requirements].sort((a, b) => b.targetFrames - a.targetFrames);
-  const selection = new Map(); // segIdx -> clip
-  const usedVideoIds = new Set();
-
-  sortedReqs.forEach((req) => {
-    const neededSeconds = req.targetSeconds;
-    const candidate = poolClips.find((clip) => {
-      if (selection.has(req.index)) return false;
-      if (clip.duration + 1e-3 < neededSeconds) return false;
-      if (!clip.videoId) return false;
-      if (usedVideoIds.has(clip.videoId)) return false; // enforce uniqueness
-      return true;
-    });
-    if (!candidate) {
-      throw new Error(
-        `[quick-v2] Unable to assign unique clip for segment ${req.index}; insufficient candidates (need ${neededSeconds.toFixed(
-          3
-        )}s)`
-      );
-    }
-    selection.set(req.index, candidate);
-    usedVideoIds.add(candidate.videoId);
+  const planner = createPlanner({
+    name: "quickV2",
+    preparePool: (pool) => pool,
+    bucketGating: "pool",
+    candidateFilters: [candidateFilters.durationFit],
+    reusePolicy: reusePolicies.uniqueSource,
+    trimPolicy: trimPolicies.clipStart,
+    selection: "inOrder",
+    segmentOrder: "longestFirst",
   });
-
-  // Build segments in original order
   const segments = frameSegments.map((seg) => {
-    const req = requirements.find((r) => r.index === seg.index);
-    const clip = selection.get(seg.index);
-    if (!clip) {
-      throw new Error(`[quick-v2] Missing assignment for segment ${seg.index}`);
-    }
-    const availableSeconds = clip.duration;
-    if (availableSeconds + 1e-6 < req.targetSeconds) {
-      throw new Error(
-        `[quick-v2] Assigned clip too short for segment ${seg.index}: ${availableSeconds.toFixed(
-          3
-        )}s < ${req.targetSeconds.toFixed(3)}s`
-      );
-    }
-    const start = clip.start;
-    const end = start + req.targetSeconds;
-    if (end - start > availableSeconds + 1e-6) {
-      throw new Error(
-        `[quick-v2] Computed window exceeds clip for segment ${seg.index}: ${end - start}s > ${availableSeconds}s`
-      );
-    }
+    const targetFrames = seg.frameCount || Math.max(1, Math.round((seg.durationSeconds || 0.1) * fps));
     return {
       index: seg.index,
-      songTime: seg.startSeconds,
-      duration: req.targetSeconds,
-      frameCount: req.targetFrames,
-      minSourceDuration: req.targetSeconds + 0.2,
       type: seg.type,
-      asset: {
-        clipId: clip.id,
-        videoId: clip.videoId,
-        cloudinaryId: clip.cloudinaryId,
-        start,
-        end,
-        thumbnail: clip.source?.thumbnail || null,
-      },
-      sourcePoolIndex: null,
-      isReused: false,
-      cutFreeVerified: false,
-      forcedReuse: false,
-      phaseUsed: "quick-v2",
-      targetFrames: req.targetFrames,
+      startSeconds: seg.startSeconds,
+      durationSeconds: frameToSeconds(targetFrames, fps),
+      frameCount: targetFrames,
     };
   });
+  try {
+    planner.assignClips({
+      segments,
+      pool: { clips: poolClips },
+      options: { fps, random: rng, durationTolerance: 1e-3, useLocalPaths: false },
+    });
+  } catch (error) {
+    throw new Error(`[quick-v2] ${error.message}`);
+  }
 
-  // Validation: uniqueness already enforced; check totals
-  const sumFrames = segments.reduce((s, seg) => s + (seg.frameCount || 0), 0);
+  const { totalFrames } = planner.trimSegments({ segments, fps });
   const expectedFrames = frameSegments.reduce((s, seg) => s + (seg.frameCount || 0), 0);
-  if (sumFrames !== expectedFrames) {
+  if (totalFrames !== expectedFrames) {
     throw new Error(
-      `[quick-v2] Frame sum mismatch: segments ${sumFrames} vs timeline ${expectedFrames}`
+      `[quick-v2] Frame sum mismatch: segments ${totalFrames} vs timeline ${expectedFrames}`
     );
   }
-  return { segments, seedUsed: seed, poolCount: poolClips.length };
+  return {
+    segments: segments.map((segment) => {
+      const clip = poolClips[segment.asset.sourcePoolIndex];
+      return {
+        index: segment.index,
+        songTime: segment.startSeconds,
+        duration: segment.durationSeconds,
+        frameCount: segment.frameCount,
+        minSourceDuration: segment.durationSeconds + 0.2,
+        type: segment.type,
+        asset: {
+          clipId: clip.id,
+          videoId: clip.videoId,
+          cloudinaryId: clip.cloudinaryId,
+          start: segment.asset.start,
+          end: segment.asset.end,
+          thumbnail: clip.source?.thumbnail || null,
+        },
+        sourcePoolIndex: null,
+        isReused: false,
+        cutFreeVerified: false,
+        forcedReuse: false,
+        phaseUsed: "quick-v2",
+        targetFrames: segment.frameCount,
+      };
+    }),
+    seedUsed: seed,
+    poolCount: poolClips.length,
+  };
 };
 
 /**
@@ -1040,158 +1040,71 @@ const assignClipsQuickDeterministic = ({
   allowOverlap = false,
   seed = 1,
 }) => {
-  const rng = createSeededRng(seed >>> 0);
-  const shuffleInPlace = (arr) => {
-    for (let i = arr.length - 1; i > 0; i--) {
-      const j = Math.floor(rng() * (i + 1));
-      [arr[i], arr[j]] = [arr[j], arr[i]];
-    }
-    return arr;
-  };
-
-  const ledger = new Map(); // assetId -> ranges [{startFrame,endFrame}]
-  const useCount = new Map(); // assetId -> integer
-
-  const durationFrames = (clip) =>
-    Math.max(1, Math.round((clip.end - clip.start) * fps));
-
-  const pickWindow = (clip, neededFrames) => {
-    const neededDuration = neededFrames / fps;
-    const clipDur = clip.end - clip.start;
-    if (clipDur < neededDuration) return null;
-    const slack = Math.max(0, clipDur - neededDuration);
-    const offset = slack * rng();
-    const start = clip.start + offset;
-    const end = start + neededDuration;
-    return { start, end };
-  };
-
-  const overlaps = (assetId, start, end) => {
-    if (!ledger.has(assetId)) return false;
-    const startFrame = Math.round(start * fps);
-    const endFrame = Math.round(end * fps);
-    return ledger.get(assetId).some(
-      (r) => !(endFrame <= r.startFrame || startFrame >= r.endFrame)
-    );
-  };
-
-  const addRange = (assetId, start, end) => {
-    const startFrame = Math.round(start * fps);
-    const endFrame = Math.round(end * fps);
-    if (!ledger.has(assetId)) ledger.set(assetId, []);
-    ledger.get(assetId).push({ startFrame, endFrame });
-    useCount.set(assetId, (useCount.get(assetId) || 0) + 1);
-  };
-
-  const assignments = new Array(timestamps.length).fill(null);
-
-  const requirementList = timestamps.map((ts, idx) => {
-    const targetFrames =
-      ts.frameCount ||
-      Math.max(1, Math.round((ts.duration || 0.1) * fps));
-    const minSourceDuration =
-      ts.minSourceDuration || ts.duration + 0.1 || targetFrames / fps;
+  const planner = createPlanner({
+    name: "quickDeterministic",
+    preparePool: (pool) => pool,
+    bucketGating: "pool",
+    candidateFilters: [candidateFilters.durationFit, candidateFilters.frameRounding],
+    reusePolicy: reusePolicies.assetLedger,
+    trimPolicy: trimPolicies.randomWindow,
+    selection: "shuffled",
+  });
+  // Each segment needs a source window of its frames or its minSourceDuration, whichever is longer
+  const segments = timestamps.map((ts, idx) => {
+    const targetFrames = ts.frameCount || Math.max(1, Math.round((ts.duration || 0.1) * fps));
+    const minSourceDuration = ts.minSourceDuration || ts.duration + 0.1 || targetFrames / fps;
+    const requiredFrames = Math.max(targetFrames, Math.round(minSourceDuration * fps));
     return {
-      idx,
-      targetFrames,
-      minSourceDuration,
+      index: idx,
       type: ts.type,
+      startSeconds: ts.time,
+      durationSeconds: requiredFrames / fps,
+      frameCount: targetFrames,
     };
   });
 
-  // Greedy deterministic assignment with backtracking-lite: one retry per segment after reshuffle.
-  for (const req of requirementList) {
-    const ts = timestamps[req.idx];
-    const requiredFrames = Math.max(
-      req.targetFrames,
-      Math.round(req.minSourceDuration * fps)
-    );
-    const candidates = clipPool.filter(
-      (c) => durationFrames(c) >= requiredFrames
-    );
-    if (!candidates.length) {
-      throw new Error(
-        `[quick-mode] No clips long enough for segment ${req.idx} (${requiredFrames}f required)`
-      );
-    }
-
-    // Deterministic shuffle of candidates
-    shuffleInPlace(candidates);
-
-    let placed = false;
-    for (const clip of candidates) {
-      const assetId = clip.videoId || clip.cloudinaryId || clip.id;
-      if (!assetId) continue;
-
-      // Reuse gating: default off
-      if (!reuseClips && useCount.has(assetId)) continue;
-
-      const window = pickWindow(clip, requiredFrames);
-      if (!window) continue;
-      const { start, end } = window;
-
-      // Overlap gating
-      const hasOverlap = overlaps(assetId, start, end);
-      if (hasOverlap && !allowOverlap) continue;
-
-      // Ensure window fits
-      const clipFrames = Math.round((end - start) * fps);
-      if (clipFrames < requiredFrames) continue;
-
-      assignments[req.idx] = {
-        clip,
-        start,
-        end,
-        forcedReuse: hasOverlap,
-        assetId,
-      };
-      addRange(assetId, start, end);
-      placed = true;
-      break;
-    }
-
-    if (!placed) {
-      throw new Error(
-        `[quick-mode] Unable to assign clip for segment ${req.idx}; candidates tried=${candidates.length}`
-      );
-    }
+  let result;
+  try {
+    result = planner.assignClips({
+      segments,
+      pool: { clips: clipPool },
+      options: { fps, random: createSeededRng(seed >>> 0), reuseClips, allowOverlap, useLocalPaths: false },
+    });
+  } catch (error) {
+    throw new Error(`[quick-mode] ${error.message}`);
   }
+  const { ledger, useCount, assetIdOf } = result.reuseState;
 
-  const segments = assignments.map((assign, i) => {
-    if (!assign) {
-      throw new Error(`[quick-mode] Unassigned segment ${i}`);
-    }
-    const ts = timestamps[i];
-    const targetFrames =
-      ts.frameCount ||
-      Math.max(1, Math.round((ts.duration || 0.1) * fps));
-    const sourceClip = assign.clip;
-    const assetKey = assign.assetId || sourceClip.videoId || sourceClip.cloudinaryId || sourceClip.id;
-    return {
-      index: i,
-      songTime: ts.time,
-      duration: ts.duration,
-      frameCount: targetFrames,
-      minSourceDuration: ts.minSourceDuration || ts.duration + 0.1,
-      type: ts.type,
-      asset: {
-        indexId: sourceClip.indexId,
-        videoId: sourceClip.videoId,
-        start: assign.start,
-        end: assign.end,
-        confidence: sourceClip.confidence,
-        thumbnail: sourceClip.thumbnail,
-      },
-      sourcePoolIndex: sourceClip.poolIndex ?? null,
-      isReused: (useCount.get(assetKey) || 0) > 1,
-      cutFreeVerified: false,
-      forcedReuse: assign.forcedReuse,
-      phaseUsed: "deterministic",
-      targetFrames,
-    };
-  });
-
-  return { segments, assetLedger: ledger, seedUsed: seed };
+  return {
+    segments: segments.map((segment, i) => {
+      const ts = timestamps[i];
+      const sourceClip = clipPool[segment.asset.sourcePoolIndex];
+      return {
+        index: i,
+        songTime: ts.time,
+        duration: ts.duration,
+        frameCount: segment.frameCount,
+        minSourceDuration: ts.minSourceDuration || ts.duration + 0.1,
+        type: ts.type,
+        asset: {
+          indexId: sourceClip.indexId,
+          videoId: sourceClip.videoId,
+          start: segment.asset.start,
+          end: segment.asset.end,
+          confidence: sourceClip.confidence,
+          thumbnail: sourceClip.thumbnail,
+        },
+        sourcePoolIndex: sourceClip.poolIndex ?? null,
+        isReused: (useCount.get(assetIdOf(segment.asset.sourcePoolIndex)) || 0) > 1,
+        cutFreeVerified: false,
+        forcedReuse: Boolean(segment.forcedReuse),
+        phaseUsed: "deterministic",
+        targetFrames: segment.frameCount,
+      };
+    }),
+    assetLedger: ledger,
+    seedUsed: seed,
+  };
 };
 
 /**
@@ -1383,7 +1296,14 @@ export const createSongEditPlan = async ({
     });
     console.log(`[createSongEditPlan] Built clip pool with ${clipPool.length} clips using ${searchMode} mode`);
     const enforceUnique = false;
-    segments = assignClipsWithReuse({ timestamps, clipPool, minSpacing, fps, enforceUnique });
+    segments = assignClipsWithReuse({
+      timestamps,
+      clipPool,
+      minSpacing,
+      fps,
+      enforceUnique,
+      sectionProfile: loadSectionProfile(songSlug, format),
+    });
   } else {
     // Find unique clips for each timestamp (slower, may not have enough variety)
     segments = await assignClipsUnique({ timestamps, movieIndex });
@@ -1639,41 +1559,22 @@ export const getReplacementClip = ({
 // For lightning-fast song edit generation using pre-baked clips
 // ============================================================================
 
-// VideoId to Cloudinary public_id mapping.
+// VideoId to Cloudinary public_id mapping, derived from the content source
+// registry (data/content-sources).
 //
 // Canonical (post-migration) IDs point at the stored 30fps CFR assets.
 // Legacy IDs remain supported in reverse mapping for back-compat with older data.
-export const VIDEO_ID_TO_CLOUDINARY_LEGACY = {
-  '69254495b401380ebb921f0d': 'Kill_Bill_Vol1_Part1',
-  '69254488b401380ebb921f0a': 'Kill_Bill_Vol1_Part2',
-  '69255fc7c631cdc4fe330a73': 'Kill_Bill_Vol2_Part1',
-  '69255fe49fbc66589d49dbac': 'Kill_Bill_Vol2_Part2',
-  '69255ff6c631cdc4fe330a9c': 'Kill_Bill_Vol2_Part3',
-};
+const SOURCE_VIDEOS = listSourceVideos().filter((video) => video.videoId && video.cloudinary?.default);
 
-const CANONICAL_SUFFIX = "_30FPS";
-const CUTOUT_SUFFIX = "_CUTOUT";
-const stripExtension = (value) => (value ? value.replace(/\.mp4$/i, "") : value);
-const normalizeCanonicalId = (legacyId) => {
-  if (!legacyId) return legacyId;
-  const trimmed = stripExtension(legacyId);
-  const lower = trimmed.toLowerCase();
-  const hasCutout = lower.endsWith(CUTOUT_SUFFIX.toLowerCase());
-  const base = hasCutout ? trimmed.slice(0, -CUTOUT_SUFFIX.length) : trimmed;
-  let canonical = base;
-  if (canonical.toLowerCase().endsWith("_30fps")) {
-    canonical = canonical.replace(/_30fps$/i, CANONICAL_SUFFIX);
-  } else if (!canonical.toUpperCase().endsWith(CANONICAL_SUFFIX)) {
-    canonical = `${canonical}${CANONICAL_SUFFIX}`;
-  }
-  return hasCutout ? `${canonical}${CUTOUT_SUFFIX}` : canonical;
-};
+export const VIDEO_ID_TO_CLOUDINARY_LEGACY = Object.fromEntries(
+  SOURCE_VIDEOS.filter((video) => video.cloudinary.legacy).flatMap((video) =>
+    getVideoIds(video).map((videoId) => [videoId, video.cloudinary.legacy])
+  )
+);
 
+// Keyed by the registry's own videoId too, so pool clips resolve under an env override
 export const VIDEO_ID_TO_CLOUDINARY = Object.fromEntries(
-  Object.entries(VIDEO_ID_TO_CLOUDINARY_LEGACY).map(([videoId, legacyId]) => [
-    videoId,
-    normalizeCanonicalId(legacyId),
-  ])
+  SOURCE_VIDEOS.flatMap((video) => getVideoIds(video).map((videoId) => [videoId, video.cloudinary.default]))
 );
 
 export const CLOUDINARY_VARIANTS = {
@@ -1682,36 +1583,25 @@ export const CLOUDINARY_VARIANTS = {
 };
 
 export const VIDEO_ID_TO_CLOUDINARY_VARIANTS = Object.fromEntries(
-  Object.entries(VIDEO_ID_TO_CLOUDINARY).map(([videoId, canonicalId]) => [
-    videoId,
-    {
-      [CLOUDINARY_VARIANTS.default]: canonicalId,
-      [CLOUDINARY_VARIANTS.cutout]: normalizeCanonicalId(`${canonicalId}${CUTOUT_SUFFIX}`),
-    },
-  ])
+  SOURCE_VIDEOS.flatMap((video) => {
+    const variants = Object.fromEntries(
+      Object.entries(video.cloudinary).filter(([variant, cloudinaryId]) => variant !== "legacy" && cloudinaryId)
+    );
+    return getVideoIds(video).map((videoId) => [videoId, variants]);
+  })
 );
 
+// Every declared id (variants and legacy) resolves back to its videoId
 export const CLOUDINARY_TO_VIDEO_ID = Object.fromEntries(
-  [
-    // Canonical mappings for all known variants
-    ...Object.entries(VIDEO_ID_TO_CLOUDINARY_VARIANTS).flatMap(([videoId, variants]) =>
-      Object.values(variants).map((cloudinaryId) => [cloudinaryId, videoId])
-    ),
-    // Legacy ids (pre-30fps) plus their cutout forms
-    ...Object.entries(VIDEO_ID_TO_CLOUDINARY_LEGACY).flatMap(([videoId, legacyId]) => {
-      const base = stripExtension(legacyId);
-      const canonical = normalizeCanonicalId(base);
-      return [
-        [base, videoId],
-        [canonical, videoId],
-        [normalizeCanonicalId(`${base}${CUTOUT_SUFFIX}`), videoId],
-      ];
-    }),
-  ]
+  SOURCE_VIDEOS.flatMap((video) =>
+    Object.values(video.cloudinary)
+      .filter(Boolean)
+      .map((cloudinaryId) => [cloudinaryId, video.videoId])
+  )
 );
 
 // Duration buckets for clip matching (seconds)
-const DURATION_BUCKETS = {
+export const DURATION_BUCKETS = {
   rapid: { min: 0.033, max: 0.3 },
   extraShort: { min: 0.3, max: 0.5 },
   short: { min: 0.5, max: 0.8 },
@@ -1913,8 +1803,20 @@ export const createInstantSongEditPlan = ({ songSlug }) => {
       .filter(({ duration }) => duration >= requiredDuration)
       .map(({ idx }) => idx);
   };
-  const pickRandomIndex = (indices) => {
+  // Editor thumbs up/down: liked clips are picked more often, disliked ones
+  // only when nothing else is long enough
+  const ratings = getClipRatingIndex(pool.clips);
+  // Clip motion (clipMotion.js) is matched against the segment's onset strength
+  const sectionProfile = pool.clips.some(hasClipMotion) ? loadSectionProfile(songSlug, format) : null;
+  const pickRandomIndex = (indices, motionTarget = null) => {
     if (!indices?.length) return null;
+    if (ratings.liked.size || motionTarget !== null) {
+      return pickWeighted(
+        indices,
+        (idx) =>
+          (ratings.liked.has(idx) ? LIKED_CLIP_WEIGHT : 1) * getMotionMatchWeight(pool.clips[idx], motionTarget)
+      );
+    }
     const rand = Math.floor(Math.random() * indices.length);
     return indices[rand];
   };
@@ -1956,8 +1858,15 @@ export const createInstantSongEditPlan = ({ songSlug }) => {
     if (!eligibleIndices.length) {
       eligibleIndices = candidateIndices;
     }
+    const notDisliked = eligibleIndices.filter((idx) => !ratings.disliked.has(idx));
+    if (notDisliked.length) {
+      eligibleIndices = notDisliked;
+    }
     
-    const selectedIdx = pickRandomIndex(eligibleIndices);
+    const motionTarget = getSegmentMotionTarget(
+      getSegmentEnergy(sectionProfile, frameSeg.startSeconds, frameSeg.startSeconds + segmentDuration)
+    );
+    const selectedIdx = pickRandomIndex(eligibleIndices, motionTarget);
     if (selectedIdx === null || selectedIdx === undefined) {
       throw new Error(`[createInstantSongEditPlan] Unable to select clip for segment ${i}`);
     }
@@ -1988,6 +1897,9 @@ export const createInstantSongEditPlan = ({ songSlug }) => {
         cutFreeVerified: selectedClip.cutFreeVerified || false,
         poolClipId: selectedClip.id,
         availableDuration: selectedClipDuration,
+        thumbnails: selectedClip.thumbnails || null,
+        loudness: selectedClip.loudness || null,
+        motion: selectedClip.motion || null,
       },
       sourcePoolIndex: selectedIdx,
       isReused: recentlyUsedIndices.includes(selectedIdx),
@@ -0,0 +1,301 @@
+/**
+ * Song Format Frame Data
+ *
+ * Derives the pre-computed frame data stored with every song format: beat
+ * grids in frames, expanded rapid ranges, normalized per-beat metadata, clip
+ * segments and frame statistics, for the background and foreground layers.
+ * Used by the format-builder save route and by server-side edits (rapid range
+ * proposals, beat grid operations) so every write path produces the same shape.
+ */
+
+import {
+  TARGET_FPS,
+  secondsToFrame,
+  frameToSeconds,
+  beatGridToFrames,
+  rapidRangesToFrames,
+  calculateLayerSegments,
+  getEditPlanStats,
+} from "./frameAccurateTiming.js";
+import {
+  normalizeBeatMetadata,
+  normalizeIntroBeat,
+  normalizeMixSegments,
+} from "./songEditScheduler.js";
+
+/**
+ * Build the stored format with frame data.
+ *
+ * Stored-only fields the editor does not send (rapidClipProposals) are kept
+ * from options.existing, the format on disk, when `format` leaves them out.
+ *
+ * @param {Object} format - Format as edited (seconds-based grids, metadata, ranges)
+ * @param {{ slug?: string, isNew?: boolean, now?: string, existing?: Object|null }} [options]
+ * @returns {{ format: Record<string, any>, stats: Object, totalFrames: number, fps: number }}
+ */
+export const buildFormatWithFrames = (format, options = {}) => {
+  const { slug, isNew = false, now = new Date().toISOString(), existing = null } = options;
+
+  // Ensure meta has targetFps
+  const meta = {
+    ...format.meta,
+    targetFps: format.meta?.targetFps || TARGET_FPS,
+  };
+  const fps = meta.targetFps;
+
+  const normalizeFrames = (frames) =>
+    Array.from(new Set(frames)).sort((a, b) => a - b);
+
+  const applyForegroundDefaults = (beatMetadata = []) =>
+    beatMetadata.map((entry) => {
+      const clipSlot = { ...(entry?.clipSlot || {}) };
+      if (!Number.isFinite(clipSlot.clipVolume)) clipSlot.clipVolume = 0;
+      if (!Number.isFinite(clipSlot.musicVolume)) clipSlot.musicVolume = 1;
+      return { ...entry, clipSlot };
+    });
+
+  // Deterministic color per cutout definition for patterned clip rendering
+  const colorFromId = (id = "") => {
+    let hash = 0;
+    for (let i = 0; i < id.length; i += 1) {
+      hash = (hash << 5) - hash + id.charCodeAt(i);
+      hash |= 0;
+    }
+    const hue = Math.abs(hash) % 360;
+    return `hsl(${hue}, 65%, 55%)`;
+  };
+
+  const allowedShapes = new Set([
+    "circle",
+    "rounded-rect",
+    "square",
+    "triangle",
+    "star",
+    "hexagon",
+  ]);
+
+  const normalizeCutoutDefinition = (def = {}, index = 0) => {
+    const id = def.id || `cutout-def-${index}-${Date.now()}`;
+    const shapeType = allowedShapes.has(def.shapeType)
+      ? def.shapeType
+      : "circle";
+    const safeName =
+      typeof def.name === "string" && def.name.trim()
+        ? def.name.trim()
+        : `${shapeType[0].toUpperCase()}${shapeType.slice(1)} ${index + 1}`;
+    return {
+      id,
+      name: safeName,
+      shapeType,
+      shapeParams: def.shapeParams || {},
+      color: colorFromId(id),
+    };
+  };
+
+  const normalizeCutoutInstance = (inst = {}, idx = 0, fpsForConversion = fps) => {
+    const id = inst.id || `cutout-inst-${idx}-${Date.now()}`;
+    const startFrame = Number.isFinite(inst.startFrame)
+      ? Math.max(0, Math.round(inst.startFrame))
+      : Number.isFinite(inst.startSeconds)
+      ? Math.max(0, Math.round(secondsToFrame(inst.startSeconds, fpsForConversion)))
+      : 0;
+    const durationInFrames = Number.isFinite(inst.durationInFrames)
+      ? Math.max(1, Math.round(inst.durationInFrames))
+      : Number.isFinite(inst.durationSeconds)
+      ? Math.max(1, Math.round(secondsToFrame(inst.durationSeconds, fpsForConversion)))
+      : Math.max(1, Math.round(fpsForConversion * 2)); // default ~2s
+    return {
+      id,
+      cutoutDefinitionId: inst.cutoutDefinitionId,
+      startFrame,
+      durationInFrames,
+      position: inst.position || { x: 0.5, y: 0.5 },
+    };
+  };
+
+  const normalizeCutoutClipInstance = (clip = {}, idx = 0, fpsForConversion = fps) => {
+    const id = clip.id || `cutout-clip-${idx}-${Date.now()}`;
+    const startFrame = Number.isFinite(clip.startFrame)
+      ? Math.max(0, Math.round(clip.startFrame))
+      : 0;
+    const durationInFrames = Number.isFinite(clip.durationInFrames)
+      ? Math.max(1, Math.round(clip.durationInFrames))
+      : Math.max(1, Math.round(fpsForConversion * 2));
+    return {
+      id,
+      cutoutDefinitionId: clip.cutoutDefinitionId,
+      linkedCutoutInstanceId: clip.linkedCutoutInstanceId || null,
+      startFrame,
+      durationInFrames,
+    };
+  };
+
+  const processLayer = (layerInput = {}, isForeground = false) => {
+    const incomingBeatFrames = Array.isArray(layerInput.beatGridFrames)
+      ? layerInput.beatGridFrames.map((f) => Math.round(f))
+      : null;
+
+    const existingBeatSeconds = Array.isArray(layerInput.beatGrid)
+      ? layerInput.beatGrid
+          .filter((t) => Number.isFinite(t))
+          .sort((a, b) => a - b)
+      : [];
+
+    const beatGridFrames = incomingBeatFrames?.length
+      ? normalizeFrames(incomingBeatFrames)
+      : existingBeatSeconds.length
+      ? normalizeFrames(
+          existingBeatSeconds.map((t) => secondsToFrame(t, fps))
+        )
+      : [];
+
+    const beatGrid =
+      beatGridFrames.length > 0
+        ? beatGridFrames.map((f) => frameToSeconds(f, fps))
+        : existingBeatSeconds;
+
+    const beatGridFramePairs =
+      beatGridFrames.length > 0
+        ? beatGridFrames.map((frame) => ({
+            frame,
+            time: frameToSeconds(frame, fps),
+          }))
+        : beatGridToFrames(beatGrid, fps);
+
+    const rapidClipRanges = Array.isArray(layerInput.rapidClipRanges)
+      ? layerInput.rapidClipRanges
+      : [];
+    const rapidClipFrames = rapidRangesToFrames(rapidClipRanges, fps);
+
+    let beatMetadata = normalizeBeatMetadata(
+      beatGrid,
+      layerInput.beatMetadata || []
+    );
+    if (isForeground) {
+      beatMetadata = applyForegroundDefaults(beatMetadata);
+    }
+
+    const { segments, totalFrames } = calculateLayerSegments({
+      beatGrid,
+      beatMetadata,
+      rapidClipRanges,
+      meta,
+    });
+
+    return {
+      beatGrid,
+      beatGridFrames,
+      beatGridFramePairs,
+      rapidClipRanges,
+      rapidClipFrames,
+      beatMetadata,
+      clipSegments: segments.map((seg) => ({
+        index: seg.index,
+        type: seg.type,
+        startFrame: seg.startFrame,
+        endFrame: seg.endFrame,
+        frameCount: seg.frameCount,
+        startSeconds: seg.startSeconds,
+        durationSeconds: seg.durationSeconds,
+        minSourceDuration: seg.minSourceDuration,
+      })),
+      totalFrames,
+      segments,
+    };
+  };
+
+  const backgroundLayer = processLayer({
+    beatGrid: format.beatGrid,
+    beatGridFrames: format.beatGridFrames,
+    rapidClipRanges: format.rapidClipRanges,
+    beatMetadata: format.beatMetadata,
+  });
+
+  const cutoutEnabled = Boolean(format.cutoutEnabled);
+  const cutoutDefinitions = Array.isArray(format.cutoutDefinitions)
+    ? format.cutoutDefinitions.map((d, idx) => normalizeCutoutDefinition(d, idx))
+    : [];
+  const cutoutInstances = Array.isArray(format.cutoutInstances)
+    ? format.cutoutInstances.map((c, idx) => normalizeCutoutInstance(c, idx))
+    : [];
+  const cutoutClipInstances = Array.isArray(format.cutoutClipInstances)
+    ? format.cutoutClipInstances.map((c, idx) => normalizeCutoutClipInstance(c, idx))
+    : [];
+  const foregroundLayer = processLayer(
+    {
+      beatGrid: format.foreground?.beatGrid,
+      beatGridFrames: format.foreground?.beatGridFrames,
+      rapidClipRanges: format.foreground?.rapidClipRanges,
+      beatMetadata: format.foreground?.beatMetadata,
+    },
+    true
+  );
+
+  // Calculate total clip count and frame statistics (background only for meta)
+  const stats = getEditPlanStats({
+    segments: backgroundLayer.segments,
+    fps,
+    totalFrames: backgroundLayer.totalFrames,
+  });
+
+  const mixSegments = normalizeMixSegments(
+    format.mixSegments || [],
+    meta.durationSeconds
+  );
+  const introBeat = normalizeIntroBeat(format.introBeat);
+
+  // Build the enhanced format with pre-computed frame data
+  const formatWithFrames = {
+    ...(slug ? { slug } : {}),
+    source: format.source,
+    meta: {
+      ...meta,
+      totalFrames: backgroundLayer.totalFrames,
+      totalClips: stats.totalClips,
+      minClipFrames: stats.minClipFrames,
+      maxClipFrames: stats.maxClipFrames,
+      avgClipFrames: stats.avgClipFrames,
+    },
+    cutoutEnabled,
+    beatGrid: backgroundLayer.beatGrid,
+    beatGridFrames: backgroundLayer.beatGridFrames,
+    beatGridFramePairs: backgroundLayer.beatGridFramePairs,
+    sections: format.sections || [],
+    rapidClipRanges: backgroundLayer.rapidClipRanges,
+    rapidClipFrames: backgroundLayer.rapidClipFrames,
+    mixSegments,
+    beatMetadata: backgroundLayer.beatMetadata,
+    introBeat,
+    captions: format.captions || null,
+    rapidClipProposals: Array.isArray(format.rapidClipProposals)
+      ? format.rapidClipProposals
+      : !("rapidClipProposals" in format) && Array.isArray(existing?.rapidClipProposals)
+        ? existing.rapidClipProposals
+        : [],
+    clipSegments: backgroundLayer.clipSegments,
+    cutoutDefinitions,
+    cutoutInstances,
+    cutoutClipInstances,
+    foreground: {
+      ...format.foreground,
+      beatGrid: foregroundLayer.beatGrid,
+      beatGridFrames: foregroundLayer.beatGridFrames,
+      beatGridFramePairs: foregroundLayer.beatGridFramePairs,
+      rapidClipRanges: foregroundLayer.rapidClipRanges,
+      rapidClipFrames: foregroundLayer.rapidClipFrames,
+      beatMetadata: foregroundLayer.beatMetadata,
+      clipSegments: foregroundLayer.clipSegments,
+    },
+    createdAt: isNew ? now : format.createdAt || now,
+    updatedAt: now,
+  };
+
+  return {
+    format: formatWithFrames,
+    stats,
+    totalFrames: backgroundLayer.totalFrames,
+    fps,
+  };
+};
+
+export default { buildFormatWithFrames };
@@ -0,0 +1,445 @@
+/**
+ * Song Format Schema
+ *
+ * Versioned schema for data/song-formats/*.json. Every read goes through
+ * parse -> migrate -> validate, and every write stamps the current
+ * schemaVersion and validates before touching disk.
+ *
+ * Stored field names stay beatGrid / beatMetadata / introBeat (what the save
+ * route writes and every planner reads). The newer segment* names used by the
+ * scheduler helpers are accepted on input and folded into the stored names by
+ * the migrations below.
+ *
+ * Versions:
+ * - 1: legacy, unversioned files (segmentGrid / segmentMetadata / introSegment
+ *      aliases, beatTime-keyed metadata, resumeMode "beat")
+ * - 2: canonical single object with schemaVersion
+ */
+
+import fs from "fs";
+import { TARGET_FPS, secondsToFrame, frameToSeconds } from "./frameAccurateTiming.js";
+
+export const SONG_FORMAT_SCHEMA_VERSION = 2;
+const LEGACY_SCHEMA_VERSION = 1;
+
+export const RAPID_PROPOSAL_STATUSES = ["pending", "accepted", "rejected"];
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+const isFiniteNumber = (value) => typeof value === "number" && Number.isFinite(value);
+
+/**
+ * Split file content into its top-level JSON values. Some exports wrote a
+ * placeholder stub followed by the real format with no separator; scanning
+ * for balanced braces (string-aware) recovers each object.
+ */
+const splitTopLevelObjects = (content) => {
+  const parts = [];
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let start = -1;
+
+  for (let i = 0; i < content.length; i += 1) {
+    const ch = content[i];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (ch === "\\") escaped = true;
+      else if (ch === '"') inString = false;
+      continue;
+    }
+    if (ch === '"') {
+      inString = true;
+    } else if (ch === "{") {
+      if (depth === 0) start = i;
+      depth += 1;
+    } else if (ch === "}") {
+      depth -= 1;
+      if (depth === 0 && start >= 0) {
+        parts.push(content.slice(start, i + 1));
+        start = -1;
+      }
+    } else if (depth === 0 && !/\s/.test(ch)) {
+      throw new Error(`Unexpected character "${ch}" between top-level objects at position ${i}`);
+    }
+  }
+  if (depth !== 0 || inString) {
+    throw new Error("Unterminated JSON object");
+  }
+  return parts;
+};
+
+/**
+ * Parse song format file content.
+ * A single object parses directly; concatenated objects are merged in order so
+ * later (richer) objects override the placeholder stub, matching what the
+ * loader has always served.
+ *
+ * @param {string} content - Raw file content
+ * @returns {{ format: Record<string, any>, objectCount: number, changes: string[] }}
+ */
+export const parseSongFormatContent = (content) => {
+  const trimmed = String(content || "").trim();
+  if (!trimmed) {
+    throw new Error("Song format file is empty");
+  }
+
+  try {
+    const format = JSON.parse(trimmed);
+    if (!isPlainObject(format)) throw new Error("Song format must be a JSON object");
+    return { format, objectCount: 1, changes: [] };
+  } catch (primaryErr) {
+    let objects;
+    try {
+      objects = splitTopLevelObjects(trimmed).map((part) => JSON.parse(part));
+    } catch {
+      throw primaryErr;
+    }
+    if (objects.length < 2) throw primaryErr;
+
+    const changes = [`merged ${objects.length} concatenated objects into one`];
+    const format = objects.reduce((merged, next, index) => {
+      if (index > 0) {
+        const overridden = Object.keys(next).filter(
+          (key) => key in merged && JSON.stringify(merged[key]) !== JSON.stringify(next[key])
+        );
+        if (overridden.length) {
+          changes.push(`object ${index + 1} overrode: ${overridden.join(", ")}`);
+        }
+      }
+      return { ...merged, ...next };
+    }, {});
+    const stubOnly = Object.keys(objects[0]).filter((key) =>
+      objects.slice(1).every((obj) => !(key in obj))
+    );
+    if (stubOnly.length) {
+      changes.push(`kept from first object only: ${stubOnly.join(", ")}`);
+    }
+    return { format, objectCount: objects.length, changes };
+  }
+};
+
+/**
+ * Bring legacy metadata entries onto segmentTime keys and current resume modes.
+ */
+const migrateMetadataEntry = (entry, label, changes) => {
+  if (!isPlainObject(entry)) return entry;
+  const next = { ...entry };
+  if (!isFiniteNumber(next.segmentTime)) {
+    const legacyTime = isFiniteNumber(next.beatTime) ? next.beatTime : next.time;
+    if (isFiniteNumber(legacyTime)) {
+      next.segmentTime = Number(legacyTime.toFixed(3));
+      changes.add(`${label}: beatTime -> segmentTime`);
+    }
+  }
+  if ("beatTime" in next) delete next.beatTime;
+  if (isPlainObject(next.clipSlot) && next.clipSlot.resumeMode === "beat") {
+    next.clipSlot = { ...next.clipSlot, resumeMode: "segment" };
+    changes.add(`${label}: resumeMode "beat" -> "segment"`);
+  }
+  return next;
+};
+
+/**
+ * Fold segment* aliases into the stored beat* names for one layer (the format
+ * root or format.foreground).
+ */
+const migrateLayerNames = (layer, label, fps, changes) => {
+  const next = { ...layer };
+
+  if (Array.isArray(next.segmentGrid)) {
+    if (next.segmentGrid.length) {
+      const previous = JSON.stringify(next.beatGrid || []);
+      next.beatGrid = [...next.segmentGrid];
+      if (previous !== JSON.stringify(next.beatGrid)) {
+        // Frame data was derived from the old grid; rebuild it from the adopted one
+        next.beatGridFrames = next.beatGrid.map((time) => secondsToFrame(time, fps));
+        next.beatGridFramePairs = next.beatGridFrames.map((frame) => ({
+          frame,
+          time: frameToSeconds(frame, fps),
+        }));
+        changes.add(`${label}: segmentGrid -> beatGrid (frames recomputed)`);
+      } else {
+        changes.add(`${label}: dropped duplicate segmentGrid`);
+      }
+    }
+    delete next.segmentGrid;
+  }
+
+  if (Array.isArray(next.segmentMetadata)) {
+    if (next.segmentMetadata.length && !(next.beatMetadata || []).length) {
+      next.beatMetadata = next.segmentMetadata;
+      changes.add(`${label}: segmentMetadata -> beatMetadata`);
+    } else if (next.segmentMetadata.length) {
+      changes.add(`${label}: dropped segmentMetadata (beatMetadata already present)`);
+    }
+    delete next.segmentMetadata;
+  }
+
+  if (Array.isArray(next.beatMetadata)) {
+    next.beatMetadata = next.beatMetadata.map((entry) =>
+      migrateMetadataEntry(entry, `${label}.beatMetadata`, changes)
+    );
+  }
+  return next;
+};
+
+/**
+ * Ordered migrations. Each upgrades a format from `from` to `to` and records
+ * human-readable changes.
+ */
+const MIGRATIONS = [
+  {
+    from: 1,
+    to: 2,
+    description: "Fold segment* aliases into beat* fields and normalize legacy metadata keys",
+    migrate: (format, changes) => {
+      const fps = format.meta?.targetFps || TARGET_FPS;
+      let next = migrateLayerNames(format, "format", fps, changes);
+
+      if (isPlainObject(next.introSegment)) {
+        if (!isPlainObject(next.introBeat)) {
+          next.introBeat = next.introSegment;
+          changes.add("format: introSegment -> introBeat");
+        } else {
+          changes.add("format: dropped introSegment (introBeat already present)");
+        }
+      }
+      delete next.introSegment;
+      if (isPlainObject(next.introBeat)) {
+        next.introBeat = migrateMetadataEntry(next.introBeat, "format.introBeat", changes);
+      }
+
+      if (isPlainObject(next.foreground)) {
+        next = {
+          ...next,
+          foreground: migrateLayerNames(next.foreground, "foreground", fps, changes),
+        };
+      }
+      return next;
+    },
+  },
+];
+
+/**
+ * Upgrade a parsed format to the current schema version.
+ *
+ * @param {Object} format - Parsed format (any supported version)
+ * @returns {{ format: Record<string, any>, fromVersion: number, changes: string[] }}
+ */
+export const migrateSongFormat = (format) => {
+  const fromVersion = Number.isInteger(format?.schemaVersion)
+    ? format.schemaVersion
+    : LEGACY_SCHEMA_VERSION;
+  if (fromVersion > SONG_FORMAT_SCHEMA_VERSION) {
+    throw new Error(
+      `Song format schemaVersion ${fromVersion} is newer than supported version ${SONG_FORMAT_SCHEMA_VERSION}`
+    );
+  }
+
+  const changes = new Set();
+  let next = { ...format };
+  let version = fromVersion;
+  for (const migration of MIGRATIONS) {
+    if (migration.from !== version) continue;
+    next = migration.migrate(next, changes);
+    version = migration.to;
+  }
+  if (next.schemaVersion !== SONG_FORMAT_SCHEMA_VERSION) {
+    changes.add(`schemaVersion ${fromVersion} -> ${SONG_FORMAT_SCHEMA_VERSION}`);
+  }
+
+  // Keep the identifying fields first for readable files
+  const ordered = { schemaVersion: SONG_FORMAT_SCHEMA_VERSION };
+  ["slug", "source", "meta"].forEach((key) => {
+    if (next[key] !== undefined) ordered[key] = next[key];
+  });
+
+  return {
+    format: { ...ordered, ...next, schemaVersion: SONG_FORMAT_SCHEMA_VERSION },
+    fromVersion,
+    changes: Array.from(changes),
+  };
+};
+
+const validateGrid = (grid, label, errors, warnings) => {
+  if (!Array.isArray(grid)) {
+    errors.push(`${label} must be an array`);
+    return;
+  }
+  const badIndex = grid.findIndex((time) => !isFiniteNumber(time) || time < 0);
+  if (badIndex >= 0) {
+    errors.push(`${label}[${badIndex}] must be a non-negative number`);
+    return;
+  }
+  if (grid.some((time, i) => i > 0 && time < grid[i - 1])) {
+    warnings.push(`${label} is not sorted ascending`);
+  }
+};
+
+const validateRanges = (ranges, label, errors) => {
+  if (ranges === undefined) return;
+  if (!Array.isArray(ranges)) {
+    errors.push(`${label} must be an array`);
+    return;
+  }
+  ranges.forEach((range, i) => {
+    if (!isPlainObject(range) || !isFiniteNumber(range.start) || !isFiniteNumber(range.end)) {
+      errors.push(`${label}[${i}] needs numeric start and end`);
+    } else if (range.end < range.start) {
+      errors.push(`${label}[${i}] ends before it starts`);
+    } else if (range.interval !== undefined && !(isFiniteNumber(range.interval) && range.interval > 0)) {
+      errors.push(`${label}[${i}].interval must be a positive number`);
+    }
+  });
+};
+
+const validateObjectArray = (value, label, errors) => {
+  if (value === undefined) return;
+  if (!Array.isArray(value)) {
+    errors.push(`${label} must be an array`);
+  } else if (value.some((entry) => !isPlainObject(entry))) {
+    errors.push(`${label} entries must be objects`);
+  }
+};
+
+const validateLayer = (layer, label, errors, warnings) => {
+  validateGrid(layer.beatGrid ?? [], `${label}.beatGrid`, errors, warnings);
+  if (layer.beatGridFrames !== undefined) {
+    if (!Array.isArray(layer.beatGridFrames) || layer.beatGridFrames.some((f) => !Number.isInteger(f))) {
+      errors.push(`${label}.beatGridFrames must be an array of integers`);
+    } else if (Array.isArray(layer.beatGrid) && layer.beatGridFrames.length !== layer.beatGrid.length) {
+      warnings.push(`${label}.beatGridFrames length differs from beatGrid`);
+    }
+  }
+  validateObjectArray(layer.beatMetadata, `${label}.beatMetadata`, errors);
+  validateRanges(layer.rapidClipRanges, `${label}.rapidClipRanges`, errors);
+  ["segmentGrid", "segmentMetadata"].forEach((legacy) => {
+    if (legacy in layer) errors.push(`${label}.${legacy} is a legacy field; migrate the format first`);
+  });
+};
+
+/**
+ * Validate a (migrated) format against the current schema.
+ *
+ * @param {Object} format
+ * @returns {{ valid: boolean, errors: string[], warnings: string[] }}
+ */
+export const validateSongFormat = (format) => {
+  const errors = [];
+  const warnings = [];
+
+  if (!isPlainObject(format)) {
+    return { valid: false, errors: ["format must be an object"], warnings };
+  }
+  if (format.schemaVersion !== SONG_FORMAT_SCHEMA_VERSION) {
+    errors.push(`schemaVersion must be ${SONG_FORMAT_SCHEMA_VERSION}`);
+  }
+  if (format.source !== undefined && typeof format.source !== "string") {
+    errors.push("source must be a string");
+  }
+
+  if (!isPlainObject(format.meta)) {
+    errors.push("meta must be an object");
+  } else {
+    const { durationSeconds, targetFps, bpm } = format.meta;
+    if (durationSeconds !== undefined && !(isFiniteNumber(durationSeconds) && durationSeconds >= 0)) {
+      errors.push("meta.durationSeconds must be a non-negative number");
+    }
+    if (targetFps !== undefined && !(isFiniteNumber(targetFps) && targetFps > 0)) {
+      errors.push("meta.targetFps must be a positive number");
+    }
+    if (bpm !== undefined && bpm !== null && !isFiniteNumber(bpm)) {
+      errors.push("meta.bpm must be a number or null");
+    }
+    if (
+      isFiniteNumber(durationSeconds) &&
+      durationSeconds > 0 &&
+      Array.isArray(format.beatGrid) &&
+      format.beatGrid.some((time) => isFiniteNumber(time) && time > durationSeconds)
+    ) {
+      warnings.push("beatGrid has marks past meta.durationSeconds");
+    }
+  }
+
+  validateLayer(format, "format", errors, warnings);
+  validateRanges(format.sections, "sections", errors);
+  validateObjectArray(format.mixSegments, "mixSegments", errors);
+  validateRanges(format.rapidClipProposals, "rapidClipProposals", errors);
+  if (Array.isArray(format.rapidClipProposals)) {
+    format.rapidClipProposals.forEach((proposal, i) => {
+      if (isPlainObject(proposal) && !RAPID_PROPOSAL_STATUSES.includes(proposal.status)) {
+        errors.push(`rapidClipProposals[${i}].status must be one of ${RAPID_PROPOSAL_STATUSES.join(", ")}`);
+      }
+    });
+  }
+
+  if (format.introBeat !== undefined && format.introBeat !== null && !isPlainObject(format.introBeat)) {
+    errors.push("introBeat must be an object or null");
+  }
+  if ("introSegment" in format) {
+    errors.push("introSegment is a legacy field; migrate the format first");
+  }
+  if (format.captions !== undefined && format.captions !== null && !isPlainObject(format.captions)) {
+    errors.push("captions must be an object or null");
+  }
+  if (format.foreground !== undefined) {
+    if (!isPlainObject(format.foreground)) errors.push("foreground must be an object");
+    else validateLayer(format.foreground, "foreground", errors, warnings);
+  }
+
+  return { valid: errors.length === 0, errors, warnings };
+};
+
+/**
+ * Read, migrate and validate a song format file.
+ *
+ * @param {string} formatPath - Absolute path to the format JSON
+ * @returns {{ format: Record<string, any>, objectCount: number, fromVersion: number, changes: string[], errors: string[], warnings: string[] }}
+ */
+export const readSongFormatFile = (formatPath) => {
+  const content = fs.readFileSync(formatPath, "utf-8");
+  const parsed = parseSongFormatContent(content);
+  const migrated = migrateSongFormat(parsed.format);
+  const { errors, warnings } = validateSongFormat(migrated.format);
+  return {
+    format: migrated.format,
+    objectCount: parsed.objectCount,
+    fromVersion: migrated.fromVersion,
+    changes: [...parsed.changes, ...migrated.changes],
+    errors,
+    warnings,
+  };
+};
+
+/**
+ * Stamp the current schema version, validate and write a format file.
+ * Throws (without writing) when validation fails; the error carries
+ * `validationErrors` for API responses.
+ *
+ * @param {string} formatPath - Absolute path to the format JSON
+ * @param {Object} format - Format to write (legacy names are migrated first)
+ * @returns {{ format: Record<string, any>, warnings: string[] }}
+ */
+export const writeSongFormatFile = (formatPath, format) => {
+  const { format: migrated } = migrateSongFormat(format);
+  const { valid, errors, warnings } = validateSongFormat(migrated);
+  if (!valid) {
+    const error = new Error(`Invalid song format: ${errors.join("; ")}`);
+    error.validationErrors = errors;
+    throw error;
+  }
+  fs.writeFileSync(formatPath, JSON.stringify(migrated, null, 2), "utf-8");
+  return { format: migrated, warnings };
+};
+
+export default {
+  SONG_FORMAT_SCHEMA_VERSION,
+  RAPID_PROPOSAL_STATUSES,
+  parseSongFormatContent,
+  migrateSongFormat,
+  validateSongFormat,
+  readSongFormatFile,
+  writeSongFormatFile,
+};
@@ -0,0 +1,424 @@
+/**
+ * Song Structure
+ *
+ * Automatic section segmentation for song formats. Works on the band energies
+ * produced by analyzeWaveform (audioWaveformAnalyzer.js) and, when available,
+ * the bars from the beat tracker so boundaries land on bar lines.
+ *
+ * Pipeline:
+ * - Units: one feature vector per bar (or fixed windows when no bars), built
+ *   from mean band energies, volume and spectral flux
+ * - Self-similarity: cosine similarity between standardized unit vectors
+ * - Boundaries: checkerboard-kernel novelty along the diagonal (Foote 2000),
+ *   peak-picked with a minimum section length and a bonus for phrase lines
+ * - Labels: sections are grouped by similarity; the loudest repeated group is
+ *   the chorus (or drop when it is bass-heavy and arrives after a build),
+ *   other repeats are verses, one-off sections mid-song are bridges and quiet
+ *   edges become intro/outro
+ */
+
+export const SECTION_NAMES = ["intro", "verse", "chorus", "drop", "bridge", "outro"];
+export const ENERGY_LEVELS = ["low", "medium", "high"];
+
+// Fallback unit length when no bars are available
+const WINDOW_SECONDS = 2;
+// Checkerboard kernel half-width in units (8 bars total)
+const KERNEL_HALF_WIDTH = 4;
+// Shortest section we will emit
+const MIN_SECTION_SECONDS = 8;
+// Average section length used to cap the number of boundaries
+const TYPICAL_SECTION_SECONDS = 14;
+// Mean unit similarity needed for two sections to share a label
+const CLUSTER_SIMILARITY = 0.35;
+// Boundaries on 4-bar phrase lines get this novelty multiplier
+const PHRASE_BONUS = 1.25;
+
+const BASS_BANDS = ["subBass", "bass"];
+const MID_BANDS = ["lowMids", "mids"];
+
+const mean = (arr) => {
+  if (!arr.length) return 0;
+  let sum = 0;
+  for (let i = 0; i < arr.length; i += 1) sum += arr[i];
+  return sum / arr.length;
+};
+
+const round3 = (value) => Number(value.toFixed(3));
+
+// Loudness blend used for section energy and the planner energy curve
+const energyOf = (volume, bass, flux) => 0.6 * volume + 0.25 * bass + 0.15 * flux;
+
+/**
+ * Split the song into analysis units: bars when the tracker found enough of
+ * them, otherwise fixed windows. Pickup audio before the first bar and the
+ * tail after the last bar are folded into the neighbouring unit.
+ */
+const buildUnits = (durationSeconds, bars) => {
+  if (Array.isArray(bars) && bars.length >= KERNEL_HALF_WIDTH * 2) {
+    const units = bars.map((bar) => ({ start: bar.start, end: bar.end }));
+    units[0].start = 0;
+    units[units.length - 1].end = durationSeconds;
+    return { units, barAligned: true };
+  }
+
+  const units = [];
+  for (let start = 0; start < durationSeconds; start += WINDOW_SECONDS) {
+    units.push({ start, end: Math.min(durationSeconds, start + WINDOW_SECONDS) });
+  }
+  if (units.length > 1 && units[units.length - 1].end - units[units.length - 1].start < WINDOW_SECONDS / 2) {
+    units[units.length - 2].end = units.pop().end;
+  }
+  return { units, barAligned: false };
+};
+
+/**
+ * Average every waveform series over each unit.
+ */
+const buildUnitFeatures = (waveform, units) => {
+  const { pointDuration, numPoints } = waveform;
+  const series = {
+    ...waveform.bands,
+    volume: waveform.volume,
+    spectralFlux: waveform.spectralFlux,
+  };
+  const keys = Object.keys(series);
+
+  const rows = units.map((unit) => {
+    const from = Math.min(numPoints - 1, Math.max(0, Math.floor(unit.start / pointDuration)));
+    const to = Math.min(numPoints, Math.max(from + 1, Math.ceil(unit.end / pointDuration)));
+    const row = {};
+    for (const key of keys) {
+      let sum = 0;
+      for (let i = from; i < to; i += 1) sum += series[key][i] || 0;
+      row[key] = sum / (to - from);
+    }
+    return row;
+  });
+
+  return { keys, rows };
+};
+
+/**
+ * Z-score each feature across the song so that loud bands do not dominate.
+ */
+const standardize = (keys, rows) => {
+  const stats = {};
+  for (const key of keys) {
+    const values = rows.map((row) => row[key]);
+    const avg = mean(values);
+    const sd = Math.sqrt(mean(values.map((v) => (v - avg) * (v - avg)))) || 1;
+    stats[key] = { avg, sd };
+  }
+  return rows.map((row) => keys.map((key) => (row[key] - stats[key].avg) / stats[key].sd));
+};
+
+const cosine = (a, b) => {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i += 1) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  if (!normA || !normB) return 0;
+  return dot / Math.sqrt(normA * normB);
+};
+
+const buildSelfSimilarity = (vectors) => {
+  const n = vectors.length;
+  const matrix = Array.from({ length: n }, () => new Float32Array(n));
+  for (let i = 0; i < n; i += 1) {
+    matrix[i][i] = 1;
+    for (let j = i + 1; j < n; j += 1) {
+      const sim = cosine(vectors[i], vectors[j]);
+      matrix[i][j] = sim;
+      matrix[j][i] = sim;
+    }
+  }
+  return matrix;
+};
+
+/**
+ * Novelty at the boundary before unit i: similarity within the past and
+ * future blocks minus similarity across them, with a Gaussian taper.
+ */
+const computeNovelty = (matrix, halfWidth) => {
+  const n = matrix.length;
+  const novelty = new Float32Array(n);
+  const sigma = halfWidth / 2;
+  for (let i = 1; i < n; i += 1) {
+    let score = 0;
+    let weightSum = 0;
+    for (let a = -halfWidth; a < halfWidth; a += 1) {
+      const x = i + a;
+      if (x < 0 || x >= n) continue;
+      for (let b = -halfWidth; b < halfWidth; b += 1) {
+        const y = i + b;
+        if (y < 0 || y >= n) continue;
+        const sign = (a < 0) === (b < 0) ? 1 : -1;
+        const weight = Math.exp(-((a + 0.5) ** 2 + (b + 0.5) ** 2) / (2 * sigma * sigma));
+        score += sign * weight * matrix[x][y];
+        weightSum += weight;
+      }
+    }
+    novelty[i] = weightSum > 0 ? Math.max(0, score / weightSum) : 0;
+  }
+  return novelty;
+};
+
+/**
+ * Greedy peak picking: strongest novelty first, respecting the minimum
+ * section length on both sides.
+ */
+const pickBoundaries = (novelty, units, { barAligned, maxSections }) => {
+  const n = novelty.length;
+  const durationSeconds = units[n - 1].end;
+  const avg = mean(Array.from(novelty));
+
+  const candidates = [];
+  for (let i = 1; i < n; i += 1) {
+    const isPeak = novelty[i] >= (novelty[i - 1] || 0) && novelty[i] >= (novelty[i + 1] || 0);
+    if (!isPeak || novelty[i] <= avg) continue;
+    const bonus = barAligned && i % 4 === 0 ? PHRASE_BONUS : 1;
+    candidates.push({ index: i, score: novelty[i] * bonus });
+  }
+  candidates.sort((a, b) => b.score - a.score);
+
+  const accepted = [];
+  for (const candidate of candidates) {
+    if (accepted.length >= maxSections - 1) break;
+    const time = units[candidate.index].start;
+    if (time < MIN_SECTION_SECONDS || durationSeconds - time < MIN_SECTION_SECONDS) continue;
+    const tooClose = accepted.some(
+      (index) => Math.abs(units[index].start - time) < MIN_SECTION_SECONDS
+    );
+    if (!tooClose) accepted.push(candidate.index);
+  }
+
+  return accepted.sort((a, b) => a - b);
+};
+
+const meanBlockSimilarity = (matrix, a, b) => {
+  let sum = 0;
+  let count = 0;
+  for (let i = a.from; i < a.to; i += 1) {
+    for (let j = b.from; j < b.to; j += 1) {
+      sum += matrix[i][j];
+      count += 1;
+    }
+  }
+  return count ? sum / count : 0;
+};
+
+/**
+ * Group sections whose units look alike. Each section joins the most similar
+ * existing group above the threshold or starts a new one.
+ */
+const clusterSegments = (segments, matrix) => {
+  const groups = [];
+  for (const segment of segments) {
+    let best = null;
+    let bestSim = CLUSTER_SIMILARITY;
+    for (const group of groups) {
+      const sim = mean(group.map((other) => meanBlockSimilarity(matrix, segment, other)));
+      if (sim > bestSim) {
+        best = group;
+        bestSim = sim;
+      }
+    }
+    if (best) best.push(segment);
+    else groups.push([segment]);
+    segment.group = best ? groups.indexOf(best) : groups.length - 1;
+  }
+  return groups;
+};
+
+export const energyLevel = (relative) => {
+  if (relative >= 0.66) return "high";
+  if (relative >= 0.33) return "medium";
+  return "low";
+};
+
+/**
+ * Name every segment from its group, energy and position in the song.
+ */
+const labelSegments = (segments, groups) => {
+  const groupEnergy = groups.map((group) => mean(group.map((s) => s.energyScore)));
+  const repeated = groups
+    .map((group, index) => ({ index, size: group.length, energy: groupEnergy[index] }))
+    .filter((group) => group.size > 1);
+
+  // Loudest repeated group is the hook; without repeats fall back to loud sections
+  const chorusGroup = repeated.length
+    ? repeated.reduce((best, group) => (group.energy > best.energy ? group : best)).index
+    : null;
+  const isHook = (segment) =>
+    chorusGroup !== null ? segment.group === chorusGroup : segment.energy === "high";
+
+  // A hook is a drop when bass leads while the vocal range stays back, and it
+  // usually arrives after a quieter build
+  const hooks = segments.filter(isHook);
+  const dropLike = hooks.filter((segment) => {
+    const prev = segments[segment.position - 1];
+    const afterBuild = !prev || prev.energyScore < segment.energyScore - 0.25;
+    return segment.bassZ - segment.midZ > 1 && segment.midZ < 0.25 && afterBuild;
+  });
+  const hookName = hooks.length && dropLike.length * 2 >= hooks.length ? "drop" : "chorus";
+
+  const firstHook = hooks.length ? hooks[0].position : segments.length;
+  const last = segments.length - 1;
+
+  return segments.map((segment) => {
+    let name;
+    if (isHook(segment)) {
+      name = hookName;
+    } else if (segment.position === 0 && segments.length > 1 && segment.energy !== "high") {
+      name = "intro";
+    } else if (segment.position === last && segments.length > 1 && segment.energy !== "high") {
+      name = "outro";
+    } else if (groups[segment.group].length > 1 || segment.position < firstHook) {
+      name = "verse";
+    } else {
+      name = "bridge";
+    }
+    return { ...segment, name };
+  });
+};
+
+/**
+ * Segment a song into labelled sections with an energy level.
+ *
+ * @param {Object} waveform - Result of analyzeWaveform (bands, volume, spectralFlux, pointDuration, numPoints, durationSeconds)
+ * @param {Object} [options]
+ * @param {Array<{start: number, end: number}>} [options.bars] - Bars from trackBeats; boundaries snap to them when provided
+ * @returns {Array<{name: string, start: number, end: number, energy: "low"|"medium"|"high"}>}
+ */
+export const segmentSong = (waveform, options = {}) => {
+  const { bars = [] } = options;
+  const durationSeconds = waveform?.meta?.durationSeconds || waveform?.durationSeconds || 0;
+  if (!waveform?.numPoints || !durationSeconds) return [];
+
+  const { units, barAligned } = buildUnits(durationSeconds, bars);
+  const { keys, rows } = buildUnitFeatures(waveform, units);
+  const vectors = standardize(keys, rows);
+
+  // Too short to find structure: a single section
+  if (units.length < KERNEL_HALF_WIDTH * 2 || durationSeconds < MIN_SECTION_SECONDS * 2) {
+    return [{ name: "verse", start: 0, end: round3(durationSeconds), energy: "medium" }];
+  }
+
+  const matrix = buildSelfSimilarity(vectors);
+  const novelty = computeNovelty(matrix, KERNEL_HALF_WIDTH);
+  const maxSections = Math.max(2, Math.round(durationSeconds / TYPICAL_SECTION_SECONDS));
+  const boundaries = pickBoundaries(novelty, units, { barAligned, maxSections });
+
+  const edges = [0, ...boundaries, units.length];
+  const bassIdx = BASS_BANDS.map((band) => keys.indexOf(band)).filter((i) => i >= 0);
+  const midIdx = MID_BANDS.map((band) => keys.indexOf(band)).filter((i) => i >= 0);
+
+  // Raw (0-1) loudness drives energy; standardized bands drive drop detection
+  const segments = [];
+  for (let s = 0; s < edges.length - 1; s += 1) {
+    const from = edges[s];
+    const to = edges[s + 1];
+    const slice = rows.slice(from, to);
+    const vectorSlice = vectors.slice(from, to);
+    const loudness = mean(
+      slice.map((row) =>
+        energyOf(row.volume, mean(BASS_BANDS.map((band) => row[band] || 0)), row.spectralFlux)
+      )
+    );
+    const bassZ = mean(vectorSlice.map((v) => mean(bassIdx.map((i) => v[i]))));
+    const midZ = mean(vectorSlice.map((v) => mean(midIdx.map((i) => v[i]))));
+    segments.push({
+      position: s,
+      from,
+      to,
+      start: units[from].start,
+      end: units[to - 1].end,
+      loudness,
+      bassZ,
+      midZ,
+    });
+  }
+
+  const loudnessValues = segments.map((segment) => segment.loudness);
+  const minLoudness = Math.min(...loudnessValues);
+  const range = Math.max(...loudnessValues) - minLoudness;
+  for (const segment of segments) {
+    segment.energyScore = range > 0 ? (segment.loudness - minLoudness) / range : 0.5;
+    segment.energy = energyLevel(segment.energyScore);
+  }
+
+  const groups = clusterSegments(segments, matrix);
+  const labelled = labelSegments(segments, groups);
+
+  // Merge neighbours that ended up with the same label and energy
+  const sections = [];
+  for (const segment of labelled) {
+    const prev = sections[sections.length - 1];
+    if (prev && prev.name === segment.name && prev.energy === segment.energy) {
+      prev.end = round3(segment.end);
+      continue;
+    }
+    sections.push({
+      name: segment.name,
+      start: round3(segment.start),
+      end: round3(segment.end),
+      energy: segment.energy,
+    });
+  }
+  return sections;
+};
+
+// Scale so the song's 10th-90th percentile range maps to 0-1
+const scaleToPercentiles = (raw) => {
+  const sorted = [...raw].sort((a, b) => a - b);
+  const low = sorted[Math.floor(sorted.length * 0.1)];
+  const high = sorted[Math.floor(sorted.length * 0.9)];
+  const range = high - low;
+  return raw.map((value) => (range > 0 ? Math.max(0, Math.min(1, (value - low) / range)) : 0.5));
+};
+
+/**
+ * Per-point energy curve (same blend as section energy), scaled so the
+ * song's 10th-90th percentile range maps to 0-1.
+ *
+ * @param {Object} waveform - Result of analyzeWaveform
+ * @returns {{ values: number[], pointDuration: number } | null}
+ */
+export const computeEnergyCurve = (waveform) => {
+  const { numPoints, pointDuration, volume, spectralFlux, bands = {} } = waveform || {};
+  if (!numPoints || !pointDuration || !Array.isArray(volume)) return null;
+
+  const raw = [];
+  for (let i = 0; i < numPoints; i += 1) {
+    const bass = mean(BASS_BANDS.map((band) => bands[band]?.[i] || 0));
+    raw.push(energyOf(volume[i] || 0, bass, spectralFlux?.[i] || 0));
+  }
+  return { values: scaleToPercentiles(raw), pointDuration };
+};
+
+/**
+ * Per-point onset strength (spectral flux: how hard the song hits at each
+ * point), scaled like the energy curve.
+ *
+ * @param {Object} waveform - Result of analyzeWaveform
+ * @returns {{ values: number[], pointDuration: number } | null}
+ */
+export const computeOnsetCurve = (waveform) => {
+  const { numPoints, pointDuration, spectralFlux } = waveform || {};
+  if (!numPoints || !pointDuration || !spectralFlux?.length) return null;
+  const raw = Array.from({ length: numPoints }, (_, i) => spectralFlux[i] || 0);
+  return { values: scaleToPercentiles(raw), pointDuration };
+};
+
+export default {
+  SECTION_NAMES,
+  ENERGY_LEVELS,
+  energyLevel,
+  segmentSong,
+  computeEnergyCurve,
+  computeOnsetCurve,
+};
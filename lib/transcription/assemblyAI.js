@@ -0,0 +1,97 @@
+/* global process */
+import fs from "node:fs";
+
+const API_URL = "https://api.assemblyai.com/v2";
+const MAX_ATTEMPTS = 60;
+const DELAY_MS = 2000;
+
+// Support both variants; env.example uses ASSEMBLY_AI_API_KEY
+const getApiKey = () => process.env.ASSEMBLYAI_API_KEY || process.env.ASSEMBLY_AI_API_KEY || null;
+
+async function uploadFile(filePath, apiKey) {
+  const buffer = await fs.promises.readFile(filePath);
+  const res = await fetch(`${API_URL}/upload`, {
+    method: "POST",
+    headers: {
+      authorization: apiKey,
+      "content-type": "application/octet-stream",
+    },
+    body: buffer,
+  });
+  if (!res.ok) {
+    const text = await res.text();
+    throw new Error(`Upload failed: ${text}`);
+  }
+  const data = await res.json();
+  if (!data.upload_url) throw new Error("Upload response missing upload_url");
+  return data.upload_url;
+}
+
+async function requestTranscript(audioUrl, apiKey, language) {
+  const res = await fetch(`${API_URL}/transcript`, {
+    method: "POST",
+    headers: {
+      authorization: apiKey,
+      "content-type": "application/json",
+    },
+    body: JSON.stringify({
+      audio_url: audioUrl,
+      punctuate: true,
+      format_text: true,
+      word_boost: [],
+      ...(language ? { language_code: language } : {}),
+    }),
+  });
+  if (!res.ok) {
+    const text = await res.text();
+    throw new Error(`Transcript request failed: ${text}`);
+  }
+  const data = await res.json();
+  if (!data.id) throw new Error("Transcript response missing id");
+  return data.id;
+}
+
+async function pollTranscript(id, apiKey) {
+  for (let i = 0; i < MAX_ATTEMPTS; i++) {
+    const res = await fetch(`${API_URL}/transcript/${id}`, {
+      headers: { authorization: apiKey },
+    });
+    const data = await res.json();
+    if (data.status === "completed") return data;
+    if (data.status === "error") {
+      throw new Error(data.error || "Transcription failed");
+    }
+    await new Promise((resolve) => setTimeout(resolve, DELAY_MS));
+  }
+  throw new Error("Transcription polling timed out");
+}
+
+/**
+ * AssemblyAI cloud transcription. Local files are uploaded first; http(s)
+ * media URLs are passed straight to the transcript request.
+ */
+export const assemblyAIProvider = {
+  name: "assemblyai",
+  isConfigured: () => Boolean(getApiKey()),
+  transcribe: async ({ filePath, url, language }) => {
+    const apiKey = getApiKey();
+    if (!apiKey) throw new Error("Missing ASSEMBLYAI_API_KEY / ASSEMBLY_AI_API_KEY env");
+
+    const audioUrl = url || (await uploadFile(filePath, apiKey));
+    const transcriptId = await requestTranscript(audioUrl, apiKey, language);
+    const transcript = await pollTranscript(transcriptId, apiKey);
+
+    return {
+      language: transcript.language_code || language || "en",
+      transcriptId,
+      words: (Array.isArray(transcript.words) ? transcript.words : []).map((w) => ({
+        text: w.text,
+        startMs: w.start,
+        endMs: w.end,
+        confidence: w.confidence,
+      })),
+    };
+  },
+};
+
+export default assemblyAIProvider;
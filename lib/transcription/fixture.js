@@ -0,0 +1,67 @@
+import fs from "node:fs";
+import path from "node:path";
+
+const FIXTURES_DIR = path.join(process.cwd(), "data", "transcription-fixtures");
+const WORD_MS = 400;
+const GAP_MS = 100;
+const DEFAULT_DURATION_MS = 6000;
+const SCRIPT = [
+  "This", "is", "a", "fixture", "transcript.",
+  "Every", "run", "returns", "the", "same", "words.",
+  "Captions", "work", "without", "the", "cloud.",
+];
+
+const fixtureName = ({ filePath, url }) => {
+  const source = filePath || url || "";
+  return path.basename(source.split("?")[0]).replace(/\.[^.]+$/, "");
+};
+
+/**
+ * Words from data/transcription-fixtures/<media basename>.json when present
+ * ({ language?, words: [{ text, startMs, endMs, confidence? }] }); otherwise
+ * a fixed script repeated across `durationMs`.
+ */
+const loadFixture = (name) => {
+  if (!name) return null;
+  const fixturePath = path.join(FIXTURES_DIR, `${name}.json`);
+  if (!fs.existsSync(fixturePath)) return null;
+  const data = JSON.parse(fs.readFileSync(fixturePath, "utf8"));
+  const words = Array.isArray(data) ? data : data.words;
+  if (!Array.isArray(words)) throw new Error(`Fixture ${fixturePath} has no words array`);
+  return {
+    language: data.language || null,
+    words: words.map((w) => ({
+      text: w.text ?? w.word,
+      startMs: w.startMs,
+      endMs: w.endMs,
+      confidence: Number.isFinite(w.confidence) ? w.confidence : 1,
+    })),
+  };
+};
+
+const scriptedWords = (durationMs) => {
+  const words = [];
+  for (let startMs = 0, i = 0; startMs + WORD_MS <= durationMs; startMs += WORD_MS + GAP_MS, i++) {
+    words.push({ text: SCRIPT[i % SCRIPT.length], startMs, endMs: startMs + WORD_MS, confidence: 1 });
+  }
+  return words;
+};
+
+/**
+ * Deterministic offline provider for development and pipeline tests.
+ */
+export const fixtureProvider = {
+  name: "fixture",
+  isConfigured: () => true,
+  transcribe: async ({ filePath, url, language, durationMs }) => {
+    const name = fixtureName({ filePath, url });
+    const fixture = loadFixture(name);
+    return {
+      language: fixture?.language || language || "en",
+      transcriptId: `fixture-${name || "default"}`,
+      words: fixture ? fixture.words : scriptedWords(durationMs || DEFAULT_DURATION_MS),
+    };
+  },
+};
+
+export default fixtureProvider;
@@ -0,0 +1,194 @@
+/* global process */
+/**
+ * Transcription providers
+ *
+ * Every provider implements
+ *   { name, isConfigured(): boolean, transcribe({ filePath?, url?, language?, durationMs? }) }
+ * and resolves to { language, transcriptId, words: [{ text, startMs, endMs, confidence }] }.
+ *
+ * The provider is picked per request, then by TRANSCRIPTION_PROVIDER, then
+ * automatically: AssemblyAI when a key is set, whisper.cpp when a model is
+ * set. With none of these it is an error; the fixture provider (canned
+ * words, for tests and offline UI work) is only used when named, and
+ * callers that store transcripts refuse it (isFixtureProvider).
+ *
+ * groupWordsIntoCaptions turns provider words into the editor's
+ * Caption / CaptionWord shape, which both caption routes return.
+ */
+
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { assemblyAIProvider } from "./assemblyAI.js";
+import { whisperCppProvider } from "./whisperCpp.js";
+import { fixtureProvider } from "./fixture.js";
+
+const PROVIDERS = {
+  [assemblyAIProvider.name]: assemblyAIProvider,
+  [whisperCppProvider.name]: whisperCppProvider,
+  [fixtureProvider.name]: fixtureProvider,
+};
+
+export const TRANSCRIPTION_PROVIDERS = Object.keys(PROVIDERS);
+
+const MAX_WORDS_PER_CAPTION = 8;
+
+/**
+ * @param {string} [requested] - Provider name; falls back to env / auto-detect
+ * @throws when the name is unknown, or nothing is named and no real provider is configured
+ */
+export const getTranscriptionProvider = (requested) => {
+  const name = requested || process.env.TRANSCRIPTION_PROVIDER;
+  if (name) {
+    const provider = PROVIDERS[name];
+    if (!provider) {
+      throw new Error(`Unknown transcription provider "${name}" (expected ${TRANSCRIPTION_PROVIDERS.join(" | ")})`);
+    }
+    return provider;
+  }
+  if (assemblyAIProvider.isConfigured()) return assemblyAIProvider;
+  if (whisperCppProvider.isConfigured()) return whisperCppProvider;
+  throw new Error(
+    "No transcription provider configured (set ASSEMBLYAI_API_KEY or WHISPER_CPP_MODEL, or TRANSCRIPTION_PROVIDER)"
+  );
+};
+
+/**
+ * True for the fixture provider, whose canned words must never be saved
+ * as a real transcript.
+ */
+export const isFixtureProvider = (provider) => provider?.name === fixtureProvider.name;
+
+// Remote media is only fetched from the app's own Cloudinary cloud
+const CLOUDINARY_HOST = "res.cloudinary.com";
+
+const isAppCloudinaryUrl = (url) => {
+  const cloudName = process.env.NEXT_PUBLIC_CLOUDINARY_CLOUD_NAME || process.env.CLOUDINARY_CLOUD_NAME;
+  return (
+    Boolean(cloudName) &&
+    url.protocol === "https:" &&
+    url.hostname === CLOUDINARY_HOST &&
+    url.pathname.startsWith(`/${cloudName}/`)
+  );
+};
+
+/**
+ * Resolve an editor media src to something a provider can read: a file
+ * under public/ for site paths (or URLs on `siteOrigin`), or a URL in the
+ * app's Cloudinary cloud. Any other host is refused, so the server never
+ * fetches arbitrary URLs.
+ *
+ * @param {string} src
+ * @param {{ siteOrigin?: string }} [options] - Origin the app is served from
+ * @returns {{ filePath?: string, url?: string }}
+ */
+export const resolveMediaSource = (src, { siteOrigin = null } = {}) => {
+  if (!src || typeof src !== "string") throw new Error("Media source is required");
+  let sitePath = src;
+  if (/^https?:\/\//i.test(src)) {
+    let url;
+    try {
+      url = new URL(src);
+    } catch {
+      throw new Error(`Invalid media URL: ${src}`);
+    }
+    if (isAppCloudinaryUrl(url)) return { url: url.href };
+    if (!siteOrigin || url.origin !== siteOrigin) {
+      throw new Error(`Media URLs must be on this site or the app's Cloudinary cloud, not ${url.host}`);
+    }
+    sitePath = url.pathname;
+  }
+  if (sitePath.startsWith("blob:") || sitePath.startsWith("data:")) {
+    throw new Error("Browser-local media cannot be transcribed on the server; upload it first");
+  }
+  const publicDir = path.join(process.cwd(), "public");
+  const filePath = path.join(publicDir, decodeURIComponent(sitePath.split("?")[0]));
+  if (!filePath.startsWith(publicDir + path.sep) || !fs.existsSync(filePath)) {
+    throw new Error(`Media not found: ${src}`);
+  }
+  return { filePath };
+};
+
+const downloadToTemp = async (url, tempDir) => {
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`Failed to download media (${res.status})`);
+  const ext = path.extname(new URL(url).pathname) || ".media";
+  const filePath = path.join(tempDir, `source${ext}`);
+  fs.writeFileSync(filePath, Buffer.from(await res.arrayBuffer()));
+  return filePath;
+};
+
+/**
+ * Transcribe a local file or URL with the chosen provider. Providers that
+ * only read local files get remote media downloaded to a temp dir first.
+ *
+ * @param {{ filePath?: string, url?: string, language?: string, durationMs?: number, provider?: string }} input
+ * @returns {Promise<{ provider: string, language: string, transcriptId: string|null, words: Array<{ text: string, startMs: number, endMs: number, confidence: number }> }>}
+ */
+export const transcribeMedia = async ({ provider: requested, ...input }) => {
+  const provider = getTranscriptionProvider(requested);
+  let tempDir = null;
+  try {
+    const source = { ...input };
+    if (!source.filePath && source.url && provider.name === whisperCppProvider.name) {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "transcribe-"));
+      source.filePath = await downloadToTemp(source.url, tempDir);
+    }
+    const result = await provider.transcribe(source);
+    const words = (result.words || [])
+      .filter((w) => w.text && Number.isFinite(w.startMs) && Number.isFinite(w.endMs))
+      .sort((a, b) => a.startMs - b.startMs);
+    return {
+      provider: provider.name,
+      language: result.language || input.language || "en",
+      transcriptId: result.transcriptId || null,
+      words,
+    };
+  } finally {
+    if (tempDir) fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+};
+
+/**
+ * Group words into captions, breaking after sentence punctuation or every
+ * MAX_WORDS_PER_CAPTION words.
+ *
+ * @returns {Array<{ text: string, startMs: number, endMs: number, timestampMs: null, confidence: number|null, words: Array<{ word: string, startMs: number, endMs: number, confidence: number }> }>}
+ */
+export const groupWordsIntoCaptions = (words) => {
+  const captions = [];
+  let buffer = [];
+  (words || []).forEach((word, i) => {
+    buffer.push(word);
+    const isTerminal =
+      /[.?!]/.test(word.text.slice(-1)) || buffer.length >= MAX_WORDS_PER_CAPTION || i === words.length - 1;
+    if (!isTerminal) return;
+    const confidences = buffer.map((w) => w.confidence).filter(Number.isFinite);
+    captions.push({
+      text: buffer.map((w) => w.text).join(" "),
+      startMs: buffer[0].startMs,
+      endMs: word.endMs,
+      timestampMs: null,
+      confidence: confidences.length
+        ? Number((confidences.reduce((sum, c) => sum + c, 0) / confidences.length).toFixed(3))
+        : null,
+      words: buffer.map((w) => ({
+        word: w.text,
+        startMs: w.startMs,
+        endMs: w.endMs,
+        confidence: Number.isFinite(w.confidence) ? w.confidence : 1,
+      })),
+    });
+    buffer = [];
+  });
+  return captions;
+};
+
+export default {
+  TRANSCRIPTION_PROVIDERS,
+  getTranscriptionProvider,
+  isFixtureProvider,
+  resolveMediaSource,
+  transcribeMedia,
+  groupWordsIntoCaptions,
+};
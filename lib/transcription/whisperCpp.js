@@ -0,0 +1,106 @@
+/* global process */
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { execFile } from "node:child_process";
+import { promisify } from "node:util";
+import { resolveFfmpegBinary } from "../clipMedia.js";
+
+const execFileAsync = promisify(execFile);
+
+// whisper.cpp only reads 16 kHz mono WAV
+const WHISPER_SAMPLE_RATE = 16000;
+const MAX_BUFFER = 64 * 1024 * 1024;
+
+const getBinary = () => process.env.WHISPER_CPP_BIN || "whisper-cli";
+const getModel = () => process.env.WHISPER_CPP_MODEL || null;
+
+const isSpecialToken = (text) => /^\[.*\]$/.test(text) || /^\(.*\)$/.test(text);
+
+/**
+ * Parse whisper.cpp `--output-json-full` output run with one word per
+ * segment (`-ml 1 -sow`). Token probabilities give the word confidence.
+ */
+export const parseWhisperJson = (json) => {
+  const segments = Array.isArray(json?.transcription) ? json.transcription : [];
+  const words = [];
+  segments.forEach((segment) => {
+    const text = String(segment.text || "").trim();
+    if (!text || isSpecialToken(text)) return;
+    const startMs = Number(segment.offsets?.from);
+    const endMs = Number(segment.offsets?.to);
+    if (!Number.isFinite(startMs) || !Number.isFinite(endMs)) return;
+    const probabilities = (segment.tokens || [])
+      .filter((token) => !String(token.text || "").startsWith("[_") && Number.isFinite(token.p))
+      .map((token) => token.p);
+    words.push({
+      text,
+      startMs,
+      endMs: Math.max(endMs, startMs),
+      confidence: probabilities.length
+        ? Number((probabilities.reduce((sum, p) => sum + p, 0) / probabilities.length).toFixed(3))
+        : 1,
+    });
+  });
+  return { language: json?.result?.language || null, words };
+};
+
+/**
+ * Local transcription through a whisper.cpp-style CLI binary.
+ *
+ * Env:
+ * - WHISPER_CPP_BIN   binary name or path (default "whisper-cli")
+ * - WHISPER_CPP_MODEL path to a ggml model file (required)
+ */
+export const whisperCppProvider = {
+  name: "whisper-cpp",
+  isConfigured: () => {
+    const model = getModel();
+    return Boolean(model && fs.existsSync(model));
+  },
+  transcribe: async ({ filePath, language }) => {
+    const model = getModel();
+    if (!model || !fs.existsSync(model)) {
+      throw new Error("WHISPER_CPP_MODEL must point to a whisper.cpp model file");
+    }
+    if (!filePath) throw new Error("whisper-cpp needs a local media file");
+
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "whisper-"));
+    try {
+      const wavPath = path.join(tempDir, "audio.wav");
+      await execFileAsync(
+        resolveFfmpegBinary(),
+        ["-y", "-i", filePath, "-vn", "-ac", "1", "-ar", String(WHISPER_SAMPLE_RATE), "-c:a", "pcm_s16le", wavPath],
+        { maxBuffer: MAX_BUFFER }
+      );
+
+      const outBase = path.join(tempDir, "transcript");
+      await execFileAsync(
+        getBinary(),
+        [
+          "-m", model,
+          "-f", wavPath,
+          "-l", language || "auto",
+          "-ml", "1",
+          "-sow",
+          "-ojf",
+          "-of", outBase,
+          "-np",
+        ],
+        { maxBuffer: MAX_BUFFER }
+      );
+
+      const json = JSON.parse(fs.readFileSync(`${outBase}.json`, "utf8"));
+      const parsed = parseWhisperJson(json);
+      return {
+        language: parsed.language || language || "en",
+        transcriptId: null,
+        words: parsed.words,
+      };
+    } finally {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+  },
+};
+
+export default whisperCppProvider;
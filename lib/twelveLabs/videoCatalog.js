@@ -4,53 +4,21 @@
  * (e.g., Kill_Bill_Vol2_Part3) to their Twelve Labs video IDs.
  */
 
-const VIDEO_PART_DEFINITIONS = [
-  {
-    label: "Kill_Bill_Vol1_Part1",
-    cloudinaryPublicId: "Kill_Bill_Vol1_Part1_30FPS",
-    envVar: "TWELVELABS_KILL_BILL_VOL1_PART1_VIDEO_ID",
-    defaultVideoId: "69254495b401380ebb921f0d",
-    partNumber: 1,
-    volume: 1,
-    aliases: ["kill bill vol1 part 1", "volume1 part1", "vol1-part1"],
-  },
-  {
-    label: "Kill_Bill_Vol1_Part2",
-    cloudinaryPublicId: "Kill_Bill_Vol1_Part2_30FPS",
-    envVar: "TWELVELABS_KILL_BILL_VOL1_PART2_VIDEO_ID",
-    defaultVideoId: "69254488b401380ebb921f0a",
-    partNumber: 2,
-    volume: 1,
-    aliases: ["kill bill vol1 part 2", "volume1 part2", "vol1-part2"],
-  },
-  {
-    label: "Kill_Bill_Vol2_Part1",
-    cloudinaryPublicId: "Kill_Bill_Vol2_Part1_30FPS",
-    envVar: "TWELVELABS_KILL_BILL_VOL2_PART1_VIDEO_ID",
-    defaultVideoId: "69255fc7c631cdc4fe330a73",
-    partNumber: 3,
-    volume: 2,
-    aliases: ["kill bill vol2 part 1", "volume2 part1", "vol2-part1"],
-  },
-  {
-    label: "Kill_Bill_Vol2_Part2",
-    cloudinaryPublicId: "Kill_Bill_Vol2_Part2_30FPS",
-    envVar: "TWELVELABS_KILL_BILL_VOL2_PART2_VIDEO_ID",
-    defaultVideoId: "69255fe49fbc66589d49dbac",
-    partNumber: 4,
-    volume: 2,
-    aliases: ["kill bill vol2 part 2", "volume2 part2", "vol2-part2"],
-  },
-  {
-    label: "Kill_Bill_Vol2_Part3",
-    cloudinaryPublicId: "Kill_Bill_Vol2_Part3_30FPS",
-    envVar: "TWELVELABS_KILL_BILL_VOL2_PART3_VIDEO_ID",
-    defaultVideoId: "69255ff6c631cdc4fe330a9c",
-    partNumber: 5,
-    volume: 2,
-    aliases: ["kill bill vol2 part 3", "volume2 part3", "vol2-part3"],
-  },
-];
+import { listSourceVideos } from "../contentSources.js";
+
+const KILL_BILL_SOURCE_ID = "killbill";
+
+// Part definitions come from the content source registry (data/content-sources/killbill.json)
+const getVideoPartDefinitions = () =>
+  listSourceVideos(KILL_BILL_SOURCE_ID).map((video) => ({
+    label: video.label,
+    cloudinaryPublicId: video.cloudinary.default,
+    envVar: video.twelveLabs?.envVar,
+    defaultVideoId: video.twelveLabs?.videoId,
+    partNumber: video.partNumber,
+    volume: video.volume,
+    aliases: video.aliases,
+  }));
 
 const normalizeToken = (value) => {
   if (value === null || value === undefined) return "";
@@ -66,8 +34,8 @@ const normalizeToken = (value) => {
 let cachedCatalog = null;
 
 const buildCatalog = () => {
-  const parts = VIDEO_PART_DEFINITIONS.map((definition) => {
-    const envValue = process.env[definition.envVar]?.trim();
+  const parts = getVideoPartDefinitions().map((definition) => {
+    const envValue = definition.envVar ? process.env[definition.envVar]?.trim() : null;
     const videoId = envValue || definition.defaultVideoId;
     if (!videoId) return null;
     const cloudinaryPublicId = definition.cloudinaryPublicId || definition.label;
@@ -0,0 +1,223 @@
+/**
+ * Waveform Peaks
+ *
+ * Stores one peak pyramid per song / media file (see buildPeakPyramid in
+ * audioWaveformAnalyzer.js) under data/waveform-peaks/<key>.json and serves
+ * slices of it by time range and level, so timelines fetch only the detail
+ * the current viewport can show.
+ *
+ * A stored pyramid is rebuilt when its source file's path, size or mtime
+ * changes (a slug can be pointed at a different file with songPath).
+ */
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { buildPeakPyramid } from "./audioWaveformAnalyzer.js";
+
+export const PEAK_PYRAMID_VERSION = 1;
+
+const PEAKS_DIR = path.join(process.cwd(), "data", "waveform-peaks");
+const KEY_PATTERN = /^[a-zA-Z0-9._-]+$/;
+const DEFAULT_POINTS = 1000;
+const MAX_POINTS = 20000;
+const MEMO_LIMIT = 8;
+
+// The most recently used parsed pyramids and in-flight builds, so viewport
+// requests don't re-read or re-decode
+const memo = new Map();
+const pending = new Map();
+
+const remember = (key, pyramid) => {
+  memo.delete(key);
+  memo.set(key, pyramid);
+  if (memo.size > MEMO_LIMIT) memo.delete(memo.keys().next().value);
+};
+
+const sourceStamp = (filePath) => {
+  const stat = fs.statSync(filePath);
+  return { path: path.relative(process.cwd(), filePath), size: stat.size, mtimeMs: Math.round(stat.mtimeMs) };
+};
+
+const isFresh = (pyramid, stamp) =>
+  pyramid?.version === PEAK_PYRAMID_VERSION &&
+  pyramid.source?.path === stamp.path &&
+  pyramid.source?.size === stamp.size &&
+  pyramid.source?.mtimeMs === stamp.mtimeMs;
+
+/**
+ * Storage key for media that has no song slug (editor timeline items).
+ */
+export const mediaPeakKey = (filePath) =>
+  `media-${crypto.createHash("sha1").update(path.relative(process.cwd(), filePath)).digest("hex").slice(0, 16)}`;
+
+// Same rule as revisionStore names, so a valid key is also a valid song slug
+export const isValidPeakKey = (key) => KEY_PATTERN.test(key || "") && !key.includes("..");
+
+export const getPeakPyramidPath = (key) => {
+  if (!isValidPeakKey(key)) throw new Error(`Invalid waveform peaks key: ${key}`);
+  return path.join(PEAKS_DIR, `${key}.json`);
+};
+
+/**
+ * Load the stored pyramid for `key`, building (and storing) it from
+ * `filePath` when missing or stale.
+ *
+ * @param {string} filePath - Audio or video file
+ * @param {{ key: string, rebuild?: boolean }} options
+ * @returns {Promise<Object>}
+ */
+export const loadPeakPyramid = async (filePath, { key, rebuild = false }) => {
+  if (!fs.existsSync(filePath)) throw new Error(`Audio file not found: ${filePath}`);
+  const storePath = getPeakPyramidPath(key);
+  const stamp = sourceStamp(filePath);
+
+  if (!rebuild) {
+    const cached = memo.get(key);
+    if (isFresh(cached, stamp)) {
+      remember(key, cached);
+      return cached;
+    }
+    if (fs.existsSync(storePath)) {
+      try {
+        const stored = JSON.parse(fs.readFileSync(storePath, "utf8"));
+        if (isFresh(stored, stamp)) {
+          remember(key, stored);
+          return stored;
+        }
+      } catch (err) {
+        console.warn(`[waveformPeaks] Ignoring unreadable ${storePath}: ${err.message}`);
+      }
+    }
+  }
+
+  const pendingKey = `${key}:${stamp.path}`;
+  if (pending.has(pendingKey)) return pending.get(pendingKey);
+  const build = (async () => {
+    const startedAt = Date.now();
+    const pyramid = {
+      version: PEAK_PYRAMID_VERSION,
+      key,
+      source: stamp,
+      ...(await buildPeakPyramid(filePath)),
+      builtAt: new Date().toISOString(),
+    };
+    fs.mkdirSync(PEAKS_DIR, { recursive: true });
+    fs.writeFileSync(storePath, JSON.stringify(pyramid));
+    remember(key, pyramid);
+    console.log(
+      `[waveformPeaks] Built ${key}: ${pyramid.levels.length} levels in ${Date.now() - startedAt}ms`
+    );
+    return pyramid;
+  })();
+  pending.set(pendingKey, build);
+  try {
+    return await build;
+  } finally {
+    pending.delete(pendingKey);
+  }
+};
+
+/**
+ * Pick the coarsest level that still has at least `points` points across
+ * [start, end).
+ */
+export const selectPeakLevel = (pyramid, { start, end, points }) => {
+  const span = Math.max(0, end - start);
+  if (!span || !points) return pyramid.levels.length - 1;
+  const wantedDuration = span / points;
+  for (let i = pyramid.levels.length - 1; i >= 0; i--) {
+    if (pyramid.levels[i].pointDuration <= wantedDuration) return i;
+  }
+  return 0;
+};
+
+/**
+ * Slice a pyramid by time range. Levels finer than the band frames reuse the
+ * band value of the frame each point falls in.
+ *
+ * @param {Object} pyramid
+ * @param {{ start?: number, end?: number, points?: number, level?: number }} [options]
+ *   `points` is the number of points the viewport can show (usually its pixel
+ *   width); `level` overrides the automatic choice.
+ * @returns {Object} { level, levels, pointDuration, samplesPerPoint, start, end, startIndex, min, max, rms, bands, peak, durationSeconds }
+ */
+export const queryPeaks = (pyramid, options = {}) => {
+  const duration = pyramid.durationSeconds;
+  const start = Math.max(0, Math.min(Number.isFinite(options.start) ? options.start : 0, duration));
+  const end = Math.max(start, Math.min(Number.isFinite(options.end) ? options.end : duration, duration));
+  const points = Math.min(MAX_POINTS, Math.max(1, Math.round(options.points || DEFAULT_POINTS)));
+
+  const levelIndex = Number.isInteger(options.level)
+    ? Math.max(0, Math.min(options.level, pyramid.levels.length - 1))
+    : selectPeakLevel(pyramid, { start, end, points });
+  const level = pyramid.levels[levelIndex];
+
+  const startIndex = Math.min(level.length, Math.floor(start / level.pointDuration));
+  const endIndex = Math.min(level.length, Math.max(startIndex + 1, Math.ceil(end / level.pointDuration)));
+
+  const bandLevel = pyramid.levels.find((candidate) => candidate.bands);
+  let bands = null;
+  if (level.bands) {
+    bands = Object.fromEntries(
+      Object.entries(level.bands).map(([band, values]) => [band, values.slice(startIndex, endIndex)])
+    );
+  } else if (bandLevel) {
+    const ratio = bandLevel.samplesPerPoint / level.samplesPerPoint;
+    bands = Object.fromEntries(
+      Object.entries(bandLevel.bands).map(([band, values]) => {
+        const slice = [];
+        for (let i = startIndex; i < endIndex; i++) {
+          slice.push(values[Math.min(values.length - 1, Math.floor(i / ratio))]);
+        }
+        return [band, slice];
+      })
+    );
+  }
+
+  return {
+    level: levelIndex,
+    levels: pyramid.levels.length,
+    pointDuration: level.pointDuration,
+    samplesPerPoint: level.samplesPerPoint,
+    start: startIndex * level.pointDuration,
+    end: Math.min(duration, endIndex * level.pointDuration),
+    startIndex,
+    min: level.min.slice(startIndex, endIndex),
+    max: level.max.slice(startIndex, endIndex),
+    rms: level.rms.slice(startIndex, endIndex),
+    bands,
+    peak: pyramid.peak,
+    durationSeconds: duration,
+  };
+};
+
+/**
+ * Level summary for clients deciding what to request.
+ */
+export const describePeakPyramid = (pyramid) => ({
+  key: pyramid.key,
+  durationSeconds: pyramid.durationSeconds,
+  sampleRate: pyramid.sampleRate,
+  peak: pyramid.peak,
+  builtAt: pyramid.builtAt,
+  bandDefinitions: pyramid.bandDefinitions,
+  levels: pyramid.levels.map(({ level, samplesPerPoint, pointDuration, length, bands }) => ({
+    level,
+    samplesPerPoint,
+    pointDuration,
+    length,
+    hasBands: Boolean(bands),
+  })),
+});
+
+export default {
+  PEAK_PYRAMID_VERSION,
+  mediaPeakKey,
+  isValidPeakKey,
+  getPeakPyramidPath,
+  loadPeakPyramid,
+  selectPeakLevel,
+  queryPeaks,
+  describePeakPyramid,
+};
@@ -0,0 +1,39 @@
+#!/usr/bin/env node
+/**
+ * Analyze dominant colors and brightness for every clip of a clip pool, so
+ * planners can keep cuts smooth (or deliberately contrasting on section
+ * changes) with the colorContinuity option. See lib/clipColor.js.
+ *
+ * What it does:
+ * - Reads a small RGB frame at each clip's first, middle and last frame of
+ *   the local source video with ffmpeg.
+ * - Writes clip.color (mean luminance, a 3-color palette and per-frame
+ *   luminance / mean color samples) and pool.color onto the pool. Clips
+ *   already analyzed are reused unless --force.
+ *
+ * Pools built with scripts/build-clip-pool.mjs --color already have it.
+ * Source videos come from each clip's sourcePath or the content source
+ * registry's localPath (data/content-sources). Needs ffmpeg on PATH (or
+ * FFMPEG_PATH / ffmpeg-static).
+ *
+ * CLI:
+ *   node scripts/analyze-clip-color.mjs <source id | pool.json> [--force] [--dry-run]
+ *
+ * Examples:
+ *   node scripts/analyze-clip-color.mjs killbill
+ *   node scripts/analyze-clip-color.mjs data/clip-pools/lakers-celtics.json --force
+ */
+
+import { runClipPoolScript } from "./clip-pool-script.mjs";
+import { analyzeClipPoolColor } from "../lib/clipColor.js";
+
+runClipPoolScript({
+  usage: "node scripts/analyze-clip-color.mjs <source id | pool.json> [--force] [--dry-run]",
+  run: (pool, args, onProgress) => analyzeClipPoolColor(pool, { force: args.force, onProgress }),
+  describe: ({ result: { color } }) =>
+    `luminance ${color.luminance}, palette ${color.palette.map((entry) => entry.color).join(" ")}`,
+  summarize: ({ pool, stats }) => [
+    `Analyzed: ${stats.analyzed}, reused: ${stats.reused}, no video: ${stats.missingVideo}, failed: ${stats.failed}`,
+    `Clips with color: ${pool.color.analyzed}`,
+  ],
+});
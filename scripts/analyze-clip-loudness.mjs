@@ -0,0 +1,40 @@
+#!/usr/bin/env node
+/**
+ * Analyze integrated loudness, true peak and speech presence for every clip
+ * of a clip pool, so the song-edit renderer can gain-normalize dialogue
+ * clips against the music bed. See lib/clipLoudness.js.
+ *
+ * What it does:
+ * - Runs ffmpeg's loudnorm analysis (EBU R128) over each clip's range of the
+ *   local source video: integrated LUFS, true peak, loudness range.
+ * - Measures voice-band (300-3400 Hz) activity with silencedetect and flags
+ *   clips as speech when it covers enough of the clip (or the clip carries
+ *   annotated dialogue).
+ * - Writes clip.loudness and pool.loudness onto the pool. Clips already
+ *   analyzed are reused unless --force.
+ *
+ * Source videos come from each clip's sourcePath or the content source
+ * registry's localPath (data/content-sources). Needs ffmpeg on PATH (or
+ * FFMPEG_PATH / ffmpeg-static).
+ *
+ * CLI:
+ *   node scripts/analyze-clip-loudness.mjs <source id | pool.json> [--force] [--dry-run]
+ *
+ * Examples:
+ *   node scripts/analyze-clip-loudness.mjs killbill
+ *   node scripts/analyze-clip-loudness.mjs data/clip-pools/lakers-celtics.json --force
+ */
+
+import { runClipPoolScript } from "./clip-pool-script.mjs";
+import { analyzeClipPoolLoudness } from "../lib/clipLoudness.js";
+
+runClipPoolScript({
+  usage: "node scripts/analyze-clip-loudness.mjs <source id | pool.json> [--force] [--dry-run]",
+  run: (pool, args, onProgress) => analyzeClipPoolLoudness(pool, { force: args.force, onProgress }),
+  describe: ({ result: { loudness } }) =>
+    `${loudness.integratedLufs} LUFS, peak ${loudness.truePeakDb} dBTP, speech ${loudness.speechRatio}`,
+  summarize: ({ stats }) => [
+    `Analyzed: ${stats.analyzed}, reused: ${stats.reused}, no video: ${stats.missingVideo}, failed: ${stats.failed}`,
+    `Clips with speech: ${stats.withSpeech}`,
+  ],
+});
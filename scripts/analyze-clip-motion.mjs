@@ -0,0 +1,39 @@
+#!/usr/bin/env node
+/**
+ * Analyze on-screen motion for every clip of a clip pool, so planners can
+ * put busy clips on hard-hitting beats and slow ones on soft passages.
+ * See lib/clipMotion.js.
+ *
+ * What it does:
+ * - Reads each clip's range of the local source video with ffmpeg as small
+ *   grayscale frames (64x36 at 10 fps) and measures the mean difference
+ *   between consecutive frames, skipping cut-like jumps.
+ * - Writes clip.motion (score, pool-ranked energy, peak and a short motion
+ *   curve) and pool.motion onto the pool. Clips already analyzed are reused
+ *   unless --force; energies are re-ranked across the whole pool each run.
+ *
+ * Pools built with scripts/build-clip-pool.mjs --motion already have it.
+ * Source videos come from each clip's sourcePath or the content source
+ * registry's localPath (data/content-sources). Needs ffmpeg on PATH (or
+ * FFMPEG_PATH / ffmpeg-static).
+ *
+ * CLI:
+ *   node scripts/analyze-clip-motion.mjs <source id | pool.json> [--force] [--dry-run]
+ *
+ * Examples:
+ *   node scripts/analyze-clip-motion.mjs killbill
+ *   node scripts/analyze-clip-motion.mjs data/clip-pools/lakers-celtics.json --force
+ */
+
+import { runClipPoolScript } from "./clip-pool-script.mjs";
+import { analyzeClipPoolMotion } from "../lib/clipMotion.js";
+
+runClipPoolScript({
+  usage: "node scripts/analyze-clip-motion.mjs <source id | pool.json> [--force] [--dry-run]",
+  run: (pool, args, onProgress) => analyzeClipPoolMotion(pool, { force: args.force, onProgress }),
+  describe: (event) => `motion ${event.result.motion.score}, peak ${event.result.motion.peak}`,
+  summarize: ({ pool, stats }) => [
+    `Analyzed: ${stats.analyzed}, reused: ${stats.reused}, no video: ${stats.missingVideo}, failed: ${stats.failed}`,
+    `Clips with motion: ${pool.motion.analyzed}`,
+  ],
+});
@@ -0,0 +1,165 @@
+#!/usr/bin/env node
+/**
+ * Build a clip pool file (same format as data/instantClipPool.json) from a
+ * folder of source videos, without Twelve Labs or Cloudinary.
+ *
+ * What it does:
+ * - Probes every video in the folder with ffprobe.
+ * - Detects all scene cuts with ffmpeg's scene filter.
+ * - Carves the cut-free shots into frame-snapped clips, buckets them by
+ *   duration and writes clips, durationBuckets, buckets, tagBuckets and
+ *   moments (empty: moments come from annotations).
+ * - Clips carry cutFreeVerified, fps, startFrame, endFrameExclusive and
+ *   durationFrames like the annotation-built pools.
+ * - With --motion, also scores each clip's on-screen motion from frame
+ *   differences (lib/clipMotion.js; scripts/analyze-clip-motion.mjs backfills
+ *   existing pools).
+ * - With --color, also samples each clip's palette and brightness
+ *   (lib/clipColor.js; scripts/analyze-clip-color.mjs backfills).
+ *
+ * Needs ffmpeg/ffprobe on PATH (or FFMPEG_PATH / FFPROBE_PATH). Cut detection
+ * decodes every frame, so expect roughly real-time / a few x for long games.
+ *
+ * To use the pool for Generate Edit, point a content source's clipPool.path
+ * at the output (data/content-sources/<id>.json).
+ *
+ * CLI:
+ *   node scripts/build-clip-pool.mjs <folder> [--out path] [--tag tag]...
+ *     [--threshold 0.3] [--buffer 0.05] [--max-clip 6.8] [--min-clip 0.3]
+ *     [--fps 30] [--recursive] [--motion] [--color] [--dry-run]
+ *
+ * Examples:
+ *   node scripts/build-clip-pool.mjs ~/footage/lakers-celtics --tag lebron_james
+ *   node scripts/build-clip-pool.mjs public/movie-proxies --out data/killbillLocalPool.json
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import { buildClipPoolFromFolder } from "../lib/clipPoolBuilder.js";
+import { analyzeClipPoolMotion } from "../lib/clipMotion.js";
+import { analyzeClipPoolColor } from "../lib/clipColor.js";
+
+const NUMERIC_FLAGS = {
+  "--threshold": "threshold",
+  "--buffer": "buffer",
+  "--max-clip": "maxClipSeconds",
+  "--min-clip": "minClipSeconds",
+  "--fps": "fps",
+};
+
+function parseArgs(argv) {
+  const args = { folder: null, out: null, tags: [], recursive: false, motion: false, color: false, dryRun: false, options: {} };
+  const items = [...argv];
+  while (items.length) {
+    const v = items.shift();
+    if (v === "--out") {
+      args.out = items.shift();
+    } else if (v === "--tag") {
+      const tag = items.shift();
+      if (tag) args.tags.push(tag.toLowerCase());
+    } else if (v === "--recursive") {
+      args.recursive = true;
+    } else if (v === "--motion") {
+      args.motion = true;
+    } else if (v === "--color") {
+      args.color = true;
+    } else if (v === "--dry-run") {
+      args.dryRun = true;
+    } else if (NUMERIC_FLAGS[v]) {
+      const value = Number(items.shift());
+      if (!Number.isFinite(value) || value <= 0) {
+        console.error(`${v} expects a positive number`);
+        process.exit(1);
+      }
+      args.options[NUMERIC_FLAGS[v]] = value;
+    } else if (v.startsWith("--")) {
+      continue;
+    } else if (!args.folder) {
+      args.folder = v;
+    }
+  }
+  return args;
+}
+
+const parsed = parseArgs(process.argv.slice(2));
+
+async function main() {
+  if (!parsed.folder) {
+    console.error("Usage: node scripts/build-clip-pool.mjs <folder> [--out path] [--tag tag]...");
+    process.exit(1);
+  }
+  const folder = path.resolve(parsed.folder);
+  const outPath = path.resolve(
+    parsed.out || path.join(process.cwd(), "data", "clip-pools", `${path.basename(folder)}.json`)
+  );
+
+  console.log(`Video folder: ${folder}`);
+  console.log(`Output: ${outPath}${parsed.dryRun ? " (dry run)" : ""}\n`);
+
+  let pool = await buildClipPoolFromFolder(folder, {
+    ...parsed.options,
+    recursive: parsed.recursive,
+    tags: parsed.tags,
+    onProgress: (event) => {
+      const label = `[${event.index + 1}/${event.total}] ${path.basename(event.file)}`;
+      if (event.type === "video-start") {
+        console.log(`${label}: probing and detecting cuts...`);
+      } else if (event.type === "video-done") {
+        const { duration, fps, cuts, clips, error } = event.video;
+        console.log(
+          `${label}: ${duration}s @ ${fps}fps, ${cuts} cuts, ${clips} clips${error ? ` (cut detection failed: ${error})` : ""}`
+        );
+      } else if (event.type === "video-failed") {
+        console.log(`${label}: FAILED ${event.video.error}`);
+      }
+    },
+  });
+
+  console.log(`\nClips: ${pool.totalClips}`);
+  Object.entries(pool.distribution.byBucket).forEach(([bucket, count]) =>
+    console.log(`  ${bucket}: ${count}`)
+  );
+  const unverified = pool.clips.filter((clip) => !clip.cutFreeVerified).length;
+  if (unverified) console.log(`  ! ${unverified} clip(s) not cut-free verified`);
+
+  if (parsed.motion) {
+    console.log(`\nScoring clip motion...`);
+    const result = await analyzeClipPoolMotion(pool, {
+      onProgress: (event) => {
+        if (event.type === "failed") {
+          console.log(`  ! ${event.clip?.id}: motion FAILED ${event.error}`);
+        }
+      },
+    });
+    pool = result.pool;
+    console.log(`Motion: ${result.stats.analyzed} analyzed, ${result.stats.failed} failed`);
+  }
+
+  if (parsed.color) {
+    console.log(`\nSampling clip color...`);
+    const result = await analyzeClipPoolColor(pool, {
+      onProgress: (event) => {
+        if (event.type === "failed") {
+          console.log(`  ! ${event.clip?.id}: color FAILED ${event.error}`);
+        }
+      },
+    });
+    pool = result.pool;
+    console.log(`Color: ${result.stats.analyzed} analyzed, ${result.stats.failed} failed`);
+  }
+
+  if (!parsed.dryRun) {
+    fs.mkdirSync(path.dirname(outPath), { recursive: true });
+    fs.writeFileSync(outPath, JSON.stringify(pool, null, 2));
+    console.log(`\nWrote ${path.relative(process.cwd(), outPath)}`);
+  }
+
+  if (pool.source.videos.some((video) => video.error && !video.clips)) {
+    process.exit(1);
+  }
+}
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exit(1);
+});
@@ -0,0 +1,124 @@
+/**
+ * Shared skeleton of the per-clip pool scripts (analyze-clip-loudness,
+ * analyze-clip-motion, analyze-clip-color, generate-clip-thumbnails):
+ *
+ *   node scripts/<script>.mjs <source id | pool.json> [--force] [--dry-run] [script flags]
+ *
+ * The target is a content source id (its clipPool.path, see
+ * data/content-sources) or a pool file. The script's pass runs over the
+ * pool with a progress line every 50 clips (and for every clip without a
+ * local video or that failed), then the pool is written back unless
+ * --dry-run.
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import { getClipPoolPaths, getContentSource } from "../lib/contentSources.js";
+
+const PROGRESS_EVERY = 50;
+
+/**
+ * @param {string[]} argv
+ * @param {Object} [valueFlags] - { "--flag": { key, default, parse(value) -> value|null, error } }
+ */
+export function parseArgs(argv, valueFlags = {}) {
+  const args = { target: null, force: false, dryRun: false };
+  Object.values(valueFlags).forEach((flag) => {
+    args[flag.key] = flag.default;
+  });
+  const items = [...argv];
+  while (items.length) {
+    const v = items.shift();
+    if (v === "--force") {
+      args.force = true;
+    } else if (v === "--dry-run") {
+      args.dryRun = true;
+    } else if (valueFlags[v]) {
+      const value = valueFlags[v].parse(items.shift());
+      if (value === null) {
+        console.error(valueFlags[v].error);
+        process.exit(1);
+      }
+      args[valueFlags[v].key] = value;
+    } else if (v.startsWith("--")) {
+      continue;
+    } else if (!args.target) {
+      args.target = v;
+    }
+  }
+  return args;
+}
+
+export const resolvePoolPath = (target) => {
+  if (getContentSource(target)) {
+    const { path: poolPath } = getClipPoolPaths(target);
+    if (!poolPath) throw new Error(`Content source "${target}" declares no clipPool.path`);
+    return poolPath;
+  }
+  return path.resolve(target);
+};
+
+/**
+ * Progress printer for clipMedia.analyzePoolClips events; `describe(event)`
+ * is the text after an analyzed clip's label.
+ */
+export const createProgressLogger = (describe) => {
+  let lastLogged = 0;
+  return (event) => {
+    const label = `[${event.index + 1}/${event.total}] ${event.clip?.id ?? event.index}`;
+    if (event.type === "missing-video") {
+      console.log(`${label}: no local video for ${event.clip?.cloudinaryId || event.clip?.videoId}`);
+    } else if (event.type === "failed") {
+      console.log(`${label}: FAILED ${event.error}`);
+    } else if (event.index + 1 - lastLogged >= PROGRESS_EVERY || event.index + 1 === event.total) {
+      lastLogged = event.index + 1;
+      console.log(`${label}: ${describe(event)}`);
+    }
+  };
+};
+
+/**
+ * Parse the command line, run the pass and write the pool. Exits 1 on a
+ * missing target or any error.
+ *
+ * @param {Object} options
+ * @param {string} options.usage - Printed when no target is given
+ * @param {Object} [options.valueFlags] - See parseArgs
+ * @param {(args: Object) => string[]} [options.describeRun] - Extra header lines
+ * @param {(pool: Object, args: Object, onProgress: Function) => Promise<{ pool: Object, stats: Object }>} options.run
+ * @param {(event: Object) => string} options.describe - See createProgressLogger
+ * @param {(result: { pool: Object, stats: Object }) => string[]} options.summarize - Lines after the run
+ */
+export const runClipPoolScript = ({ usage, valueFlags = {}, describeRun = null, run, describe, summarize }) => {
+  const parsed = parseArgs(process.argv.slice(2), valueFlags);
+
+  async function main() {
+    if (!parsed.target) {
+      console.error(`Usage: ${usage}`);
+      process.exit(1);
+    }
+    const poolPath = resolvePoolPath(parsed.target);
+    if (!fs.existsSync(poolPath)) {
+      throw new Error(`Clip pool not found: ${poolPath}`);
+    }
+    const pool = JSON.parse(fs.readFileSync(poolPath, "utf8"));
+
+    console.log(`Clip pool: ${path.relative(process.cwd(), poolPath)} (${pool.clips?.length || 0} clips)${parsed.dryRun ? " (dry run)" : ""}`);
+    (describeRun?.(parsed) || []).forEach((line) => console.log(line));
+    console.log("");
+
+    const result = await run(pool, parsed, createProgressLogger(describe));
+    console.log("");
+    summarize(result).forEach((line) => console.log(line));
+
+    if (!parsed.dryRun) {
+      fs.writeFileSync(poolPath, JSON.stringify(result.pool, null, 2));
+      console.log(`\nWrote ${path.relative(process.cwd(), poolPath)}`);
+    }
+  }
+
+  main().catch((err) => {
+    console.error(err.message);
+    process.exit(1);
+  });
+};
@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+/**
+ * Generate local poster frames and scrubbable sprite sheets for every clip
+ * of a clip pool and record their paths on the pool, so the editor shows
+ * thumbnails without Cloudinary. See lib/clipThumbnails.js.
+ *
+ * What it does:
+ * - Cuts a poster (clip midpoint) and a sprite of --frames tiles plus a
+ *   WEBVTT index per clip from the local source video with ffmpeg, cached
+ *   under public/clip-thumbnails/.
+ * - Writes clip.thumbnails (and clip.thumbnail when empty) and
+ *   pool.thumbnails onto the pool.
+ * - Thumbnails already on disk are reused unless --force.
+ *
+ * Source videos come from each clip's sourcePath or the content source
+ * registry's localPath (data/content-sources). Needs ffmpeg on PATH (or
+ * FFMPEG_PATH / ffmpeg-static).
+ *
+ * CLI:
+ *   node scripts/generate-clip-thumbnails.mjs <source id | pool.json> [--frames 10]
+ *     [--force] [--dry-run]
+ *
+ * Examples:
+ *   node scripts/generate-clip-thumbnails.mjs killbill
+ *   node scripts/generate-clip-thumbnails.mjs data/clip-pools/lakers-celtics.json --frames 20
+ */
+
+import { runClipPoolScript } from "./clip-pool-script.mjs";
+import { DEFAULT_SPRITE_FRAMES, MAX_SPRITE_FRAMES, thumbnailClipPool } from "../lib/clipThumbnails.js";
+
+runClipPoolScript({
+  usage: "node scripts/generate-clip-thumbnails.mjs <source id | pool.json> [--frames 10] [--force]",
+  valueFlags: {
+    "--frames": {
+      key: "frames",
+      default: DEFAULT_SPRITE_FRAMES,
+      parse: (value) => {
+        const frames = Number(value);
+        return Number.isInteger(frames) && frames > 0 && frames <= MAX_SPRITE_FRAMES ? frames : null;
+      },
+      error: `--frames expects an integer between 1 and ${MAX_SPRITE_FRAMES}`,
+    },
+  },
+  describeRun: (args) => [`Sprite frames per clip: ${args.frames}`],
+  run: (pool, args, onProgress) => thumbnailClipPool(pool, { frames: args.frames, force: args.force, onProgress }),
+  describe: () => "generated",
+  summarize: ({ stats }) => [
+    `Generated: ${stats.generated}, reused: ${stats.reused}, no video: ${stats.missingVideo}, failed: ${stats.failed}`,
+    `Clips with thumbnails: ${stats.clipCount}`,
+  ],
+});
@@ -0,0 +1,141 @@
+#!/usr/bin/env node
+/**
+ * Perceptual-hash a clip pool and group its near-duplicate clips (clips of
+ * the same shot a few seconds apart) so planners and the slot curator treat
+ * a group like one clip for no-reuse and spacing. See lib/nearDuplicateClips.js.
+ *
+ * What it does:
+ * - Samples a few frames per clip from the local source video with ffmpeg
+ *   and stores a dHash per frame on the clip (clip.phash).
+ * - Clusters clips whose hashes are within --threshold bits (mean per frame)
+ *   and writes clip.nearDuplicateGroup and pool.nearDuplicates.
+ * - Hashes already on the pool are reused unless --force; --regroup only
+ *   re-clusters (e.g. to try another threshold) without touching ffmpeg.
+ *
+ * Source videos come from each clip's sourcePath or the content source
+ * registry's localPath (data/content-sources). Needs ffmpeg on PATH (or
+ * FFMPEG_PATH / ffmpeg-static).
+ *
+ * CLI:
+ *   node scripts/hash-clip-pool.mjs <source id | pool.json> [--frames 3]
+ *     [--threshold 10] [--force] [--regroup] [--dry-run]
+ *
+ * Examples:
+ *   node scripts/hash-clip-pool.mjs killbill
+ *   node scripts/hash-clip-pool.mjs data/clip-pools/lakers-celtics.json --threshold 8
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import { getClipPoolPaths, getContentSource } from "../lib/contentSources.js";
+import {
+  DEFAULT_HASH_FRAMES,
+  DEFAULT_NEAR_DUPLICATE_THRESHOLD,
+  applyNearDuplicateGroups,
+  hashClipPool,
+} from "../lib/nearDuplicateClips.js";
+
+const NUMERIC_FLAGS = {
+  "--frames": "frames",
+  "--threshold": "threshold",
+};
+
+function parseArgs(argv) {
+  const args = { target: null, force: false, regroup: false, dryRun: false, options: {} };
+  const items = [...argv];
+  while (items.length) {
+    const v = items.shift();
+    if (v === "--force") {
+      args.force = true;
+    } else if (v === "--regroup") {
+      args.regroup = true;
+    } else if (v === "--dry-run") {
+      args.dryRun = true;
+    } else if (NUMERIC_FLAGS[v]) {
+      const value = Number(items.shift());
+      if (!Number.isFinite(value) || value <= 0) {
+        console.error(`${v} expects a positive number`);
+        process.exit(1);
+      }
+      args.options[NUMERIC_FLAGS[v]] = value;
+    } else if (v.startsWith("--")) {
+      continue;
+    } else if (!args.target) {
+      args.target = v;
+    }
+  }
+  return args;
+}
+
+const resolvePoolPath = (target) => {
+  if (getContentSource(target)) {
+    const { path: poolPath } = getClipPoolPaths(target);
+    if (!poolPath) throw new Error(`Content source "${target}" declares no clipPool.path`);
+    return poolPath;
+  }
+  return path.resolve(target);
+};
+
+const parsed = parseArgs(process.argv.slice(2));
+
+async function main() {
+  if (!parsed.target) {
+    console.error("Usage: node scripts/hash-clip-pool.mjs <source id | pool.json> [--frames 3] [--threshold 10]");
+    process.exit(1);
+  }
+  const poolPath = resolvePoolPath(parsed.target);
+  if (!fs.existsSync(poolPath)) {
+    throw new Error(`Clip pool not found: ${poolPath}`);
+  }
+  const pool = JSON.parse(fs.readFileSync(poolPath, "utf8"));
+  const frames = parsed.options.frames ?? DEFAULT_HASH_FRAMES;
+  const threshold = parsed.options.threshold ?? DEFAULT_NEAR_DUPLICATE_THRESHOLD;
+
+  console.log(`Clip pool: ${path.relative(process.cwd(), poolPath)} (${pool.clips?.length || 0} clips)`);
+  console.log(`Frames per clip: ${frames}, threshold: ${threshold}${parsed.dryRun ? " (dry run)" : ""}\n`);
+
+  let result;
+  if (parsed.regroup) {
+    const grouped = applyNearDuplicateGroups(pool, { frames, threshold });
+    result = {
+      pool: grouped,
+      stats: { groups: grouped.nearDuplicates.groupCount, groupedClips: grouped.nearDuplicates.groupedClips },
+    };
+  } else {
+    let lastLogged = 0;
+    result = await hashClipPool(pool, {
+      frames,
+      threshold,
+      force: parsed.force,
+      onProgress: (event) => {
+        const label = `[${event.index + 1}/${event.total}] ${event.clip?.id ?? event.index}`;
+        if (event.type === "missing-video") {
+          console.log(`${label}: no local video for ${event.clip?.cloudinaryId || event.clip?.videoId}`);
+        } else if (event.type === "failed") {
+          console.log(`${label}: FAILED ${event.error}`);
+        } else if (event.index + 1 - lastLogged >= 50 || event.index + 1 === event.total) {
+          lastLogged = event.index + 1;
+          console.log(`${label}: hashed`);
+        }
+      },
+    });
+    const { hashed, reused, missingVideo, failed } = result.stats;
+    console.log(`\nHashed: ${hashed}, reused: ${reused}, no video: ${missingVideo}, failed: ${failed}`);
+  }
+
+  console.log(`Near-duplicate groups: ${result.stats.groups} (${result.stats.groupedClips} clips)`);
+  const largest = Object.entries(result.pool.nearDuplicates.groups)
+    .sort((a, b) => b[1].length - a[1].length)
+    .slice(0, 5);
+  largest.forEach(([groupId, members]) => console.log(`  ${groupId}: ${members.join(", ")}`));
+
+  if (!parsed.dryRun) {
+    fs.writeFileSync(poolPath, JSON.stringify(result.pool, null, 2));
+    console.log(`\nWrote ${path.relative(process.cwd(), poolPath)}`);
+  }
+}
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exit(1);
+});
@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+/**
+ * Repair song format files into one canonical, current-schema object.
+ *
+ * What it does:
+ * - Reads every data/song-formats/*.json (or just the given slugs).
+ * - Merges files that contain several concatenated JSON objects (later
+ *   objects override the placeholder stub, same as the loader).
+ * - Runs the schema migrations (segment* aliases -> beat* fields, beatTime ->
+ *   segmentTime, resumeMode "beat" -> "segment") and stamps schemaVersion.
+ * - Validates the result; invalid files are reported and left untouched.
+ * - Records the original and the repaired file in the revision store
+ *   (data/revisions/format/<slug>), so a repair can be diffed or restored
+ *   through /api/format-builder/revisions. Custom --dir runs skip the store.
+ * - Prints a per-file report of everything that changed.
+ *
+ * CLI:
+ *   node scripts/repair-song-formats.mjs [slugs...] [--dry-run] [--dir path]
+ *
+ * Examples:
+ *   node scripts/repair-song-formats.mjs                  # repair all formats
+ *   node scripts/repair-song-formats.mjs --dry-run        # report only
+ *   node scripts/repair-song-formats.mjs loveme           # just one format
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import {
+  SONG_FORMAT_SCHEMA_VERSION,
+  readSongFormatFile,
+  writeSongFormatFile,
+} from "../lib/songFormatSchema.js";
+import { writeWithRevision } from "../lib/revisionStore.js";
+
+function parseArgs(argv) {
+  const args = { slugs: [], dryRun: false, dir: null };
+  const items = [...argv];
+  while (items.length) {
+    const v = items.shift();
+    if (v === "--dry-run") {
+      args.dryRun = true;
+    } else if (v === "--dir") {
+      args.dir = items.shift();
+    } else if (v.startsWith("--")) {
+      continue;
+    } else {
+      args.slugs.push(v.replace(/\.json$/, ""));
+    }
+  }
+  return args;
+}
+
+const parsed = parseArgs(process.argv.slice(2));
+const formatsDir = path.resolve(parsed.dir || path.join(process.cwd(), "data", "song-formats"));
+
+function listSlugs() {
+  if (parsed.slugs.length) return parsed.slugs;
+  if (!fs.existsSync(formatsDir)) return [];
+  return fs
+    .readdirSync(formatsDir)
+    .filter((file) => file.endsWith(".json"))
+    .map((file) => file.replace(/\.json$/, ""))
+    .sort();
+}
+
+function repairFormat(slug) {
+  const formatPath = path.join(formatsDir, `${slug}.json`);
+  if (!fs.existsSync(formatPath)) {
+    return { slug, status: "missing", changes: [], errors: [`${formatPath} not found`], warnings: [] };
+  }
+
+  let result;
+  try {
+    result = readSongFormatFile(formatPath);
+  } catch (err) {
+    return { slug, status: "unreadable", changes: [], errors: [err.message], warnings: [] };
+  }
+
+  const { format, changes, errors, warnings, objectCount, fromVersion } = result;
+  if (!format.slug) {
+    format.slug = slug;
+    changes.push(`added slug "${slug}"`);
+  }
+  const base = { slug, objectCount, fromVersion, changes, errors, warnings };
+
+  if (errors.length) return { ...base, status: "invalid" };
+  if (!changes.length) return { ...base, status: "ok" };
+  if (parsed.dryRun) return { ...base, status: "would-repair" };
+
+  if (parsed.dir) {
+    writeSongFormatFile(formatPath, format);
+  } else {
+    writeWithRevision("format", slug, format, { reason: "repair" });
+  }
+  return { ...base, status: "repaired" };
+}
+
+function main() {
+  const slugs = listSlugs();
+  console.log(`Formats dir: ${formatsDir}`);
+  console.log(`Schema version: ${SONG_FORMAT_SCHEMA_VERSION}${parsed.dryRun ? " (dry run)" : ""}`);
+  console.log(`Checking ${slugs.length} format(s)...\n`);
+
+  const results = slugs.map(repairFormat);
+  for (const r of results) {
+    const detail =
+      r.objectCount !== undefined ? ` (objects=${r.objectCount}, version=${r.fromVersion})` : "";
+    console.log(`${r.slug}: ${r.status.toUpperCase()}${detail}`);
+    r.changes.forEach((change) => console.log(`  ~ ${change}`));
+    r.warnings.forEach((warning) => console.log(`  ! ${warning}`));
+    r.errors.forEach((error) => console.log(`  x ${error}`));
+  }
+
+  const counts = results.reduce((acc, r) => {
+    acc[r.status] = (acc[r.status] || 0) + 1;
+    return acc;
+  }, {});
+  console.log(
+    `\nSummary: ${Object.entries(counts)
+      .map(([status, count]) => `${status}=${count}`)
+      .join(", ") || "nothing to do"}`
+  );
+
+  if (results.some((r) => ["invalid", "unreadable", "missing"].includes(r.status))) {
+    process.exit(1);
+  }
+}
+
+main();